@@ -3,4 +3,5 @@ export default {
   transform: {},
   moduleFileExtensions: ['js', 'mjs', 'json', 'node'],
   testMatch: ['**/__tests__/**/*.js', '**/?(*.)+(spec|test).js'],
+  setupFiles: ['<rootDir>/jest.setup.js'],
 };
\ No newline at end of file
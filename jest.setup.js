@@ -0,0 +1,3 @@
+// テストでは学習データを data/learning ではなくメモリ上に保存する
+// （ファイル・SQLiteの動作を確認するテストはストレージアダプターを明示的に渡す）
+process.env.LEARNING_STORAGE = process.env.LEARNING_STORAGE || 'memory';
@@ -5,11 +5,16 @@
  * 🚀 解析済み辞書データJSON保存・高速読み込み
  * 📊 JMdict解析結果キャッシュ
  * 🔄 更新検出・自動再構築システム
+ * 🗜️ gzip / brotli 圧縮保存（config.compression、読み込みは形式を自動判定）
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import { decodeJSON, encodeJSON, findExistingVariant, getCompressedPath, getCompressionFromEnv, getVariantPaths } from '../utils/compression.js';
+
+// parsed-dictionary-chunk-<番号>.json（圧縮時は .json.gz / .json.br）
+const CHUNK_FILE_PATTERN = /^parsed-dictionary-chunk-(\d+)\.json(\.gz|\.br)?$/;
 
 /**
  * 辞書キャッシュマネージャー
@@ -31,7 +36,7 @@ export class DictionaryCacheManager {
         
         // キャッシュ設定
         this.config = {
-            enableCompression: true,
+            compression: getCompressionFromEnv(), // 'none' | 'gzip' | 'brotli'（環境変数 DATA_COMPRESSION）
             maxCacheAgeDays: 30,
             enableIntegrityCheck: true,
             chunkSize: 5000 // 大容量対応分割保存
@@ -52,6 +57,48 @@ export class DictionaryCacheManager {
         }
     }
 
+    /**
+     * キャッシュファイル書き込み（config.compression の形式、別形式の同名ファイルは削除）
+     * @param {string} fileName - 圧縮拡張子を除いたファイル名（xxx.json）
+     */
+    async writeCacheFile(fileName, data, indent = 0) {
+        const filePath = path.join(this.cacheDir, fileName);
+        const dataPath = getCompressedPath(filePath, this.config.compression);
+        await fs.writeFile(dataPath, await encodeJSON(data, this.config.compression, indent));
+        for (const variant of getVariantPaths(filePath)) {
+            if (variant !== dataPath) await fs.rm(variant, { force: true });
+        }
+        return dataPath;
+    }
+
+    /**
+     * キャッシュファイル読み込み（.json / .json.gz / .json.br のうち存在するもの）
+     * @param {string} fileName - 圧縮拡張子を除いたファイル名（xxx.json）
+     */
+    async readCacheFile(fileName) {
+        const filePath = path.join(this.cacheDir, fileName);
+        const dataPath = await findExistingVariant(filePath);
+        if (!dataPath) {
+            throw new Error(`キャッシュファイルが見つかりません: ${filePath}`);
+        }
+        return decodeJSON(await fs.readFile(dataPath), dataPath);
+    }
+
+    /**
+     * チャンクファイル名一覧（圧縮拡張子を除いた名前、チャンク番号順）
+     */
+    async listChunkFiles() {
+        const files = await fs.readdir(this.cacheDir);
+        const chunkIndices = new Set();
+        for (const file of files) {
+            const match = file.match(CHUNK_FILE_PATTERN);
+            if (match) chunkIndices.add(parseInt(match[1]));
+        }
+        return Array.from(chunkIndices)
+            .sort((a, b) => a - b)
+            .map(index => `parsed-dictionary-chunk-${index}.json`);
+    }
+
     /**
      * ソースファイルのハッシュ計算
      */
@@ -82,9 +129,7 @@ export class DictionaryCacheManager {
      */
     async getCacheMetadata() {
         try {
-            const metadataPath = path.join(this.cacheDir, this.cacheFiles.metadata);
-            const metadataContent = await fs.readFile(metadataPath, 'utf8');
-            return JSON.parse(metadataContent);
+            return await this.readCacheFile(this.cacheFiles.metadata);
         } catch (error) {
             console.log('📋 キャッシュメタデータ未検出（初回実行）');
             return null;
@@ -186,12 +231,14 @@ export class DictionaryCacheManager {
                     level: entry.level,
                     source: entry.source,
                     lang: entry.lang,
-                    quality: entry.quality
+                    quality: entry.quality,
+                    priorities: entry.priorities,
+                    misc: entry.misc,
+                    fields: entry.fields
                 }))
             };
             
-            const chunkPath = path.join(this.cacheDir, `parsed-dictionary-chunk-${i}.json`);
-            await fs.writeFile(chunkPath, JSON.stringify(chunkData));
+            await this.writeCacheFile(`parsed-dictionary-chunk-${i}.json`, chunkData);
         }
         
         console.log(`💾 辞書エントリ保存完了: ${entries.length}エントリ`);
@@ -209,8 +256,7 @@ export class DictionaryCacheManager {
             }))
         };
         
-        const synonymMapPath = path.join(this.cacheDir, this.cacheFiles.synonymMap);
-        await fs.writeFile(synonymMapPath, JSON.stringify(synonymMapData));
+        await this.writeCacheFile(this.cacheFiles.synonymMap, synonymMapData);
         
         console.log(`🔗 同義語マップ保存完了: ${synonymMapData.size}エントリ`);
     }
@@ -230,8 +276,7 @@ export class DictionaryCacheManager {
             }))
         };
         
-        const indicesPath = path.join(this.cacheDir, this.cacheFiles.indices);
-        await fs.writeFile(indicesPath, JSON.stringify(indicesData));
+        await this.writeCacheFile(this.cacheFiles.indices, indicesData);
         
         console.log('📇 インデックス保存完了');
     }
@@ -255,8 +300,7 @@ export class DictionaryCacheManager {
             config: this.config
         };
         
-        const metadataPath = path.join(this.cacheDir, this.cacheFiles.metadata);
-        await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+        await this.writeCacheFile(this.cacheFiles.metadata, metadata, 2);
         
         console.log('📋 メタデータ保存完了');
     }
@@ -314,24 +358,14 @@ export class DictionaryCacheManager {
      * 分割された辞書データ読み込み
      */
     async loadParsedDictionary(cacheData) {
-        // チャンクファイル検索
-        const files = await fs.readdir(this.cacheDir);
-        const chunkFiles = files.filter(file => file.startsWith('parsed-dictionary-chunk-'));
+        // チャンクファイル検索（チャンク番号順）
+        const chunkFiles = await this.listChunkFiles();
         
         console.log(`📦 ${chunkFiles.length}個のチャンクファイル検出`);
         
-        // チャンク順序ソート
-        chunkFiles.sort((a, b) => {
-            const aIndex = parseInt(a.match(/chunk-(\d+)/)[1]);
-            const bIndex = parseInt(b.match(/chunk-(\d+)/)[1]);
-            return aIndex - bIndex;
-        });
-        
         // チャンク読み込み
         for (const chunkFile of chunkFiles) {
-            const chunkPath = path.join(this.cacheDir, chunkFile);
-            const chunkContent = await fs.readFile(chunkPath, 'utf8');
-            const chunkData = JSON.parse(chunkContent);
+            const chunkData = await this.readCacheFile(chunkFile);
             
             // エントリ復元
             for (const entryData of chunkData.entries) {
@@ -346,7 +380,10 @@ export class DictionaryCacheManager {
                     level: entryData.level || 'common',
                     source: entryData.source,
                     lang: entryData.lang,
-                    quality: entryData.quality
+                    quality: entryData.quality,
+                    priorities: entryData.priorities || [],
+                    misc: entryData.misc || [],
+                    fields: entryData.fields || []
                 };
                 
                 cacheData.entries.set(entryData.word, entry);
@@ -360,9 +397,7 @@ export class DictionaryCacheManager {
      * 同義語マップ読み込み
      */
     async loadSynonymMap(cacheData) {
-        const synonymMapPath = path.join(this.cacheDir, this.cacheFiles.synonymMap);
-        const synonymMapContent = await fs.readFile(synonymMapPath, 'utf8');
-        const synonymMapData = JSON.parse(synonymMapContent);
+        const synonymMapData = await this.readCacheFile(this.cacheFiles.synonymMap);
         
         for (const { word, synonyms } of synonymMapData.entries) {
             cacheData.synonymMap.set(word, new Set(synonyms));
@@ -375,9 +410,7 @@ export class DictionaryCacheManager {
      * インデックス読み込み
      */
     async loadIndices(cacheData) {
-        const indicesPath = path.join(this.cacheDir, this.cacheFiles.indices);
-        const indicesContent = await fs.readFile(indicesPath, 'utf8');
-        const indicesData = JSON.parse(indicesContent);
+        const indicesData = await this.readCacheFile(this.cacheFiles.indices);
         
         // 読みマップ復元
         for (const { reading, words } of indicesData.readingMap) {
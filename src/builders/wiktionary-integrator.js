@@ -11,7 +11,7 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import { createReadStream } from 'fs';
 import { createInterface } from 'readline';
-import { DictionaryDB } from '../engines/language/dictionary-db.js';
+import { DictionaryDB } from '../foundation/dictionary/dictionary-db.js';
 
 /**
  * Wiktionary エントリ構造（kaikki.org形式）
@@ -0,0 +1,95 @@
+import { ChatSessionManager, DEFAULT_SESSION_ID, isValidSessionId } from '../chat-session-manager.js';
+import { jest } from '@jest/globals';
+
+describe('ChatSessionManager', () => {
+  let manager;
+  let mockPersistentLearningDB;
+
+  beforeEach(() => {
+    mockPersistentLearningDB = {
+      loadChatSessions: jest.fn().mockResolvedValue(null),
+      saveChatSessions: jest.fn().mockResolvedValue(undefined),
+    };
+    manager = new ChatSessionManager(mockPersistentLearningDB, { contextTurns: 2 });
+  });
+
+  test('セッションを作成・一覧・改名・削除できるべき', async () => {
+    const created = await manager.createSession('user1', '旅行の相談');
+    expect(created.title).toBe('旅行の相談');
+    expect(created.turnCount).toBe(0);
+
+    const renamed = await manager.renameSession('user1', created.sessionId, '京都旅行');
+    expect(renamed.title).toBe('京都旅行');
+
+    const sessions = await manager.listSessions('user1');
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].sessionId).toBe(created.sessionId);
+
+    expect(await manager.deleteSession('user1', created.sessionId)).toBe(true);
+    expect(await manager.deleteSession('user1', created.sessionId)).toBe(false);
+    expect(await manager.renameSession('user1', 'missing', 'x')).toBeNull();
+    expect(mockPersistentLearningDB.saveChatSessions).toHaveBeenCalledTimes(3);
+  });
+
+  test('Object.prototype のプロパティ名のセッションIDを既存セッションとして扱わないべき', async () => {
+    expect(await manager.getSession('user1', 'constructor')).toBeNull();
+    expect(await manager.renameSession('user1', '__proto__', '改名')).toBeNull();
+    expect(({}).title).toBeUndefined();
+    expect(await manager.getContextTurns('user1', 'constructor')).toEqual([]);
+    await expect(manager.appendTurn('user1', 'constructor', { userInput: 'x' })).rejects.toThrow('セッションが見つかりません');
+
+    await manager.createSession('user1', '特殊なID', '__proto__');
+    expect(await manager.renameSession('user1', '__proto__', '改名')).toMatchObject({ title: '改名' });
+    expect(({}).title).toBeUndefined();
+
+    expect(isValidSessionId(DEFAULT_SESSION_ID)).toBe(true);
+    expect(isValidSessionId((await manager.createSession('user1')).sessionId)).toBe(true);
+    expect(isValidSessionId('__proto__')).toBe(false);
+    expect(isValidSessionId('constructor')).toBe(false);
+  });
+
+  test('既存の永続化データを読み込むべき', async () => {
+    mockPersistentLearningDB.loadChatSessions.mockResolvedValue({
+      userId: 'user1',
+      sessions: {
+        s1: { sessionId: 's1', title: '保存済み', createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z', turns: [] },
+      },
+    });
+
+    const session = await manager.getSession('user1', 's1');
+    expect(session.title).toBe('保存済み');
+    await manager.getSession('user1', 's1');
+    expect(mockPersistentLearningDB.loadChatSessions).toHaveBeenCalledTimes(1);
+  });
+
+  test('既定セッションを自動作成し、直近ターンを文脈として返すべき', async () => {
+    const session = await manager.getOrCreateDefaultSession('user1');
+    expect(session.sessionId).toBe(DEFAULT_SESSION_ID);
+
+    await manager.appendTurn('user1', DEFAULT_SESSION_ID, { userInput: '一', aiResponse: 'A' });
+    await manager.appendTurn('user1', DEFAULT_SESSION_ID, { userInput: '二', aiResponse: 'B' });
+    await manager.appendTurn('user1', DEFAULT_SESSION_ID, { userInput: '三', aiResponse: 'C' });
+
+    const context = await manager.getContextTurns('user1', DEFAULT_SESSION_ID);
+    expect(context.map(turn => turn.userInput)).toEqual(['二', '三']);
+    await expect(manager.appendTurn('user1', 'missing', { userInput: 'x' })).rejects.toThrow();
+  });
+
+  test('履歴を最新側からページングできるべき', async () => {
+    const { sessionId } = await manager.createSession('user1');
+    for (let i = 1; i <= 5; i++) {
+      await manager.appendTurn('user1', sessionId, { userInput: `入力${i}` });
+    }
+
+    const firstPage = await manager.getHistory('user1', { sessionId, limit: 2 });
+    expect(firstPage.history.map(turn => turn.userInput)).toEqual(['入力4', '入力5']);
+    expect(firstPage.total).toBe(5);
+    expect(firstPage.hasMore).toBe(true);
+
+    const lastPage = await manager.getHistory('user1', { sessionId, limit: 2, offset: 4 });
+    expect(lastPage.history.map(turn => turn.userInput)).toEqual(['入力1']);
+    expect(lastPage.hasMore).toBe(false);
+
+    expect(await manager.getHistory('user1', { sessionId: 'missing' })).toBeNull();
+  });
+});
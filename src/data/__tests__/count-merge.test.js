@@ -0,0 +1,65 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { JsonFileStorageAdapter } from '../storage/json-file-storage-adapter.js';
+import { PersistentLearningDB } from '../persistent-learning-db.js';
+import { mergeCountDocument } from '../count-merge.js';
+
+describe('merge-on-write', () => {
+  let basePath;
+
+  // 同じディレクトリを共有する別プロセスを想定した2つのインスタンス
+  const openDB = () => {
+    const storage = new JsonFileStorageAdapter(basePath);
+    storage.initialize();
+    return new PersistentLearningDB(basePath, storage);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'count-merge-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('並行して学習したバンディット統計は双方の増分を保持すべき', async () => {
+    const setup = openDB();
+    await setup.saveBanditData({ vocabularyStats: new Map([['対話', { selections: 10, rewards: 5 }]]), totalSelections: 10 });
+
+    const server = openDB();
+    const ingest = openDB();
+    const serverData = await server.loadBanditData();
+    const ingestData = await ingest.loadBanditData();
+
+    serverData.vocabularyStats.set('対話', { selections: 12, rewards: 6 });
+    serverData.totalSelections = 12;
+    ingestData.vocabularyStats.set('対話', { selections: 13, rewards: 5 });
+    ingestData.vocabularyStats.set('構造', { selections: 1, rewards: 1 });
+    ingestData.totalSelections = 14;
+    await server.saveBanditData(serverData);
+    await ingest.saveBanditData(ingestData);
+
+    const merged = await openDB().loadBanditData();
+    expect(merged.totalSelections).toBe(16);
+    expect(merged.vocabularyStats.get('対話')).toEqual({ selections: 15, rewards: 6 });
+    expect(merged.vocabularyStats.get('構造')).toEqual({ selections: 1, rewards: 1 });
+    expect(fs.readdirSync(basePath).filter(name => name.endsWith('.lock') || name.includes('.tmp-'))).toEqual([]);
+  });
+
+  test('件数以外のフィールドは自分が変更した場合のみ上書きすべき', () => {
+    const base = { userId: 'u1', classCounts: [['a', 1]], totalInteractions: 1, preferences: [] };
+    const current = { ...base, classCounts: [['a', 2]], totalInteractions: 2, preferences: [['tone', 'casual']] };
+    const mine = { ...base, classCounts: [['a', 1], ['b', 1]], totalInteractions: 2 };
+
+    expect(mergeCountDocument(current, mine, base, ['classCounts', 'totalInteractions'])).toEqual({
+      userId: 'u1',
+      classCounts: [['a', 2], ['b', 1]],
+      totalInteractions: 3,
+      preferences: [['tone', 'casual']]
+    });
+  });
+});
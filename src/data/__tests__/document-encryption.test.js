@@ -0,0 +1,78 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { PersistentLearningDB } from '../persistent-learning-db.js';
+import { InMemoryStorageAdapter } from '../storage/in-memory-storage-adapter.js';
+import { DocumentCipher, generateEncryptionKey, getEncryptionStatus, isEncryptedDocument, reencryptDocuments } from '../document-encryption.js';
+
+describe('個人データの暗号化', () => {
+  let basePath;
+  let rawStorage;
+
+  const profile = { userId: 'u1', classCounts: [['positive', 2]], featureCounts: [], totalInteractions: 2, preferences: [] };
+
+  const loadedProfile = { ...profile, classCounts: new Map(profile.classCounts), featureCounts: new Map(), preferences: new Map() };
+
+  const openDB = (cipher) => new PersistentLearningDB(basePath, rawStorage, { cipher });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'document-encryption-'));
+    rawStorage = new InMemoryStorageAdapter();
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('ユーザープロファイル・チャット履歴は暗号化し、集計データは平文で保存すべき', async () => {
+    const db = openDB(new DocumentCipher({ currentKey: generateEncryptionKey() }));
+    await db.waitForInitialization();
+
+    await db.saveUserProfile('u1', profile);
+    await db.saveChatSessions('u1', { sessions: [{ message: 'こんにちは' }] });
+    await db.saveBanditData({ vocabularyStats: new Map([['対話', { selections: 1, rewards: 1 }]]), totalSelections: 1 });
+
+    expect(isEncryptedDocument(rawStorage.read('user_profiles', 'u1'))).toBe(true);
+    expect(JSON.stringify(rawStorage.read('chat_sessions', 'u1'))).not.toContain('こんにちは');
+    expect(isEncryptedDocument(rawStorage.read('learning', 'bandit-data'))).toBe(false);
+
+    expect(await db.loadUserProfile('u1')).toEqual(loadedProfile);
+    expect(await db.loadChatSessions('u1')).toEqual({ sessions: [{ message: 'こんにちは' }] });
+  });
+
+  test('別のキーへ差し替えた暗号文・鍵のないドキュメントは復号できないべき', async () => {
+    const cipher = new DocumentCipher({ currentKey: generateEncryptionKey() });
+    const encrypted = cipher.encrypt('user_profiles', 'u1', profile);
+
+    expect(cipher.decrypt('user_profiles', 'u1', encrypted)).toEqual(profile);
+    expect(() => cipher.decrypt('user_profiles', 'u2', encrypted)).toThrow('復号に失敗しました');
+    expect(() => new DocumentCipher({ currentKey: generateEncryptionKey() }).decrypt('user_profiles', 'u1', encrypted)).toThrow('復号鍵がありません');
+  });
+
+  test('鍵ローテーション後は旧鍵のドキュメントを読み込め、reencrypt で新しい鍵へ移行すべき', async () => {
+    const oldKey = generateEncryptionKey();
+    const oldDB = openDB(new DocumentCipher({ currentKey: oldKey }));
+    await oldDB.waitForInitialization();
+    await oldDB.saveUserProfile('u1', profile);
+    const backupId = path.basename(await oldDB.createBackup());
+
+    const rotated = new DocumentCipher({ currentKey: generateEncryptionKey(), previousKeys: [oldKey] });
+    const db = openDB(rotated);
+    await db.waitForInitialization();
+    expect(await db.loadUserProfile('u1')).toEqual(loadedProfile);
+
+    const result = reencryptDocuments(rawStorage, rotated);
+    expect(result.updated).toEqual([{ collection: 'user_profiles', key: 'u1', from: oldDB.cipher.currentKeyId, to: rotated.currentKeyId }]);
+    expect(getEncryptionStatus(rawStorage)).toEqual({ plaintext: 0, encrypted: { [rotated.currentKeyId]: 1 } });
+    expect(reencryptDocuments(rawStorage, rotated).updated).toHaveLength(0);
+
+    // バックアップは暗号化したまま保存され、復号して比較できる
+    const backupProfile = fs.readFileSync(path.join(basePath, 'backups', backupId, 'user_profiles', 'u1.json'), 'utf8');
+    expect(isEncryptedDocument(JSON.parse(backupProfile))).toBe(true);
+    expect((await db.diffBackups(backupId, 'current')).userProfiles.changed).toEqual([]);
+  });
+});
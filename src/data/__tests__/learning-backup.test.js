@@ -0,0 +1,76 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { PersistentLearningDB } from '../persistent-learning-db.js';
+
+describe('PersistentLearningDB バックアップ', () => {
+  let basePath;
+  let db;
+
+  const saveBandit = (stats, totalSelections) => db.saveBanditData({ vocabularyStats: new Map(Object.entries(stats)), totalSelections });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-backup-'));
+    db = new PersistentLearningDB(basePath);
+  });
+
+  afterEach(() => {
+    db.stopScheduledBackups();
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('バックアップと現在のデータの差分を集計すべき', async () => {
+    await saveBandit({ 対話: { selections: 2, rewards: 1 } }, 2);
+    await db.saveUserRelations(new Map([['user_u1', { userRelations: new Map([['構造', [{ term: '設計' }]]]) }]]));
+    const backupId = path.basename(await db.createBackup());
+
+    await saveBandit({ 対話: { selections: 5, rewards: 3 }, 学習: { selections: 1, rewards: 0 } }, 6);
+    await db.saveUserRelations(new Map([['user_u1', { userRelations: new Map([['構造', [{ term: '設計' }, { term: '分析' }]]]) }]]));
+    await db.saveUserProfile('u2', { userId: 'u2', classCounts: [], featureCounts: [], totalInteractions: 1, preferences: [] });
+
+    const diff = await db.diffBackups(backupId, 'current');
+
+    expect(diff.bandit.totalSelections).toEqual({ before: 2, after: 6, delta: 4 });
+    expect(diff.bandit.addedWords).toBe(1);
+    expect(diff.bandit.topChanges[0]).toEqual({ word: '対話', selectionsDelta: 3, rewardsDelta: 2, status: 'changed' });
+    expect(diff.relations.totalRelations).toEqual({ before: 1, after: 2, delta: 1 });
+    expect(diff.userProfiles.added).toEqual(['u2']);
+  });
+
+  test('復元前の状態を退避してからバックアップ時点の状態に戻すべき', async () => {
+    await saveBandit({ 対話: { selections: 2, rewards: 1 } }, 2);
+    const backupId = path.basename(await db.createBackup());
+    await saveBandit({ 対話: { selections: 9, rewards: 9 } }, 9);
+    await db.saveUserProfile('u2', { userId: 'u2', classCounts: [], featureCounts: [], totalInteractions: 1, preferences: [] });
+
+    const result = await db.restoreBackup(backupId);
+
+    expect((await db.loadBanditData()).totalSelections).toBe(2);
+    expect(await db.loadUserProfile('u2')).toBeNull();
+    expect(result.removed).toBe(1);
+    const backups = await db.listBackups();
+    expect(backups.find(backup => backup.id === result.safetyBackup).reason).toBe('pre-restore');
+    expect((await db.diffBackups(result.safetyBackup, 'current')).bandit.totalSelections.after).toBe(2);
+  });
+
+  test('存在しないバックアップIDやディレクトリ外を指すIDは拒否すべき', async () => {
+    await expect(db.restoreBackup('missing')).rejects.toThrow('バックアップが見つかりません');
+    await expect(db.diffBackups('..', 'current')).rejects.toThrow('バックアップが見つかりません');
+  });
+
+  test('保持件数を超えた定期スナップショットのみ削除すべき', async () => {
+    await db.createBackup();
+    for (let i = 0; i < 3; i++) {
+      await db.createBackup({ reason: 'scheduled' });
+    }
+
+    const deleted = await db.pruneBackups({ maxCount: 1, reason: 'scheduled' });
+
+    expect(deleted).toHaveLength(2);
+    expect((await db.listBackups()).map(backup => backup.reason).sort()).toEqual(['manual', 'scheduled']);
+  });
+});
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { LearningEventLog, LEARNING_EVENT_TYPES } from '../learning-event-log.js';
+import { DocumentCipher, generateEncryptionKey } from '../document-encryption.js';
+import { PersistentLearningDB } from '../persistent-learning-db.js';
+import { InMemoryStorageAdapter } from '../storage/in-memory-storage-adapter.js';
+import { MultiArmedBanditVocabularyAI } from '../../learning/bandit/multi-armed-bandit-vocabulary.js';
+import { BayesianPersonalizationAI } from '../../learning/bayesian/bayesian-personalization.js';
+import { LearningModelRebuilder } from '../../learning/integration/learning-model-rebuilder.js';
+
+describe('学習入力ログ', () => {
+  let basePath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-event-log-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('日付ごとのファイルへ追記し、Mapを含む入力を記録順に読み込めるべき', async () => {
+    const eventLog = new LearningEventLog(basePath, { cipher: new DocumentCipher({ currentKey: generateEncryptionKey() }) });
+    const day = 24 * 60 * 60 * 1000;
+    const start = Date.parse('2026-10-01T00:00:00Z');
+    eventLog.append(LEARNING_EVENT_TYPES.NGRAM_PATTERN, { userId: null, text: 'こんにちは 世界' }, start);
+    eventLog.append(LEARNING_EVENT_TYPES.NGRAM_PATTERN, { userId: 'u1', text: '天気 教えて' }, start + 1000);
+    eventLog.append(LEARNING_EVENT_TYPES.BAYESIAN_INTERACTION, { userId: 'u1', interaction: { class: 'greeting', features: new Map([['keyword_挨拶', 1]]) } }, start + day);
+    // 書き込み途中で終了した行（続く追記は次の行から書き込む）
+    fs.appendFileSync(path.join(basePath, '2026-10-03.jsonl'), '{"encryption":');
+    eventLog.append(LEARNING_EVENT_TYPES.BANDIT_REWARD, { vocabulary: '挨拶', rating: 0.8 }, start + 2 * day);
+    // 追記は非同期にまとめて書き込む
+    expect(eventLog.listSegments()).toEqual(['2026-10-03.jsonl']);
+    await eventLog.flush();
+
+    expect(eventLog.listSegments()).toEqual(['2026-10-01.jsonl', '2026-10-02.jsonl', '2026-10-03.jsonl']);
+    expect(fs.readFileSync(path.join(basePath, '2026-10-01.jsonl'), 'utf8')).not.toContain('こんにちは');
+
+    const events = Array.from(eventLog.read());
+    expect(events.map(event => event.type)).toEqual(['ngram.pattern', 'ngram.pattern', 'bayesian.interaction', 'bandit.reward']);
+    expect(events[2].data.interaction.features).toEqual(new Map([['keyword_挨拶', 1]]));
+    expect(Array.from(eventLog.read({ until: '2026-10-02T00:00:00Z' }))).toHaveLength(3);
+
+    // 入力文を含むイベントもユーザー単位で除去する
+    expect(await eventLog.removeUserEvents('u1')).toBe(2);
+    expect(eventLog.getStats().types).toEqual({ 'ngram.pattern': 1, 'bandit.reward': 1 });
+
+    // 保持期間を過ぎた日付のセグメントを削除する
+    expect(await eventLog.removeSegmentsBefore(start + 2 * day, { dryRun: true })).toEqual({ removed: 1, segments: ['2026-10-01.jsonl', '2026-10-02.jsonl'] });
+    expect(eventLog.listSegments()).toHaveLength(3);
+    await eventLog.removeSegmentsBefore(start + 2 * day);
+    expect(eventLog.listSegments()).toEqual(['2026-10-03.jsonl']);
+  });
+
+  test('記録した入力を再生して学習モデルを作り直し、置き換えられるべき', async () => {
+    const storage = new InMemoryStorageAdapter();
+    const db = new PersistentLearningDB(basePath, storage, { cipher: null, eventLog: new LearningEventLog() });
+    await db.waitForInitialization();
+
+    const bandit = new MultiArmedBanditVocabularyAI(db);
+    const bayesian = new BayesianPersonalizationAI(db);
+    const cutoff = Date.parse('2026-10-01T00:00:00Z');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(cutoff);
+    await bandit.recordSelection('挨拶');
+    await bandit.updateRewards('挨拶', 0.5);
+    now.mockReturnValue(cutoff + 1000);
+    await bandit.recordSelection('天気');
+    await bayesian.learnUserBehavior('u1', { class: 'greeting', features: { keyword_挨拶: 1 } });
+    // 学習入力ログの記録前に保存されたプロファイル
+    db.writeDocument('user_profiles', 'legacy', { userId: 'legacy', totalInteractions: 5 });
+
+    const rebuilder = new LearningModelRebuilder(db.eventLog);
+    const partial = await rebuilder.rebuild({ until: cutoff });
+    expect(partial.replayed).toEqual({ 'bandit.selection': 1, 'bandit.reward': 1 });
+
+    const full = await rebuilder.rebuild();
+    expect(full.replayed).toEqual({ 'bandit.selection': 2, 'bandit.reward': 1, 'bayesian.interaction': 1 });
+    // 再生中の学習入力は記録しない
+    expect(db.eventLog.getStats().total).toBe(4);
+
+    db.writeDocument('learning', 'bandit-data', { vocabularyStats: [], totalSelections: 0 });
+    const replaced = await db.replaceLearningModels(full.storage);
+
+    expect(replaced.removed).toBe(1);
+    expect(storage.list('user_profiles')).toEqual(['u1']);
+    const banditData = await db.loadBanditData();
+    expect(banditData.totalSelections).toBe(2);
+    expect(banditData.vocabularyStats.get('挨拶')).toEqual({ rewards: 0.5, selections: 1 });
+    expect((await db.listBackups()).map(backup => backup.reason)).toEqual(['pre-rebuild']);
+  });
+
+  test('鍵ローテーション後に旧鍵を外しても学習入力ログから再構築できるべき', async () => {
+    const oldKey = generateEncryptionKey();
+    const newKey = generateEncryptionKey();
+    const oldLog = new LearningEventLog(basePath, { cipher: new DocumentCipher({ currentKey: oldKey }) });
+    const start = Date.parse('2026-10-01T00:00:00Z');
+    oldLog.append(LEARNING_EVENT_TYPES.BANDIT_SELECTION, { vocabulary: '挨拶' }, start);
+    oldLog.append(LEARNING_EVENT_TYPES.BANDIT_REWARD, { vocabulary: '挨拶', rating: 0.5 }, start + 1000);
+    oldLog.append(LEARNING_EVENT_TYPES.BANDIT_SELECTION, { vocabulary: '天気' }, start + 24 * 60 * 60 * 1000);
+    await oldLog.flush();
+
+    // 新鍵を current、旧鍵を previous にして暗号化し直す（npm run encryption -- reencrypt）
+    const rotatingCipher = new DocumentCipher({ currentKey: newKey, previousKeys: [oldKey] });
+    const eventLog = new LearningEventLog(basePath);
+    expect(await eventLog.reencryptSegments(rotatingCipher, { dryRun: true })).toEqual({
+      checked: 3,
+      updated: [{ segment: '2026-10-01.jsonl', lines: 2 }, { segment: '2026-10-02.jsonl', lines: 1 }],
+      errors: []
+    });
+    await eventLog.reencryptSegments(rotatingCipher);
+    expect(eventLog.getEncryptionStatus()).toEqual({ plaintext: 0, encrypted: { [rotatingCipher.currentKeyId]: 3 } });
+    // 復号できない鍵しかなければセグメントを書き換えずに失敗として返す
+    const withoutKey = await eventLog.reencryptSegments(new DocumentCipher({ currentKey: generateEncryptionKey() }));
+    expect(withoutKey.errors.map(({ segment }) => segment)).toEqual(['2026-10-01.jsonl', '2026-10-02.jsonl']);
+    expect(eventLog.getEncryptionStatus()).toEqual({ plaintext: 0, encrypted: { [rotatingCipher.currentKeyId]: 3 } });
+
+    // 旧鍵を外した状態で再構築・ユーザーデータ削除ができる
+    const rotatedLog = new LearningEventLog(basePath, { cipher: new DocumentCipher({ currentKey: newKey }) });
+    const rebuilt = await new LearningModelRebuilder(rotatedLog).rebuild();
+    expect(rebuilt.replayed).toEqual({ 'bandit.selection': 2, 'bandit.reward': 1 });
+    expect(await rotatedLog.removeUserEvents('u1')).toBe(0);
+
+    // 暗号化解除後は鍵なしで読み込める（npm run encryption -- decrypt）
+    await eventLog.reencryptSegments(rotatingCipher, { decrypt: true });
+    expect(eventLog.getEncryptionStatus()).toEqual({ plaintext: 3, encrypted: {} });
+    expect(eventLog.getStats().total).toBe(3);
+  });
+});
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { PersistentLearningDB } from '../persistent-learning-db.js';
+import { InMemoryStorageAdapter } from '../storage/in-memory-storage-adapter.js';
+import { parseRetentionPeriod, resolveRetentionPolicy, selectBackupsToKeep } from '../retention-policy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('データ保持ポリシー', () => {
+  let basePath;
+  let storage;
+  let db;
+  const now = Date.parse('2026-10-18T12:00:00Z');
+  const daysAgo = (days) => new Date(now - days * DAY_MS).toISOString();
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-policy-'));
+    storage = new InMemoryStorageAdapter();
+    db = new PersistentLearningDB(basePath, storage, { cipher: null });
+    await db.waitForInitialization();
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('保持期間は日数・単位付き文字列で指定し、null で無効化できるべき', () => {
+    expect(parseRetentionPeriod(30)).toBe(30 * DAY_MS);
+    expect(parseRetentionPeriod('4w')).toBe(28 * DAY_MS);
+    expect(parseRetentionPeriod('1y')).toBe(365 * DAY_MS);
+    expect(() => parseRetentionPeriod('30 days')).toThrow('保持期間の形式が不正です');
+
+    const policy = resolveRetentionPolicy({ learningEvents: null, backups: { daily: 3 } });
+    expect(policy.learningEvents).toBeNull();
+    expect(policy.chatHistory).toBe(30 * DAY_MS);
+    expect(policy.backups).toEqual({ daily: 3, weekly: 0, monthly: 0 });
+    expect(() => resolveRetentionPolicy({ chatLogs: '7d' })).toThrow('未対応の保持ルール');
+  });
+
+  test('バックアップは日・週ごとに最新のものを保持すべき', () => {
+    // 2026-10-18（日曜）から過去30日、1日2件ずつ
+    const backups = [];
+    for (let day = 0; day < 30; day++) {
+      backups.push({ id: `d${day}-a`, createdAt: daysAgo(day) });
+      backups.push({ id: `d${day}-b`, createdAt: new Date(now - day * DAY_MS - 60000).toISOString() });
+    }
+
+    const keep = selectBackupsToKeep(backups, { daily: 2, weekly: 3, monthly: 0 });
+    // 日次: 直近2日、週次: 今週（10/12〜）は d0、先週は d7、先々週は d14
+    expect(Array.from(keep).sort()).toEqual(['d0-a', 'd1-a', 'd14-a', 'd7-a']);
+  });
+
+  test('保持期間を過ぎたデータを削除し、dry-run では変更しないべき', async () => {
+    db.writeDocument('chat_sessions', 'u1', {
+      userId: 'u1',
+      sessions: {
+        old: { sessionId: 'old', createdAt: daysAgo(60), updatedAt: daysAgo(40), turns: [] },
+        recent: { sessionId: 'recent', createdAt: daysAgo(60), updatedAt: daysAgo(1), turns: [] }
+      }
+    });
+    db.writeDocument('chat_sessions', 'u2', {
+      userId: 'u2',
+      sessions: { old: { sessionId: 'old', createdAt: daysAgo(50), updatedAt: daysAgo(45), turns: [] } }
+    });
+    db.conversationCache = [{ timestamp: now - 31 * DAY_MS }, { timestamp: now - DAY_MS }];
+    db.statsCache.learningEvents = [{ timestamp: now - 100 * DAY_MS }, { timestamp: now - 10 * DAY_MS }];
+    db.eventLog.append('bandit.selection', { vocabulary: '挨拶' }, now - 400 * DAY_MS);
+    db.eventLog.append('bandit.selection', { vocabulary: '天気' }, now - 10 * DAY_MS);
+    db.writeDocument('user_profiles', 'inactive', { userId: 'inactive', lastActiveAt: daysAgo(400) });
+    db.writeDocument('user_profiles', 'legacy', { userId: 'legacy' });
+    await db.saveUserProfile('active', { userId: 'active', totalInteractions: 1 });
+
+    const policy = resolveRetentionPolicy({ backups: null });
+    const preview = await db.applyRetentionPolicy(policy, { dryRun: true, now });
+    expect(preview.chatHistory).toEqual({ removedSessions: 2, users: ['u1', 'u2'], deletedUsers: ['u2'] });
+    expect(preview.conversationHistory).toEqual({ removed: 1 });
+    expect(preview.learningEvents).toEqual({ removed: 1 });
+    expect(preview.learningInputLog).toEqual({ removed: 1, segments: [db.eventLog.getSegmentName(now - 400 * DAY_MS)] });
+    expect(preview.inactiveUserProfiles).toEqual({ removed: ['inactive'], untracked: ['legacy'] });
+    expect(preview.backups).toBeNull();
+    expect(storage.has('chat_sessions', 'u2')).toBe(true);
+    expect(db.conversationCache).toHaveLength(2);
+
+    const report = await db.applyRetentionPolicy(policy, { now });
+    expect(report.chatHistory.removedSessions).toBe(2);
+    expect(Object.keys(db.readDocument('chat_sessions', 'u1').sessions)).toEqual(['recent']);
+    expect(storage.has('chat_sessions', 'u2')).toBe(false);
+    expect(db.conversationCache).toHaveLength(1);
+    expect(db.statsCache.learningEvents).toHaveLength(1);
+    expect(db.eventLog.getStats().total).toBe(1);
+    expect(storage.list('user_profiles').sort()).toEqual(['active', 'legacy']);
+    // 記録のなかったプロファイルは適用時点から期間を数える
+    expect(db.readDocument('user_profiles', 'legacy').lastActiveAt).toBe(new Date(now).toISOString());
+  });
+
+  test('バックアップの保持ルールで古いバックアップを削除すべき', async () => {
+    for (let i = 0; i < 3; i++) {
+      await db.createBackup({ reason: 'scheduled' });
+    }
+    const policy = resolveRetentionPolicy({ chatHistory: null, conversationHistory: null, learningEvents: null, inactiveUserProfiles: null, backups: { daily: 1 } });
+
+    const report = await db.applyRetentionPolicy(policy);
+
+    expect(report.backups.removed).toHaveLength(2);
+    expect(report.backups.kept).toBe(1);
+    expect(await db.listBackups()).toHaveLength(1);
+  });
+});
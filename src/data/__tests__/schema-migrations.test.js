@@ -0,0 +1,90 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { jest } from '@jest/globals';
+import { JsonFileStorageAdapter } from '../storage/json-file-storage-adapter.js';
+import { EncryptedStorageAdapter } from '../storage/encrypted-storage-adapter.js';
+import { DocumentCipher, generateEncryptionKey, isEncryptedDocument } from '../document-encryption.js';
+import { STORAGE_COLLECTIONS } from '../storage/storage-adapter.js';
+import { migrateAllDocuments, migrateDocument, CURRENT_SCHEMA_VERSION } from '../schema-migrations.js';
+import { PersistentLearningDB } from '../persistent-learning-db.js';
+
+const { LEARNING, USER_PROFILES, SYSTEM_DATA } = STORAGE_COLLECTIONS;
+const MIGRATE_SCRIPT = fileURLToPath(new URL('../../scripts/migrate-learning-schema.js', import.meta.url));
+
+describe('スキーママイグレーション', () => {
+  let basePath;
+  let storage;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-migrations-'));
+    storage = new JsonFileStorageAdapter(basePath);
+    storage.initialize();
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('旧形式のMapオブジェクト保存をエントリ配列に変換すべき', () => {
+    const bandit = migrateDocument({ vocabularyStats: { 対話: { rewards: 1, selections: 2 } }, totalSelections: 2 }, { collection: LEARNING, key: 'bandit-data' });
+    expect(bandit).toMatchObject({ fromVersion: 0, toVersion: CURRENT_SCHEMA_VERSION });
+    expect(bandit.data.vocabularyStats).toEqual([['対話', { rewards: 1, selections: 2 }]]);
+
+    const profile = migrateDocument({ userId: 'u1', classCounts: { a: 1 }, featureCounts: { a: { x: 2 } }, preferences: {} }, { collection: USER_PROFILES, key: 'u1' });
+    expect(profile.data).toEqual({ userId: 'u1', classCounts: [['a', 1]], featureCounts: [['a', [['x', 2]]]], preferences: [] });
+  });
+
+  test('dry-runでは変更対象を報告するだけで書き込まないべき', () => {
+    storage.write(SYSTEM_DATA, 'topic_categories', { tech: ['api'] });
+    storage.write(SYSTEM_DATA, 'learning-config', { schemaVersion: CURRENT_SCHEMA_VERSION, data: {} });
+
+    const preview = migrateAllDocuments(storage, { dryRun: true });
+
+    expect(preview.checked).toBe(2);
+    expect(preview.migrated.map(({ key }) => key)).toEqual(['topic_categories']);
+    expect(storage.read(SYSTEM_DATA, 'topic_categories')).toEqual({ tech: ['api'] });
+
+    migrateAllDocuments(storage);
+    expect(storage.read(SYSTEM_DATA, 'topic_categories')).toEqual({ schemaVersion: CURRENT_SCHEMA_VERSION, data: { tech: ['api'] } });
+    expect(migrateAllDocuments(storage, { dryRun: true }).migrated).toEqual([]);
+  });
+
+  test('PersistentLearningDBは起動時に旧形式を移行し、保存時にschemaVersionを付与すべき', async () => {
+    storage.write(LEARNING, 'bandit-data', { vocabularyStats: { 構造: { rewards: 3, selections: 4 } }, totalSelections: 4 });
+
+    const db = new PersistentLearningDB(basePath, storage);
+
+    expect(storage.read(LEARNING, 'bandit-data').schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    const bandit = await db.loadBanditData();
+    expect(bandit.vocabularyStats.get('構造')).toEqual({ rewards: 3, selections: 4 });
+
+    await db.saveSystemData('statistical_weights', { alpha: 1 });
+    expect(storage.read(SYSTEM_DATA, 'statistical_weights')).toEqual({ schemaVersion: CURRENT_SCHEMA_VERSION, data: { alpha: 1 } });
+    expect(await db.loadSystemData('statistical_weights')).toEqual({ alpha: 1 });
+  });
+
+  test('移行スクリプトは暗号化鍵の設定時に暗号化ドキュメントを復号して移行し、暗号化したまま保存すべき', () => {
+    const key = generateEncryptionKey();
+    const encrypted = new EncryptedStorageAdapter(storage, new DocumentCipher({ currentKey: key }));
+    encrypted.write(USER_PROFILES, 'u1', { userId: 'u1', classCounts: { a: 1 }, featureCounts: {}, preferences: {} });
+
+    const result = spawnSync(process.execPath, [MIGRATE_SCRIPT, '--base-path', basePath], {
+      env: { ...process.env, LEARNING_STORAGE: 'json', LEARNING_ENCRYPTION_KEY: key },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+
+    expect(result.status).toBe(0);
+    expect(isEncryptedDocument(storage.read(USER_PROFILES, 'u1'))).toBe(true);
+    expect(encrypted.read(USER_PROFILES, 'u1')).toEqual({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      data: { userId: 'u1', classCounts: [['a', 1]], featureCounts: [], preferences: [] }
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { jest } from '@jest/globals';
+import { ShutdownStateTracker, PREVIOUS_SHUTDOWN } from '../shutdown-state.js';
+
+describe('ShutdownStateTracker', () => {
+  let basePath;
+  let tracker;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'shutdown-state-'));
+    tracker = new ShutdownStateTracker(basePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('正常終了後の起動ではデータ検証を行わず、稼働中マーカーに切り替えるべき', () => {
+    fs.writeFileSync(path.join(basePath, 'ngram-data.json'), '{"broken":');
+    tracker.markRunning();
+    tracker.markCleanShutdown({ signal: 'SIGTERM' });
+    expect(tracker.readMarker()).toMatchObject({ cleanShutdown: true, signal: 'SIGTERM' });
+
+    const result = tracker.checkOnStartup();
+
+    expect(result.previousShutdown).toBe(PREVIOUS_SHUTDOWN.CLEAN);
+    expect(result.corruptFiles).toEqual([]);
+    expect(tracker.readMarker().cleanShutdown).toBe(false);
+  });
+
+  test('異常終了後の起動では破損JSONを退避し、正常なファイルは残すべき', () => {
+    fs.mkdirSync(path.join(basePath, 'user_profiles'));
+    fs.mkdirSync(path.join(basePath, 'backups'));
+    fs.writeFileSync(path.join(basePath, 'bandit-data.json'), '{"totalSelections":3}');
+    fs.writeFileSync(path.join(basePath, 'user_profiles', 'u1.json'), '{"userId":"u1"');
+    fs.writeFileSync(path.join(basePath, 'backups', 'old.json'), 'not json');
+    tracker.markRunning();
+
+    const result = tracker.checkOnStartup();
+
+    expect(result.previousShutdown).toBe(PREVIOUS_SHUTDOWN.UNCLEAN);
+    expect(result.corruptFiles.map(file => path.relative(basePath, file.path))).toEqual([path.join('user_profiles', 'u1.json')]);
+    expect(fs.existsSync(result.corruptFiles[0].quarantinedPath)).toBe(true);
+    expect(fs.existsSync(path.join(basePath, 'bandit-data.json'))).toBe(true);
+    expect(fs.existsSync(path.join(basePath, 'backups', 'old.json'))).toBe(true);
+  });
+
+  test('圧縮された学習データも展開して検証し、破損ファイルを退避すべき', () => {
+    const gzipped = zlib.gzipSync('{"ngramFrequencies":{}}');
+    fs.writeFileSync(path.join(basePath, 'ngram-data.json.gz'), gzipped.subarray(0, gzipped.length - 8));
+    fs.writeFileSync(path.join(basePath, 'bandit-data.json.br'), zlib.brotliCompressSync('{"totalSelections":3}'));
+    fs.writeFileSync(path.join(basePath, 'bayesian-data.json.gz'), zlib.gzipSync('{"broken":'));
+    tracker.markRunning();
+
+    const result = tracker.checkOnStartup();
+
+    expect(result.corruptFiles.map(file => path.basename(file.path)).sort()).toEqual(['bayesian-data.json.gz', 'ngram-data.json.gz']);
+    result.corruptFiles.forEach(file => expect(fs.existsSync(file.quarantinedPath)).toBe(true));
+    expect(fs.existsSync(path.join(basePath, 'bandit-data.json.br'))).toBe(true);
+  });
+});
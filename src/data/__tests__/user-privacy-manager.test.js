@@ -0,0 +1,94 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { PersistentLearningDB } from '../persistent-learning-db.js';
+import { ChatSessionManager } from '../chat-session-manager.js';
+import { UserPrivacyManager, USER_ARCHIVE_FORMAT } from '../user-privacy-manager.js';
+
+describe('UserPrivacyManager', () => {
+  let basePath;
+  let db;
+  let chatSessionManager;
+  let manager;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'user-privacy-'));
+    db = new PersistentLearningDB(basePath);
+    chatSessionManager = new ChatSessionManager(db);
+    manager = new UserPrivacyManager(db, chatSessionManager);
+
+    await db.saveUserProfile('alice', { userId: 'alice', classCounts: [], featureCounts: [], totalInteractions: 3, preferences: [] });
+    await db.saveUserProfile('sentiment_analysis_alice', { wordEmotions: [['嬉しい', 1]] });
+    await db.saveUserProfile('bob', { userId: 'bob', totalInteractions: 1 });
+    await db.saveUserSpecificRelations('alice', { userRelations: { 天気: [] } });
+    await db.saveUserSpecificRelations('bob', { userRelations: {} });
+    await chatSessionManager.appendTurn('alice', (await chatSessionManager.getOrCreateDefaultSession('alice')).sessionId, {
+      userInput: 'こんにちは',
+      aiResponse: 'こんにちは！',
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('分散したユーザーデータを単一アーカイブとしてエクスポートすべき', async () => {
+    const archive = await manager.exportUser('alice');
+
+    expect(archive.format).toBe(USER_ARCHIVE_FORMAT);
+    expect(archive.data.profiles.bayesian.totalInteractions).toBe(3);
+    expect(archive.data.profiles.sentiment.wordEmotions).toEqual([['嬉しい', 1]]);
+    expect(archive.data.profiles.topic).toBeNull();
+    expect(archive.data.userRelations.userRelations).toEqual({ 天気: [] });
+    expect(archive.data.chatSessions.sessions.default.turns).toHaveLength(1);
+    expect(archive.data.learningEvents.every(event => event.data.userId === 'alice')).toBe(true);
+    expect(await manager.exportUser('nobody')).toBeNull();
+  });
+
+  test('全ストアからユーザーを削除し、他ユーザーのデータは残すべき', async () => {
+    const evictLearner = jest.fn().mockReturnValue(true);
+    manager.registerMemoryStore('dynamicLearner', evictLearner);
+
+    const report = await manager.deleteUser('alice');
+    const statusOf = store => report.stores.find(entry => entry.store === store).status;
+
+    expect(evictLearner).toHaveBeenCalledWith('alice');
+    expect(statusOf('memory.chatSessions')).toBe('deleted');
+    expect(statusOf('profiles.bayesian')).toBe('deleted');
+    expect(statusOf('profiles.sentiment')).toBe('deleted');
+    expect(statusOf('profiles.topic')).toBe('not_found');
+    expect(statusOf('userRelations')).toBe('deleted');
+    expect(statusOf('chatSessions')).toBe('deleted');
+    expect(statusOf('learningEvents')).toBe('scrubbed');
+    expect(statusOf('qualityTrainingData')).toBe('retained');
+
+    expect(await manager.exportUser('alice')).toBeNull();
+    expect(await chatSessionManager.listSessions('alice')).toEqual([]);
+    expect((await db.loadRawUserProfile('bob')).totalInteractions).toBe(1);
+    expect(db.getUserSpecificRelations('bob').lastSaved).toBeDefined();
+  });
+
+  test('削除したユーザーのデータをバックアップからも除去し、復元で戻さないべき', async () => {
+    const backupId = path.basename(await db.createBackup());
+
+    const report = await manager.deleteUser('alice');
+    const backupsEntry = report.stores.find(entry => entry.store === 'backups');
+    expect(backupsEntry.status).toBe('scrubbed');
+    expect(backupsEntry.backups).toBe(1);
+    // bayesian・sentiment プロファイル、関係性、学習イベント
+    expect(backupsEntry.count).toBeGreaterThanOrEqual(3);
+
+    const snapshot = db.openBackupStorage(db.getBackupPath(backupId));
+    expect(snapshot.has('user_profiles', 'alice')).toBe(false);
+    expect(snapshot.has('user_profiles', 'sentiment_analysis_alice')).toBe(false);
+    expect(snapshot.has('user_profiles', 'bob')).toBe(true);
+
+    await db.restoreBackup(backupId);
+    expect(await manager.exportUser('alice')).toBeNull();
+    expect((await db.loadRawUserProfile('bob')).totalInteractions).toBe(1);
+    expect(db.getUserSpecificRelations('bob').lastSaved).toBeDefined();
+  });
+});
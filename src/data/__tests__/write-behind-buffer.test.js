@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import { WriteBehindBuffer } from '../write-behind-buffer.js';
+import { PersistentLearningDB } from '../persistent-learning-db.js';
+import { InMemoryStorageAdapter } from '../storage/in-memory-storage-adapter.js';
+import { MultiArmedBanditVocabularyAI } from '../../learning/bandit/multi-armed-bandit-vocabulary.js';
+
+describe('WriteBehindBuffer', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('flushIntervalMs未指定時は変更のたびに保存すべき', async () => {
+    const flushFn = jest.fn(async () => {});
+    const buffer = new WriteBehindBuffer('test', flushFn);
+
+    await buffer.markDirty();
+    await buffer.markDirty();
+
+    expect(flushFn).toHaveBeenCalledTimes(2);
+    expect(buffer.hasPendingChanges()).toBe(false);
+  });
+
+  test('連続した変更は最後の変更から flushIntervalMs 後に1回で保存すべき', async () => {
+    const flushFn = jest.fn(async () => {});
+    const buffer = new WriteBehindBuffer('test', flushFn, { flushIntervalMs: 1000, maxStalenessMs: 10000 });
+
+    for (let i = 0; i < 5; i++) {
+      await buffer.markDirty();
+      await jest.advanceTimersByTimeAsync(500);
+    }
+    expect(flushFn).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(flushFn).toHaveBeenCalledTimes(1);
+    expect(buffer.hasPendingChanges()).toBe(false);
+  });
+
+  test('変更が途切れなくても maxStalenessMs 以内に保存すべき', async () => {
+    const flushFn = jest.fn(async () => {});
+    const buffer = new WriteBehindBuffer('test', flushFn, { flushIntervalMs: 1000, maxStalenessMs: 3000 });
+
+    for (let i = 0; i < 6; i++) {
+      await buffer.markDirty();
+      await jest.advanceTimersByTimeAsync(600);
+    }
+
+    expect(flushFn).toHaveBeenCalledTimes(1);
+  });
+
+  test('キー別に集約し、保存に失敗したキーは未保存のまま残すべき', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = new Set(['user-b']);
+    const flushFn = jest.fn(async (key) => {
+      if (failing.has(key)) throw new Error('書き込み失敗');
+    });
+    const buffer = new WriteBehindBuffer('test', flushFn, { flushIntervalMs: 1000 });
+
+    await buffer.markDirty('user-a');
+    await buffer.markDirty('user-b');
+    await buffer.markDirty('user-a');
+    await expect(buffer.flush()).rejects.toThrow('書き込み失敗');
+
+    expect(flushFn.mock.calls.map(([key]) => key)).toEqual(['user-a', 'user-b']);
+    expect(buffer.hasPendingChanges('user-a')).toBe(false);
+    expect(buffer.hasPendingChanges('user-b')).toBe(true);
+
+    failing.clear();
+    await buffer.flush();
+    expect(buffer.hasPendingChanges()).toBe(false);
+  });
+
+  test('学習コンポーネントは集約した変更を cleanup で保存すべき', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const db = new PersistentLearningDB('/tmp/unused', new InMemoryStorageAdapter());
+    await db.waitForInitialization();
+    const saveSpy = jest.spyOn(db, 'saveBanditData');
+
+    const bandit = new MultiArmedBanditVocabularyAI(db, { writeBehind: { flushIntervalMs: 60000 } });
+    await bandit.initialize();
+    await bandit.recordSelection('対話');
+    await bandit.recordSelection('対話');
+    await bandit.updateRewards('対話', 1);
+    expect(saveSpy).not.toHaveBeenCalled();
+
+    await bandit.cleanup();
+    expect(saveSpy).toHaveBeenCalledTimes(1);
+
+    const saved = await db.loadBanditData();
+    expect(saved.totalSelections).toBe(2);
+    expect(saved.vocabularyStats.get('対話')).toEqual({ selections: 2, rewards: 1 });
+  });
+});
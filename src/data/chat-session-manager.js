@@ -0,0 +1,229 @@
+/**
+ * ChatSessionManager - ユーザー別マルチセッション対話履歴管理
+ *
+ * 💬 ユーザーごとに複数の対話セッションを作成・一覧・改名・削除
+ * 💾 PersistentLearningDB経由でセッション単位の対話ターンを永続化
+ * 🧠 応答生成時の文脈として直近ターンを提供
+ */
+
+import crypto from 'crypto';
+
+export const DEFAULT_SESSION_ID = 'default';
+
+// APIで受け付けるセッションIDの形式（既定セッション、または createSession が採番するUUID）
+const SESSION_ID_PATTERN = /^(default|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * セッションIDの形式確認（クライアント指定のIDをAPIで受け付ける前に使用）
+ */
+export function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+// セッション表（クライアント指定のセッションIDが Object.prototype のプロパティと衝突しないようプロトタイプなし）
+function createSessionTable(sessions = {}) {
+    return Object.assign(Object.create(null), sessions);
+}
+
+export class ChatSessionManager {
+    constructor(persistentDB, config = {}) {
+        this.persistentLearningDB = persistentDB;
+        this.config = {
+            maxTurnsPerSession: 500, // セッションあたり最大保持ターン数
+            contextTurns: 10,        // 応答生成に渡す直近ターン数
+            ...config
+        };
+
+        // インメモリキャッシュ: Map<userId, { sessions: { [sessionId]: session }（プロトタイプなし） }>
+        this.sessionsCache = new Map();
+    }
+
+    /**
+     * ユーザーのセッションデータ読み込み（キャッシュ優先）
+     */
+    async loadUserSessions(userId) {
+        if (this.sessionsCache.has(userId)) {
+            return this.sessionsCache.get(userId);
+        }
+
+        const loaded = await this.persistentLearningDB.loadChatSessions(userId);
+        const userSessions = loaded && typeof loaded.sessions === 'object' && loaded.sessions !== null
+            ? { ...loaded, sessions: createSessionTable(loaded.sessions) }
+            : { userId, sessions: createSessionTable() };
+        this.sessionsCache.set(userId, userSessions);
+        return userSessions;
+    }
+
+    /**
+     * ユーザーのセッションデータ保存
+     */
+    async saveUserSessions(userId) {
+        const userSessions = this.sessionsCache.get(userId);
+        if (userSessions) {
+            await this.persistentLearningDB.saveChatSessions(userId, userSessions);
+        }
+    }
+
+    /**
+     * セッション作成
+     * @param {string} userId - ユーザーID
+     * @param {string|null} title - セッション名
+     * @param {string} sessionId - セッションID（省略時は自動採番）
+     * @returns {Promise<Object>} セッション概要
+     */
+    async createSession(userId, title = null, sessionId = crypto.randomUUID()) {
+        const userSessions = await this.loadUserSessions(userId);
+        if (Object.hasOwn(userSessions.sessions, sessionId)) {
+            throw new Error(`セッションが既に存在します: ${sessionId}`);
+        }
+
+        const now = new Date().toISOString();
+        userSessions.sessions[sessionId] = {
+            sessionId,
+            title: title || `対話 ${Object.keys(userSessions.sessions).length + 1}`,
+            createdAt: now,
+            updatedAt: now,
+            turns: []
+        };
+        await this.saveUserSessions(userId);
+        return this.summarizeSession(userSessions.sessions[sessionId]);
+    }
+
+    /**
+     * セッション取得
+     */
+    async getSession(userId, sessionId) {
+        const userSessions = await this.loadUserSessions(userId);
+        return Object.hasOwn(userSessions.sessions, sessionId) ? userSessions.sessions[sessionId] : null;
+    }
+
+    /**
+     * 既定セッション取得（未作成なら作成）
+     */
+    async getOrCreateDefaultSession(userId) {
+        const session = await this.getSession(userId, DEFAULT_SESSION_ID);
+        if (session) return session;
+        await this.createSession(userId, '既定の対話', DEFAULT_SESSION_ID);
+        return this.getSession(userId, DEFAULT_SESSION_ID);
+    }
+
+    /**
+     * セッション一覧（更新日時の新しい順）
+     */
+    async listSessions(userId) {
+        const userSessions = await this.loadUserSessions(userId);
+        return Object.values(userSessions.sessions)
+            .map(session => this.summarizeSession(session))
+            .sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime());
+    }
+
+    /**
+     * セッション名変更
+     * @returns {Promise<Object|null>} 変更後のセッション概要（存在しない場合null）
+     */
+    async renameSession(userId, sessionId, title) {
+        const session = await this.getSession(userId, sessionId);
+        if (!session) return null;
+
+        session.title = title;
+        session.updatedAt = new Date().toISOString();
+        await this.saveUserSessions(userId);
+        return this.summarizeSession(session);
+    }
+
+    /**
+     * セッション削除
+     * @returns {Promise<boolean>} 削除できたか
+     */
+    async deleteSession(userId, sessionId) {
+        const userSessions = await this.loadUserSessions(userId);
+        if (!Object.hasOwn(userSessions.sessions, sessionId)) return false;
+
+        delete userSessions.sessions[sessionId];
+        await this.saveUserSessions(userId);
+        return true;
+    }
+
+    /**
+     * ユーザーのセッションキャッシュ破棄（永続データの削除はPersistentLearningDB側で行う）
+     * @returns {boolean} キャッシュが存在したか
+     */
+    evictUser(userId) {
+        return this.sessionsCache.delete(userId);
+    }
+
+    /**
+     * 対話ターン追加
+     * @param {Object} turn - { userInput, aiResponse, keywords, ...metadata }
+     */
+    async appendTurn(userId, sessionId, turn) {
+        const session = await this.getSession(userId, sessionId);
+        if (!session) {
+            throw new Error(`セッションが見つかりません: ${sessionId}`);
+        }
+
+        const timestamp = new Date().toISOString();
+        session.turns.push({ timestamp, ...turn });
+        if (session.turns.length > this.config.maxTurnsPerSession) {
+            session.turns.splice(0, session.turns.length - this.config.maxTurnsPerSession);
+        }
+        session.updatedAt = timestamp;
+        await this.saveUserSessions(userId);
+    }
+
+    /**
+     * 応答生成用の直近ターン取得
+     */
+    async getContextTurns(userId, sessionId) {
+        const session = await this.getSession(userId, sessionId);
+        if (!session) return [];
+        return session.turns.slice(-this.config.contextTurns);
+    }
+
+    /**
+     * 対話履歴のページング取得
+     * offsetは最新ターンから数えた件数。各ページは時系列順で返す。
+     * @param {string} userId - ユーザーID
+     * @param {Object} options - { sessionId, limit, offset }（sessionId省略時は全セッション横断）
+     * @returns {Promise<Object|null>} ページ情報（セッションが存在しない場合null）
+     */
+    async getHistory(userId, { sessionId = null, limit = 50, offset = 0 } = {}) {
+        let turns;
+        if (sessionId) {
+            const session = await this.getSession(userId, sessionId);
+            if (!session) return null;
+            turns = session.turns.map(turn => ({ sessionId, ...turn }));
+        } else {
+            const userSessions = await this.loadUserSessions(userId);
+            turns = Object.values(userSessions.sessions)
+                .flatMap(session => session.turns.map(turn => ({ sessionId: session.sessionId, ...turn })))
+                .sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+        }
+
+        const total = turns.length;
+        const end = Math.max(0, total - offset);
+        const start = Math.max(0, end - limit);
+        return {
+            history: turns.slice(start, end),
+            total,
+            limit,
+            offset,
+            hasMore: start > 0
+        };
+    }
+
+    /**
+     * セッション概要（ターン本体を除く）
+     */
+    summarizeSession(session) {
+        return {
+            sessionId: session.sessionId,
+            title: session.title,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt,
+            turnCount: session.turns.length
+        };
+    }
+}
+
+export default ChatSessionManager;
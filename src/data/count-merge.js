@@ -0,0 +1,106 @@
+/**
+ * 件数ベース学習データのマージ（merge-on-write）
+ *
+ * 複数プロセスが同じドキュメントを読み込んで個別に学習すると、後から保存した側が
+ * 他方の学習結果を上書きしてしまう。件数ベースのフィールドは
+ *   保存済みの値 + (自プロセスの値 - 自プロセスが読み込んだ時点の値)
+ * として自プロセスの増分のみを反映する（3-wayマージ）。
+ * 件数以外のフィールドは自プロセスが変更した場合のみ自プロセスの値を採用する。
+ */
+
+import { STORAGE_COLLECTIONS } from './storage/storage-adapter.js';
+
+const { LEARNING, USER_PROFILES } = STORAGE_COLLECTIONS;
+
+// ドキュメント別の件数フィールド（保存形式: Mapはエントリ配列）
+const COUNT_FIELDS = [
+    {
+        matches: (collection, key) => collection === LEARNING && key === 'bandit-data',
+        fields: ['vocabularyStats', 'totalSelections']
+    },
+    {
+        matches: (collection, key) => collection === LEARNING && key === 'ngram-data',
+        fields: ['ngramFrequencies', 'contextFrequencies', 'continuationCounts', 'documentFreqs', 'totalNgrams', 'totalDocuments']
+    },
+    {
+        // ベイジアン個人化のプロファイル（他の接頭辞付きプロファイルは上書き保存）
+        matches: (collection, key, data) => collection === USER_PROFILES && !!data && 'classCounts' in data,
+        fields: ['classCounts', 'featureCounts', 'totalInteractions']
+    }
+];
+
+/**
+ * マージ対象の件数フィールド（対象外のドキュメントはnull）
+ */
+export function getCountFields(collection, key, data) {
+    const entry = COUNT_FIELDS.find(candidate => candidate.matches(collection, key, data));
+    return entry ? entry.fields : null;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// [文字列キー, 値] の配列（Mapの保存形式）
+function isEntries(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(entry => Array.isArray(entry) && entry.length === 2 && typeof entry[0] === 'string');
+}
+
+function mergeEntries(current, mine, base) {
+    const currentMap = new Map(current);
+    const mineMap = new Map(mine);
+    const baseMap = new Map(base);
+
+    const merged = [];
+    for (const key of new Set([...currentMap.keys(), ...mineMap.keys()])) {
+        // 自プロセスが削除したキー
+        if (!mineMap.has(key) && baseMap.has(key)) continue;
+        merged.push([key, mergeCountValue(currentMap.get(key), mineMap.get(key), baseMap.get(key))]);
+    }
+    return merged;
+}
+
+/**
+ * 件数値の3-wayマージ
+ * 数値は増分を加算、エントリ配列・オブジェクトはキー別に再帰、値の配列（Setの保存形式）は和集合
+ */
+export function mergeCountValue(current, mine, base) {
+    if (typeof current === 'number' || typeof mine === 'number') {
+        return (current || 0) + (mine || 0) - (base || 0);
+    }
+    if (isEntries(current) || isEntries(mine)) {
+        return mergeEntries(current || [], mine || [], base || []);
+    }
+    if (Array.isArray(current) || Array.isArray(mine)) {
+        return Array.from(new Set([...(current || []), ...(mine || [])]));
+    }
+    if (isPlainObject(current) || isPlainObject(mine)) {
+        const merged = {};
+        for (const field of new Set([...Object.keys(current || {}), ...Object.keys(mine || {})])) {
+            merged[field] = mergeCountValue((current || {})[field], (mine || {})[field], (base || {})[field]);
+        }
+        return merged;
+    }
+    return mine === undefined ? current : mine;
+}
+
+/**
+ * ドキュメントの3-wayマージ
+ * @param {Object} current - 保存済みの値（他プロセスの保存を含む）
+ * @param {Object} mine - 自プロセスが保存しようとしている値
+ * @param {Object|null} base - 自プロセスが読み込んだ（前回保存した）時点の値。なければ空として扱う
+ * @param {Array} countFields - getCountFields の戻り値
+ */
+export function mergeCountDocument(current, mine, base, countFields) {
+    const merged = {};
+    for (const field of new Set([...Object.keys(current), ...Object.keys(mine)])) {
+        if (countFields.includes(field)) {
+            merged[field] = mergeCountValue(current[field], mine[field], base ? base[field] : undefined);
+        } else if (!(field in mine) || (base && JSON.stringify(mine[field]) === JSON.stringify(base[field]))) {
+            merged[field] = current[field];
+        } else {
+            merged[field] = mine[field];
+        }
+    }
+    return merged;
+}
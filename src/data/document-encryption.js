@@ -0,0 +1,230 @@
+/**
+ * 個人データの保存時暗号化（AES-256-GCM）
+ *
+ * 🔐 ユーザープロファイル・チャット履歴・会話履歴を暗号化して保存する（集計データは平文のまま）
+ * 🔑 鍵は環境変数 LEARNING_ENCRYPTION_KEY（base64 / hex の32バイト）または
+ *    LEARNING_ENCRYPTION_KEY_FILE（鍵のみ、または { "current": 鍵, "previous": [旧鍵...] } のJSON）で指定する
+ * 🔄 鍵ローテーション: 新しい鍵を current、旧鍵を previous（または LEARNING_ENCRYPTION_PREVIOUS_KEYS）に設定し、
+ *    npm run encryption -- reencrypt で全ドキュメントを新しい鍵で暗号化し直してから旧鍵を外す
+ *
+ * 暗号化ドキュメントは { encryption: { algorithm, keyId, iv, tag }, ciphertext } として保存する。
+ * コレクション名とキーを追加認証データとするため、別のドキュメントへ差し替えられた暗号文は復号できない。
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { STORAGE_COLLECTIONS, listDocumentKeys } from './storage/storage-adapter.js';
+
+const { LEARNING, USER_PROFILES, CHAT_SESSIONS } = STORAGE_COLLECTIONS;
+
+export const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+// 暗号化対象（個人の会話・行動を含むドキュメント）
+const ENCRYPTED_COLLECTIONS = new Set([USER_PROFILES, CHAT_SESSIONS]);
+const ENCRYPTED_LEARNING_DOCUMENTS = new Set(['conversation-history']);
+
+/**
+ * 暗号化対象のドキュメントか
+ */
+export function isPersonalDocument(collection, key) {
+    return ENCRYPTED_COLLECTIONS.has(collection) || (collection === LEARNING && ENCRYPTED_LEARNING_DOCUMENTS.has(key));
+}
+
+/**
+ * 暗号化されたドキュメントか
+ */
+export function isEncryptedDocument(document) {
+    return !!document && typeof document === 'object' && !!document.encryption && typeof document.ciphertext === 'string';
+}
+
+/**
+ * 新しい鍵を生成（base64）
+ */
+export function generateEncryptionKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString('base64');
+}
+
+/**
+ * 鍵文字列（base64 / hex）をBufferへ変換
+ */
+export function parseEncryptionKey(value) {
+    const text = String(value).trim();
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`暗号化鍵は${KEY_LENGTH}バイト（base64またはhex）で指定してください`);
+    }
+    return key;
+}
+
+/**
+ * 鍵の識別子（鍵そのものは保存しない）
+ */
+export function getKeyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function splitKeys(value) {
+    return String(value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+/**
+ * 環境変数・鍵ファイルから鍵を読み込み
+ * @returns {Object|null} { currentKey, previousKeys }（未設定時はnull）
+ */
+export function loadEncryptionKeys(env = process.env) {
+    if (env.LEARNING_ENCRYPTION_KEY) {
+        return {
+            currentKey: env.LEARNING_ENCRYPTION_KEY,
+            previousKeys: splitKeys(env.LEARNING_ENCRYPTION_PREVIOUS_KEYS)
+        };
+    }
+    if (env.LEARNING_ENCRYPTION_KEY_FILE) {
+        const content = fs.readFileSync(env.LEARNING_ENCRYPTION_KEY_FILE, 'utf8').trim();
+        if (content.startsWith('{')) {
+            const keyFile = JSON.parse(content);
+            return {
+                currentKey: keyFile.current,
+                previousKeys: [...(keyFile.previous || []), ...splitKeys(env.LEARNING_ENCRYPTION_PREVIOUS_KEYS)]
+            };
+        }
+        return { currentKey: content, previousKeys: splitKeys(env.LEARNING_ENCRYPTION_PREVIOUS_KEYS) };
+    }
+    return null;
+}
+
+/**
+ * ドキュメント暗号化（current 鍵で暗号化し、previous 鍵で暗号化されたものも復号する）
+ */
+export class DocumentCipher {
+    /**
+     * @param {Object} keys - { currentKey, previousKeys } 鍵文字列またはBuffer
+     */
+    constructor({ currentKey, previousKeys = [] }) {
+        const current = Buffer.isBuffer(currentKey) ? currentKey : parseEncryptionKey(currentKey);
+        this.currentKeyId = getKeyId(current);
+        this.keys = new Map([[this.currentKeyId, current]]);
+        for (const previousKey of previousKeys) {
+            const key = Buffer.isBuffer(previousKey) ? previousKey : parseEncryptionKey(previousKey);
+            this.keys.set(getKeyId(key), key);
+        }
+    }
+
+    static getAdditionalData(collection, key) {
+        return Buffer.from(`${collection}/${key}`, 'utf8');
+    }
+
+    encrypt(collection, key, data) {
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, this.keys.get(this.currentKeyId), iv);
+        cipher.setAAD(DocumentCipher.getAdditionalData(collection, key));
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+        return {
+            encryption: {
+                algorithm: ENCRYPTION_ALGORITHM,
+                keyId: this.currentKeyId,
+                iv: iv.toString('base64'),
+                tag: cipher.getAuthTag().toString('base64')
+            },
+            ciphertext: ciphertext.toString('base64')
+        };
+    }
+
+    decrypt(collection, key, document) {
+        const { algorithm, keyId, iv, tag } = document.encryption;
+        if (algorithm !== ENCRYPTION_ALGORITHM) {
+            throw new Error(`未対応の暗号化方式: ${algorithm} (${collection}/${key})`);
+        }
+        if (!this.keys.has(keyId)) {
+            throw new Error(`復号鍵がありません (keyId: ${keyId}): ${collection}/${key}`);
+        }
+
+        const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, this.keys.get(keyId), Buffer.from(iv, 'base64'));
+        decipher.setAAD(DocumentCipher.getAdditionalData(collection, key));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        try {
+            const plaintext = Buffer.concat([decipher.update(Buffer.from(document.ciphertext, 'base64')), decipher.final()]);
+            return JSON.parse(plaintext.toString('utf8'));
+        } catch {
+            throw new Error(`復号に失敗しました（改ざん・鍵不一致）: ${collection}/${key}`);
+        }
+    }
+
+    /**
+     * current 鍵で暗号化されているか
+     */
+    isCurrent(document) {
+        return isEncryptedDocument(document) && document.encryption.keyId === this.currentKeyId;
+    }
+
+    describe() {
+        return { algorithm: ENCRYPTION_ALGORITHM, currentKeyId: this.currentKeyId, keyIds: Array.from(this.keys.keys()) };
+    }
+}
+
+/**
+ * 環境変数の鍵から DocumentCipher を作成（未設定時はnull = 暗号化しない）
+ */
+export function createDocumentCipherFromEnv(env = process.env) {
+    const keys = loadEncryptionKeys(env);
+    return keys ? new DocumentCipher(keys) : null;
+}
+
+/**
+ * 個人データの暗号化状態の集計
+ * @param {Object} storage - 暗号化前のストレージアダプター（EncryptedStorageAdapter で包まないもの）
+ * @returns {Object} { plaintext, encrypted: { [keyId]: 件数 } }
+ */
+export function getEncryptionStatus(storage) {
+    const status = { plaintext: 0, encrypted: {} };
+    for (const collection of Object.values(STORAGE_COLLECTIONS)) {
+        for (const key of listDocumentKeys(storage, collection)) {
+            if (!isPersonalDocument(collection, key)) continue;
+            const document = storage.read(collection, key);
+            if (isEncryptedDocument(document)) {
+                const { keyId } = document.encryption;
+                status.encrypted[keyId] = (status.encrypted[keyId] || 0) + 1;
+            } else {
+                status.plaintext++;
+            }
+        }
+    }
+    return status;
+}
+
+/**
+ * 個人データを current 鍵で暗号化し直す（平文・旧鍵のドキュメントが対象）
+ * @param {Object} storage - 暗号化前のストレージアダプター
+ * @param {DocumentCipher} cipher - 暗号化に使う鍵（旧鍵を previous に含めること）
+ * @param {Object} options - { decrypt: 暗号化を解除して平文で保存, dryRun }
+ * @returns {Object} { checked, updated: [{ collection, key, from, to }], errors: [{ collection, key, error }] }
+ */
+export function reencryptDocuments(storage, cipher, { decrypt = false, dryRun = false } = {}) {
+    const result = { checked: 0, updated: [], errors: [] };
+
+    for (const collection of Object.values(STORAGE_COLLECTIONS)) {
+        for (const key of listDocumentKeys(storage, collection)) {
+            if (!isPersonalDocument(collection, key)) continue;
+            result.checked++;
+            try {
+                // 読み込み→書き込みの間に他プロセスが保存した内容を失わないようロックする
+                storage.lock(collection, key, () => {
+                    const document = storage.read(collection, key);
+                    const encrypted = isEncryptedDocument(document);
+                    if (decrypt ? !encrypted : cipher.isCurrent(document)) return;
+
+                    const data = encrypted ? cipher.decrypt(collection, key, document) : document;
+                    const to = decrypt ? 'plaintext' : cipher.currentKeyId;
+                    result.updated.push({ collection, key, from: encrypted ? document.encryption.keyId : 'plaintext', to });
+                    if (!dryRun) {
+                        storage.write(collection, key, decrypt ? data : cipher.encrypt(collection, key, data));
+                    }
+                });
+            } catch (error) {
+                result.errors.push({ collection, key, error: error.message });
+            }
+        }
+    }
+    return result;
+}
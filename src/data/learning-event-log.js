@@ -0,0 +1,428 @@
+/**
+ * LearningEventLog - 再生可能な学習入力ログ（追記専用）
+ *
+ * 📝 N-gram・バンディット・ベイジアン個人化・共起関係の各学習コンポーネントへの入力を発生順に記録する
+ *    （会話・フィードバック・ログ取り込み・報酬のいずれの経路でも、学習コンポーネントの入力として同じ形式になる）
+ * 🔁 LearningModelRebuilder がイベントを再生し、学習アルゴリズム変更後のモデルを元の入力から作り直す
+ * 📂 <basePath>/events/YYYY-MM-DD.jsonl（UTC日付ごと）に1行1イベントで追記する。
+ *    暗号化鍵の設定時は各行を暗号化する（会話本文を含むため）
+ * ⏱️ 追記は WriteBehindBuffer でセグメント単位にまとめ、非同期に書き込む（学習のたびにイベントループを止めない）
+ * 👤 ユーザーの入力文を含むイベントは data.userId を持ち、ユーザーデータ削除時に除去する
+ *
+ * ディレクトリ未指定時はメモリ上に保持する（InMemoryStorageAdapter 利用時・テスト用）。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { withFileLock } from '../utils/file-lock.js';
+import { isEncryptedDocument } from './document-encryption.js';
+import { WriteBehindBuffer } from './write-behind-buffer.js';
+
+export const LEARNING_EVENT_TYPES = {
+    NGRAM_PATTERN: 'ngram.pattern',                         // { userId, text, contextInfo }（userId はログ取り込み等では null）
+    BANDIT_SELECTION: 'bandit.selection',                   // { vocabulary }
+    BANDIT_REWARD: 'bandit.reward',                         // { vocabulary, rating }
+    BAYESIAN_INTERACTION: 'bayesian.interaction',           // { userId, interaction }
+    RELATIONSHIP_CONVERSATION: 'relationship.conversation', // { userId, input, history, response }
+    RELATIONSHIP_FEEDBACK: 'relationship.feedback'          // { userId, vocabulary, rating, contextText }
+};
+
+// 暗号化の追加認証データに使うコレクション名（セグメント間で行を入れ替えられないようにする）
+const EVENT_LOG_COLLECTION = 'learning_events';
+const SEGMENT_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+const SEGMENT_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Map・Set を JSON で保存できる形式へ変換（学習コンポーネントの入力をそのまま再生するため）
+function replacer(key, value) {
+    if (value instanceof Map) return { $map: Array.from(value.entries()) };
+    if (value instanceof Set) return { $set: Array.from(value) };
+    return value;
+}
+
+function revive(value) {
+    if (Array.isArray(value)) return value.map(revive);
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value.$map)) return new Map(value.$map.map(([key, entry]) => [key, revive(entry)]));
+    if (Array.isArray(value.$set)) return new Set(value.$set.map(revive));
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, revive(entry)]));
+}
+
+function toTimestamp(value) {
+    if (value === null || value === undefined) return null;
+    const timestamp = typeof value === 'number' ? value : new Date(value).getTime();
+    if (Number.isNaN(timestamp)) {
+        throw new Error(`日時の形式が不正です: ${value}`);
+    }
+    return timestamp;
+}
+
+function isUserEvent(event, userId) {
+    return !!event && !!event.data && event.data.userId === userId;
+}
+
+export class LearningEventLog {
+    /**
+     * @param {string|null} directory - 保存先ディレクトリ（null でメモリ上に保持）
+     * @param {Object} options - { cipher: 行単位の暗号化に使う DocumentCipher,
+     *                             writeBehind: 追記の遅延・集約設定（未指定時は書き込み中に届いた行を次の書き込みへまとめる） }
+     */
+    constructor(directory = null, { cipher = null, writeBehind = {} } = {}) {
+        this.directory = directory;
+        this.cipher = cipher;
+        // directory 未指定時のイベント（セグメント名 → 行）
+        this.memorySegments = new Map();
+        // ファイルへの書き込み待ちの行（セグメント名 → 行）
+        this.pendingLines = new Map();
+        this.appendBuffer = new WriteBehindBuffer('learning-events', segment => this.writePendingLines(segment), writeBehind);
+    }
+
+    getSegmentName(timestamp) {
+        return `${new Date(timestamp).toISOString().slice(0, 10)}.jsonl`;
+    }
+
+    getSegmentPath(segment) {
+        return path.join(this.directory, segment);
+    }
+
+    /**
+     * セグメント一覧（古い順）
+     */
+    listSegments() {
+        if (!this.directory) {
+            return Array.from(this.memorySegments.keys()).sort();
+        }
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+        return fs.readdirSync(this.directory).filter(name => SEGMENT_FILE_PATTERN.test(name)).sort();
+    }
+
+    encodeLine(segment, event) {
+        if (!this.cipher) {
+            return JSON.stringify(event, replacer);
+        }
+        return JSON.stringify(this.cipher.encrypt(EVENT_LOG_COLLECTION, segment, JSON.parse(JSON.stringify(event, replacer))));
+    }
+
+    decodeLine(segment, line) {
+        const document = JSON.parse(line);
+        return revive(isEncryptedDocument(document) ? this.requireCipher().decrypt(EVENT_LOG_COLLECTION, segment, document) : document);
+    }
+
+    requireCipher() {
+        if (!this.cipher) {
+            throw new Error('暗号化された学習イベントを読み込むには LEARNING_ENCRYPTION_KEY を設定してください');
+        }
+        return this.cipher;
+    }
+
+    readLines(segment) {
+        if (!this.directory) {
+            return [...(this.memorySegments.get(segment) || [])];
+        }
+        return fs.readFileSync(this.getSegmentPath(segment), 'utf8').split('\n').filter(line => line.length > 0);
+    }
+
+    /**
+     * セグメントの行を読み込み（書き込み途中で終了した不完全な行は event: null）
+     */
+    readEntries(segment) {
+        return this.readLines(segment).map((line, index) => {
+            try {
+                return { line, event: this.decodeLine(segment, line) };
+            } catch (error) {
+                if (error instanceof SyntaxError) {
+                    console.warn(`⚠️ 学習イベントの不完全な行を読み飛ばしました (${segment}:${index + 1})`);
+                    return { line, event: null };
+                }
+                throw new Error(`学習イベントの読み込みに失敗しました (${segment}:${index + 1}): ${error.message}`);
+            }
+        });
+    }
+
+    // 書き込み途中で終了した行に続けて追記しないよう、改行で終わっていなければ改行から始める
+    async needsLeadingNewline(segmentPath) {
+        let handle;
+        try {
+            handle = await fs.promises.open(segmentPath, 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+        try {
+            const { size } = await handle.stat();
+            if (size === 0) return false;
+            const lastByte = Buffer.alloc(1);
+            await handle.read(lastByte, 0, 1, size - 1);
+            return lastByte[0] !== 0x0a;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * イベントを追記（ファイルへの書き込みは非同期。完了を待つ場合は flush()）
+     * @param {string} type - LEARNING_EVENT_TYPES の値
+     * @param {Object} data - 学習コンポーネントへの入力
+     * @returns {Object} 記録したイベント { timestamp, type, data }
+     */
+    append(type, data, timestamp = Date.now()) {
+        const event = { timestamp, type, data };
+        const segment = this.getSegmentName(timestamp);
+        const line = this.encodeLine(segment, event);
+
+        if (!this.directory) {
+            if (!this.memorySegments.has(segment)) {
+                this.memorySegments.set(segment, []);
+            }
+            this.memorySegments.get(segment).push(line);
+            return event;
+        }
+
+        if (!this.pendingLines.has(segment)) {
+            this.pendingLines.set(segment, []);
+        }
+        this.pendingLines.get(segment).push(line);
+        this.appendBuffer.markDirty(segment).catch(error => {
+            console.error(`❌ 学習入力ログ書き込みエラー (${segment}):`, error.message);
+        });
+        return event;
+    }
+
+    /**
+     * 書き込み待ちの行をセグメントへまとめて追記（失敗時は行を残し、次回の書き込みで再試行する）
+     */
+    async writePendingLines(segment) {
+        const lines = this.pendingLines.get(segment);
+        if (!lines || lines.length === 0) return;
+
+        // 書き込み中に届いた行は次回の書き込みへ回す
+        const count = lines.length;
+        const segmentPath = this.getSegmentPath(segment);
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        // 削除要求による書き換え（removeUserEvents）中の追記を失わないようロックする
+        await withFileLock(segmentPath, async () => {
+            const leadingNewline = await this.needsLeadingNewline(segmentPath) ? '\n' : '';
+            await fs.promises.appendFile(segmentPath, leadingNewline + lines.slice(0, count).map(line => `${line}\n`).join(''));
+        });
+
+        lines.splice(0, count);
+        if (lines.length === 0 && this.pendingLines.get(segment) === lines) {
+            this.pendingLines.delete(segment);
+        }
+    }
+
+    /**
+     * 書き込み待ちのイベントをすべてファイルへ書き込む
+     */
+    async flush() {
+        await this.appendBuffer.flush();
+    }
+
+    /**
+     * イベントを記録順に読み込み（書き込み途中で終了した不完全な行は読み飛ばす。書き込み待ちのイベントは含まないため、先に flush() を呼ぶ）
+     * @param {Object} options - { since, until: 日時（ms / ISO文字列、until は含む）, types: 対象のイベント種別 }
+     */
+    *read({ since = null, until = null, types = null } = {}) {
+        const sinceTime = toTimestamp(since);
+        const untilTime = toTimestamp(until);
+
+        for (const segment of this.listSegments()) {
+            for (const { event } of this.readEntries(segment)) {
+                if (!event) continue;
+                if (sinceTime !== null && event.timestamp < sinceTime) continue;
+                if (untilTime !== null && event.timestamp > untilTime) continue;
+                if (types && !types.includes(event.type)) continue;
+                yield event;
+            }
+        }
+    }
+
+    /**
+     * 特定ユーザーのイベントを削除（ユーザーデータ削除要求用。userId を持たないイベントは特定できないため残す）
+     * @returns {Promise<number>} 削除したイベント数
+     */
+    async removeUserEvents(userId) {
+        await this.flush();
+
+        let removed = 0;
+        for (const segment of this.listSegments()) {
+            const rewrite = async () => {
+                const entries = this.readEntries(segment);
+                const userEvents = entries.filter(({ event }) => isUserEvent(event, userId)).length;
+                if (userEvents === 0) return;
+
+                removed += userEvents;
+                // 書き換え時に不完全な行も取り除く
+                const remaining = entries
+                    .filter(({ event }) => event && !isUserEvent(event, userId))
+                    .map(({ line }) => line);
+                if (!this.directory) {
+                    this.memorySegments.set(segment, remaining);
+                    return;
+                }
+                const segmentPath = this.getSegmentPath(segment);
+                const tempPath = `${segmentPath}.tmp-${process.pid}`;
+                await fs.promises.writeFile(tempPath, remaining.map(line => `${line}\n`).join(''));
+                await fs.promises.rename(tempPath, segmentPath);
+            };
+
+            if (this.directory) {
+                await withFileLock(this.getSegmentPath(segment), rewrite);
+            } else {
+                await rewrite();
+            }
+        }
+
+        // 削除処理中に記録されたイベント
+        for (const [segment, lines] of this.pendingLines) {
+            const remaining = lines.filter(line => !isUserEvent(this.decodeLine(segment, line), userId));
+            removed += lines.length - remaining.length;
+            lines.splice(0, lines.length, ...remaining);
+        }
+        return removed;
+    }
+
+    /**
+     * 基準時刻より前に終わったセグメントを削除（保持ポリシー用。日付単位で削除する）
+     * @param {number} cutoff - 基準時刻(ms)
+     * @param {Object} options - { dryRun: 削除対象の確認のみ }
+     * @returns {Promise<Object>} { removed: 削除したイベント数, segments: 削除したセグメント }
+     */
+    async removeSegmentsBefore(cutoff, { dryRun = false } = {}) {
+        const result = { removed: 0, segments: [] };
+        for (const segment of this.listSegments()) {
+            const segmentEnd = Date.parse(`${segment.slice(0, 10)}T00:00:00Z`) + SEGMENT_DURATION_MS;
+            if (segmentEnd > cutoff) continue;
+
+            result.segments.push(segment);
+            result.removed += this.readLines(segment).length;
+            if (dryRun) continue;
+
+            if (!this.directory) {
+                this.memorySegments.delete(segment);
+                continue;
+            }
+            const segmentPath = this.getSegmentPath(segment);
+            await withFileLock(segmentPath, () => fs.promises.rm(segmentPath, { force: true }));
+        }
+        return result;
+    }
+
+    /**
+     * 行の暗号化状態（平文の件数と鍵IDごとの件数。書き込み途中で終了した行は数えない）
+     * @returns {Object} { plaintext, encrypted: { [keyId]: 件数 } }
+     */
+    getEncryptionStatus() {
+        const status = { plaintext: 0, encrypted: {} };
+        for (const segment of this.listSegments()) {
+            for (const line of this.readLines(segment)) {
+                let document;
+                try {
+                    document = JSON.parse(line);
+                } catch (error) {
+                    continue;
+                }
+                if (isEncryptedDocument(document)) {
+                    const { keyId } = document.encryption;
+                    status.encrypted[keyId] = (status.encrypted[keyId] || 0) + 1;
+                } else {
+                    status.plaintext++;
+                }
+            }
+        }
+        return status;
+    }
+
+    /**
+     * 全セグメントの行を current 鍵で暗号化し直す（鍵ローテーション・暗号化解除用。reencryptDocuments のイベントログ版）
+     * 復号できない行を含むセグメントは書き換えずにエラーとして返す。書き込み途中で終了した行はそのまま残す
+     * @param {DocumentCipher} cipher - 暗号化に使う鍵（旧鍵を previous に含めること）
+     * @param {Object} options - { decrypt: 暗号化を解除して平文で保存, dryRun }
+     * @returns {Promise<Object>} { checked: 確認した行数, updated: [{ segment, lines }], errors: [{ segment, error }] }
+     */
+    async reencryptSegments(cipher, { decrypt = false, dryRun = false } = {}) {
+        await this.flush();
+
+        const result = { checked: 0, updated: [], errors: [] };
+        for (const segment of this.listSegments()) {
+            const rewrite = async () => {
+                let changed = 0;
+                const lines = this.readLines(segment).map(line => {
+                    let document;
+                    try {
+                        document = JSON.parse(line);
+                    } catch (error) {
+                        if (error instanceof SyntaxError) return line;
+                        throw error;
+                    }
+                    result.checked++;
+                    const encrypted = isEncryptedDocument(document);
+                    if (decrypt ? !encrypted : cipher.isCurrent(document)) return line;
+
+                    changed++;
+                    const data = encrypted ? cipher.decrypt(EVENT_LOG_COLLECTION, segment, document) : document;
+                    return JSON.stringify(decrypt ? data : cipher.encrypt(EVENT_LOG_COLLECTION, segment, data));
+                });
+                if (changed === 0) return;
+
+                result.updated.push({ segment, lines: changed });
+                if (dryRun) return;
+                if (!this.directory) {
+                    this.memorySegments.set(segment, lines);
+                    return;
+                }
+                const segmentPath = this.getSegmentPath(segment);
+                const tempPath = `${segmentPath}.tmp-${process.pid}`;
+                await fs.promises.writeFile(tempPath, lines.map(line => `${line}\n`).join(''));
+                await fs.promises.rename(tempPath, segmentPath);
+            };
+
+            try {
+                if (this.directory) {
+                    await withFileLock(this.getSegmentPath(segment), rewrite);
+                } else {
+                    await rewrite();
+                }
+            } catch (error) {
+                result.errors.push({ segment, error: error.message });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 種別ごとの件数
+     * @returns {Object} { total, types: { [type]: 件数 }, firstTimestamp, lastTimestamp }
+     */
+    getStats(options = {}) {
+        const stats = { total: 0, types: {}, firstTimestamp: null, lastTimestamp: null };
+        for (const event of this.read(options)) {
+            stats.total++;
+            stats.types[event.type] = (stats.types[event.type] || 0) + 1;
+            if (stats.firstTimestamp === null) {
+                stats.firstTimestamp = event.timestamp;
+            }
+            stats.lastTimestamp = event.timestamp;
+        }
+        return stats;
+    }
+
+    describe() {
+        return { location: this.directory || ':memory:', encrypted: !!this.cipher };
+    }
+}
+
+/**
+ * 学習コンポーネントからの入力記録（イベントログを持たない永続化DB・モックでは何もしない）
+ * @param {Object} persistentDB - 学習コンポーネントの永続化DB
+ * @param {string} type - LEARNING_EVENT_TYPES の値
+ * @param {Object} data - 学習コンポーネントへの入力
+ */
+export function recordLearningInput(persistentDB, type, data) {
+    if (persistentDB && typeof persistentDB.appendLearningEvent === 'function') {
+        persistentDB.appendLearningEvent(type, data);
+    }
+}
+
+export default LearningEventLog;
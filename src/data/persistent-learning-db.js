@@ -2,32 +2,94 @@
 /**
  * PersistentLearningDB - 動的学習データ永続化システム
  * 
- * 🗄️ SQLite + JSONファイル永続化システム
+ * 🗄️ SQLite / JSONファイル永続化システム（ストレージアダプターで切替、LEARNING_STORAGE=sqlite）
  * 💾 学習データ・ユーザー関係性・会話履歴の永続保存
  * 🔄 サーバー再起動時の自動復元・高速読み込み
  */
 
 import fs from 'fs';
 import path from 'path';
+import { STORAGE_COLLECTIONS, createStorageAdapter, listDocumentKeys, migrateStorage } from './storage/storage-adapter.js';
+import { JsonFileStorageAdapter } from './storage/json-file-storage-adapter.js';
+import { migrateAllDocuments, migrateDocument, wrapDocument, CURRENT_SCHEMA_VERSION } from './schema-migrations.js';
+import { loadSnapshot, diffSnapshots } from './snapshot-diff.js';
+import { getCountFields, mergeCountDocument } from './count-merge.js';
+import { createDocumentCipherFromEnv } from './document-encryption.js';
+import { EncryptedStorageAdapter } from './storage/encrypted-storage-adapter.js';
+import { loadRetentionPolicy, selectBackupsToKeep, findExpiredSessions } from './retention-policy.js';
+import { LearningEventLog } from './learning-event-log.js';
+
+const { LEARNING, USER_PROFILES, SYSTEM_DATA, CHAT_SESSIONS } = STORAGE_COLLECTIONS;
+
+// バックアップ対象（学習結果のみ。system_dataには設定・APIキー、chat_sessionsには対話内容が含まれる）
+const BACKUP_COLLECTIONS = [LEARNING, USER_PROFILES];
+const BACKUP_MANIFEST_FILE = 'backup-manifest.json';
+const DEFAULT_SCHEDULED_BACKUP_RETENTION = 24;
+// diffBackups で現在のストレージを指すID
+export const CURRENT_SNAPSHOT_ID = 'current';
+// 学習イベントの再生で作り直すドキュメント（ベイジアン個人化のプロファイルは user_profiles の接頭辞のないキー）
+const REBUILT_LEARNING_DOCUMENTS = ['ngram-data', 'bandit-data', 'user-relations'];
+// 感情分析・トピック分類・対話パターン抽出のプロファイルキーの接頭辞（getUserProfileKeys 参照）
+const DERIVED_PROFILE_PREFIXES = ['sentiment_analysis_', 'topic_classification_', 'dialogue_patterns_'];
+
+// バックアップ内ドキュメントを現行スキーマで読み込み
+function readBackupDocument(backupPath, collection, key) {
+    const document = new JsonFileStorageAdapter(backupPath).read(collection, key);
+    return document === null ? null : migrateDocument(document, { collection, key }).data;
+}
+
+// Mapまたは保存形式（エントリ配列）を受け取りエントリ配列を返す
+// 学習コンポーネントは保存形式に変換済みの値を渡すため、配列の .entries()（[index, entry]）にしない
+function toEntries(value) {
+    return value instanceof Map ? Array.from(value.entries()) : (value || []);
+}
+
+// ユーザー関係性データ内のMapを保存可能な配列形式に変換
+function serializeUserRelations(userData) {
+    const processedUserData = { ...userData };
+    if (processedUserData.userRelations instanceof Map) {
+        processedUserData.userRelations = Array.from(processedUserData.userRelations.entries());
+    }
+    if (processedUserData.coOccurrenceData instanceof Map) {
+        processedUserData.coOccurrenceData = Array.from(processedUserData.coOccurrenceData.entries());
+    }
+    return processedUserData;
+}
+
+// 学習イベントが特定ユーザーのものか判定
+function isUserEvent(event, userId) {
+    return !!event && !!event.data && event.data.userId === userId;
+}
+
+// ベイジアン個人化のプロファイルか（他の学習コンポーネントは接頭辞付きキーで保存している）
+function isBayesianProfileKey(key) {
+    return !DERIVED_PROFILE_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+// 学習入力ログ（LEARNING_EVENT_LOG=false で無効、メモリ上のストレージではログもメモリ上に保持）
+function createEventLogFromEnv(basePath, storage, cipher) {
+    if (process.env.LEARNING_EVENT_LOG === 'false') {
+        return null;
+    }
+    return new LearningEventLog(storage.describe().type === 'memory' ? null : path.join(basePath, 'events'), { cipher });
+}
 
 export class PersistentLearningDB {
-    constructor(basePath = './data/learning') {
+    /**
+     * @param {string} basePath - 学習データディレクトリ
+     * @param {Object|null} storage - ストレージアダプター（未指定時は環境変数 LEARNING_STORAGE に従い作成。
+     *                                data/learning に触れずに使う場合は InMemoryStorageAdapter を渡す）
+     * @param {Object} options - { cipher: 個人データの暗号化鍵 DocumentCipher（未指定時は環境変数 LEARNING_ENCRYPTION_KEY 等から作成、未設定なら暗号化しない）,
+     *                             eventLog: 学習入力ログ LearningEventLog（未指定時は <basePath>/events、null で記録しない） }
+     */
+    constructor(basePath = './data/learning', storage = null, { cipher = createDocumentCipherFromEnv(), eventLog } = {}) {
         this.basePath = basePath;
-        this.userProfilesDir = path.join(this.basePath, 'user_profiles');
-        this.systemDataDir = path.join(this.basePath, 'system_data');
-        this.ensureDataDirectory();
-        this.ensureUserProfilesDirectory();
-        this.ensureSystemDataDirectory();
-        
-        // データファイルパス
-        this.userRelationsPath = path.join(this.basePath, 'user-relations.json');
-        this.conceptLearningPath = path.join(this.basePath, 'concept-learning.json');
-        this.conversationHistoryPath = path.join(this.basePath, 'conversation-history.json');
-        this.learningStatsPath = path.join(this.basePath, 'learning-stats.json');
-        this.conceptAnalysisDBPath = path.join(this.basePath, 'concept-analysis-db.json');
-        this.banditDataPath = path.join(this.basePath, 'bandit-data.json');
-        this.ngramDataPath = path.join(this.basePath, 'ngram-data.json');
-        this.qualityTrainingDataPath = path.join(this.basePath, 'quality-training-data.json');
+        // rawStorage は暗号文をそのまま読み書きする（バックアップ・復元は暗号化したまま複製する）
+        this.rawStorage = storage || createStorageAdapter(basePath);
+        this.cipher = cipher;
+        this.storage = cipher ? new EncryptedStorageAdapter(this.rawStorage, cipher) : this.rawStorage;
+        this.storage.initialize();
+        this.eventLog = eventLog !== undefined ? eventLog : createEventLogFromEnv(basePath, this.rawStorage, cipher);
         
         // インメモリキャッシュ
         this.userRelationsCache = new Map();
@@ -36,50 +98,27 @@ export class PersistentLearningDB {
         this.statsCache = {};
         this.banditDataCache = null;
         this.ngramDataCache = null;
+        this.scheduledBackupTimer = null;
+        this.scheduledRetentionTimer = null;
+        // 件数ベースのドキュメントを読み込んだ（保存した）時点の値（merge-on-write の基準、JSON文字列）
+        this.mergeBases = new Map();
         
-        this.loadAllData();
+        this.initializationPromise = this.loadAllData();
         
         if (process.env.DEBUG_VERBOSE === 'true') {
+            const { type, location } = this.storage.describe();
             console.log('✅ PersistentLearningDB初期化完了');
-            console.log(`📂 データベース: ${this.basePath}`);
-        }
-    }
-
-    /**
-     * データディレクトリ確保
-     */
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.basePath)) {
-            fs.mkdirSync(this.basePath, { recursive: true });
-            console.log(`📁 データディレクトリ作成: ${this.basePath}`);
-        }
-    }
-
-    /**
-     * ユーザープロファイルディレクトリ確保
-     */
-    ensureUserProfilesDirectory() {
-        if (!fs.existsSync(this.userProfilesDir)) {
-            fs.mkdirSync(this.userProfilesDir, { recursive: true });
-            console.log(`📁 ユーザープロファイルディレクトリ作成: ${this.userProfilesDir}`);
-        }
-    }
-
-    /**
-     * システムデータディレクトリ確保
-     */
-    ensureSystemDataDirectory() {
-        if (!fs.existsSync(this.systemDataDir)) {
-            fs.mkdirSync(this.systemDataDir, { recursive: true });
-            console.log(`📁 システムデータディレクトリ作成: ${this.systemDataDir}`);
+            console.log(`📂 データベース: ${location} (${type})`);
         }
     }
 
     /**
      * 全データ読み込み（起動時）
+     * 旧スキーマのドキュメントは読み込み前に現行バージョンへ移行して保存し直す
      */
     async loadAllData() {
         try {
+            this.migrateSchema();
             await Promise.all([
                 this.loadUserRelations(),
                 this.loadConceptLearning(),
@@ -99,12 +138,113 @@ export class PersistentLearningDB {
         }
     }
 
+    /**
+     * 起動時のデータ読み込み完了を待機
+     */
+    async waitForInitialization() {
+        await this.initializationPromise;
+    }
+
+    /**
+     * 旧スキーマのドキュメントを現行バージョンへ移行
+     * @returns {Object} migrateAllDocuments の結果
+     */
+    migrateSchema() {
+        const result = migrateAllDocuments(this.storage);
+        if (result.migrated.length > 0) {
+            console.log(`🏷️ 学習データをスキーマv${CURRENT_SCHEMA_VERSION}へ移行: ${result.migrated.length}件`);
+        }
+        for (const { collection, key, version } of result.newer) {
+            console.warn(`⚠️ ${collection}/${key} は新しいスキーマ (v${version}) で保存されています。現行バージョン (v${CURRENT_SCHEMA_VERSION}) では正しく読み込めない可能性があります`);
+        }
+        for (const { collection, key, error } of result.errors) {
+            console.warn(`⚠️ スキーマ移行エラー ${collection}/${key}: ${error}`);
+        }
+        return result;
+    }
+
+    /**
+     * ドキュメント読み込み（保存時のスキーマから現行スキーマへ変換して返す）
+     */
+    readDocument(collection, key) {
+        const document = this.storage.read(collection, key);
+        if (document === null) return null;
+        return migrateDocument(document, { collection, key }).data;
+    }
+
+    /**
+     * ドキュメント保存（現行スキーマバージョンを付与）
+     */
+    writeDocument(collection, key, data) {
+        this.storage.write(collection, key, wrapDocument(data));
+    }
+
+    /**
+     * 件数ベースのドキュメントの基準値を記録（学習コンポーネントへ返す読み込みで呼び出す）
+     */
+    trackMergeBase(collection, key, data) {
+        if (data !== null && getCountFields(collection, key, data)) {
+            this.mergeBases.set(`${collection}/${key}`, JSON.stringify(data));
+        }
+    }
+
+    /**
+     * 件数ベースのドキュメントを他プロセスの保存とマージして保存
+     * ロック中に保存済みの値を読み込み、基準値からの自プロセスの増分のみを反映する
+     * @returns {Object} 保存した値
+     */
+    writeMergedDocument(collection, key, data) {
+        const countFields = getCountFields(collection, key, data);
+        if (!countFields) {
+            this.writeDocument(collection, key, data);
+            return data;
+        }
+
+        const baseKey = `${collection}/${key}`;
+        const base = this.mergeBases.get(baseKey);
+        let merged = data;
+        this.storage.lock(collection, key, () => {
+            const current = this.readDocument(collection, key);
+            // 基準値から変わっていなければ他プロセスの保存はないため、そのまま保存する
+            if (current !== null && JSON.stringify(current) !== base) {
+                merged = mergeCountDocument(current, data, base === undefined ? null : JSON.parse(base), countFields);
+            }
+            this.writeDocument(collection, key, merged);
+        });
+        this.mergeBases.set(baseKey, JSON.stringify(data));
+        return merged;
+    }
+
+    /**
+     * writeDocument の非同期版（ロックの取得待ちでイベントループを止めない。リクエスト処理から呼ばれる保存用）
+     */
+    async saveDocument(collection, key, data) {
+        await this.storage.lockAsync(collection, key, () => this.writeDocument(collection, key, data));
+    }
+
+    /**
+     * writeMergedDocument の非同期版
+     * @returns {Promise<Object>} 保存した値
+     */
+    async saveMergedDocument(collection, key, data) {
+        return this.storage.lockAsync(collection, key, () => this.writeMergedDocument(collection, key, data));
+    }
+
+    /**
+     * ドキュメント削除（ロックの取得待ちでイベントループを止めない）
+     * @returns {Promise<boolean>} 削除できたか
+     */
+    async removeDocument(collection, key) {
+        return this.storage.lockAsync(collection, key, () => this.storage.remove(collection, key));
+    }
+
     /**
      * N-gramデータ読み込み
      */
     async loadNgramData() {
-        if (fs.existsSync(this.ngramDataPath)) {
-            const data = JSON.parse(fs.readFileSync(this.ngramDataPath, 'utf8'));
+        const data = this.readDocument(LEARNING, 'ngram-data');
+        this.trackMergeBase(LEARNING, 'ngram-data', data);
+        if (data) {
             // Mapオブジェクトに変換して返す
             const loadedData = {
                 ngramFrequencies: new Map(data.ngramFrequencies && Array.isArray(data.ngramFrequencies) ? data.ngramFrequencies : []),
@@ -129,14 +269,14 @@ export class PersistentLearningDB {
     async saveNgramData(data) {
         try {
             const dataToSave = {
-                ngramFrequencies: Array.from(data.ngramFrequencies.entries()),
-                contextFrequencies: Array.from(data.contextFrequencies.entries()),
-                continuationCounts: Array.from(data.continuationCounts.entries()).map(([key, valueSet]) => [key, Array.from(valueSet)]),
-                documentFreqs: Array.from(data.documentFreqs.entries()),
+                ngramFrequencies: toEntries(data.ngramFrequencies),
+                contextFrequencies: toEntries(data.contextFrequencies),
+                continuationCounts: toEntries(data.continuationCounts).map(([key, values]) => [key, Array.from(values)]),
+                documentFreqs: toEntries(data.documentFreqs),
                 totalNgrams: data.totalNgrams,
                 totalDocuments: data.totalDocuments,
             };
-            fs.writeFileSync(this.ngramDataPath, JSON.stringify(dataToSave, null, 2));
+            await this.saveMergedDocument(LEARNING, 'ngram-data', dataToSave);
             this.ngramDataCache = data;
             console.log(`💾 N-gramデータ保存完了`);
         } catch (error) {
@@ -148,16 +288,12 @@ export class PersistentLearningDB {
      * 品質予測モデル読み込み
      */
     async loadQualityPredictionModel() {
-        const modelPath = path.join(this.basePath, 'quality-prediction-model.json');
         try {
-            if (fs.existsSync(modelPath)) {
-                const data = fs.readFileSync(modelPath, 'utf8');
-                if (process.env.DEBUG_VERBOSE === 'true') {
-                    console.log('📥 品質予測モデル読み込み完了');
-                }
-                return JSON.parse(data);
+            const data = this.readDocument(LEARNING, 'quality-prediction-model');
+            if (data && process.env.DEBUG_VERBOSE === 'true') {
+                console.log('📥 品質予測モデル読み込み完了');
             }
-            return null;
+            return data;
         } catch (error) {
             console.warn('⚠️ 品質予測モデル読み込みエラー:', error.message);
             return null;
@@ -168,9 +304,8 @@ export class PersistentLearningDB {
      * 品質予測モデル保存
      */
     async saveQualityPredictionModel(modelData) {
-        const modelPath = path.join(this.basePath, 'quality-prediction-model.json');
         try {
-            fs.writeFileSync(modelPath, JSON.stringify(modelData, null, 2));
+            await this.saveDocument(LEARNING, 'quality-prediction-model', modelData);
             if (process.env.DEBUG_VERBOSE === 'true') {
                 console.log('💾 品質予測モデル保存完了');
             }
@@ -183,10 +318,9 @@ export class PersistentLearningDB {
      * 改善パターン読み込み
      */
     async loadImprovementPatterns() {
-        const patternsPath = path.join(this.basePath, 'improvement-patterns.json');
         try {
-            if (fs.existsSync(patternsPath)) {
-                const data = JSON.parse(fs.readFileSync(patternsPath, 'utf8'));
+            const data = this.readDocument(LEARNING, 'improvement-patterns');
+            if (data) {
                 // Mapに変換できる形式か確認
                 if (Array.isArray(data) && data.every(item => Array.isArray(item) && item.length === 2)) {
                     console.log('📚 改善パターン読み込み完了');
@@ -196,7 +330,7 @@ export class PersistentLearningDB {
                     return new Map();
                 }
             }
-            return new Map(); // ファイルが存在しない場合もMapを返す
+            return new Map(); // データが存在しない場合もMapを返す
         } catch (error) {
             console.warn('⚠️ 改善パターン読み込みエラー:', error.message);
             return new Map();
@@ -207,9 +341,8 @@ export class PersistentLearningDB {
      * 改善パターン保存
      */
     async saveImprovementPatterns(patterns) {
-        const patternsPath = path.join(this.basePath, 'improvement-patterns.json');
         try {
-            fs.writeFileSync(patternsPath, JSON.stringify(patterns, null, 2));
+            await this.saveDocument(LEARNING, 'improvement-patterns', patterns);
             console.log('💾 改善パターン保存完了');
         } catch (error) {
             console.error('❌ 改善パターン保存エラー:', error.message);
@@ -220,8 +353,9 @@ export class PersistentLearningDB {
      * バンディットデータ読み込み
      */
     async loadBanditData() {
-        if (fs.existsSync(this.banditDataPath)) {
-            const data = JSON.parse(fs.readFileSync(this.banditDataPath, 'utf8'));
+        const data = this.readDocument(LEARNING, 'bandit-data');
+        this.trackMergeBase(LEARNING, 'bandit-data', data);
+        if (data) {
             // Mapオブジェクトに変換して返す
             const loadedData = {
                 vocabularyStats: new Map(data.vocabularyStats && Array.isArray(data.vocabularyStats) ? data.vocabularyStats : []),
@@ -240,10 +374,10 @@ export class PersistentLearningDB {
     async saveBanditData(data) {
         try {
             const dataToSave = {
-                vocabularyStats: Array.from(data.vocabularyStats.entries()),
+                vocabularyStats: toEntries(data.vocabularyStats),
                 totalSelections: data.totalSelections,
             };
-            fs.writeFileSync(this.banditDataPath, JSON.stringify(dataToSave, null, 2));
+            await this.saveMergedDocument(LEARNING, 'bandit-data', dataToSave);
             this.banditDataCache = data;
             // console.log(`💾 バンディットデータ保存完了`); // ログを削除
         } catch (error) {
@@ -252,12 +386,11 @@ export class PersistentLearningDB {
     }
 
     /**
-     * 特定ユーザープロファイル保存
+     * 特定ユーザープロファイル保存（保持ポリシー判定用に最終利用日時 lastActiveAt を記録）
      */
     async saveUserProfile(userId, profileData) {
-        const filePath = path.join(this.userProfilesDir, `${userId}.json`);
         try {
-            fs.writeFileSync(filePath, JSON.stringify(profileData, null, 2));
+            await this.saveMergedDocument(USER_PROFILES, userId, { ...profileData, lastActiveAt: new Date().toISOString() });
         } catch (error) {
             console.error(`❌ ユーザープロファイル保存エラー (${userId}):`, error.message);
             throw error;
@@ -268,10 +401,10 @@ export class PersistentLearningDB {
      * 特定ユーザープロファイル読み込み
      */
     async loadUserProfile(userId) {
-        const filePath = path.join(this.userProfilesDir, `${userId}.json`);
         try {
-            if (fs.existsSync(filePath)) {
-                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const data = this.readDocument(USER_PROFILES, userId);
+            this.trackMergeBase(USER_PROFILES, userId, data);
+            if (data) {
                 // Mapオブジェクトに変換して返す
                 const loadedData = {
                     userId: data.userId,
@@ -294,14 +427,10 @@ export class PersistentLearningDB {
     async loadAllUserProfiles() {
         const allProfiles = {};
         try {
-            const files = fs.readdirSync(this.userProfilesDir);
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const userId = file.replace('.json', '');
-                    const profile = await this.loadUserProfile(userId);
-                    if (profile) {
-                        allProfiles[userId] = profile;
-                    }
+            for (const userId of this.storage.list(USER_PROFILES)) {
+                const profile = await this.loadUserProfile(userId);
+                if (profile) {
+                    allProfiles[userId] = profile;
                 }
             }
         } catch (error) {
@@ -314,12 +443,8 @@ export class PersistentLearningDB {
      * 特定ユーザープロファイル削除
      */
     async deleteUserProfile(userId) {
-        const filePath = path.join(this.userProfilesDir, `${userId}.json`);
         try {
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-                return true;
-            }
+            return await this.removeDocument(USER_PROFILES, userId);
         } catch (error) {
             console.error(`❌ ユーザープロファイル削除エラー (${userId}):`, error.message);
         }
@@ -331,12 +456,11 @@ export class PersistentLearningDB {
      */
     async clearAllUserProfiles() {
         try {
-            const files = fs.readdirSync(this.userProfilesDir);
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    fs.unlinkSync(path.join(this.userProfilesDir, file));
+            this.storage.transaction(() => {
+                for (const userId of this.storage.list(USER_PROFILES)) {
+                    this.storage.remove(USER_PROFILES, userId);
                 }
-            }
+            });
             return true;
         } catch (error) {
             console.error('❌ 全ユーザープロファイルクリアエラー:', error.message);
@@ -344,12 +468,161 @@ export class PersistentLearningDB {
         return false;
     }
 
+    /**
+     * ユーザー別対話セッション読み込み
+     */
+    async loadChatSessions(userId) {
+        try {
+            return this.readDocument(CHAT_SESSIONS, userId);
+        } catch (error) {
+            console.error(`❌ 対話セッション読み込みエラー (${userId}):`, error.message);
+        }
+        return null;
+    }
+
+    /**
+     * ユーザー別対話セッション保存
+     */
+    async saveChatSessions(userId, sessionsData) {
+        try {
+            await this.saveDocument(CHAT_SESSIONS, userId, sessionsData);
+        } catch (error) {
+            console.error(`❌ 対話セッション保存エラー (${userId}):`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * ユーザー別対話セッション削除
+     */
+    async deleteChatSessions(userId) {
+        try {
+            return await this.removeDocument(CHAT_SESSIONS, userId);
+        } catch (error) {
+            console.error(`❌ 対話セッション削除エラー (${userId}):`, error.message);
+        }
+        return false;
+    }
+
+    /**
+     * ユーザー別学習データのプロファイルキー
+     * ベイジアン個人化はユーザーID、感情分析・トピック分類・対話パターン抽出は
+     * 接頭辞付きキーでuser_profilesに保存している
+     */
+    getUserProfileKeys(userId) {
+        return {
+            bayesian: userId,
+            sentiment: `sentiment_analysis_${userId}`,
+            topic: `topic_classification_${userId}`,
+            dialoguePatterns: `dialogue_patterns_${userId}`
+        };
+    }
+
+    /**
+     * ユーザープロファイルを保存形式のまま読み込み（Map変換なし）
+     */
+    async loadRawUserProfile(profileKey) {
+        try {
+            return this.readDocument(USER_PROFILES, profileKey);
+        } catch (error) {
+            console.error(`❌ ユーザープロファイル読み込みエラー (${profileKey}):`, error.message);
+        }
+        return null;
+    }
+
+    /**
+     * 特定ユーザーに紐づく全データ収集（エクスポート用）
+     * @param {string} userId - ユーザーID
+     * @returns {Promise<Object>} ストア別のユーザーデータ
+     */
+    async collectUserData(userId) {
+        const profiles = {};
+        for (const [store, profileKey] of Object.entries(this.getUserProfileKeys(userId))) {
+            profiles[store] = await this.loadRawUserProfile(profileKey);
+        }
+
+        const relations = this.userRelationsCache.get(`user_${userId}`);
+
+        return {
+            profiles,
+            userRelations: relations ? serializeUserRelations(relations) : null,
+            chatSessions: await this.loadChatSessions(userId),
+            learningEvents: (this.statsCache.learningEvents || []).filter(event => isUserEvent(event, userId)),
+            conversationHistory: this.conversationCache.filter(conv => conv.userId === userId)
+        };
+    }
+
+    /**
+     * 特定ユーザーに紐づく全データ削除
+     * ユーザー単位のファイルは削除し、共有ファイル内のユーザー記録は除去する。
+     * ユーザーIDを保持しない集計データ（N-gram・バンディット・品質訓練データ等）は特定できないため保持する。
+     * @param {string} userId - ユーザーID
+     * @returns {Promise<Array>} ストア別削除結果 [{ store, status, count?, reason? }]
+     */
+    async purgeUserData(userId) {
+        const report = [];
+
+        for (const [store, profileKey] of Object.entries(this.getUserProfileKeys(userId))) {
+            const deleted = await this.deleteUserProfile(profileKey);
+            report.push({ store: `profiles.${store}`, status: deleted ? 'deleted' : 'not_found' });
+        }
+
+        const userKey = `user_${userId}`;
+        if (this.userRelationsCache.has(userKey)) {
+            this.userRelationsCache.delete(userKey);
+            await this.saveUserRelations(this.userRelationsCache);
+            report.push({ store: 'userRelations', status: 'deleted' });
+        } else {
+            report.push({ store: 'userRelations', status: 'not_found' });
+        }
+
+        const sessionsDeleted = await this.deleteChatSessions(userId);
+        report.push({ store: 'chatSessions', status: sessionsDeleted ? 'deleted' : 'not_found' });
+
+        const events = this.statsCache.learningEvents || [];
+        const remainingEvents = events.filter(event => !isUserEvent(event, userId));
+        if (remainingEvents.length < events.length) {
+            this.statsCache.learningEvents = remainingEvents;
+            await this.saveLearningStats();
+        }
+        report.push({
+            store: 'learningEvents',
+            status: remainingEvents.length < events.length ? 'scrubbed' : 'not_found',
+            count: events.length - remainingEvents.length
+        });
+
+        const remainingConversations = this.conversationCache.filter(conv => conv.userId !== userId);
+        const removedConversations = this.conversationCache.length - remainingConversations.length;
+        if (removedConversations > 0) {
+            await this.saveConversationHistory(remainingConversations);
+        }
+        report.push({
+            store: 'conversationHistory',
+            status: removedConversations > 0 ? 'scrubbed' : 'not_found',
+            count: removedConversations
+        });
+
+        if (this.eventLog) {
+            const removedEvents = await this.eventLog.removeUserEvents(userId);
+            report.push({ store: 'learningEventLog', status: removedEvents > 0 ? 'scrubbed' : 'not_found', count: removedEvents });
+        }
+
+        report.push(...await this.purgeUserFromBackups(userId));
+
+        for (const store of ['ngram', 'bandit', 'conceptLearning', 'qualityTrainingData']) {
+            report.push({ store, status: 'retained', reason: 'ユーザーIDを保持しない集計データのため特定不可' });
+        }
+
+        console.log(`🗑️ ユーザーデータ削除完了: ${userId}`);
+        return report;
+    }
+
     /**
      * ユーザー関係性データ読み込み
      */
     async loadUserRelations() {
-        if (fs.existsSync(this.userRelationsPath)) {
-            const data = JSON.parse(fs.readFileSync(this.userRelationsPath, 'utf8'));
+        if (this.storage.has(LEARNING, 'user-relations')) {
+            const data = this.readDocument(LEARNING, 'user-relations');
             
             // 読み込んだデータがオブジェクトであることを確認
             if (typeof data === 'object' && data !== null) {
@@ -378,8 +651,8 @@ export class PersistentLearningDB {
      * 概念学習データ読み込み
      */
     async loadConceptLearning() {
-        if (fs.existsSync(this.conceptLearningPath)) {
-            const data = JSON.parse(fs.readFileSync(this.conceptLearningPath, 'utf8'));
+        if (this.storage.has(LEARNING, 'concept-learning')) {
+            const data = this.readDocument(LEARNING, 'concept-learning');
             
             // 読み込んだデータが配列であることを確認し、Mapに変換
             if (Array.isArray(data)) {
@@ -397,8 +670,8 @@ export class PersistentLearningDB {
      * 会話履歴読み込み
      */
     async loadConversationHistory() {
-        if (fs.existsSync(this.conversationHistoryPath)) {
-            const data = JSON.parse(fs.readFileSync(this.conversationHistoryPath, 'utf8'));
+        if (this.storage.has(LEARNING, 'conversation-history')) {
+            const data = this.readDocument(LEARNING, 'conversation-history');
             if (Array.isArray(data)) {
                 this.conversationCache = data;
             } else {
@@ -413,8 +686,8 @@ export class PersistentLearningDB {
      * 学習統計読み込み
      */
     async loadLearningStats() {
-        if (fs.existsSync(this.learningStatsPath)) {
-            const data = JSON.parse(fs.readFileSync(this.learningStatsPath, 'utf8'));
+        if (this.storage.has(LEARNING, 'learning-stats')) {
+            const data = this.readDocument(LEARNING, 'learning-stats');
             if (typeof data === 'object' && data !== null) {
                 this.statsCache = data;
             } else {
@@ -462,21 +735,14 @@ export class PersistentLearningDB {
             const dataToSave = {};
             let totalRelationsCount = 0;
             for (const [userKey, userData] of userRelationsMap) {
-                const processedUserData = { ...userData };
-                if (processedUserData.userRelations instanceof Map) {
-                    processedUserData.userRelations = Array.from(processedUserData.userRelations.entries());
-                }
-                if (processedUserData.coOccurrenceData instanceof Map) {
-                    processedUserData.coOccurrenceData = Array.from(processedUserData.coOccurrenceData.entries());
-                }
-                dataToSave[userKey] = processedUserData;
+                dataToSave[userKey] = serializeUserRelations(userData);
                 if (userData && userData.userRelations) {
                     totalRelationsCount += (userData.userRelations instanceof Map) ? userData.userRelations.size : Object.keys(userData.userRelations).length;
                 }
                 this.userRelationsCache.set(userKey, userData);
             }
             
-            fs.writeFileSync(this.userRelationsPath, JSON.stringify(dataToSave, null, 2));
+            await this.saveDocument(LEARNING, 'user-relations', dataToSave);
             console.log(`💾 ユーザー関係性保存: ${Object.keys(dataToSave).length}件のユーザー, ${totalRelationsCount}件の関係性`);
             
             // 統計更新
@@ -496,7 +762,7 @@ export class PersistentLearningDB {
         try {
             const dataToSave = Array.from(conceptData.entries());
             
-            fs.writeFileSync(this.conceptLearningPath, JSON.stringify(dataToSave, null, 2));
+            await this.saveDocument(LEARNING, 'concept-learning', dataToSave);
             this.conceptLearningCache = conceptData;
             console.log(`🧠 概念学習データ保存: ${conceptData.size}件`);
             
@@ -518,7 +784,7 @@ export class PersistentLearningDB {
             const limitedConversations = conversations.slice(-1000);
             this.conversationCache = limitedConversations;
             
-            fs.writeFileSync(this.conversationHistoryPath, JSON.stringify(limitedConversations, null, 2));
+            await this.saveDocument(LEARNING, 'conversation-history', limitedConversations);
             console.log(`💬 会話履歴保存: ${limitedConversations.length}件`);
             
             // 統計更新
@@ -535,7 +801,7 @@ export class PersistentLearningDB {
      */
     async saveLearningStats() {
         try {
-            fs.writeFileSync(this.learningStatsPath, JSON.stringify(this.statsCache, null, 2));
+            await this.saveDocument(LEARNING, 'learning-stats', this.statsCache);
         } catch (error) {
             console.error('❌ 学習統計保存エラー:', error.message);
         }
@@ -763,17 +1029,17 @@ export class PersistentLearningDB {
      */
     checkDataIntegrity() {
         try {
-            // ファイル存在チェック
-            const files = [
-                this.userRelationsPath,
-                this.conceptLearningPath,
-                this.conversationHistoryPath,
-                this.learningStatsPath
+            // 主要ドキュメント存在チェック
+            const documents = [
+                'user-relations',
+                'concept-learning',
+                'conversation-history',
+                'learning-stats'
             ];
             
             let integrityScore = 0;
-            for (const file of files) {
-                if (fs.existsSync(file)) {
+            for (const key of documents) {
+                if (this.storage.has(LEARNING, key)) {
                     integrityScore += 0.25;
                 }
             }
@@ -785,48 +1051,92 @@ export class PersistentLearningDB {
         }
     }
 
+    /**
+     * バックアップディレクトリ
+     */
+    getBackupBaseDir() {
+        return path.join(this.basePath, 'backups');
+    }
+
+    /**
+     * バックアップIDからディレクトリを解決（存在しない・不正なIDはエラー）
+     */
+    getBackupPath(backupId) {
+        const backupPath = path.join(this.getBackupBaseDir(), String(backupId));
+        if (path.basename(backupPath) !== backupId || !fs.existsSync(backupPath) || !fs.statSync(backupPath).isDirectory()) {
+            throw new Error(`バックアップが見つかりません: ${backupId}`);
+        }
+        return backupPath;
+    }
+
+    /**
+     * バックアップの読み込み用アダプター（暗号化有効時は復号して読み込む）
+     */
+    openBackupStorage(backupPath) {
+        const backupStorage = new JsonFileStorageAdapter(backupPath);
+        return this.cipher ? new EncryptedStorageAdapter(backupStorage, this.cipher) : backupStorage;
+    }
+
     /**
      * データベースバックアップ
+     * 学習モデルとユーザープロファイルを、ストレージ種別に関わらずJSONファイルレイアウトで書き出す
+     * （system_data・対話セッションは学習結果ではないため対象外）
+     * @param {Object} options - { reason: 'manual' | 'scheduled' | 'pre-restore' }
+     * @returns {Promise<string>} バックアップディレクトリ
      */
-    async createBackup() {
+    async createBackup({ reason = 'manual' } = {}) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const backupDir = path.join(this.basePath, 'backups', timestamp);
-        
-        if (!fs.existsSync(backupDir)) {
-            fs.mkdirSync(backupDir, { recursive: true });
+        let backupId = timestamp;
+        for (let suffix = 2; fs.existsSync(path.join(this.getBackupBaseDir(), backupId)); suffix++) {
+            backupId = `${timestamp}-${suffix}`;
+        }
+        const backupDir = path.join(this.getBackupBaseDir(), backupId);
+        const backupStorage = new JsonFileStorageAdapter(backupDir);
+        for (const collection of BACKUP_COLLECTIONS) {
+            fs.mkdirSync(backupStorage.getDirectory(collection), { recursive: true });
         }
         
         try {
-            const files = [
-                'user-relations.json',
-                'concept-learning.json', 
-                'conversation-history.json',
-                'learning-stats.json'
-            ];
-            
-            for (const file of files) {
-                const srcPath = path.join(this.basePath, file);
-                const destPath = path.join(backupDir, file);
-                
-                if (fs.existsSync(srcPath)) {
-                    fs.copyFileSync(srcPath, destPath);
-                }
+            // 保存形式（schemaVersion付き・暗号化済み）のまま書き出し、復元時にマイグレーションを適用できるようにする
+            const result = migrateStorage(this.rawStorage, backupStorage, { overwrite: true, collections: BACKUP_COLLECTIONS });
+            if (result.errors.length > 0) {
+                throw new Error(result.errors.map(({ collection, key, error }) => `${collection}/${key}: ${error}`).join(', '));
             }
             
+            const manifest = {
+                id: backupId,
+                reason,
+                createdAt: new Date().toISOString(),
+                schemaVersion: CURRENT_SCHEMA_VERSION,
+                storage: this.storage.describe().type,
+                collections: BACKUP_COLLECTIONS,
+                documents: result.migrated
+            };
+            fs.writeFileSync(path.join(backupDir, BACKUP_MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+            
             console.log(`💾 バックアップ作成完了: ${backupDir}`);
             return backupDir;
             
         } catch (error) {
+            fs.rmSync(backupDir, { recursive: true, force: true });
             console.error('❌ バックアップ作成エラー:', error.message);
             throw error;
         }
     }
 
+    /**
+     * バックアップのマニフェスト読み込み（マニフェスト導入前のバックアップはnull）
+     */
+    readBackupManifest(backupPath) {
+        const manifestPath = path.join(backupPath, BACKUP_MANIFEST_FILE);
+        return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+    }
+
     /**
      * バックアップ一覧取得
      */
     async listBackups() {
-        const backupBaseDir = path.join(this.basePath, 'backups');
+        const backupBaseDir = this.getBackupBaseDir();
         if (!fs.existsSync(backupBaseDir)) {
             return [];
         }
@@ -838,10 +1148,11 @@ export class PersistentLearningDB {
         const backupList = [];
         for (const dirName of backupDirs) {
             const backupPath = path.join(backupBaseDir, dirName);
-            const statsPath = path.join(backupPath, 'learning-stats.json'); // バックアップ内の統計ファイル
             let backupInfo = {
+                id: dirName,
                 name: dirName,
                 path: backupPath,
+                reason: 'manual',
                 createdAt: fs.statSync(backupPath).mtime.toISOString(),
                 size: 0, // 後で計算
                 totalConversations: 0,
@@ -849,15 +1160,23 @@ export class PersistentLearningDB {
             };
 
             try {
+                const manifest = this.readBackupManifest(backupPath);
+                if (manifest) {
+                    backupInfo.reason = manifest.reason;
+                    backupInfo.createdAt = manifest.createdAt;
+                }
+
                 // バックアップ内のファイルを合計してサイズを計算
-                const filesInBackup = fs.readdirSync(backupPath);
-                for (const file of filesInBackup) {
-                    backupInfo.size += fs.statSync(path.join(backupPath, file)).size;
+                for (const file of fs.readdirSync(backupPath, { recursive: true })) {
+                    const stats = fs.statSync(path.join(backupPath, file));
+                    if (stats.isFile()) {
+                        backupInfo.size += stats.size;
+                    }
                 }
 
                 // 統計ファイルから詳細情報を取得
-                if (fs.existsSync(statsPath)) {
-                    const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+                const stats = readBackupDocument(backupPath, LEARNING, 'learning-stats');
+                if (stats) {
                     backupInfo.totalConversations = stats.totalConversations || 0;
                     backupInfo.totalConcepts = stats.totalConceptsLearned || 0;
                 }
@@ -872,43 +1191,448 @@ export class PersistentLearningDB {
     }
 
     /**
-     * データクリーンアップ
+     * バックアップから復元
+     * 復元前に現在の状態を pre-restore スナップショットとして保存する。
+     * 学習コンポーネントはメモリ上に状態を持つため、サーバー停止中に実行すること（npm run backup -- restore <id>）
+     * @param {string} backupId - listBackups の id
+     * @returns {Promise<Object>} { restored, safetyBackup, documents: コレクション別件数, removed }
      */
-    async cleanupOldData() {
-        try {
-            // 古い会話履歴の削除（30日以上前）
-            const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
-            
-            this.conversationCache = this.conversationCache.filter(conv => {
-                return conv.timestamp > thirtyDaysAgo;
-            });
-            
-            await this.saveConversationHistory(this.conversationCache);
-            
-            // 古いバックアップの削除（7日以上前）
-            const backupDir = path.join(this.basePath, 'backups');
-            if (fs.existsSync(backupDir)) {
-                const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-                const backups = fs.readdirSync(backupDir);
-                
-                for (const backup of backups) {
-                    const backupPath = path.join(backupDir, backup);
-                    const stats = fs.statSync(backupPath);
-                    
-                    if (stats.mtime.getTime() < sevenDaysAgo) {
-                        fs.rmSync(backupPath, { recursive: true });
-                        console.log(`🗑️ 古いバックアップ削除: ${backup}`);
+    async restoreBackup(backupId) {
+        const backupPath = this.getBackupPath(backupId);
+        const manifest = this.readBackupManifest(backupPath);
+        // マニフェスト導入前のバックアップは学習モデルの一部のみを含むため、存在するドキュメントの上書きに留める
+        const collections = manifest ? manifest.collections : [LEARNING];
+        const source = new JsonFileStorageAdapter(backupPath);
+
+        const safetyBackup = path.basename(await this.createBackup({ reason: 'pre-restore' }));
+
+        let result;
+        let removed = 0;
+        this.rawStorage.transaction(() => {
+            if (manifest) {
+                // バックアップ時点に存在しなかったドキュメントを削除
+                for (const collection of collections) {
+                    for (const key of listDocumentKeys(this.rawStorage, collection)) {
+                        if (!source.has(collection, key) && this.rawStorage.remove(collection, key)) {
+                            removed++;
+                        }
                     }
                 }
             }
-            
+            // 暗号化されたドキュメントは暗号文のまま戻す（バックアップ時の鍵を previous に残しておくこと）
+            result = migrateStorage(source, this.rawStorage, { overwrite: true, collections });
+        });
+        if (result.errors.length > 0) {
+            throw new Error(`バックアップ復元エラー（${safetyBackup} から復元前の状態に戻せます）: ${result.errors.map(({ collection, key, error }) => `${collection}/${key}: ${error}`).join(', ')}`);
+        }
+
+        await this.reloadAllData();
+
+        console.log(`♻️ バックアップ復元完了: ${backupId}（復元前の状態: ${safetyBackup}）`);
+        return { restored: backupId, safetyBackup, documents: result.migrated, removed };
+    }
+
+    /**
+     * キャッシュを破棄してストレージの内容から読み込み直す（復元・モデル置き換え後）
+     */
+    async reloadAllData() {
+        this.userRelationsCache = new Map();
+        this.conceptLearningCache = new Map();
+        this.conversationCache = [];
+        this.banditDataCache = null;
+        this.ngramDataCache = null;
+        this.mergeBases.clear();
+        await this.loadAllData();
+    }
+
+    /**
+     * 学習イベントから再構築したモデルで置き換え（置き換え前の状態は pre-rebuild スナップショットとして保存）
+     * N-gram・バンディット・関係性と、ベイジアン個人化のユーザープロファイルが対象。
+     * 再構築結果に含まれないベイジアン個人化のプロファイルは削除する
+     * @param {Object} source - 再構築したモデルを保存したストレージアダプター（LearningModelRebuilder の結果）
+     * @returns {Promise<Object>} { safetyBackup, documents: コレクション別件数, removed }
+     */
+    async replaceLearningModels(source) {
+        const safetyBackup = path.basename(await this.createBackup({ reason: 'pre-rebuild' }));
+        const documents = { [LEARNING]: 0, [USER_PROFILES]: 0 };
+        let removed = 0;
+
+        this.storage.transaction(() => {
+            for (const key of REBUILT_LEARNING_DOCUMENTS) {
+                const document = source.read(LEARNING, key);
+                if (document !== null) {
+                    this.storage.write(LEARNING, key, document);
+                    documents[LEARNING]++;
+                } else if (this.storage.remove(LEARNING, key)) {
+                    removed++;
+                }
+            }
+
+            for (const key of this.storage.list(USER_PROFILES)) {
+                if (isBayesianProfileKey(key) && !source.has(USER_PROFILES, key) && this.storage.remove(USER_PROFILES, key)) {
+                    removed++;
+                }
+            }
+            for (const key of source.list(USER_PROFILES)) {
+                const profile = migrateDocument(source.read(USER_PROFILES, key), { collection: USER_PROFILES, key }).data;
+                const current = this.readDocument(USER_PROFILES, key);
+                // 最終利用日時（保持ポリシーの判定基準）は再構築前の値を引き継ぐ
+                this.writeDocument(USER_PROFILES, key, current && current.lastActiveAt ? { ...profile, lastActiveAt: current.lastActiveAt } : profile);
+                documents[USER_PROFILES]++;
+            }
+        });
+
+        await this.reloadAllData();
+
+        console.log(`🔁 学習モデル置き換え完了（置き換え前の状態: ${safetyBackup}）`);
+        return { safetyBackup, documents, removed };
+    }
+
+    /**
+     * バックアップ間の差分
+     * @param {string} fromId - 比較元バックアップID（'current' で現在のデータ）
+     * @param {string} toId - 比較先バックアップID（'current' で現在のデータ）
+     * @param {Object} options - diffSnapshots のオプション
+     */
+    async diffBackups(fromId, toId, options = {}) {
+        const loadSource = (backupId) => loadSnapshot(backupId === CURRENT_SNAPSHOT_ID ? this.storage : this.openBackupStorage(this.getBackupPath(backupId)));
+        return {
+            from: fromId,
+            to: toId,
+            ...diffSnapshots(loadSource(fromId), loadSource(toId), options)
+        };
+    }
+
+    /**
+     * 全バックアップから特定ユーザーのドキュメント・記録を除去（ユーザーデータ削除要求用。復元で削除済みのデータが戻らないようにする）
+     * 書き換えたドキュメントは現在の鍵で暗号化し直す。読み込めないバックアップ（旧鍵を外した暗号化バックアップ等）はエラーとして報告する
+     * @param {string} userId - ユーザーID
+     * @returns {Promise<Array>} 削除結果 [{ store: 'backups', status, count, backups }, { store: 'backups/<id>', status: 'error', reason }]
+     */
+    async purgeUserFromBackups(userId) {
+        const backupBaseDir = this.getBackupBaseDir();
+        const backupIds = fs.existsSync(backupBaseDir)
+            ? fs.readdirSync(backupBaseDir, { withFileTypes: true }).filter(dirent => dirent.isDirectory()).map(dirent => dirent.name)
+            : [];
+
+        const errors = [];
+        let count = 0;
+        let scrubbedBackups = 0;
+        for (const backupId of backupIds) {
+            try {
+                const removed = this.purgeUserFromBackup(path.join(backupBaseDir, backupId), userId);
+                count += removed;
+                if (removed > 0) scrubbedBackups++;
+            } catch (error) {
+                console.error(`❌ バックアップのユーザーデータ削除エラー (${backupId}):`, error.message);
+                errors.push({ store: `backups/${backupId}`, status: 'error', reason: error.message });
+            }
+        }
+
+        return [
+            { store: 'backups', status: count > 0 ? 'scrubbed' : 'not_found', count, backups: scrubbedBackups },
+            ...errors
+        ];
+    }
+
+    /**
+     * 1つのバックアップから特定ユーザーのデータを除去
+     * @returns {number} 削除・書き換えたドキュメント数
+     */
+    purgeUserFromBackup(backupPath, userId) {
+        const storage = this.openBackupStorage(backupPath);
+        const readBackup = (collection, key) => {
+            const document = storage.read(collection, key);
+            return document === null ? null : migrateDocument(document, { collection, key }).data;
+        };
+        let changed = 0;
+
+        for (const profileKey of Object.values(this.getUserProfileKeys(userId))) {
+            if (storage.remove(USER_PROFILES, profileKey)) changed++;
+        }
+
+        const relations = readBackup(LEARNING, 'user-relations');
+        const userKey = `user_${userId}`;
+        if (relations && Object.prototype.hasOwnProperty.call(relations, userKey)) {
+            delete relations[userKey];
+            storage.write(LEARNING, 'user-relations', wrapDocument(relations));
+            changed++;
+        }
+
+        const conversations = readBackup(LEARNING, 'conversation-history');
+        if (Array.isArray(conversations) && conversations.some(conv => conv.userId === userId)) {
+            storage.write(LEARNING, 'conversation-history', wrapDocument(conversations.filter(conv => conv.userId !== userId)));
+            changed++;
+        }
+
+        const stats = readBackup(LEARNING, 'learning-stats');
+        if (stats && Array.isArray(stats.learningEvents) && stats.learningEvents.some(event => isUserEvent(event, userId))) {
+            storage.write(LEARNING, 'learning-stats', wrapDocument({
+                ...stats,
+                learningEvents: stats.learningEvents.filter(event => !isUserEvent(event, userId))
+            }));
+            changed++;
+        }
+        return changed;
+    }
+
+    /**
+     * 保持ポリシーに従って古いバックアップを削除
+     * @param {Object} policy - { maxCount: 保持件数, maxAgeMs: 保持期間, reason: 対象を作成理由で限定 }
+     * @returns {Promise<Array>} 削除したバックアップID
+     */
+    async pruneBackups({ maxCount = Infinity, maxAgeMs = Infinity, reason = null } = {}) {
+        const backups = (await this.listBackups()).filter(backup => !reason || backup.reason === reason);
+        const now = Date.now();
+        const deleted = [];
+
+        backups.forEach((backup, index) => {
+            if (index >= maxCount || now - new Date(backup.createdAt).getTime() > maxAgeMs) {
+                fs.rmSync(backup.path, { recursive: true, force: true });
+                deleted.push(backup.id);
+                console.log(`🗑️ 古いバックアップ削除: ${backup.id}`);
+            }
+        });
+        return deleted;
+    }
+
+    /**
+     * 定期スナップショット開始（保持件数を超えた定期スナップショットは自動削除）
+     * @param {Object} options - { intervalMs: 間隔, retention: 保持件数 }
+     */
+    startScheduledBackups({ intervalMs, retention = DEFAULT_SCHEDULED_BACKUP_RETENTION }) {
+        this.stopScheduledBackups();
+        this.scheduledBackupTimer = setInterval(async () => {
+            try {
+                await this.createBackup({ reason: 'scheduled' });
+                await this.pruneBackups({ maxCount: retention, reason: 'scheduled' });
+            } catch (error) {
+                console.error('❌ 定期スナップショットエラー:', error.message);
+            }
+        }, intervalMs);
+        this.scheduledBackupTimer.unref();
+        console.log(`⏰ 定期スナップショット開始: ${Math.round(intervalMs / 60000)}分ごと, 保持${retention}件`);
+    }
+
+    /**
+     * 定期スナップショット停止
+     */
+    stopScheduledBackups() {
+        if (this.scheduledBackupTimer) {
+            clearInterval(this.scheduledBackupTimer);
+            this.scheduledBackupTimer = null;
+        }
+    }
+
+    /**
+     * 終了時クリーンアップ（メモリ上の学習統計を永続化し、ストレージ接続を閉じる）
+     */
+    async cleanup() {
+        this.stopScheduledBackups();
+        this.stopScheduledRetention();
+        await this.saveLearningStats();
+        if (this.eventLog) {
+            await this.eventLog.flush();
+        }
+        this.storage.close();
+    }
+
+    /**
+     * データクリーンアップ（保持ポリシーを適用）
+     */
+    async cleanupOldData() {
+        try {
+            await this.applyRetentionPolicy();
             console.log('✅ データクリーンアップ完了');
-            
         } catch (error) {
             console.error('❌ データクリーンアップエラー:', error.message);
         }
     }
+
+    /**
+     * 保持ポリシーを適用し、保持期間を過ぎたデータを削除
+     * lastActiveAt のないユーザープロファイルは削除せず、適用時点を最終利用日時として記録する
+     * @param {Object} policy - resolveRetentionPolicy() の結果（未指定時は環境変数 LEARNING_RETENTION_POLICY と既定値）
+     * @param {Object} options - { dryRun: 削除対象の確認のみ, now: 基準時刻(ms) }
+     * @returns {Promise<Object>} ルール別の削除結果（無効なルールはnull）
+     */
+    async applyRetentionPolicy(policy = loadRetentionPolicy(), { dryRun = false, now = Date.now() } = {}) {
+        const report = {
+            dryRun,
+            appliedAt: new Date(now).toISOString(),
+            chatHistory: null,
+            conversationHistory: null,
+            learningEvents: null,
+            learningInputLog: null,
+            inactiveUserProfiles: null,
+            backups: null
+        };
+
+        if (policy.chatHistory) {
+            report.chatHistory = await this.expireChatSessions(now - policy.chatHistory, dryRun);
+        }
+
+        if (policy.conversationHistory) {
+            const cutoff = now - policy.conversationHistory;
+            const remaining = this.conversationCache.filter(conv => !(conv.timestamp < cutoff));
+            report.conversationHistory = { removed: this.conversationCache.length - remaining.length };
+            if (!dryRun && remaining.length < this.conversationCache.length) {
+                await this.saveConversationHistory(remaining);
+            }
+        }
+
+        if (policy.learningEvents) {
+            const cutoff = now - policy.learningEvents;
+            const events = this.statsCache.learningEvents || [];
+            const remaining = events.filter(event => !(event.timestamp < cutoff));
+            report.learningEvents = { removed: events.length - remaining.length };
+            if (!dryRun && remaining.length < events.length) {
+                this.statsCache.learningEvents = remaining;
+                await this.saveLearningStats();
+            }
+        }
+
+        if (policy.learningInputLog && this.eventLog) {
+            report.learningInputLog = await this.eventLog.removeSegmentsBefore(now - policy.learningInputLog, { dryRun });
+        }
+
+        if (policy.inactiveUserProfiles) {
+            report.inactiveUserProfiles = await this.expireUserProfiles(now - policy.inactiveUserProfiles, now, dryRun);
+        }
+
+        if (policy.backups) {
+            const backups = await this.listBackups();
+            const keep = selectBackupsToKeep(backups, policy.backups);
+            const removed = backups.filter(backup => !keep.has(backup.id));
+            if (!dryRun) {
+                for (const backup of removed) {
+                    fs.rmSync(backup.path, { recursive: true, force: true });
+                }
+            }
+            report.backups = { removed: removed.map(backup => backup.id), kept: keep.size };
+        }
+
+        const prefix = dryRun ? '📝 保持ポリシー確認（削除予定）' : '🗓️ 保持ポリシー適用';
+        console.log(`${prefix}: チャットセッション${report.chatHistory ? report.chatHistory.removedSessions : '-'}件, ` +
+            `会話${report.conversationHistory ? report.conversationHistory.removed : '-'}件, ` +
+            `学習イベント${report.learningEvents ? report.learningEvents.removed : '-'}件, ` +
+            `学習入力ログ${report.learningInputLog ? report.learningInputLog.removed : '-'}件, ` +
+            `プロファイル${report.inactiveUserProfiles ? report.inactiveUserProfiles.removed.length : '-'}件, ` +
+            `バックアップ${report.backups ? report.backups.removed.length : '-'}件`);
+        return report;
+    }
+
+    /**
+     * 最終更新が基準時刻より前のチャットセッションを削除（全セッションが対象ならユーザーのドキュメントごと削除）
+     * @returns {Promise<Object>} { removedSessions, users: セッションを削除したユーザー, deletedUsers: ドキュメントを削除したユーザー }
+     */
+    async expireChatSessions(cutoff, dryRun) {
+        const result = { removedSessions: 0, users: [], deletedUsers: [] };
+        for (const userId of this.storage.list(CHAT_SESSIONS)) {
+            // 読み込み→書き込みの間に追加された対話ターンを失わないようロックする
+            await this.storage.lockAsync(CHAT_SESSIONS, userId, () => {
+                const userSessions = this.readDocument(CHAT_SESSIONS, userId);
+                if (!userSessions || typeof userSessions.sessions !== 'object' || userSessions.sessions === null) return;
+
+                const expired = findExpiredSessions(userSessions, cutoff);
+                if (expired.length === 0) return;
+
+                result.removedSessions += expired.length;
+                result.users.push(userId);
+                const remaining = Object.keys(userSessions.sessions).length - expired.length;
+                if (remaining === 0) {
+                    result.deletedUsers.push(userId);
+                }
+                if (dryRun) return;
+
+                if (remaining === 0) {
+                    this.storage.remove(CHAT_SESSIONS, userId);
+                } else {
+                    const sessions = { ...userSessions.sessions };
+                    expired.forEach(sessionId => delete sessions[sessionId]);
+                    this.writeDocument(CHAT_SESSIONS, userId, { ...userSessions, sessions });
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * 最終利用日時が基準時刻より前のユーザープロファイルを削除
+     * @returns {Promise<Object>} { removed: 削除したプロファイルキー, untracked: lastActiveAt を記録したプロファイルキー }
+     */
+    async expireUserProfiles(cutoff, now, dryRun) {
+        const result = { removed: [], untracked: [] };
+        for (const profileKey of this.storage.list(USER_PROFILES)) {
+            await this.storage.lockAsync(USER_PROFILES, profileKey, () => {
+                const profile = this.readDocument(USER_PROFILES, profileKey);
+                if (!profile) return;
+
+                const lastActiveAt = new Date(profile.lastActiveAt).getTime();
+                if (Number.isNaN(lastActiveAt)) {
+                    // 最終利用日時の記録前に保存されたプロファイルは適用時点から期間を数える
+                    result.untracked.push(profileKey);
+                    if (!dryRun) {
+                        this.writeDocument(USER_PROFILES, profileKey, { ...profile, lastActiveAt: new Date(now).toISOString() });
+                    }
+                } else if (lastActiveAt < cutoff) {
+                    result.removed.push(profileKey);
+                    if (!dryRun) {
+                        this.storage.remove(USER_PROFILES, profileKey);
+                        this.mergeBases.delete(`${USER_PROFILES}/${profileKey}`);
+                    }
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * 保持ポリシーの定期適用開始
+     * @param {Object} options - { intervalMs: 間隔, policy: 保持ポリシー（未指定時は環境変数と既定値）, onApplied: 適用結果を受け取るコールバック }
+     */
+    startScheduledRetention({ intervalMs, policy = loadRetentionPolicy(), onApplied = null }) {
+        this.stopScheduledRetention();
+        this.scheduledRetentionTimer = setInterval(async () => {
+            try {
+                const report = await this.applyRetentionPolicy(policy);
+                if (onApplied) {
+                    onApplied(report);
+                }
+            } catch (error) {
+                console.error('❌ 保持ポリシー適用エラー:', error.message);
+            }
+        }, intervalMs);
+        this.scheduledRetentionTimer.unref();
+        console.log(`⏰ 保持ポリシーの定期適用開始: ${Math.round(intervalMs / 3600000)}時間ごと`);
+    }
+
+    /**
+     * 保持ポリシーの定期適用停止
+     */
+    stopScheduledRetention() {
+        if (this.scheduledRetentionTimer) {
+            clearInterval(this.scheduledRetentionTimer);
+            this.scheduledRetentionTimer = null;
+        }
+    }
     
+    /**
+     * 学習コンポーネントへの入力を学習入力ログへ記録（再構築用。記録の失敗で学習は止めない）
+     * @param {string} type - LEARNING_EVENT_TYPES の値
+     * @param {Object} data - 学習コンポーネントへの入力
+     * @returns {Object|null} 記録したイベント
+     */
+    appendLearningEvent(type, data) {
+        if (!this.eventLog) return null;
+        try {
+            return this.eventLog.append(type, data);
+        } catch (error) {
+            console.error(`❌ 学習入力ログ記録エラー (${type}):`, error.message);
+        }
+        return null;
+    }
+
     /**
      * 学習イベントログ記録
      */
@@ -953,7 +1677,7 @@ export class PersistentLearningDB {
      */
     async saveQualityTrainingData(trainingData) {
         try {
-            fs.writeFileSync(this.qualityTrainingDataPath, JSON.stringify(trainingData, null, 2));
+            await this.saveDocument(LEARNING, 'quality-training-data', trainingData);
             console.log('💾 品質訓練データ保存完了');
         } catch (error) {
             console.warn('⚠️ 品質訓練データ保存エラー:', error.message);
@@ -966,8 +1690,8 @@ export class PersistentLearningDB {
      */
     async loadQualityTrainingData() {
         try {
-            if (fs.existsSync(this.qualityTrainingDataPath)) {
-                const data = JSON.parse(fs.readFileSync(this.qualityTrainingDataPath, 'utf8'));
+            if (this.storage.has(LEARNING, 'quality-training-data')) {
+                const data = this.readDocument(LEARNING, 'quality-training-data');
                 if (data && Array.isArray(data.data)) { // data.dataが配列であることを確認
                     console.log(`📊 品質訓練データ読み込み完了: ${data.data.length}件`);
                     return data;
@@ -987,13 +1711,8 @@ export class PersistentLearningDB {
      * システムデータ読み込み
      */
     async loadSystemData(key) {
-        const filePath = path.join(this.systemDataDir, `${key}.json`);
         try {
-            if (fs.existsSync(filePath)) {
-                const data = fs.readFileSync(filePath, 'utf8');
-                return JSON.parse(data);
-            }
-            return null;
+            return this.readDocument(SYSTEM_DATA, key);
         } catch (error) {
             console.warn(`⚠️ システムデータ読み込みエラー (${key}):`, error.message);
             return null;
@@ -1004,9 +1723,8 @@ export class PersistentLearningDB {
      * システムデータ保存
      */
     async saveSystemData(key, data) {
-        const filePath = path.join(this.systemDataDir, `${key}.json`);
         try {
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+            await this.saveDocument(SYSTEM_DATA, key, data);
         } catch (error) {
             console.error(`❌ システムデータ保存エラー (${key}):`, error.message);
             throw error;
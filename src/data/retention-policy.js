@@ -0,0 +1,137 @@
+/**
+ * データ保持ポリシー（データ種別ごとの保持期間）
+ *
+ * 🗓️ 期間は日数（数値）または "30d" / "12w" / "6m" / "1y" 形式で指定し、null / 0 で無効化する
+ * 💾 バックアップは { daily, weekly, monthly } で日・週・月ごとに最新1件ずつ保持する（GFS方式）
+ * ⚙️ 環境変数 LEARNING_RETENTION_POLICY（JSON文字列またはJSONファイルのパス）で既定値を上書きする
+ *
+ * 適用は PersistentLearningDB.applyRetentionPolicy() が行う（dryRun で削除対象の確認のみ）。
+ */
+
+import fs from 'fs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+const BACKUP_PERIODS = ['daily', 'weekly', 'monthly'];
+
+export const DEFAULT_RETENTION_POLICY = {
+    chatHistory: '30d',          // チャット履歴（最終更新からの期間でセッション単位に削除）
+    conversationHistory: '30d',  // 会話履歴（learning/conversation-history）
+    learningEvents: '90d',       // 学習イベント（learning-stats.learningEvents）
+    learningInputLog: '1y',      // 学習入力ログ（events/YYYY-MM-DD.jsonl、日付単位で削除。再構築は残った期間の入力のみ再生する）
+    inactiveUserProfiles: '1y',  // 最終利用から期間を過ぎたユーザープロファイル
+    backups: { daily: 7, weekly: 4 }
+};
+
+/**
+ * 保持期間をミリ秒へ変換
+ * @param {number|string|null} value - 日数または "30d" 形式
+ * @returns {number|null} ミリ秒（無効化時はnull）
+ */
+export function parseRetentionPeriod(value) {
+    if (value === null || value === undefined || value === false || value === 0) {
+        return null;
+    }
+    if (typeof value === 'number' && value > 0) {
+        return value * DAY_MS;
+    }
+    const match = /^(\d+)\s*([dwmy])$/i.exec(String(value).trim());
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`保持期間の形式が不正です: ${value}（例: 30d, 12w, 6m, 1y）`);
+    }
+    return Number(match[1]) * PERIOD_UNITS[match[2].toLowerCase()] * DAY_MS;
+}
+
+/**
+ * ポリシーを検証し、既定値とマージした保持ポリシーを返す
+ * @param {Object} overrides - 上書きするルール（null で無効化）
+ * @returns {Object} { chatHistory, conversationHistory, learningEvents, learningInputLog, inactiveUserProfiles: 期間(ms)|null, backups: { daily, weekly, monthly }|null }
+ */
+export function resolveRetentionPolicy(overrides = {}) {
+    const policy = { ...DEFAULT_RETENTION_POLICY, ...overrides };
+    const unknownRules = Object.keys(policy).filter(rule => !(rule in DEFAULT_RETENTION_POLICY));
+    if (unknownRules.length > 0) {
+        throw new Error(`未対応の保持ルール: ${unknownRules.join(', ')}`);
+    }
+
+    const resolved = {};
+    for (const rule of ['chatHistory', 'conversationHistory', 'learningEvents', 'learningInputLog', 'inactiveUserProfiles']) {
+        resolved[rule] = parseRetentionPeriod(policy[rule]);
+    }
+
+    resolved.backups = null;
+    if (policy.backups) {
+        resolved.backups = {};
+        for (const period of BACKUP_PERIODS) {
+            const count = policy.backups[period] || 0;
+            if (!Number.isInteger(count) || count < 0) {
+                throw new Error(`バックアップ保持件数は0以上の整数で指定してください: ${period}=${policy.backups[period]}`);
+            }
+            resolved.backups[period] = count;
+        }
+    }
+    return resolved;
+}
+
+/**
+ * 環境変数から保持ポリシーを読み込み
+ */
+export function loadRetentionPolicy(env = process.env) {
+    const value = (env.LEARNING_RETENTION_POLICY || '').trim();
+    if (!value) {
+        return resolveRetentionPolicy();
+    }
+    const content = value.startsWith('{') ? value : fs.readFileSync(value, 'utf8');
+    return resolveRetentionPolicy(JSON.parse(content));
+}
+
+// バックアップの期間区分（UTC。週は月曜始まり）
+function getBackupBucket(period, time) {
+    const date = new Date(time);
+    if (period === 'daily') {
+        return date.toISOString().slice(0, 10);
+    }
+    if (period === 'weekly') {
+        // 1970-01-01 は木曜日のため3日ずらして月曜始まりにする
+        return String(Math.floor((Math.floor(time / DAY_MS) + 3) / 7));
+    }
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * 保持するバックアップを選択（日・週・月ごとに最新のバックアップを指定件数分保持）
+ * @param {Array} backups - listBackups() の結果
+ * @param {Object} rule - { daily, weekly, monthly }
+ * @returns {Set<string>} 保持するバックアップID
+ */
+export function selectBackupsToKeep(backups, rule) {
+    const newestFirst = [...backups].sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+    const keep = new Set();
+
+    for (const period of BACKUP_PERIODS) {
+        const buckets = new Set();
+        for (const backup of newestFirst) {
+            if (buckets.size >= rule[period]) break;
+            const bucket = getBackupBucket(period, new Date(backup.createdAt).getTime());
+            if (!buckets.has(bucket)) {
+                buckets.add(bucket);
+                keep.add(backup.id);
+            }
+        }
+    }
+    return keep;
+}
+
+/**
+ * チャット履歴から保持期間を過ぎたセッションを除去
+ * @param {Object} userSessions - { userId, sessions: { [sessionId]: session } }
+ * @param {number} cutoff - これより前に最終更新されたセッションを削除（ミリ秒）
+ * @returns {Array<string>} 削除したセッションID（userSessions は変更しない）
+ */
+export function findExpiredSessions(userSessions, cutoff) {
+    return Object.entries(userSessions.sessions || {})
+        .filter(([, session]) => new Date(session.updatedAt || session.createdAt).getTime() < cutoff)
+        .map(([sessionId]) => sessionId);
+}
+
+export default DEFAULT_RETENTION_POLICY;
@@ -0,0 +1,179 @@
+/**
+ * 学習データ スキーマバージョン管理・マイグレーション
+ *
+ * 🏷️ 永続化する全ドキュメントを { schemaVersion, data } 形式で保存し、
+ *    読み込み時に保存時のバージョンから現行バージョンまでマイグレーションを順に適用する
+ * 📜 SCHEMA_MIGRATIONS に「version へ上げる変換」を追加していく（既存エントリは変更しない）
+ * 🔍 migrateAllDocuments({ dryRun: true }) で変更対象のみを報告
+ *
+ * バージョン 0 は schemaVersion 導入前の形式（ドキュメント本体をそのまま保存）を表す。
+ */
+
+import { STORAGE_COLLECTIONS, listDocumentKeys } from './storage/storage-adapter.js';
+import { isEncryptedDocument } from './document-encryption.js';
+
+const { LEARNING, USER_PROFILES } = STORAGE_COLLECTIONS;
+
+// Map を Object として保存していた旧形式をエントリ配列（new Map(entries) で復元可能な形式）に変換
+function toEntries(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return Object.entries(value);
+    }
+    return value;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * マイグレーション定義
+ * migrate(data, { collection, key }) は変換後のデータを返す（対象外のドキュメントはそのまま返す）
+ */
+export const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'schemaVersion導入・Mapのエントリ配列形式への統一',
+        migrate(data, { collection, key }) {
+            if (collection === LEARNING && key === 'concept-learning') {
+                return toEntries(data);
+            }
+            if (!isPlainObject(data)) {
+                return data;
+            }
+
+            if (collection === LEARNING) {
+                switch (key) {
+                    case 'bandit-data':
+                        return { ...data, vocabularyStats: toEntries(data.vocabularyStats) };
+                    case 'ngram-data': {
+                        const continuationCounts = toEntries(data.continuationCounts);
+                        return {
+                            ...data,
+                            ngramFrequencies: toEntries(data.ngramFrequencies),
+                            contextFrequencies: toEntries(data.contextFrequencies),
+                            continuationCounts: Array.isArray(continuationCounts)
+                                ? continuationCounts.map(([context, words]) => [context, Array.isArray(words) ? words : Object.keys(words || {})])
+                                : continuationCounts,
+                            documentFreqs: toEntries(data.documentFreqs)
+                        };
+                    }
+                    default:
+                        return data;
+                }
+            }
+
+            // ベイジアン個人化のプロファイル（他の接頭辞付きプロファイルは classCounts を持たない）
+            if (collection === USER_PROFILES && 'classCounts' in data) {
+                const featureCounts = toEntries(data.featureCounts);
+                return {
+                    ...data,
+                    classCounts: toEntries(data.classCounts),
+                    featureCounts: Array.isArray(featureCounts)
+                        ? featureCounts.map(([className, features]) => [className, toEntries(features)])
+                        : featureCounts,
+                    preferences: toEntries(data.preferences)
+                };
+            }
+
+            return data;
+        }
+    }
+];
+
+export const CURRENT_SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+function isVersionedDocument(document) {
+    return isPlainObject(document) && Number.isInteger(document.schemaVersion) && 'data' in document;
+}
+
+/**
+ * 保存されているドキュメントのスキーマバージョン（導入前の形式は0）
+ */
+export function getSchemaVersion(document) {
+    return isVersionedDocument(document) ? document.schemaVersion : 0;
+}
+
+/**
+ * 保存形式への変換（現行バージョンを付与）
+ */
+export function wrapDocument(data) {
+    return { schemaVersion: CURRENT_SCHEMA_VERSION, data };
+}
+
+/**
+ * 保存されているドキュメントを現行バージョンへ変換
+ * 現行より新しいバージョン（新しいコードで保存されたデータ）は変換せずそのまま返す
+ * @param {*} document - ストレージから読み込んだドキュメント
+ * @param {Object} context - { collection, key }
+ * @returns {Object} { data, fromVersion, toVersion, applied: 適用したマイグレーションの説明 }
+ */
+export function migrateDocument(document, context) {
+    // 復号されずに渡された暗号化ドキュメントを旧形式として変換しない
+    if (isEncryptedDocument(document)) {
+        throw new Error(`暗号化されたドキュメントです（復号鍵 LEARNING_ENCRYPTION_KEY が未設定）: ${context.collection}/${context.key}`);
+    }
+    const fromVersion = getSchemaVersion(document);
+    let data = isVersionedDocument(document) ? document.data : document;
+    const applied = [];
+
+    for (const migration of SCHEMA_MIGRATIONS) {
+        if (migration.version > fromVersion) {
+            data = migration.migrate(data, context);
+            applied.push(`v${migration.version}: ${migration.description}`);
+        }
+    }
+
+    return {
+        data,
+        fromVersion,
+        toVersion: Math.max(fromVersion, CURRENT_SCHEMA_VERSION),
+        applied
+    };
+}
+
+/**
+ * ストレージ内の全ドキュメントを現行バージョンへ移行
+ * @param {Object} storage - ストレージアダプター
+ * @param {Object} options - { dryRun: 書き込まずに変更対象のみ報告 }
+ * @returns {Object} { checked, migrated: [{ collection, key, fromVersion, toVersion, applied }], newer: [...], errors: [...] }
+ */
+export function migrateAllDocuments(storage, { dryRun = false } = {}) {
+    const result = { checked: 0, migrated: [], newer: [], errors: [] };
+
+    const migrate = (collection, key) => {
+        const document = storage.read(collection, key);
+        const version = getSchemaVersion(document);
+        if (version > CURRENT_SCHEMA_VERSION) {
+            result.newer.push({ collection, key, version });
+            return;
+        }
+        if (version === CURRENT_SCHEMA_VERSION) return;
+
+        const { data, fromVersion, toVersion, applied } = migrateDocument(document, { collection, key });
+        if (!dryRun) {
+            storage.write(collection, key, wrapDocument(data));
+        }
+        result.migrated.push({ collection, key, fromVersion, toVersion, applied });
+    };
+
+    const run = () => {
+        for (const collection of Object.values(STORAGE_COLLECTIONS)) {
+            for (const key of listDocumentKeys(storage, collection)) {
+                result.checked++;
+                try {
+                    migrate(collection, key);
+                } catch (error) {
+                    result.errors.push({ collection, key, error: error.message });
+                }
+            }
+        }
+    };
+
+    if (dryRun) {
+        run();
+    } else {
+        storage.transaction(run);
+    }
+    return result;
+}
@@ -0,0 +1,150 @@
+/**
+ * ShutdownStateTracker - 正常終了マーカー管理
+ *
+ * 🚦 起動時に「稼働中」マーカーを書き込み、正常終了処理の最後に「正常終了」へ更新する
+ * 🔍 前回が正常終了でない場合、学習データ読み込み前に全JSONファイル（圧縮済みの .json.gz / .json.br を含む）を検証し、
+ *    破損ファイルを退避（*.corrupt-<時刻>）して空データからの再構築に切り替える
+ *    （退避しないと次回保存時に破損ファイルが上書きされ、復旧の手掛かりが失われる）
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { STORAGE_COLLECTIONS } from './storage/storage-adapter.js';
+import { migrateDocument, wrapDocument } from './schema-migrations.js';
+import { decodeJSONSync, isDataFilePath } from '../utils/compression.js';
+
+// PersistentLearningDB.loadSystemData('shutdown-state') でも参照可能な位置に保存
+export const SHUTDOWN_STATE_KEY = 'shutdown-state';
+
+export const PREVIOUS_SHUTDOWN = {
+    CLEAN: 'clean',
+    UNCLEAN: 'unclean',
+    UNKNOWN: 'unknown' // マーカー未作成（初回起動）
+};
+
+// 検証対象外ディレクトリ（バックアップは作成時点で整合済み）
+const SKIPPED_DIRECTORIES = new Set(['backups']);
+
+export class ShutdownStateTracker {
+    constructor(basePath = './data/learning') {
+        this.basePath = basePath;
+        this.markerPath = path.join(basePath, 'system_data', `${SHUTDOWN_STATE_KEY}.json`);
+    }
+
+    /**
+     * 終了マーカー読み込み
+     * @returns {Object|null} マーカー（未作成・破損時はnull）
+     */
+    readMarker() {
+        try {
+            if (!fs.existsSync(this.markerPath)) return null;
+            const document = JSON.parse(fs.readFileSync(this.markerPath, 'utf8'));
+            return migrateDocument(document, { collection: STORAGE_COLLECTIONS.SYSTEM_DATA, key: SHUTDOWN_STATE_KEY }).data;
+        } catch (error) {
+            console.warn('⚠️ 終了マーカー読み込みエラー:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 起動時チェック（学習データ読み込み前に同期実行）
+     * 前回が正常終了でなければデータファイルを検証し、検証後に稼働中マーカーを書き込む
+     * @returns {Object} { previousShutdown, marker, corruptFiles }
+     */
+    checkOnStartup() {
+        const marker = this.readMarker();
+        let previousShutdown = PREVIOUS_SHUTDOWN.UNKNOWN;
+        if (marker) {
+            previousShutdown = marker.cleanShutdown ? PREVIOUS_SHUTDOWN.CLEAN : PREVIOUS_SHUTDOWN.UNCLEAN;
+        }
+
+        let corruptFiles = [];
+        if (previousShutdown === PREVIOUS_SHUTDOWN.CLEAN) {
+            console.log(`✅ 前回は正常終了済み (${marker.shutdownAt})`);
+        } else {
+            if (previousShutdown === PREVIOUS_SHUTDOWN.UNCLEAN) {
+                console.warn(`⚠️ 前回のプロセス (${marker.startedAt} 起動) は正常終了していません。学習データを検証します...`);
+            }
+            corruptFiles = this.quarantineCorruptFiles();
+            if (corruptFiles.length > 0) {
+                console.warn(`⚠️ 破損した学習データを退避しました: ${corruptFiles.map(file => file.path).join(', ')}`);
+            }
+        }
+
+        this.markRunning();
+        return { previousShutdown, marker, corruptFiles };
+    }
+
+    /**
+     * 学習データJSONの検証・破損ファイル退避（圧縮ファイルは展開してから解析）
+     * @returns {Array} [{ path, quarantinedPath, error }]
+     */
+    quarantineCorruptFiles() {
+        const corruptFiles = [];
+        const suffix = `.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+
+        for (const filePath of this.listDataFiles(this.basePath)) {
+            try {
+                decodeJSONSync(fs.readFileSync(filePath), filePath);
+            } catch (error) {
+                const quarantinedPath = `${filePath}${suffix}`;
+                fs.renameSync(filePath, quarantinedPath);
+                corruptFiles.push({ path: filePath, quarantinedPath, error: error.message });
+            }
+        }
+        return corruptFiles;
+    }
+
+    listDataFiles(directory) {
+        if (!fs.existsSync(directory)) return [];
+
+        const files = [];
+        for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+                    files.push(...this.listDataFiles(entryPath));
+                }
+            } else if (isDataFilePath(entry.name) && entryPath !== this.markerPath) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * 稼働中マーカー書き込み（異常終了時はこの状態のまま残る）
+     */
+    markRunning() {
+        this.writeMarker({
+            cleanShutdown: false,
+            pid: process.pid,
+            startedAt: new Date().toISOString(),
+            shutdownAt: null
+        });
+    }
+
+    /**
+     * 正常終了マーカー書き込み（全コンポーネントの保存完了後に呼び出す）
+     * @param {Object} details - { signal, ... } 終了時の補足情報
+     */
+    markCleanShutdown(details = {}) {
+        const marker = this.readMarker() || {};
+        this.writeMarker({
+            ...marker,
+            ...details,
+            cleanShutdown: true,
+            shutdownAt: new Date().toISOString()
+        });
+    }
+
+    // 書き込み途中の終了でマーカー自体が壊れないよう一時ファイル経由で置き換える
+    writeMarker(marker) {
+        fs.mkdirSync(path.dirname(this.markerPath), { recursive: true });
+        const tempPath = `${this.markerPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(wrapDocument(marker), null, 2));
+        fs.renameSync(tempPath, this.markerPath);
+    }
+}
+
+export default ShutdownStateTracker;
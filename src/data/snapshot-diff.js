@@ -0,0 +1,157 @@
+/**
+ * 学習データスナップショット比較
+ *
+ * 📊 2つのスナップショット（バックアップまたは現在のストレージ）間で
+ *    バンディット統計・関係性数・N-gram数・ユーザープロファイルの変化を集計する
+ * 🔍 取り込み処理や学習実行が実際に何を変えたかの確認用
+ */
+
+import { STORAGE_COLLECTIONS } from './storage/storage-adapter.js';
+import { migrateDocument } from './schema-migrations.js';
+
+const { LEARNING, USER_PROFILES } = STORAGE_COLLECTIONS;
+
+// 単語別の変化として報告する最大件数
+const DEFAULT_TOP_CHANGES = 20;
+
+function readData(storage, collection, key) {
+    const document = storage.read(collection, key);
+    return document === null ? null : migrateDocument(document, { collection, key }).data;
+}
+
+// エントリ配列 / Object のどちらで保存されていても [key, value] の配列として扱う
+function entriesOf(value) {
+    if (Array.isArray(value)) return value;
+    return value && typeof value === 'object' ? Object.entries(value) : [];
+}
+
+function sizeOf(value) {
+    if (Array.isArray(value)) return value.length;
+    return value && typeof value === 'object' ? Object.keys(value).length : 0;
+}
+
+function delta(before, after) {
+    return { before, after, delta: after - before };
+}
+
+/**
+ * 比較に必要なドキュメントをストレージから読み込み
+ * @param {Object} storage - ストレージアダプター（バックアップは JsonFileStorageAdapter で読み込む）
+ */
+export function loadSnapshot(storage) {
+    const userProfiles = {};
+    for (const key of storage.list(USER_PROFILES)) {
+        userProfiles[key] = readData(storage, USER_PROFILES, key);
+    }
+    return {
+        bandit: readData(storage, LEARNING, 'bandit-data'),
+        userRelations: readData(storage, LEARNING, 'user-relations'),
+        ngram: readData(storage, LEARNING, 'ngram-data'),
+        userProfiles
+    };
+}
+
+function diffBandit(before, after, topChanges) {
+    const beforeStats = new Map(entriesOf(before && before.vocabularyStats));
+    const afterStats = new Map(entriesOf(after && after.vocabularyStats));
+
+    const changes = [];
+    for (const word of new Set([...beforeStats.keys(), ...afterStats.keys()])) {
+        const previous = beforeStats.get(word) || { selections: 0, rewards: 0 };
+        const current = afterStats.get(word) || { selections: 0, rewards: 0 };
+        const selectionsDelta = (current.selections || 0) - (previous.selections || 0);
+        const rewardsDelta = (current.rewards || 0) - (previous.rewards || 0);
+        if (selectionsDelta !== 0 || rewardsDelta !== 0) {
+            changes.push({ word, selectionsDelta, rewardsDelta, status: !beforeStats.has(word) ? 'added' : !afterStats.has(word) ? 'removed' : 'changed' });
+        }
+    }
+    changes.sort((a, b) => Math.abs(b.selectionsDelta) - Math.abs(a.selectionsDelta) || Math.abs(b.rewardsDelta) - Math.abs(a.rewardsDelta));
+
+    return {
+        totalSelections: delta((before && before.totalSelections) || 0, (after && after.totalSelections) || 0),
+        vocabularySize: delta(beforeStats.size, afterStats.size),
+        addedWords: changes.filter(change => change.status === 'added').length,
+        removedWords: changes.filter(change => change.status === 'removed').length,
+        changedWords: changes.length,
+        topChanges: changes.slice(0, topChanges)
+    };
+}
+
+// ユーザー別の { terms: 関係を持つ語数, relations: 関係の総数 }
+function countRelations(userRelationsData) {
+    const counts = new Map();
+    for (const [userKey, userData] of Object.entries(userRelationsData || {})) {
+        const termEntries = entriesOf(userData && userData.userRelations);
+        counts.set(userKey, {
+            terms: termEntries.length,
+            relations: termEntries.reduce((sum, [, related]) => sum + sizeOf(related), 0)
+        });
+    }
+    return counts;
+}
+
+function diffRelations(before, after) {
+    const beforeCounts = countRelations(before);
+    const afterCounts = countRelations(after);
+
+    const users = [];
+    let totalBefore = 0;
+    let totalAfter = 0;
+    for (const userKey of new Set([...beforeCounts.keys(), ...afterCounts.keys()])) {
+        const previous = beforeCounts.get(userKey) || { terms: 0, relations: 0 };
+        const current = afterCounts.get(userKey) || { terms: 0, relations: 0 };
+        totalBefore += previous.relations;
+        totalAfter += current.relations;
+        if (previous.relations !== current.relations || previous.terms !== current.terms) {
+            users.push({ userKey, terms: delta(previous.terms, current.terms), relations: delta(previous.relations, current.relations) });
+        }
+    }
+
+    return {
+        totalRelations: delta(totalBefore, totalAfter),
+        users
+    };
+}
+
+function diffNgram(before, after) {
+    const previous = before || {};
+    const current = after || {};
+    return {
+        totalNgrams: delta(previous.totalNgrams || 0, current.totalNgrams || 0),
+        totalDocuments: delta(previous.totalDocuments || 0, current.totalDocuments || 0),
+        uniqueNgrams: delta(sizeOf(previous.ngramFrequencies), sizeOf(current.ngramFrequencies)),
+        contexts: delta(sizeOf(previous.contextFrequencies), sizeOf(current.contextFrequencies))
+    };
+}
+
+function diffUserProfiles(before, after) {
+    const added = Object.keys(after).filter(key => !(key in before));
+    const removed = Object.keys(before).filter(key => !(key in after));
+    const changed = [];
+    for (const key of Object.keys(after)) {
+        if (!(key in before) || JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+
+        const change = { key };
+        // ベイジアン個人化プロファイルは対話数の変化も報告
+        if (after[key] && typeof after[key].totalInteractions === 'number') {
+            change.totalInteractions = delta(before[key].totalInteractions || 0, after[key].totalInteractions);
+        }
+        changed.push(change);
+    }
+    return { added, removed, changed };
+}
+
+/**
+ * スナップショット比較
+ * @param {Object} before - loadSnapshot の戻り値（比較元）
+ * @param {Object} after - loadSnapshot の戻り値（比較先）
+ * @param {Object} options - { topChanges: 単語別変化の最大件数 }
+ */
+export function diffSnapshots(before, after, { topChanges = DEFAULT_TOP_CHANGES } = {}) {
+    return {
+        bandit: diffBandit(before.bandit, after.bandit, topChanges),
+        relations: diffRelations(before.userRelations, after.userRelations),
+        ngram: diffNgram(before.ngram, after.ngram),
+        userProfiles: diffUserProfiles(before.userProfiles, after.userProfiles)
+    };
+}
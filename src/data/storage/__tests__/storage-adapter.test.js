@@ -0,0 +1,236 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { jest } from '@jest/globals';
+import { JsonFileStorageAdapter } from '../json-file-storage-adapter.js';
+import { SqliteStorageAdapter } from '../sqlite-storage-adapter.js';
+import { InMemoryStorageAdapter } from '../in-memory-storage-adapter.js';
+import { migrateStorage, STORAGE_COLLECTIONS } from '../storage-adapter.js';
+import { PersistentLearningDB } from '../../persistent-learning-db.js';
+
+// node:sqlite 未対応のNode.jsではSQLiteアダプターのテストを省略
+const sqliteAvailable = !!(process.getBuiltinModule && process.getBuiltinModule('node:sqlite'));
+
+const adapters = [
+  ['JsonFileStorageAdapter', basePath => new JsonFileStorageAdapter(basePath), true],
+  ['SqliteStorageAdapter', basePath => new SqliteStorageAdapter(path.join(basePath, 'learning.sqlite')), sqliteAvailable],
+  ['InMemoryStorageAdapter', () => new InMemoryStorageAdapter(), true],
+];
+
+describe.each(adapters)('%s', (name, createAdapter, available) => {
+  let basePath;
+  let storage;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-adapter-'));
+    if (available) {
+      storage = createAdapter(basePath);
+      storage.initialize();
+    }
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  (available ? test : test.skip)('コレクション別にドキュメントを読み書き・一覧・削除できるべき', () => {
+    storage.write(STORAGE_COLLECTIONS.CHAT_SESSIONS, 'ユーザー/1', { sessions: [] });
+    storage.write(STORAGE_COLLECTIONS.SYSTEM_DATA, 'api-keys', { keys: [1] });
+
+    expect(storage.read(STORAGE_COLLECTIONS.CHAT_SESSIONS, 'ユーザー/1')).toEqual({ sessions: [] });
+    expect(storage.read(STORAGE_COLLECTIONS.USER_PROFILES, 'ユーザー/1')).toBeNull();
+    expect(storage.list(STORAGE_COLLECTIONS.CHAT_SESSIONS)).toEqual(['ユーザー/1']);
+    expect(storage.has(STORAGE_COLLECTIONS.SYSTEM_DATA, 'api-keys')).toBe(true);
+
+    expect(storage.remove(STORAGE_COLLECTIONS.SYSTEM_DATA, 'api-keys')).toBe(true);
+    expect(storage.remove(STORAGE_COLLECTIONS.SYSTEM_DATA, 'api-keys')).toBe(false);
+  });
+
+  (available ? test : test.skip)('PersistentLearningDBの公開メソッドがアダプター経由で永続化されるべき', async () => {
+    const db = new PersistentLearningDB(basePath, storage);
+    await db.saveBanditData({ vocabularyStats: new Map([['天気', { rewards: 1, selections: 2 }]]), totalSelections: 2 });
+    await db.saveSystemData('learning-config', { minCoOccurrence: 2 });
+
+    const reloaded = new PersistentLearningDB(basePath, storage);
+    expect((await reloaded.loadBanditData()).vocabularyStats.get('天気')).toEqual({ rewards: 1, selections: 2 });
+    expect(await reloaded.loadSystemData('learning-config')).toEqual({ minCoOccurrence: 2 });
+  });
+});
+
+describe('JsonFileStorageAdapter', () => {
+  let basePath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-json-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('ユーザープロファイルのキーはエンコードし、ディレクトリ外のファイルを操作しないべき', () => {
+    const storage = new JsonFileStorageAdapter(basePath);
+    storage.initialize();
+    storage.write(STORAGE_COLLECTIONS.LEARNING, 'bandit-data', { totalSelections: 1 });
+
+    expect(storage.remove(STORAGE_COLLECTIONS.USER_PROFILES, '../bandit-data')).toBe(false);
+    expect(storage.read(STORAGE_COLLECTIONS.USER_PROFILES, '../bandit-data')).toBeNull();
+    storage.write(STORAGE_COLLECTIONS.USER_PROFILES, '../bandit-data', { userId: 'x' });
+    expect(storage.read(STORAGE_COLLECTIONS.LEARNING, 'bandit-data')).toEqual({ totalSelections: 1 });
+    expect(fs.existsSync(path.join(basePath, 'user_profiles', '..%2Fbandit-data.json'))).toBe(true);
+
+    // エンコード前のファイル名で保存済みのプロファイルも読み込み・削除できる
+    fs.writeFileSync(path.join(basePath, 'user_profiles', 'ユーザー1.json'), JSON.stringify({ userId: 'ユーザー1' }));
+    expect(storage.read(STORAGE_COLLECTIONS.USER_PROFILES, 'ユーザー1')).toEqual({ userId: 'ユーザー1' });
+    expect(storage.list(STORAGE_COLLECTIONS.USER_PROFILES).sort()).toEqual(['../bandit-data', 'ユーザー1']);
+    expect(storage.remove(STORAGE_COLLECTIONS.USER_PROFILES, 'ユーザー1')).toBe(true);
+    expect(fs.existsSync(path.join(basePath, 'user_profiles', 'ユーザー1.json'))).toBe(false);
+  });
+
+  test('lockAsyncはイベントループを止めずに他の保持者の解放を待つべき', async () => {
+    const storage = new JsonFileStorageAdapter(basePath, { lockOptions: { timeoutMs: 1000, retryMs: 5 } });
+    storage.initialize();
+    const lockPath = `${storage.getFilePath(STORAGE_COLLECTIONS.LEARNING, 'bandit-data')}.lock`;
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: 'other' }));
+    setTimeout(() => fs.rmSync(lockPath), 30);
+
+    await storage.lockAsync(STORAGE_COLLECTIONS.LEARNING, 'bandit-data', () => {
+      storage.write(STORAGE_COLLECTIONS.LEARNING, 'bandit-data', { totalSelections: 2 });
+    });
+
+    expect(storage.read(STORAGE_COLLECTIONS.LEARNING, 'bandit-data')).toEqual({ totalSelections: 2 });
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('一時ファイルをfsyncしてから置き換えるべき', () => {
+    const storage = new JsonFileStorageAdapter(basePath);
+    storage.initialize();
+    const fsyncSync = jest.spyOn(fs, 'fsyncSync');
+    const renameSync = jest.spyOn(fs, 'renameSync');
+
+    storage.write(STORAGE_COLLECTIONS.LEARNING, 'bandit-data', { totalSelections: 1 });
+
+    expect(fsyncSync).toHaveBeenCalled();
+    expect(fsyncSync.mock.invocationCallOrder[0]).toBeLessThan(renameSync.mock.invocationCallOrder[0]);
+    expect(storage.read(STORAGE_COLLECTIONS.LEARNING, 'bandit-data')).toEqual({ totalSelections: 1 });
+    expect(fs.readdirSync(basePath).filter(name => name.includes('.tmp-'))).toEqual([]);
+  });
+});
+
+describe('SqliteStorageAdapter', () => {
+  let basePath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-adapter-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  (sqliteAvailable ? test : test.skip)('他の接続が書き込み中のトランザクションは失敗せず解放を待つべき', async () => {
+    const dbPath = path.join(basePath, 'learning.sqlite');
+    const storage = new SqliteStorageAdapter(dbPath);
+    storage.initialize();
+
+    // 別スレッドの接続が書き込みロックを取り、300ms 保持してからコミットする
+    const holder = new Worker(`
+      const { parentPort, workerData } = require('worker_threads');
+      const { DatabaseSync } = process.getBuiltinModule('node:sqlite');
+      const db = new DatabaseSync(workerData.dbPath);
+      db.exec('BEGIN IMMEDIATE');
+      db.prepare('INSERT INTO documents (collection, key, data, updated_at) VALUES (?, ?, ?, ?)').run('system_data', 'holder', '{"by":"worker"}', Date.now());
+      parentPort.postMessage('locked');
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 300);
+      db.exec('COMMIT');
+      db.close();
+    `, { eval: true, workerData: { dbPath } });
+    await new Promise((resolve, reject) => {
+      holder.once('message', resolve);
+      holder.once('error', reject);
+    });
+
+    const startedAt = Date.now();
+    storage.transaction(() => storage.write(STORAGE_COLLECTIONS.SYSTEM_DATA, 'waiter', { by: 'main' }));
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(100);
+    await new Promise(resolve => holder.once('exit', resolve));
+
+    expect(storage.read(STORAGE_COLLECTIONS.SYSTEM_DATA, 'holder')).toEqual({ by: 'worker' });
+    expect(storage.read(STORAGE_COLLECTIONS.SYSTEM_DATA, 'waiter')).toEqual({ by: 'main' });
+    storage.close();
+
+    // 待ち時間 0 では即座に失敗する（従来の挙動）
+    const impatient = new SqliteStorageAdapter(dbPath, { busyTimeoutMs: 0 });
+    impatient.initialize();
+    const blocker = new SqliteStorageAdapter(dbPath);
+    blocker.initialize();
+    blocker.transaction(() => {
+      expect(() => impatient.transaction(() => {})).toThrow(/locked/);
+    });
+    impatient.close();
+    blocker.close();
+  });
+});
+
+describe('InMemoryStorageAdapter', () => {
+  test('ファイルを作成せず、例外時はトランザクション前の状態に戻すべき', () => {
+    const storage = new InMemoryStorageAdapter({ [STORAGE_COLLECTIONS.SYSTEM_DATA]: { config: { a: 1 } } });
+
+    expect(() => storage.transaction(() => {
+      storage.write(STORAGE_COLLECTIONS.SYSTEM_DATA, 'config', { a: 2 });
+      storage.remove(STORAGE_COLLECTIONS.SYSTEM_DATA, 'config');
+      throw new Error('失敗');
+    })).toThrow('失敗');
+
+    expect(storage.read(STORAGE_COLLECTIONS.SYSTEM_DATA, 'config')).toEqual({ a: 1 });
+    expect(new PersistentLearningDB('./does-not-exist', storage).basePath).toBe('./does-not-exist');
+    expect(fs.existsSync('./does-not-exist')).toBe(false);
+  });
+});
+
+describe('migrateStorage', () => {
+  let sourcePath;
+  let targetPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sourcePath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-source-'));
+    targetPath = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-target-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(sourcePath, { recursive: true, force: true });
+    fs.rmSync(targetPath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('既存JSONレイアウトの管理対象ドキュメントを移行し、移行先の既存データは上書きしないべき', () => {
+    const source = new JsonFileStorageAdapter(sourcePath);
+    source.initialize();
+    fs.writeFileSync(path.join(sourcePath, 'bandit-data.json'), JSON.stringify({ totalSelections: 3 }));
+    fs.writeFileSync(path.join(sourcePath, 'enhanced-log-learning-results.json'), '{}');
+    fs.writeFileSync(path.join(sourcePath, 'user_profiles', 'u1.json'), JSON.stringify({ userId: 'u1' }));
+    fs.writeFileSync(path.join(sourcePath, 'system_data', 'broken.json'), '{');
+
+    const target = new JsonFileStorageAdapter(targetPath);
+    target.initialize();
+    target.write(STORAGE_COLLECTIONS.USER_PROFILES, 'u1', { userId: 'u1', kept: true });
+
+    const result = migrateStorage(source, target);
+
+    expect(result.migrated).toEqual({ learning: 1, user_profiles: 0, system_data: 0, chat_sessions: 0 });
+    expect(result.skipped).toBe(1);
+    expect(result.errors.map(error => error.key)).toEqual(['broken']);
+    expect(target.read(STORAGE_COLLECTIONS.LEARNING, 'bandit-data')).toEqual({ totalSelections: 3 });
+    expect(target.has(STORAGE_COLLECTIONS.LEARNING, 'enhanced-log-learning-results')).toBe(false);
+    expect(target.read(STORAGE_COLLECTIONS.USER_PROFILES, 'u1').kept).toBe(true);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * EncryptedStorageAdapter - 個人データを暗号化して保存するアダプター（他のアダプターを包む）
+ *
+ * 🔐 ユーザープロファイル・チャット履歴・会話履歴は書き込み時に暗号化し、読み込み時に復号する
+ * 📋 平文で保存済みのドキュメントもそのまま読み込める（次回保存時、または npm run encryption -- reencrypt で暗号化）
+ * その他のメソッドは包んだアダプターへ委譲する。
+ */
+
+import { isEncryptedDocument, isPersonalDocument } from '../document-encryption.js';
+
+export class EncryptedStorageAdapter {
+    /**
+     * @param {Object} storage - 実際に保存するアダプター
+     * @param {DocumentCipher} cipher - 暗号化鍵
+     */
+    constructor(storage, cipher) {
+        this.storage = storage;
+        this.cipher = cipher;
+    }
+
+    initialize() {
+        this.storage.initialize();
+    }
+
+    read(collection, key) {
+        const document = this.storage.read(collection, key);
+        return isEncryptedDocument(document) ? this.cipher.decrypt(collection, key, document) : document;
+    }
+
+    write(collection, key, data) {
+        this.storage.write(collection, key, isPersonalDocument(collection, key) ? this.cipher.encrypt(collection, key, data) : data);
+    }
+
+    remove(collection, key) {
+        return this.storage.remove(collection, key);
+    }
+
+    has(collection, key) {
+        return this.storage.has(collection, key);
+    }
+
+    list(collection) {
+        return this.storage.list(collection);
+    }
+
+    transaction(fn) {
+        return this.storage.transaction(fn);
+    }
+
+    lock(collection, key, fn) {
+        return this.storage.lock(collection, key, fn);
+    }
+
+    lockAsync(collection, key, fn) {
+        return this.storage.lockAsync(collection, key, fn);
+    }
+
+    describe() {
+        return { ...this.storage.describe(), encryption: this.cipher.describe() };
+    }
+
+    close() {
+        this.storage.close();
+    }
+}
+
+export default EncryptedStorageAdapter;
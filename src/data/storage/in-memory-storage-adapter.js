@@ -0,0 +1,81 @@
+/**
+ * InMemoryStorageAdapter - プロセス内メモリのみに保存するストレージ
+ *
+ * 🧪 Jest（jest.setup.js で LEARNING_STORAGE=memory）や組み込み利用時に、
+ *    data/learning を読み書きせずに学習コンポーネントを動かすためのアダプター
+ * 📋 ドキュメントはJSON文字列で保持し、保存後の呼び出し元オブジェクトの変更が反映されない点も他のアダプターと揃える
+ */
+
+export class InMemoryStorageAdapter {
+    /**
+     * @param {Object} initialData - { [collection]: { [key]: data } } 初期ドキュメント
+     */
+    constructor(initialData = {}) {
+        this.collections = new Map();
+        for (const [collection, documents] of Object.entries(initialData)) {
+            for (const [key, data] of Object.entries(documents)) {
+                this.write(collection, key, data);
+            }
+        }
+    }
+
+    initialize() {}
+
+    getCollection(collection) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, new Map());
+        }
+        return this.collections.get(collection);
+    }
+
+    read(collection, key) {
+        const serialized = this.getCollection(collection).get(key);
+        return serialized === undefined ? null : JSON.parse(serialized);
+    }
+
+    write(collection, key, data) {
+        this.getCollection(collection).set(key, JSON.stringify(data));
+    }
+
+    remove(collection, key) {
+        return this.getCollection(collection).delete(key);
+    }
+
+    has(collection, key) {
+        return this.getCollection(collection).has(key);
+    }
+
+    list(collection) {
+        return Array.from(this.getCollection(collection).keys()).sort();
+    }
+
+    /**
+     * fn内の書き込みを一括反映（例外時は呼び出し前の状態に戻す）
+     */
+    transaction(fn) {
+        const snapshot = new Map(Array.from(this.collections, ([collection, documents]) => [collection, new Map(documents)]));
+        try {
+            return fn();
+        } catch (error) {
+            this.collections = snapshot;
+            throw error;
+        }
+    }
+
+    // 他プロセスと共有しないためロック不要
+    lock(collection, key, fn) {
+        return fn();
+    }
+
+    async lockAsync(collection, key, fn) {
+        return fn();
+    }
+
+    describe() {
+        return { type: 'memory', location: ':memory:' };
+    }
+
+    close() {}
+}
+
+export default InMemoryStorageAdapter;
@@ -0,0 +1,209 @@
+/**
+ * JsonFileStorageAdapter - 従来の data/learning JSONファイルレイアウト
+ * learning コレクションは basePath 直下、その他はコレクション名のサブディレクトリに
+ * <キー>.json として保存する
+ *
+ * 書き込みはファイル単位のロック（<キー>.json.lock）を取得し、fsync済みの一時ファイルからのrenameで置き換える
+ * （電源断でもrename後に中身が空・途中のファイルが残らない）。
+ * Webサーバー・学習スクリプト・ワーカーが同じディレクトリを共有しても書き込み途中のファイルを読まない。
+ *
+ * chat_sessions・user_profiles のキー（ユーザーID）はURLエンコードしてファイル名にする
+ * （パス区切り・'..' を含むキーでもコレクションのディレクトリ外を指さない）。
+ *
+ * compression 指定時は <キー>.json.gz / <キー>.json.br として保存する（読み込みは形式を問わない）。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { withFileLock, withFileLockSync } from '../../utils/file-lock.js';
+import { decodeJSONSync, encodeJSONSync, findExistingVariantSync, getCompressedPath, getCompressionFromEnv, getVariantPaths, validateCompression } from '../../utils/compression.js';
+
+const LEARNING_COLLECTION = 'learning';
+const SUBDIRECTORY_COLLECTIONS = ['user_profiles', 'system_data', 'chat_sessions'];
+// ユーザーIDをそのままファイル名にできないコレクション（既存ファイル名との互換のため限定）
+const ENCODED_KEY_COLLECTIONS = new Set(['chat_sessions', 'user_profiles']);
+// 以前はキーをそのままファイル名にしていたコレクション（パス区切りを含まないキーは旧ファイル名も読み込み・削除の対象にする）
+const LEGACY_RAW_KEY_COLLECTIONS = new Set(['user_profiles']);
+const DOCUMENT_FILE_PATTERN = /\.json(\.gz|\.br)?$/;
+
+// rename結果をディスクに反映（Windows等ではディレクトリをfsyncできないため無視）
+function syncDirectorySync(directory) {
+    let fd = null;
+    try {
+        fd = fs.openSync(directory, 'r');
+        fs.fsyncSync(fd);
+    } catch {
+        // fsync非対応
+    } finally {
+        if (fd !== null) fs.closeSync(fd);
+    }
+}
+
+// ファイル名からキーへの復元（旧ファイル名は '%' を含んでもエンコードされていない場合がある）
+function decodeFileName(fileName) {
+    try {
+        return decodeURIComponent(fileName);
+    } catch {
+        return fileName;
+    }
+}
+
+export class JsonFileStorageAdapter {
+    /**
+     * @param {string} basePath - 学習データディレクトリ
+     * @param {Object} options - { lockOptions: withFileLockSync / withFileLock のオプション, compression: 'none' | 'gzip' | 'brotli' }
+     */
+    constructor(basePath, { lockOptions = {}, compression = getCompressionFromEnv() } = {}) {
+        this.basePath = basePath;
+        this.lockOptions = lockOptions;
+        this.compression = validateCompression(compression);
+        // このインスタンスが保持中のロック（lock() 内の write() で再取得しない）
+        this.heldLocks = new Set();
+    }
+
+    initialize() {
+        for (const directory of [this.basePath, ...SUBDIRECTORY_COLLECTIONS.map(collection => path.join(this.basePath, collection))]) {
+            if (!fs.existsSync(directory)) {
+                fs.mkdirSync(directory, { recursive: true });
+                console.log(`📁 データディレクトリ作成: ${directory}`);
+            }
+        }
+    }
+
+    getDirectory(collection) {
+        return collection === LEARNING_COLLECTION ? this.basePath : path.join(this.basePath, collection);
+    }
+
+    getFilePath(collection, key) {
+        const fileName = ENCODED_KEY_COLLECTIONS.has(collection) ? encodeURIComponent(key) : key;
+        return path.join(this.getDirectory(collection), `${fileName}.json`);
+    }
+
+    /**
+     * キーをエンコードせずに保存していた頃のファイルパス（該当しない場合はnull）
+     */
+    getLegacyFilePath(collection, key) {
+        if (!LEGACY_RAW_KEY_COLLECTIONS.has(collection) || encodeURIComponent(key) === key) return null;
+        if (key === '.' || key === '..' || /[/\\\0]/.test(key)) return null;
+        return path.join(this.getDirectory(collection), `${key}.json`);
+    }
+
+    // 保存済みファイルのパス（現在のファイル名を優先、なければ旧ファイル名）
+    findDocumentPath(collection, key) {
+        const dataPath = findExistingVariantSync(this.getFilePath(collection, key));
+        if (dataPath) return dataPath;
+        const legacyPath = this.getLegacyFilePath(collection, key);
+        return legacyPath ? findExistingVariantSync(legacyPath) : null;
+    }
+
+    read(collection, key) {
+        const dataPath = this.findDocumentPath(collection, key);
+        if (!dataPath) return null;
+        return decodeJSONSync(fs.readFileSync(dataPath), dataPath);
+    }
+
+    write(collection, key, data) {
+        const filePath = this.getFilePath(collection, key);
+        const dataPath = getCompressedPath(filePath, this.compression);
+        this.lock(collection, key, () => {
+            const tempPath = `${dataPath}.tmp-${process.pid}`;
+            try {
+                const fd = fs.openSync(tempPath, 'w');
+                try {
+                    fs.writeFileSync(fd, encodeJSONSync(data, this.compression));
+                    fs.fsyncSync(fd);
+                } finally {
+                    fs.closeSync(fd);
+                }
+                fs.renameSync(tempPath, dataPath);
+            } catch (error) {
+                fs.rmSync(tempPath, { force: true });
+                throw error;
+            }
+            syncDirectorySync(path.dirname(dataPath));
+            // 圧縮形式を切り替えた場合の旧形式ファイル・旧ファイル名
+            for (const variant of this.getAllVariantPaths(collection, key)) {
+                if (variant !== dataPath) fs.rmSync(variant, { force: true });
+            }
+        });
+    }
+
+    remove(collection, key) {
+        if (!this.findDocumentPath(collection, key)) return false;
+        this.lock(collection, key, () => {
+            for (const variant of this.getAllVariantPaths(collection, key)) {
+                fs.rmSync(variant, { force: true });
+            }
+        });
+        return true;
+    }
+
+    has(collection, key) {
+        return this.findDocumentPath(collection, key) !== null;
+    }
+
+    getAllVariantPaths(collection, key) {
+        const legacyPath = this.getLegacyFilePath(collection, key);
+        return [
+            ...getVariantPaths(this.getFilePath(collection, key)),
+            ...(legacyPath ? getVariantPaths(legacyPath) : [])
+        ];
+    }
+
+    list(collection) {
+        const directory = this.getDirectory(collection);
+        if (!fs.existsSync(directory)) return [];
+        const keys = fs.readdirSync(directory, { withFileTypes: true })
+            .filter(entry => entry.isFile() && DOCUMENT_FILE_PATTERN.test(entry.name))
+            .map(entry => {
+                const fileName = entry.name.replace(DOCUMENT_FILE_PATTERN, '');
+                return ENCODED_KEY_COLLECTIONS.has(collection) ? decodeFileName(fileName) : fileName;
+            });
+        return Array.from(new Set(keys));
+    }
+
+    // ファイル単位の書き込みのため一括反映はできず、fnをそのまま実行する
+    transaction(fn) {
+        return fn();
+    }
+
+    lock(collection, key, fn) {
+        const filePath = this.getFilePath(collection, key);
+        if (this.heldLocks.has(filePath)) return fn();
+
+        return withFileLockSync(filePath, () => {
+            this.heldLocks.add(filePath);
+            try {
+                return fn();
+            } finally {
+                this.heldLocks.delete(filePath);
+            }
+        }, this.lockOptions);
+    }
+
+    /**
+     * lock() の非同期版（取得待ちでイベントループを止めない）
+     * fn は同期関数（ロック取得後に同期実行するため、保持中に同じインスタンスの他の書き込みは割り込まない）
+     */
+    async lockAsync(collection, key, fn) {
+        const filePath = this.getFilePath(collection, key);
+        if (this.heldLocks.has(filePath)) return fn();
+
+        return withFileLock(filePath, () => {
+            this.heldLocks.add(filePath);
+            try {
+                return fn();
+            } finally {
+                this.heldLocks.delete(filePath);
+            }
+        }, this.lockOptions);
+    }
+
+    describe() {
+        return { type: 'json', location: this.basePath };
+    }
+
+    close() {}
+}
+
+export default JsonFileStorageAdapter;
@@ -0,0 +1,137 @@
+/**
+ * SqliteStorageAdapter - 組み込み node:sqlite による学習データ保存
+ *
+ * 🗄️ 全コレクションを単一DBファイルの documents テーブルに保存（追加パッケージ不要）
+ * 🔒 1ドキュメントの保存は1文のUPSERTで原子的に反映、transaction() で複数保存を一括反映
+ * 📝 WALモードで読み込みと保存を並行させ、保存中の異常終了でも直前の状態を保つ
+ * ⏳ 他の接続（サーバー・学習スクリプト等）が書き込み中の場合は busy_timeout まで待ってから保存する
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// node:sqlite は Node.js 22.13 以降で利用可能（未対応バージョンでも本モジュールの読み込み自体は可能にする）
+function loadSqliteModule() {
+    const sqlite = process.getBuiltinModule ? process.getBuiltinModule('node:sqlite') : undefined;
+    if (!sqlite) {
+        throw new Error(`node:sqlite が利用できません（Node.js ${process.versions.node}）。Node.js 22.13以降を使用するか LEARNING_STORAGE=json を指定してください`);
+    }
+    return sqlite;
+}
+
+// 他の接続の書き込み完了を待つ上限（超えると "database is locked"）
+export const DEFAULT_BUSY_TIMEOUT_MS = 5000;
+
+export class SqliteStorageAdapter {
+    /**
+     * @param {string} dbPath - DBファイルのパス
+     * @param {Object} options - { busyTimeoutMs: 他の接続の書き込み完了を待つ上限(ms) }
+     */
+    constructor(dbPath, { busyTimeoutMs = DEFAULT_BUSY_TIMEOUT_MS } = {}) {
+        this.dbPath = dbPath;
+        this.busyTimeoutMs = busyTimeoutMs;
+        this.db = null;
+        this.statements = null;
+        this.inTransaction = false;
+    }
+
+    initialize() {
+        if (this.db) return;
+
+        const { DatabaseSync } = loadSqliteModule();
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+
+        this.db = new DatabaseSync(this.dbPath);
+        // WALへの切替えもロックを取るため、最初に待ち時間を設定する
+        this.db.exec(`PRAGMA busy_timeout = ${Math.max(0, Math.floor(Number(this.busyTimeoutMs) || 0))};`);
+        this.db.exec(`
+            PRAGMA journal_mode = WAL;
+            PRAGMA synchronous = NORMAL;
+            CREATE TABLE IF NOT EXISTS documents (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                data TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (collection, key)
+            ) WITHOUT ROWID;
+        `);
+
+        this.statements = {
+            read: this.db.prepare('SELECT data FROM documents WHERE collection = ? AND key = ?'),
+            write: this.db.prepare(`
+                INSERT INTO documents (collection, key, data, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (collection, key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            remove: this.db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?'),
+            has: this.db.prepare('SELECT 1 AS found FROM documents WHERE collection = ? AND key = ?'),
+            list: this.db.prepare('SELECT key FROM documents WHERE collection = ? ORDER BY key')
+        };
+        console.log(`🗄️ SQLiteストレージ接続: ${this.dbPath}`);
+    }
+
+    read(collection, key) {
+        const row = this.statements.read.get(collection, key);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    write(collection, key, data) {
+        this.statements.write.run(collection, key, JSON.stringify(data), Date.now());
+    }
+
+    remove(collection, key) {
+        return this.statements.remove.run(collection, key).changes > 0;
+    }
+
+    has(collection, key) {
+        return !!this.statements.has.get(collection, key);
+    }
+
+    list(collection) {
+        return this.statements.list.all(collection).map(row => row.key);
+    }
+
+    /**
+     * fn内の書き込みを単一トランザクションで反映（例外時はロールバック）
+     * fnは同期関数であること。入れ子の呼び出しは外側のトランザクションに含める
+     */
+    transaction(fn) {
+        if (this.inTransaction) return fn();
+
+        this.db.exec('BEGIN IMMEDIATE');
+        this.inTransaction = true;
+        try {
+            const result = fn();
+            this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        } finally {
+            this.inTransaction = false;
+        }
+    }
+
+    // BEGIN IMMEDIATE が他プロセスの書き込みを待たせるため、トランザクションをロックとして使う
+    lock(collection, key, fn) {
+        return this.transaction(fn);
+    }
+
+    // DatabaseSync は同期APIのため lock() と同じ
+    async lockAsync(collection, key, fn) {
+        return this.lock(collection, key, fn);
+    }
+
+    describe() {
+        return { type: 'sqlite', location: this.dbPath };
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements = null;
+        }
+    }
+}
+
+export default SqliteStorageAdapter;
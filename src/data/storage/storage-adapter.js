@@ -0,0 +1,109 @@
+/**
+ * 学習データストレージアダプター
+ *
+ * PersistentLearningDB はデータを「コレクション + キー → JSONドキュメント」として
+ * アダプター経由で読み書きする。アダプターは以下のメソッドを実装する
+ * （lockAsync 以外は同期。既存のファイルI/Oと node:sqlite の DatabaseSync がいずれも同期APIのため）:
+ *
+ *   initialize()                      保存先の準備
+ *   read(collection, key)             ドキュメント取得（存在しない場合はnull）
+ *   write(collection, key, data)      ドキュメント保存（上書き）
+ *   remove(collection, key)           ドキュメント削除（削除できたか）
+ *   has(collection, key)              存在確認
+ *   list(collection)                  キー一覧
+ *   transaction(fn)                   fn内の書き込みを一括反映（非対応アダプターは逐次反映）
+ *   lock(collection, key, fn)         fn実行中は他プロセスからの同一ドキュメントへの書き込みを待たせる
+ *                                     （読み込み→マージ→保存を他プロセスと競合させないため）
+ *   lockAsync(collection, key, fn)    lock() の非同期版（取得待ちでイベントループを止めない。fnは同期関数）
+ *   describe()                        { type, location }
+ *   close()                           接続終了
+ */
+
+import path from 'path';
+import { JsonFileStorageAdapter } from './json-file-storage-adapter.js';
+import { SqliteStorageAdapter } from './sqlite-storage-adapter.js';
+import { InMemoryStorageAdapter } from './in-memory-storage-adapter.js';
+
+export const STORAGE_COLLECTIONS = {
+    LEARNING: 'learning',            // 学習モデル本体（data/learning 直下のJSON）
+    USER_PROFILES: 'user_profiles',
+    SYSTEM_DATA: 'system_data',
+    CHAT_SESSIONS: 'chat_sessions'
+};
+
+// LEARNING コレクションでPersistentLearningDBが管理するドキュメント
+// （data/learning 直下には他モジュールが直接書き込むファイルもあるため移行対象を限定する）
+export const LEARNING_DOCUMENTS = [
+    'user-relations',
+    'concept-learning',
+    'conversation-history',
+    'learning-stats',
+    'bandit-data',
+    'ngram-data',
+    'quality-training-data',
+    'quality-prediction-model',
+    'improvement-patterns'
+];
+
+export const STORAGE_TYPES = ['json', 'sqlite', 'memory'];
+export const SQLITE_FILE_NAME = 'learning.sqlite';
+
+/**
+ * ストレージアダプター作成
+ * @param {string} basePath - 学習データディレクトリ
+ * @param {string} type - 'json'（既定）| 'sqlite' | 'memory'（環境変数 LEARNING_STORAGE で指定）
+ */
+export function createStorageAdapter(basePath, type = process.env.LEARNING_STORAGE || 'json') {
+    if (type === 'json') {
+        return new JsonFileStorageAdapter(basePath);
+    }
+    if (type === 'sqlite') {
+        return new SqliteStorageAdapter(path.join(basePath, SQLITE_FILE_NAME));
+    }
+    if (type === 'memory') {
+        return new InMemoryStorageAdapter();
+    }
+    throw new Error(`不明なストレージ種別: ${type} (${STORAGE_TYPES.join(' / ')})`);
+}
+
+/**
+ * コレクション内のドキュメントキー一覧
+ * learning コレクションは PersistentLearningDB が管理するドキュメントに限定する
+ */
+export function listDocumentKeys(storage, collection) {
+    return collection === STORAGE_COLLECTIONS.LEARNING
+        ? LEARNING_DOCUMENTS.filter(key => storage.has(collection, key))
+        : storage.list(collection);
+}
+
+/**
+ * ストレージ間のデータ移行（JSONレイアウト → SQLite の一括移行、バックアップの作成・復元）
+ * @param {Object} source - 移行元アダプター
+ * @param {Object} target - 移行先アダプター
+ * @param {Object} options - { overwrite: 移行先の既存ドキュメントを上書きするか, collections: 対象コレクション（既定は全て） }
+ * @returns {Object} { migrated: コレクション別件数, skipped, errors: [{ collection, key, error }] }
+ */
+export function migrateStorage(source, target, { overwrite = false, collections = Object.values(STORAGE_COLLECTIONS) } = {}) {
+    const result = { migrated: {}, skipped: 0, errors: [] };
+
+    target.transaction(() => {
+        for (const collection of collections) {
+            result.migrated[collection] = 0;
+
+            for (const key of listDocumentKeys(source, collection)) {
+                if (!overwrite && target.has(collection, key)) {
+                    result.skipped++;
+                    continue;
+                }
+                try {
+                    target.write(collection, key, source.read(collection, key));
+                    result.migrated[collection]++;
+                } catch (error) {
+                    result.errors.push({ collection, key, error: error.message });
+                }
+            }
+        }
+    });
+
+    return result;
+}
@@ -0,0 +1,101 @@
+/**
+ * UserPrivacyManager - ユーザー単位のデータエクスポート・削除
+ *
+ * 📦 各学習器・対話履歴に分散したユーザーデータを単一アーカイブとしてエクスポート
+ * 🗑️ 永続ストアとインメモリキャッシュの両方からユーザーを削除し、ストア別の削除レポートを返す
+ */
+
+export const USER_ARCHIVE_FORMAT = 'jp-statistical-ai/user-archive';
+export const USER_ARCHIVE_VERSION = 1;
+
+export class UserPrivacyManager {
+    /**
+     * @param {PersistentLearningDB} persistentDB - 永続化DB
+     * @param {ChatSessionManager|null} chatSessionManager - 対話セッション管理（キャッシュ破棄用）
+     */
+    constructor(persistentDB, chatSessionManager = null) {
+        this.persistentLearningDB = persistentDB;
+        this.chatSessionManager = chatSessionManager;
+
+        // インメモリにユーザーデータを保持するストア: Map<name, (userId) => boolean>
+        this.memoryStores = new Map();
+    }
+
+    /**
+     * インメモリストア登録
+     * @param {string} name - ストア名（削除レポートに使用）
+     * @param {Function} evict - (userId) => 破棄したデータが存在したか
+     */
+    registerMemoryStore(name, evict) {
+        this.memoryStores.set(name, evict);
+    }
+
+    /**
+     * ユーザーデータエクスポート
+     * @param {string} userId - ユーザーID
+     * @returns {Promise<Object|null>} ポータブルアーカイブ（データが存在しない場合はnull）
+     */
+    async exportUser(userId) {
+        const data = await this.persistentLearningDB.collectUserData(userId);
+        if (!this.hasAnyData(data)) {
+            return null;
+        }
+
+        return {
+            format: USER_ARCHIVE_FORMAT,
+            version: USER_ARCHIVE_VERSION,
+            userId,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    }
+
+    /**
+     * ユーザーデータ削除
+     * インメモリキャッシュを先に破棄し、削除後に古いデータが再保存されないようにする。
+     * @param {string} userId - ユーザーID
+     * @returns {Promise<Object>} 削除レポート { userId, deletedAt, stores, summary }
+     */
+    async deleteUser(userId) {
+        const stores = [];
+
+        if (this.chatSessionManager) {
+            stores.push({ store: 'memory.chatSessions', status: this.chatSessionManager.evictUser(userId) ? 'deleted' : 'not_found' });
+        }
+        for (const [name, evict] of this.memoryStores) {
+            try {
+                stores.push({ store: `memory.${name}`, status: await evict(userId) ? 'deleted' : 'not_found' });
+            } catch (error) {
+                console.error(`❌ インメモリデータ破棄エラー (${name}):`, error.message);
+                stores.push({ store: `memory.${name}`, status: 'error', reason: error.message });
+            }
+        }
+
+        stores.push(...await this.persistentLearningDB.purgeUserData(userId));
+
+        const summary = {};
+        for (const { status } of stores) {
+            summary[status] = (summary[status] || 0) + 1;
+        }
+
+        return {
+            userId,
+            deletedAt: new Date().toISOString(),
+            stores,
+            summary
+        };
+    }
+
+    /**
+     * 収集データに実データが含まれるか
+     */
+    hasAnyData(data) {
+        return Object.values(data.profiles).some(profile => profile !== null) ||
+            data.userRelations !== null ||
+            data.chatSessions !== null ||
+            data.learningEvents.length > 0 ||
+            data.conversationHistory.length > 0;
+    }
+}
+
+export default UserPrivacyManager;
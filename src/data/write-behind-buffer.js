@@ -0,0 +1,168 @@
+/**
+ * WriteBehindBuffer - 学習コンポーネント共通の遅延書き込み（write-behind）
+ *
+ * ✏️ 学習のたびに markDirty() で変更を記録し、保存はまとめて行う
+ * ⏱️ 最後の変更から flushIntervalMs 経過、または最初の未保存変更から maxStalenessMs 経過で保存
+ *    （変更が途切れない高負荷時も maxStalenessMs を超えて未保存のまま残さない）
+ * 🛑 終了時は各コンポーネントの cleanup() から flush() を呼び、未保存の変更を必ず書き込む
+ *
+ * flushIntervalMs が0の場合は markDirty() のたびに保存する（write-through。単体利用時の既定）。
+ * キー単位で変更を管理するため、ユーザー別プロファイルのように保存単位が複数ある場合も共有できる。
+ */
+
+export const DEFAULT_KEY = 'default';
+
+export const DEFAULT_WRITE_BEHIND_OPTIONS = {
+    flushIntervalMs: 0,
+    maxStalenessMs: 10000
+};
+
+/**
+ * サーバー用の設定（環境変数 LEARNING_FLUSH_INTERVAL_MS / LEARNING_MAX_STALENESS_MS、0で write-through）
+ */
+export function getWriteBehindOptionsFromEnv(env = process.env) {
+    return {
+        flushIntervalMs: Number(env.LEARNING_FLUSH_INTERVAL_MS || 2000),
+        maxStalenessMs: Number(env.LEARNING_MAX_STALENESS_MS || 10000)
+    };
+}
+
+export class WriteBehindBuffer {
+    /**
+     * @param {string} name - ログ表示用の名前
+     * @param {Function} flushFn - async (key) => void 保存処理
+     * @param {Object} options - { flushIntervalMs, maxStalenessMs }
+     */
+    constructor(name, flushFn, options = {}) {
+        this.name = name;
+        this.flushFn = flushFn;
+        this.options = { ...DEFAULT_WRITE_BEHIND_OPTIONS, ...options };
+
+        this.dirtyKeys = new Set();
+        this.firstDirtyAt = null;
+        this.timer = null;
+        this.flushing = null;
+        this.stats = {
+            marks: 0,
+            flushes: 0,
+            writes: 0,
+            errors: 0
+        };
+    }
+
+    get isWriteThrough() {
+        return !(this.options.flushIntervalMs > 0);
+    }
+
+    /**
+     * 未保存の変更があるか（キー省略時は全体）
+     */
+    hasPendingChanges(key = null) {
+        return key === null ? this.dirtyKeys.size > 0 : this.dirtyKeys.has(key);
+    }
+
+    /**
+     * 変更を記録（write-through時は保存完了まで待つ）
+     */
+    async markDirty(key = DEFAULT_KEY) {
+        this.dirtyKeys.add(key);
+        this.stats.marks++;
+
+        if (this.isWriteThrough) {
+            await this.flush();
+            return;
+        }
+        if (this.firstDirtyAt === null) {
+            this.firstDirtyAt = Date.now();
+        }
+        this.schedule();
+    }
+
+    /**
+     * 未保存の変更を破棄（削除したユーザーのプロファイル等）
+     */
+    discard(key = DEFAULT_KEY) {
+        this.dirtyKeys.delete(key);
+        if (this.dirtyKeys.size === 0) {
+            this.cancelTimer();
+            this.firstDirtyAt = null;
+        }
+    }
+
+    schedule() {
+        const now = Date.now();
+        const deadline = Math.min(now + this.options.flushIntervalMs, this.firstDirtyAt + this.options.maxStalenessMs);
+
+        this.cancelTimer();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(error => {
+                console.error(`❌ 遅延書き込みエラー (${this.name}):`, error.message);
+            });
+        }, Math.max(0, deadline - now));
+        this.timer.unref();
+    }
+
+    cancelTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 未保存の変更をすべて保存
+     * 保存に失敗したキーは未保存のまま残し（次回の flush で再試行）、最初のエラーを投げる
+     */
+    async flush() {
+        // 保存中の変更は保存完了後に改めて保存する
+        while (this.flushing) {
+            await this.flushing.catch(() => {});
+        }
+
+        this.cancelTimer();
+        if (this.dirtyKeys.size === 0) return;
+
+        const keys = Array.from(this.dirtyKeys);
+        this.dirtyKeys.clear();
+        this.firstDirtyAt = null;
+        this.stats.flushes++;
+
+        this.flushing = this.writeKeys(keys);
+        try {
+            await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    async writeKeys(keys) {
+        let firstError = null;
+        for (const key of keys) {
+            try {
+                await this.flushFn(key);
+                this.stats.writes++;
+            } catch (error) {
+                this.stats.errors++;
+                this.dirtyKeys.add(key);
+                if (!firstError) firstError = error;
+            }
+        }
+
+        if (firstError) {
+            if (this.firstDirtyAt === null) this.firstDirtyAt = Date.now();
+            if (!this.isWriteThrough) this.schedule();
+            throw firstError;
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            pending: this.dirtyKeys.size,
+            writeThrough: this.isWriteThrough
+        };
+    }
+}
+
+export default WriteBehindBuffer;
@@ -162,7 +162,7 @@ export class VocabularyDiversifier {
      */
     async initializeDictionaryDB() {
         try {
-            const { default: DictionaryDBCore } = await import('./dictionary-db-core.js');
+            const { default: DictionaryDBCore } = await import('../../foundation/dictionary/dictionary-db-core.js');
             this.dictionaryDB = new DictionaryDBCore();
             
             // 配布DB読み込み（軽量版）
@@ -498,6 +498,11 @@ export class VocabularyDiversifier {
         // };
         
         // return criticalPairs[original]?.includes(synonym) || false;
+        
+        // 辞書上の反義語は置き換え候補にしない
+        if (this.dictionaryDB && this.dictionaryDB.isAntonymPair(original, synonym)) {
+            return true;
+        }
         return false;
     }
     
@@ -1,9 +1,13 @@
 import { StatisticalResponseGenerator, ResponseStrategies } from '../statistical-response-generator.js';
 import { jest } from '@jest/globals';
+import { AIVocabularyProcessor } from '../../../processing/vocabulary/ai-vocabulary-processor.js';
+import { MultiArmedBanditVocabularyAI } from '../../../learning/bandit/multi-armed-bandit-vocabulary.js';
+import { LEARNING_EVENT_TYPES } from '../../../data/learning-event-log.js';
 
 // 依存関係のモック
 const mockAIVocabularyProcessor = {
   processText: jest.fn(),
+  propagateFeedback: jest.fn(),
 };
 
 const mockPersistentLearningDB = {
@@ -11,6 +15,18 @@ const mockPersistentLearningDB = {
   saveBanditData: jest.fn(),
   getUserSpecificRelations: jest.fn().mockResolvedValue({ userRelations: {} }),
   getQualityStats: jest.fn().mockResolvedValue({ average: 0.5, stdDev: 0.1, count: 0 }),
+  loadSystemData: jest.fn().mockResolvedValue(null),
+  saveSystemData: jest.fn().mockResolvedValue(undefined),
+};
+
+// 分析後の各段階を固定値に差し替え（応答組み立てのモックを返す）
+const stubGenerationPipeline = (generator) => {
+  jest.spyOn(generator.strategyManager, 'determineDialogueStage').mockResolvedValue('exploration');
+  jest.spyOn(generator.strategyManager, 'selectResponseStrategy').mockResolvedValue(ResponseStrategies.NGRAM_CONTINUATION);
+  const assemble = jest.spyOn(generator.responseAssembler, 'generateStatisticalResponse').mockResolvedValue({ sentence: '晴れると良いですね。' });
+  jest.spyOn(generator.qualityEvaluator, 'evaluateAndImprove').mockResolvedValue({ qualityScore: 0.8, grade: 'good', confidence: 0.7, improvements: [] });
+  jest.spyOn(generator, 'improveWithDialogueLearning').mockResolvedValue({ improved: false });
+  return assemble;
 };
 
 describe('StatisticalResponseGenerator', () => {
@@ -31,15 +47,23 @@ describe('StatisticalResponseGenerator', () => {
       processingTime: 10,
     });
 
+    mockAIVocabularyProcessor.propagateFeedback.mockReset().mockResolvedValue(undefined);
+
     mockPersistentLearningDB.loadBanditData.mockReset().mockResolvedValue(null);
     mockPersistentLearningDB.saveBanditData.mockReset().mockResolvedValue(undefined);
     mockPersistentLearningDB.getUserSpecificRelations.mockReset().mockResolvedValue({ userRelations: {} });
     mockPersistentLearningDB.getQualityStats.mockReset().mockResolvedValue({ average: 0.5, stdDev: 0.1, count: 0 });
 
+    delete mockAIVocabularyProcessor.hybridProcessor;
+
     generator = new StatisticalResponseGenerator(mockAIVocabularyProcessor, mockPersistentLearningDB);
     generator.initializeStrategies(); // 戦略を初期化
   });
 
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   test('初期化時に戦略が正しく設定されるべき', () => {
     expect(generator.strategyStats.size).toBeGreaterThan(0);
     expect(generator.strategyStats.has(ResponseStrategies.NGRAM_CONTINUATION)).toBe(true);
@@ -51,7 +75,7 @@ describe('StatisticalResponseGenerator', () => {
 
     const result = await generator.generateResponse(userInput, userId);
 
-    expect(mockAIVocabularyProcessor.processText).toHaveBeenCalledWith(userInput, userId);
+    expect(mockAIVocabularyProcessor.processText).toHaveBeenCalledWith(userInput, userId, { readOnly: false });
     expect(result.success).toBe(true);
     expect(result.response).toBeDefined();
     expect(result.strategy).toBeDefined();
@@ -118,6 +142,103 @@ describe('StatisticalResponseGenerator', () => {
     expect(strategyStats.lastUsed).toBeGreaterThan(0);
   });
 
+  test('キーワードを持たない履歴ターンはユーザー入力の形態素解析からキーワードを補うべき', async () => {
+    mockAIVocabularyProcessor.hybridProcessor = {
+      processText: jest.fn().mockResolvedValue({ tokens: [{ surface: '天気', pos: '名詞' }, { surface: 'は', pos: '助詞' }] }),
+    };
+    const assemble = stubGenerationPipeline(generator);
+
+    await generator.generateResponse('散歩しよう', 'user1', {
+      history: [{ userInput: '天気はどう？', aiResponse: '晴れです' }, { userInput: '雨かな', aiResponse: '', keywords: ['雨'] }],
+    });
+
+    const analysis = assemble.mock.calls[0][0];
+    expect(mockAIVocabularyProcessor.hybridProcessor.processText).toHaveBeenCalledTimes(1);
+    expect(analysis.conversationHistory.map(turn => turn.keywords)).toEqual([['天気'], ['雨']]);
+    expect(generator.responseAssembler.extractHistoryTerms(analysis.conversationHistory).map(({ term }) => term)).toEqual(['雨', '天気']);
+  });
+
+  test('説明リクエストは戦略統計・学習・文脈履歴を更新しないべき', async () => {
+    // 実際の5AI分析・品質評価経路を通し、学習器だけをテストダブルにする
+    const learningDB = {
+      ...mockPersistentLearningDB,
+      appendLearningEvent: jest.fn()
+    };
+    const banditAI = new MultiArmedBanditVocabularyAI(learningDB);
+    const cooccurrenceLearner = {
+      isInitialized: true,
+      initializeLearner: jest.fn().mockResolvedValue(undefined),
+      analyze: jest.fn().mockResolvedValue(undefined),
+      learnFromFeedback: jest.fn().mockResolvedValue(undefined),
+      getLearningStats: jest.fn().mockReturnValue({ totalTerms: 0 }),
+      getUserRelationsData: jest.fn().mockReturnValue({})
+    };
+    const qualityPredictor = {
+      initializeAIModules: jest.fn().mockResolvedValue(undefined),
+      predictQuality: jest.fn().mockResolvedValue({ qualityScore: 0.8, confidence: 0.7, improvements: [] }),
+      learnFromResponse: jest.fn().mockResolvedValue(undefined)
+    };
+    const aiProcessor = new AIVocabularyProcessor(
+      banditAI,
+      {
+        initialize: jest.fn().mockResolvedValue(undefined),
+        predictContext: jest.fn().mockResolvedValue({ predictedCategory: 'general', confidence: 0.6 }),
+        learnPattern: jest.fn().mockResolvedValue(undefined)
+      },
+      {
+        initialize: jest.fn().mockResolvedValue(undefined),
+        adaptForUser: jest.fn().mockResolvedValue({ adaptedCategory: 'general', adaptationScore: 0.5 }),
+        learnUserBehavior: jest.fn().mockResolvedValue(undefined)
+      },
+      cooccurrenceLearner,
+      qualityPredictor,
+      {
+        initialize: jest.fn().mockResolvedValue(undefined),
+        processText: jest.fn().mockResolvedValue({
+          enhancedTerms: [{ term: '散歩', pos: '名詞' }, { term: 'しよう', pos: '動詞' }]
+        })
+      },
+      { initialize: jest.fn().mockResolvedValue(undefined), lookup: jest.fn().mockResolvedValue(null) }
+    );
+    generator = new StatisticalResponseGenerator(aiProcessor, learningDB);
+    generator.initializeStrategies();
+    jest.spyOn(generator.strategyManager, 'determineDialogueStage').mockResolvedValue('exploration');
+    jest.spyOn(generator.strategyManager, 'calculateDynamicStrategyScores').mockResolvedValue({});
+    jest.spyOn(generator.responseAssembler, 'generateStatisticalResponse').mockResolvedValue({ sentence: '散歩は気持ちいいですね。' });
+    const propagateFeedback = jest.spyOn(aiProcessor, 'propagateFeedback');
+
+    const snapshot = () => JSON.stringify({
+      strategies: Array.from(generator.strategyManager.strategyStats.entries()),
+      bandit: Array.from(banditAI.vocabularyStats.entries()),
+      totalSelections: banditAI.totalSelections,
+      tfidfDocuments: aiProcessor.documentCount
+    });
+    const before = snapshot();
+
+    const explained = await generator.generateResponse('散歩しよう', 'user1', { explain: true });
+
+    expect(explained.success).toBe(true);
+    expect(explained.trace.strategy.selected).toBe(explained.strategy);
+    expect(explained.trace.quality.qualityScore).toBe(0.8);
+    expect(snapshot()).toBe(before);
+    expect(cooccurrenceLearner.analyze).not.toHaveBeenCalled();
+    expect(qualityPredictor.learnFromResponse).not.toHaveBeenCalled();
+    expect(learningDB.appendLearningEvent).not.toHaveBeenCalled();
+    expect(propagateFeedback).not.toHaveBeenCalled();
+    expect(generator.contextHistory).toHaveLength(0);
+
+    // 通常の応答生成では更新する
+    const result = await generator.generateResponse('散歩しよう', 'user1');
+    expect(result.strategy).toBe(explained.strategy);
+    expect(snapshot()).not.toBe(before);
+    expect(banditAI.vocabularyStats.get('散歩').selections).toBeGreaterThan(0);
+    expect(cooccurrenceLearner.analyze).toHaveBeenCalled();
+    expect(qualityPredictor.learnFromResponse).toHaveBeenCalledTimes(1);
+    expect(learningDB.appendLearningEvent).toHaveBeenCalledWith(LEARNING_EVENT_TYPES.BANDIT_SELECTION, { vocabulary: '散歩' });
+    expect(propagateFeedback).toHaveBeenCalledTimes(1);
+    expect(generator.contextHistory).toHaveLength(1);
+  });
+
   test('エラー発生時にフォールバック応答を返すはず', async () => {
     mockAIVocabularyProcessor.processText.mockRejectedValue(new Error('AI処理エラー'));
 
@@ -109,16 +109,25 @@ export class ResponseAssembler {
 
   /**
    * 純粋統計学習ベース応答生成（テンプレート完全回避）
+   * @param {Function} [reportProgress] - 段階進捗通知 (stage, data) => void
+   * @param {Object} [trace] - 説明トレース（指定時は関連語・候補ごとのPCFG連鎖と評価内訳を記録）
    */
-  async generateStatisticalResponse(analysis, strategy = null, userId = 'default', generateSyntacticStructure, evaluateSentenceQuality, calculateResponseMetrics, extractRelationshipPatterns, buildSemanticContext, filterKeywordsByStatisticalQuality, getLearnedRelatedTerms) {
+  async generateStatisticalResponse(analysis, strategy = null, userId = 'default', generateSyntacticStructure, evaluateSentenceQuality, calculateResponseMetrics, extractRelationshipPatterns, buildSemanticContext, filterKeywordsByStatisticalQuality, getLearnedRelatedTerms, reportProgress = null, trace = null) {
     const { originalText, processedTokens, cooccurrenceAnalysis } = analysis;
     
     try {
       // 1. 複数の応答候補を生成
-      const candidateResponses = await this.generateCandidateResponses(analysis, userId, generateSyntacticStructure, extractRelationshipPatterns, buildSemanticContext, filterKeywordsByStatisticalQuality, getLearnedRelatedTerms);
+      const candidateResponses = await this.generateCandidateResponses(analysis, userId, generateSyntacticStructure, extractRelationshipPatterns, buildSemanticContext, filterKeywordsByStatisticalQuality, getLearnedRelatedTerms, reportProgress, trace);
 
       if (candidateResponses.length === 0) {
-        return await this.generateMinimalStatisticalResponse(originalText, []);
+        const minimalResponse = await this.generateMinimalStatisticalResponse(originalText, []);
+        if (reportProgress) {
+          reportProgress('candidates', { candidates: [], selectedResponse: minimalResponse });
+        }
+        if (trace) {
+          trace.selection = { method: 'minimal_fallback', reason: 'no_candidates', response: minimalResponse };
+        }
+        return minimalResponse;
       }
 
       // 2. 各候補を評価
@@ -126,7 +135,7 @@ export class ResponseAssembler {
           const qualityScore = await this.qualityEvaluator.evaluateSentenceQuality(candidate.response, candidate.confidence);
           const metrics = await this.qualityEvaluator.calculateResponseMetrics(candidate.response, candidate.syntacticStructure, candidate.responseTokens);
           const totalScore = qualityScore * 0.6 + metrics.diversityScore * 0.2 + metrics.coherenceScore * 0.2;
-          return { ...candidate, totalScore };
+          return { ...candidate, sentenceQuality: qualityScore, metrics, totalScore };
       }));
 
       // 3. 最適な応答を選択
@@ -134,38 +143,114 @@ export class ResponseAssembler {
           return current.totalScore > best.totalScore ? current : best;
       });
 
+      if (trace) {
+        evaluatedCandidates.forEach((candidate) => {
+          const candidateTrace = trace.candidates[candidate.candidateIndex];
+          candidateTrace.evaluation = {
+            sentenceQuality: candidate.sentenceQuality,
+            metrics: candidate.metrics,
+            weights: { sentenceQuality: 0.6, diversityScore: 0.2, coherenceScore: 0.2 },
+            totalScore: candidate.totalScore
+          };
+        });
+        trace.selection = {
+          method: 'max_total_score',
+          selectedCandidateIndex: bestResponse.candidateIndex,
+          response: bestResponse.response
+        };
+      }
+
+      if (reportProgress) {
+        reportProgress('candidates', {
+          candidates: evaluatedCandidates.map(candidate => ({
+            response: candidate.response,
+            confidence: candidate.confidence,
+            totalScore: candidate.totalScore
+          })),
+          selectedResponse: bestResponse.response
+        });
+      }
+
       return bestResponse.response || await this.generateMinimalStatisticalResponse(originalText, []);
 
     } catch (error) {
       console.warn('統計的応答生成エラー:', error.message);
-      return await this.generateMinimalStatisticalResponse(originalText, []);
+      const minimalResponse = await this.generateMinimalStatisticalResponse(originalText, []);
+      if (trace) {
+        trace.selection = { method: 'minimal_fallback', reason: error.message, response: minimalResponse };
+      }
+      return minimalResponse;
     }
   }
 
   /**
    * 応答候補の生成
    */
-  async generateCandidateResponses(analysis, userId, generateSyntacticStructure, extractRelationshipPatterns, buildSemanticContext, filterKeywordsByStatisticalQuality, getLearnedRelatedTerms) {
+  async generateCandidateResponses(analysis, userId, generateSyntacticStructure, extractRelationshipPatterns, buildSemanticContext, filterKeywordsByStatisticalQuality, getLearnedRelatedTerms, reportProgress = null, trace = null) {
       const { originalText, processedTokens, cooccurrenceAnalysis } = analysis;
       const inputKeywords = processedTokens.map(t => t.surface || t.word || t.term || t).filter(Boolean);
-      const allRelatedTerms = Object.values(cooccurrenceAnalysis?.relatedTerms || {}).flat();
+      const cooccurrenceTerms = Object.values(cooccurrenceAnalysis?.relatedTerms || {}).flat();
+      const historyTerms = this.extractHistoryTerms(analysis.conversationHistory);
+      const allRelatedTerms = [...cooccurrenceTerms, ...historyTerms];
       const semanticContext = await buildSemanticContext(inputKeywords, allRelatedTerms);
+
+      if (trace) {
+        const describeTerm = (source) => (related) => ({
+          term: related.term,
+          strength: related.strength || 0,
+          count: related.count || 0,
+          source
+        });
+        trace.relatedTerms = [
+          ...cooccurrenceTerms.map(describeTerm('cooccurrence')),
+          ...historyTerms.map(describeTerm('history'))
+        ];
+        trace.semanticContext = semanticContext.map(ctx => ({
+          term: ctx.term,
+          relevance: ctx.relevance || ctx.strength || 0,
+          phase3Enhanced: !!ctx.phase3Enhanced
+        }));
+        trace.candidates = [];
+      }
       
       const candidateResponses = [];
       const numCandidates = this.learningConfig.numResponseCandidates || 1; // 設定から読み込む
 
       for (let i = 0; i < numCandidates; i++) {
         const relationshipPatterns = await extractRelationshipPatterns(semanticContext);
-        const syntacticStructure = await this.syntacticGenerator.generateSyntacticStructure(inputKeywords, relationshipPatterns, userId);
+        const pcfgTrace = trace ? {} : null;
+        const syntacticStructure = await this.syntacticGenerator.generateSyntacticStructure(inputKeywords, relationshipPatterns, userId, pcfgTrace);
+        if (reportProgress) {
+          reportProgress('structure', {
+            candidateIndex: i,
+            structure: syntacticStructure.structure,
+            primaryTerm: syntacticStructure.primaryTerm,
+            confidence: syntacticStructure.confidence
+          });
+        }
         const responseTokens = await this.generateResponseTokens(syntacticStructure, semanticContext);
         
         // assembleSentenceのロジックをここに統合・リファクタリング
         const { primary, support, structure, confidence, finalResponse } = responseTokens;
+        if (trace) {
+          trace.candidates.push({
+            candidateIndex: i,
+            relationshipPatterns: (relationshipPatterns || []).map(pattern => ({ term: pattern.term, strength: pattern.strength || 0 })),
+            pcfg: pcfgTrace,
+            structure: syntacticStructure.structure,
+            primaryTerm: primary,
+            supportTerms: support,
+            confidence,
+            response: finalResponse || null,
+            discarded: !primary
+          });
+        }
         if (!primary) continue;
 
         let generatedResponse = finalResponse; // SyntacticStructureGeneratorが生成した最終応答を使用
 
         candidateResponses.push({
+          candidateIndex: i,
           response: generatedResponse,
           syntacticStructure: syntacticStructure,
           responseTokens: responseTokens,
@@ -175,6 +260,26 @@ export class ResponseAssembler {
       return candidateResponses;
   }
 
+  /**
+   * セッション履歴から文脈語彙を抽出
+   * 新しいターンほど強度が高くなるよう指数減衰で重み付け
+   */
+  extractHistoryTerms(conversationHistory = []) {
+    if (!Array.isArray(conversationHistory) || conversationHistory.length === 0) {
+      return [];
+    }
+
+    const decay = this.learningConfig?.historyDecayFactor || 0.8;
+    const historyTerms = [];
+    conversationHistory.slice().reverse().forEach((turn, age) => {
+      const strength = Math.pow(decay, age + 1);
+      for (const keyword of turn.keywords || []) {
+        historyTerms.push({ term: keyword, strength, count: 1, relevance: strength });
+      }
+    });
+    return historyTerms;
+  }
+
   /**
    * 統計的応答トークン生成
    * Phase 3分布意味論を活用した高度な語彙選択
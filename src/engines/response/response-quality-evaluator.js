@@ -7,12 +7,16 @@ export class ResponseQualityEvaluator {
 
   /**
    * 品質評価・改善
+   * @param {Object} [trace] - 説明トレース（指定時は品質評価の内訳を記録）
+   * @param {Object} [options] - { readOnly: 品質予測モデルへの自動学習など学習状態の更新を行わない（説明リクエスト用） }
    */
-  async evaluateAndImprove(response, analysis, userId) {
+  async evaluateAndImprove(response, analysis, userId, trace = null, { readOnly = false } = {}) {
     try {
       // 生成応答の品質評価
-      const responseAnalysis = await this.aiProcessor.processText(response);
+      const responseAnalysis = await this.aiProcessor.processText(response, userId, { readOnly });
       const qualityScore = responseAnalysis.qualityPrediction?.qualityScore || analysis.qualityPrediction?.qualityScore || 0.5;
+      const qualitySource = responseAnalysis.qualityPrediction?.qualityScore ? 'response_prediction'
+        : analysis.qualityPrediction?.qualityScore ? 'input_prediction' : 'default';
       const confidence = responseAnalysis.qualityPrediction?.confidence || analysis.qualityPrediction?.confidence || 0.5;
 
       // 統計情報に基づいて品質グレードを動的に決定
@@ -36,13 +40,15 @@ export class ResponseQualityEvaluator {
       };
 
       // 自動学習: 応答品質を品質予測モデルの訓練データとして追加
-      try {
-        await this.aiProcessor.qualityPredictor.learnFromResponse(
-          { text: response, metadata: { userId } },
-          qualityScore
-        );
-      } catch (learningError) {
-        console.warn('⚠️ 品質予測自動学習エラー:', learningError.message);
+      if (!readOnly) {
+        try {
+          await this.aiProcessor.qualityPredictor.learnFromResponse(
+            { text: response, metadata: { userId } },
+            qualityScore
+          );
+        } catch (learningError) {
+          console.warn('⚠️ 品質予測自動学習エラー:', learningError.message);
+        }
       }
 
       // 品質が低い場合の改善試行
@@ -50,11 +56,31 @@ export class ResponseQualityEvaluator {
         const improvedResponse = await this.improveResponse(response, analysis);
         result.improvedResponse = improvedResponse;
       }
+
+      if (trace) {
+        trace.quality = {
+          qualityScore,
+          qualitySource,
+          confidence,
+          predictionFeatures: responseAnalysis.qualityPrediction?.features || null,
+          gradeThresholds: {
+            excellent: average + stdDev,
+            good: average,
+            acceptable: average - stdDev
+          },
+          grade,
+          improvements: result.improvements,
+          improvedResponse: result.improvedResponse || null
+        };
+      }
       
       return result;
       
     } catch (error) {
       console.warn('品質評価エラー:', error.message);
+      if (trace) {
+        trace.quality = { qualityScore: 0.5, qualitySource: 'error', confidence: 0.5, grade: 'acceptable', error: error.message };
+      }
       return {
         qualityScore: 0.5,
         confidence: 0.5,
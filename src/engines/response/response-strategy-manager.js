@@ -98,9 +98,11 @@ export class ResponseStrategyManager {
    * 統計的応答戦略選択 (UCBアルゴリズム)
    * @param {Object} analysis - 5AI分析結果
    * @param {string} dialogueStage - 現在の対話ステージ
+   * @param {Object} [trace] - 説明トレース（指定時は戦略別スコアを記録）
+   * @param {Object} [options] - { recordSelection: 戦略の使用回数を更新する（説明リクエストでは false） }
    * @returns {Promise<string>} 選択された戦略
    */
-  async selectResponseStrategy(analysis, dialogueStage) {
+  async selectResponseStrategy(analysis, dialogueStage, trace = null, { recordSelection = true } = {}) {
     const { predictedContext, optimizedVocabulary, adaptedContent } = analysis;
     
     // 統計学習ベース動的スコア計算（固定値完全除去）
@@ -112,6 +114,7 @@ export class ResponseStrategyManager {
     
     let bestStrategy = ResponseStrategies.NGRAM_CONTINUATION;
     let bestUCB = -Infinity;
+    const ucbScores = {};
 
     Object.values(ResponseStrategies).forEach(strategy => {
       const stats = this.strategyStats.get(strategy);
@@ -123,6 +126,7 @@ export class ResponseStrategyManager {
         : 10; // 未選択戦略に高いボーナス
 
       const ucbScore = stats.averageReward + explorationBonus + baseScore * 0.1;
+      ucbScores[strategy] = { baseScore, averageReward: stats.averageReward, selections: stats.selections, explorationBonus, ucbScore };
 
       if (ucbScore > bestUCB) {
         bestUCB = ucbScore;
@@ -131,9 +135,20 @@ export class ResponseStrategyManager {
     });
 
     // 戦略使用回数更新
-    const strategyStats = this.strategyStats.get(bestStrategy);
-    strategyStats.selections++;
-    strategyStats.lastUsed = Date.now();
+    if (recordSelection) {
+      const strategyStats = this.strategyStats.get(bestStrategy);
+      strategyStats.selections++;
+      strategyStats.lastUsed = Date.now();
+    }
+
+    if (trace) {
+      trace.strategy = {
+        dialogueStage,
+        totalSelections,
+        scores: ucbScores,
+        selected: bestStrategy
+      };
+    }
 
     return bestStrategy;
   }
@@ -133,29 +133,63 @@ class StatisticalResponseGenerator {
    * メイン応答生成メソッド
    * @param {string} userInput - ユーザー入力テキスト
    * @param {string} userId - ユーザーID
+   * @param {Object} [options] - 生成オプション
+   * @param {Function} [options.onProgress] - 段階進捗コールバック ({ stage, ...data }) => void
+   * @param {AbortSignal} [options.signal] - 生成キャンセル用シグナル
+   * @param {Array<Object>} [options.history] - セッションの直近対話ターン（文脈として使用）
+   * @param {boolean} [options.explain] - 判断経路の説明トレースを結果に含める（戦略統計・学習・文脈履歴は更新しない）
    * @returns {Promise<Object>} 応答生成結果
    */
-  async generateResponse(userInput, userId = 'default') {
+  async generateResponse(userInput, userId = 'default', options = {}) {
+    const { onProgress = null, signal = null, history = [], explain = false } = options;
+    const startTime = Date.now();
+    const trace = explain ? this.createExplainTrace(userInput, userId) : null;
+    const withTrace = (result) => trace ? { ...result, trace } : result;
+    const reportProgress = (stage, data = {}) => {
+      if (!onProgress) return;
+      try {
+        onProgress({ stage, ...data, elapsed: Date.now() - startTime });
+      } catch (progressError) {
+        console.warn('進捗通知エラー:', progressError.message);
+      }
+    };
+
     try {
       console.log(`🗣️ 応答生成開始: "${userInput}" (ユーザー: ${userId})`);
-      const startTime = Date.now();
+      signal?.throwIfAborted();
       // 1. 既存5AIで分析
       let analysis;
       try {
-        analysis = await this.aiProcessor.processText(userInput, userId);
+        analysis = await this.aiProcessor.processText(userInput, userId, { readOnly: explain });
         console.log('📊 5AI分析完了:', analysis.success ? '成功' : '失敗');
-        analysis.dialogueStage = this.strategyManager.determineDialogueStage(analysis); // 対話ステージを決定
+        analysis.dialogueStage = await this.strategyManager.determineDialogueStage(analysis); // 対話ステージを決定
         console.log(`🗣️ 対話ステージ: ${analysis.dialogueStage}`);
       } catch (analysisError) {
         console.error('❌ 5AI分析中にエラーが発生しました:', analysisError);
-        return this.generateFallbackResponse(userInput, `5AI分析エラー: ${analysisError.message}`);
+        if (trace) trace.fallback = { stage: 'analysis', reason: analysisError.message };
+        return withTrace(await this.generateFallbackResponse(userInput, `5AI分析エラー: ${analysisError.message}`, { readOnly: explain }));
       }
       if (!analysis.success) {
-        return this.generateFallbackResponse(userInput, '5AI分析エラー');
+        if (trace) trace.fallback = { stage: 'analysis', reason: analysis.error || '5AI分析エラー' };
+        return withTrace(await this.generateFallbackResponse(userInput, '5AI分析エラー', { readOnly: explain }));
+      }
+      analysis.conversationHistory = await this.completeHistoryKeywords(Array.isArray(history) ? history : []);
+      if (trace) {
+        trace.input.dialogueStage = analysis.dialogueStage;
+        trace.input.tokens = (analysis.processedTokens || []).map(token => token.surface || token.term || token.word || String(token));
+        trace.input.historyTurns = analysis.conversationHistory.length;
+        trace.kneserNey = this.explainKneserNey(analysis);
       }
+      reportProgress('morphology', {
+        tokenCount: (analysis.processedTokens || []).length,
+        dialogueStage: analysis.dialogueStage
+      });
+      signal?.throwIfAborted();
       // 2. 応答戦略選択 (統計的決定)
-      const strategy = await this.strategyManager.selectResponseStrategy(analysis, analysis.dialogueStage);
+      const strategy = await this.strategyManager.selectResponseStrategy(analysis, analysis.dialogueStage, trace, { recordSelection: !explain });
       console.log(`🎯 選択戦略: ${strategy}`);
+      reportProgress('strategy', { strategy });
+      signal?.throwIfAborted();
       // 3. 統計的応答生成
       const response = await this.responseAssembler.generateStatisticalResponse(
         analysis,
@@ -167,36 +201,56 @@ class StatisticalResponseGenerator {
         this.extractRelationshipPatterns.bind(this),
         this.buildSemanticContext.bind(this),
         this.filterKeywordsByStatisticalQuality.bind(this),
-        this.getLearnedRelatedTerms.bind(this)
+        this.getLearnedRelatedTerms.bind(this),
+        reportProgress,
+        trace
       );
       console.log(`✨ 生成応答: "${response.sentence}"`);
+      signal?.throwIfAborted();
       // 4. 品質評価・改善
-      const qualityResult = await this.qualityEvaluator.evaluateAndImprove(response, analysis, userId);
+      const qualityResult = await this.qualityEvaluator.evaluateAndImprove(response, analysis, userId, trace, { readOnly: explain });
       console.log(`📈 品質評価: ${qualityResult.qualityScore.toFixed(3)} (${qualityResult.grade})`);
       // 4.5. 外部ログ学習による応答改善
       const improvedResult = await this.improveWithDialogueLearning(
         qualityResult.improvedResponse || response, 
         userInput, 
-        userId
-      );
-      // 5. 学習データ更新
-      await this.strategyManager.updateStrategyLearningData(qualityResult, strategy);
-
-      // 5.5. 各AIモジュールへのフィードバック伝播 (N-gram学習をトリガー)
-      await this.aiProcessor.propagateFeedback(
         userId,
-        userInput,
-        qualityResult.qualityScore,
-        (qualityResult.improvedResponse || response).sentence
+        { readOnly: explain }
       );
+      signal?.throwIfAborted();
+      // 説明リクエストはモデルを変えない（同じ入力のトレースをモデルのバージョン間で比較できるようにする）
+      if (!explain) {
+        // 5. 学習データ更新
+        await this.strategyManager.updateStrategyLearningData(qualityResult, strategy);
+
+        // 5.5. 各AIモジュールへのフィードバック伝播 (N-gram学習をトリガー)
+        await this.aiProcessor.propagateFeedback(
+          userId,
+          userInput,
+          qualityResult.qualityScore,
+          (qualityResult.improvedResponse || response).sentence
+        );
 
-      // 6. 対話履歴保存
-      this.addToContextHistory(userInput, response.sentence, strategy, qualityResult);
+        // 6. 対話履歴保存
+        this.addToContextHistory(userInput, response.sentence, strategy, qualityResult);
+      }
       const processingTime = Date.now() - startTime;
       console.log(`⚡ 応答生成完了 (${processingTime}ms)`);
-      return {
+      const finalResponse = (improvedResult.response || qualityResult.improvedResponse || response).sentence;
+      reportProgress('response', {
+        response: finalResponse,
+        qualityScore: qualityResult.qualityScore,
+        grade: qualityResult.grade
+      });
+      if (trace) {
+        trace.response = {
+          text: finalResponse || null,
+          dialogueLearningApplied: improvedResult.improved
+        };
+      }
+      return withTrace({
         success: true,
-        response: (improvedResult.response || qualityResult.improvedResponse || response).sentence,
+        response: finalResponse,
         confidence: qualityResult.confidence,
         strategy: strategy,
         qualityScore: qualityResult.qualityScore,
@@ -205,20 +259,80 @@ class StatisticalResponseGenerator {
           ...(qualityResult.improvements || []),
           ...(improvedResult.improved ? ['dialogue_learning'] : [])
         ],
+        keywords: this.extractContextKeywords(analysis),
         analysisData: analysis,
         dialogueLearningApplied: improvedResult.improved,
         processingTime: processingTime,
         timestamp: new Date().toISOString()
-      };
+      });
     } catch (error) {
+      if (signal?.aborted) {
+        console.warn(`⏹️ 応答生成キャンセル: "${userInput}"`);
+        return this.generateCancelledResponse(Date.now() - startTime);
+      }
       console.error('❌ 応答生成エラー:', error.message);
-      return this.generateFallbackResponse(userInput, error.message);
+      if (trace) trace.fallback = { stage: 'generation', reason: error.message };
+      return withTrace(await this.generateFallbackResponse(userInput, error.message, { readOnly: explain }));
     }
   }
+  /**
+   * 説明トレース初期化
+   * モデル間で差分比較できるよう、時刻などの実行ごとに変わる値は含めない
+   */
+  createExplainTrace(userInput, userId) {
+    return {
+      traceVersion: 1,
+      input: { text: userInput, userId },
+      kneserNey: null,
+      strategy: null,
+      relatedTerms: [],
+      semanticContext: [],
+      candidates: [],
+      selection: null,
+      quality: null,
+      response: null,
+      fallback: null
+    };
+  }
+  /**
+   * 文脈予測に使われたKneser-Ney確率の説明
+   */
+  explainKneserNey(analysis) {
+    const ngramAI = this.aiProcessor.ngramAI;
+    const ngrams = ngramAI && typeof ngramAI.explainKneserNey === 'function'
+      ? ngramAI.explainKneserNey(analysis.originalText || '')
+      : [];
+    return {
+      predictedContext: analysis.predictedContext || null,
+      discountParameter: ngramAI && typeof ngramAI.calculateDynamicDiscountParameter === 'function'
+        ? ngramAI.calculateDynamicDiscountParameter()
+        : null,
+      ngrams
+    };
+  }
+  /**
+   * キャンセル時の応答結果
+   */
+  generateCancelledResponse(processingTime) {
+    return {
+      success: false,
+      cancelled: true,
+      response: null,
+      confidence: 0,
+      strategy: 'cancelled',
+      qualityScore: 0,
+      grade: 'cancelled',
+      improvements: [],
+      processingTime,
+      timestamp: new Date().toISOString(),
+      error: '応答生成がキャンセルされました'
+    };
+  }
   /**
    * フォールバック応答生成
+   * @param {Object} [options] - { readOnly: 入力分析で学習状態を更新しない（説明リクエスト用） }
    */
-  async generateFallbackResponse(userInput, errorMessage = '') {
+  async generateFallbackResponse(userInput, errorMessage = '', { readOnly = false } = {}) {
     try {
       // ユーザーの過去の対話履歴から成功した応答パターンを抽出
       const userSpecificRelations = await this.learningDB.getUserSpecificRelations('default'); // 仮にdefaultユーザーのデータを使用
@@ -236,12 +350,12 @@ class StatisticalResponseGenerator {
       }
 
       // Phase 0 Critical Fix: 統計的フォールバック生成 (ハードコード除去)
-      let response = await this.generateStatisticalFallbackResponse(userInput, successfulResponses);
+      let response = await this.generateStatisticalFallbackResponse(userInput, successfulResponses, { readOnly });
 
       if (successfulResponses.length > 0) {
         // 統計的に最も関連性の高い、または多様な応答を選択
         // ここでは簡易的に、入力キーワードとの類似度を考慮して選択
-        const inputAnalysis = await this.aiProcessor.processText(userInput);
+        const inputAnalysis = await this.aiProcessor.processText(userInput, 'default', { readOnly });
         const inputKeywords = inputAnalysis.enhancedTerms ? inputAnalysis.enhancedTerms.map(t => t.term) : [];
         let bestResponse = null;
         let maxScore = -1;
@@ -302,8 +416,9 @@ class StatisticalResponseGenerator {
   }
   /**
    * 対話ログ学習による応答改善
+   * @param {Object} [options] - { readOnly: 学習状態を更新しない（説明リクエスト用） }
    */
-  async improveWithDialogueLearning(response, userInput, userId) {
+  async improveWithDialogueLearning(response, userInput, userId, { readOnly = false } = {}) {
     try {
       if (!this.dialogueLogProcessor) {
         this.dialogueLogProcessor = new DialogueLogProcessor();
@@ -311,7 +426,8 @@ class StatisticalResponseGenerator {
       const learnedImprovement = await this.dialogueLogProcessor.improveResponseWithLearnings(
         response, 
         userInput, 
-        userId
+        userId,
+        { readOnly }
       );
       if (learnedImprovement && learnedImprovement.improvedResponse) {
         console.log('🎓 対話学習による改善適用:', learnedImprovement.improvementType);
@@ -345,6 +461,40 @@ class StatisticalResponseGenerator {
       this.contextHistory = this.contextHistory.slice(-50);
     }
   }
+  /**
+   * キーワードを持たない履歴ターン（OpenAI互換APIの messages から変換したターン等）へ、ユーザー入力の形態素解析結果からキーワードを補う
+   */
+  async completeHistoryKeywords(history) {
+    const hybridProcessor = this.aiProcessor && this.aiProcessor.hybridProcessor;
+    const completed = [];
+    for (const turn of history) {
+      if (!turn || Array.isArray(turn.keywords) || !turn.userInput || !hybridProcessor) {
+        completed.push(turn);
+        continue;
+      }
+      try {
+        const processed = await hybridProcessor.processText(turn.userInput);
+        const keywords = this.extractContextKeywords({ processedTokens: processed.tokens || processed.enhancedTerms || [] });
+        completed.push({ ...turn, keywords });
+      } catch (error) {
+        console.warn('⚠️ 履歴キーワード抽出エラー:', error.message);
+        completed.push(turn);
+      }
+    }
+    return completed;
+  }
+
+  /**
+   * セッション文脈として保存するキーワード抽出
+   */
+  extractContextKeywords(analysis) {
+    const tokens = analysis.processedTokens || [];
+    const keywords = tokens
+      .filter(t => !['助詞', '助動詞', '記号'].includes(t.pos || t.partOfSpeech))
+      .map(t => t.surface || t.term || t.word)
+      .filter(term => typeof term === 'string' && term.length > 1);
+    return Array.from(new Set(keywords));
+  }
   /**
    * 学習済み関連語彙取得
    */
@@ -681,10 +831,10 @@ class StatisticalResponseGenerator {
    * Phase 0 Critical Fix: 統計的フォールバック応答生成
    * ハードコード「すみません」を学習データベースから動的生成
    */
-  async generateStatisticalFallbackResponse(userInput, successfulResponses) {
+  async generateStatisticalFallbackResponse(userInput, successfulResponses, { readOnly = false } = {}) {
     try {
       // 1. 入力テキストから主要語彙を抽出
-      const inputAnalysis = await this.aiProcessor.processText(userInput);
+      const inputAnalysis = await this.aiProcessor.processText(userInput, 'default', { readOnly });
       const inputKeywords = inputAnalysis.keywords || [];
       
       // 2. 成功パターンから最適な応答を選択
@@ -11,8 +11,9 @@ export class SyntacticStructureGenerator {
   /**
    * Phase 2: PCFG確率的文脈自由文法による統計的文構造生成
    * 文構造生成問題の根本解決 - 統計的文法ルールによる自然な文組み立て
+   * @param {Object} [pcfgTrace] - 説明トレース（指定時は選択パターン・ルール連鎖を記録）
    */
-  async generateSyntacticStructure(inputKeywords, relationshipPatterns, userId) {
+  async generateSyntacticStructure(inputKeywords, relationshipPatterns, userId, pcfgTrace = null) {
     try {
       if (process.env.DEBUG_VERBOSE === 'true') {
         console.log('🔧 PCFG文構造生成開始:', inputKeywords);
@@ -32,22 +33,44 @@ export class SyntacticStructureGenerator {
       const selectedPattern = await this.selectBestGrammarPattern(inputKeywords, relationshipPatterns, grammarRules, semanticEmbeddings);
       
       // 3. 統計的確率に基づく文構造生成
-      const generatedStructure = await this.applyPCFGRules(selectedPattern, relationshipPatterns);
+      const generatedStructure = await this.applyPCFGRules(selectedPattern, relationshipPatterns, grammarRules);
       
       // 4. 文構造の統計的妥当性検証
       const validatedStructure = await this.validatePCFGStructure(generatedStructure);
       
       const confidenceThresholds = await this.calculateDynamicWeights('confidenceThresholds');
+      if (pcfgTrace) {
+        pcfgTrace.grammarRuleCounts = Object.fromEntries(
+          Object.entries(grammarRules).map(([symbol, rules]) => [symbol, Array.isArray(rules) ? rules.length : 0])
+        );
+        pcfgTrace.selectedPattern = {
+          pattern: selectedPattern.pattern?.pattern || null,
+          type: selectedPattern.pattern?.type || null,
+          probability: selectedPattern.pattern?.probability || null,
+          score: selectedPattern.score
+        };
+        pcfgTrace.ruleChain = validatedStructure?.ruleChain || [];
+        pcfgTrace.confidenceThreshold = confidenceThresholds.lowConfidence;
+      }
       if (validatedStructure && validatedStructure.confidence > confidenceThresholds.lowConfidence) {
         console.log('✅ PCFG文構造生成成功:', validatedStructure.structure);
+        if (pcfgTrace) pcfgTrace.outcome = 'pcfg';
         return validatedStructure;
       }
       
       // フォールバック: 従来の統計的手法
+      if (pcfgTrace) {
+        pcfgTrace.outcome = 'fallback';
+        pcfgTrace.fallbackReason = 'low_confidence';
+      }
       return this.generateFallbackSyntacticStructure(relationshipPatterns);
       
     } catch (error) {
       console.warn('PCFG文構造生成エラー:', error.message);
+      if (pcfgTrace) {
+        pcfgTrace.outcome = 'fallback';
+        pcfgTrace.fallbackReason = error.message;
+      }
       return this.generateFallbackSyntacticStructure(relationshipPatterns);
     }
   }
@@ -77,11 +100,24 @@ export class SyntacticStructureGenerator {
     const patternType = selectedPattern.pattern.type || 'subject_predicate';
 
     // 1. Select NP (Noun Phrase)
-    const primaryTerm = relationshipPatterns.length > 0 ? String(relationshipPatterns[0].term) : (grammarRules.NP[0]?.pattern || "");
+    const npFromRelationship = relationshipPatterns.length > 0;
+    const primaryTerm = npFromRelationship ? String(relationshipPatterns[0].term) : (grammarRules.NP[0]?.pattern || "");
 
     // 2. Select VP (Verb Phrase)
     const verbPhrase = grammarRules.VP.length > 0 ? grammarRules.VP[0].pattern : "";
 
+    // 適用したルールの連鎖（S → NP/VP 展開）
+    const ruleChain = [
+      { symbol: 'S', expansion: patternString, type: patternType, probability: selectedPattern.pattern.probability || null },
+      {
+        symbol: 'NP',
+        expansion: primaryTerm,
+        source: npFromRelationship ? 'relationship_pattern' : 'grammar_rule',
+        probability: npFromRelationship ? (relationshipPatterns[0].strength || null) : (grammarRules.NP[0]?.probability || null)
+      },
+      { symbol: 'VP', expansion: verbPhrase, source: 'grammar_rule', probability: grammarRules.VP[0]?.probability || null }
+    ];
+
     // 3. Assemble the sentence template
     let finalSentence = patternString
       .replace('NP', primaryTerm)
@@ -92,7 +128,8 @@ export class SyntacticStructureGenerator {
       supportTerms: relationshipPatterns.length > 1 ? relationshipPatterns.slice(1, 3).map(p => String(p.term)) : [],
       confidence: selectedPattern.pattern.probability || 0.5,
       structure: patternType,
-      finalResponse: finalSentence // 完成した文を返す
+      finalResponse: finalSentence, // 完成した文を返す
+      ruleChain
     };
   }
 
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { BinaryDictionary, BINARY_DICTIONARY_FILE, encodeBinaryDictionary, writeBinaryDictionary } from '../binary-dictionary-format.js';
+import { DictionaryDBCore } from '../dictionary-db-core.js';
+import { DictionaryEntry } from '../dictionary-entry.js';
+
+function createDictionary(size) {
+  const entries = new Map();
+  for (let i = 0; i < size; i++) {
+    const entry = new DictionaryEntry(`語${i}`, `ご${i}`, [`definition ${i}`], i > 0 ? [`語${i - 1}`] : [], [], ['名詞']);
+    entry.frequency = i;
+    entry.level = i % 2 === 0 ? 'basic' : 'common';
+    entry.quality = i / 10;
+    entries.set(entry.word, entry);
+  }
+  const word = new DictionaryEntry('嬉しい', null, ['glad'], ['楽しい'], ['悲しい'], ['形容詞']);
+  entries.set(word.word, word);
+
+  return {
+    entries,
+    synonymMap: new Map([['嬉しい', new Set(['楽しい', '幸せ'])]]),
+    readingMap: new Map([['うれしい', new Set(['嬉しい'])]]),
+    posMap: new Map([['形容詞', new Set(['嬉しい'])], ['名詞', new Set(Array.from(entries.keys()).slice(0, size))]]),
+    stats: { totalEntries: entries.size, loadedSources: ['test'] }
+  };
+}
+
+describe('辞書バイナリ形式', () => {
+  let dbPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dbPath = fs.mkdtempSync(path.join(os.tmpdir(), 'binary-dictionary-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dbPath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('エントリを参照時に復元し、Mapと同様に操作できるべき', () => {
+    const dictionary = new BinaryDictionary(encodeBinaryDictionary(createDictionary(200)));
+    const entries = dictionary.createEntryMap();
+
+    expect(entries.size).toBe(201);
+    expect(entries.materializedCount).toBe(0);
+    const entry = entries.get('語150');
+    expect(entry).toBeInstanceOf(DictionaryEntry);
+    expect(entry.toJSON()).toMatchObject({ reading: 'ご150', definitions: ['definition 150'], synonyms: ['語149'], frequency: 150, level: 'basic', quality: 15 });
+    expect(entries.get('嬉しい').reading).toBeNull();
+    expect(entries.get('未登録')).toBeUndefined();
+    expect(entries.materializedCount).toBe(2);
+
+    // 復元済みエントリへの変更は維持される
+    entry.synonymQualities.push(80);
+    expect(entries.get('語150').synonymQualities).toEqual([80]);
+
+    entries.set('追加', new DictionaryEntry('追加'));
+    entries.delete('語0');
+    expect(entries.size).toBe(201);
+    expect(entries.has('語0')).toBe(false);
+    const words = Array.from(entries.keys());
+    expect(words).toHaveLength(201);
+    expect(words[words.length - 1]).toBe('追加');
+
+    expect(dictionary.readWordSets('synonyms').get('嬉しい')).toEqual(new Set(['楽しい', '幸せ']));
+    expect(dictionary.metadata.stats).toMatchObject({ totalEntries: 201, loadedSources: ['test'] });
+  });
+
+  test('DictionaryDBCore はバイナリ形式の配布DBを優先して読み込むべき', async () => {
+    await writeBinaryDictionary(path.join(dbPath, BINARY_DICTIONARY_FILE), createDictionary(150));
+
+    const db = new DictionaryDBCore();
+    const result = await db.loadFromDistribution(dbPath);
+
+    expect(result).toMatchObject({ success: true, method: 'distribution', format: 'binary', totalEntries: 151 });
+    // 反義語グラフはエントリを復元せずに構築される（双方向）
+    expect(db.getAntonyms('嬉しい')).toEqual(['悲しい']);
+    expect(db.isAntonymPair('悲しい', '嬉しい')).toBe(true);
+    expect(db.entries.materializedCount).toBe(0);
+    expect(db.getWordInfo('嬉しい')).toMatchObject({ definitions: ['glad'], pos: ['形容詞'] });
+    expect(db.getSynonyms('嬉しい')).toEqual(['楽しい', '幸せ']);
+    expect(db.getWordsByPOS('形容詞')).toEqual(['嬉しい']);
+    expect(db.readingMap.get('うれしい')).toEqual(new Set(['嬉しい']));
+  });
+});
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { JMdictStreamImporter, calculatePriorityFrequency } from '../jmdict-stream-importer.js';
+import { XmlStreamParser } from '../../../utils/xml-stream-parser.js';
+import { DictionaryDB } from '../dictionary-db.js';
+
+const JMDICT_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE JMdict [
+<!ELEMENT JMdict (entry*)>
+<!-- <entry> の構造は省略 -->
+<!ATTLIST gloss xml:lang CDATA "eng">
+<!ENTITY n "noun (common) (futsuumeishi)">
+<!ENTITY adj-i "adjective (keiyoushi)">
+<!ENTITY v5r "Godan verb with 'ru' ending">
+<!ENTITY uk "word usually written using kana alone">
+<!ENTITY comp "computing">
+]>
+<!-- JMdict created: 2026-10-01 -->
+<JMdict>
+<entry>
+<ent_seq>1000001</ent_seq>
+<k_ele><keb>嬉しい</keb><ke_pri>news1</ke_pri><ke_pri>nf05</ke_pri></k_ele>
+<r_ele><reb>うれしい</reb><re_pri>ichi1</re_pri></r_ele>
+<sense>
+<pos>&adj-i;</pos>
+<ant>悲しい</ant>
+<gloss>happy</gloss>
+<gloss>glad</gloss>
+<gloss xml:lang="ger">froh</gloss>
+</sense>
+<sense>
+<misc>&uk;</misc>
+<xref>喜ばしい・よろこばしい・1</xref>
+<gloss>pleasant &amp; welcome</gloss>
+</sense>
+</entry>
+<entry>
+<ent_seq>1000002</ent_seq>
+<r_ele><reb>ダウンロード</reb></r_ele>
+<sense>
+<pos>&n;</pos>
+<field>&comp;</field>
+<gloss><![CDATA[download <file>]]></gloss>
+</sense>
+</entry>
+<entry>
+<ent_seq>1000003</ent_seq>
+<k_ele><keb>走る</keb></k_ele>
+<r_ele><reb>はしる</reb><re_pri>spec2</re_pri></r_ele>
+<sense>
+<pos>&v5r;</pos>
+<gloss>to run</gloss>
+</sense>
+</entry>
+</JMdict>
+`;
+
+describe('JMdictストリーミング取り込み', () => {
+  let directory;
+  let xmlPath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jmdict-import-'));
+    xmlPath = path.join(directory, 'JMdict_e.xml');
+    fs.writeFileSync(xmlPath, JMDICT_XML);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('断片の境界に関わらず同じ解析結果になり、全語義とタグを取り込むべき', async () => {
+    const collect = (chunks) => {
+      const records = [];
+      const parser = new JMdictStreamImporter().createParser(record => records.push(record));
+      chunks.forEach(chunk => parser.write(chunk));
+      parser.end();
+      return records;
+    };
+    const records = collect([JMDICT_XML]);
+    expect(collect(Array.from(JMDICT_XML))).toEqual(records);
+
+    expect(records).toHaveLength(3);
+    const [happy, download, run] = records;
+    expect(happy.sequence).toBe(1000001);
+    expect(happy.kanji[0].priorities).toEqual(['news1', 'nf05']);
+    expect(happy.senses).toHaveLength(2);
+    expect(happy.senses[0].glosses).toEqual(['happy', 'glad']);
+    expect(happy.senses[0].antonyms).toEqual([{ word: '悲しい', reading: null, sense: null }]);
+    // 品詞の指定がない語義は直前の語義の品詞を引き継ぐ
+    expect(happy.senses[1]).toMatchObject({ pos: ['adj-i'], misc: ['uk'], glosses: ['pleasant & welcome'] });
+    expect(happy.senses[1].crossReferences).toEqual([{ word: '喜ばしい', reading: 'よろこばしい', sense: 1 }]);
+    expect(download.senses[0]).toMatchObject({ pos: ['n'], field: ['comp'], glosses: ['download <file>'] });
+    expect(run.readings[0].priorities).toEqual(['spec2']);
+
+    expect(calculatePriorityFrequency(['news1', 'nf05'])).toBe(96);
+    expect(calculatePriorityFrequency(['spec2'])).toBe(35);
+    expect(calculatePriorityFrequency([])).toBe(20);
+
+    const parser = new XmlStreamParser();
+    parser.write('<a><b>');
+    expect(() => parser.end()).not.toThrow();
+    const broken = new XmlStreamParser();
+    broken.write('<a><b');
+    expect(() => broken.end()).toThrow('XMLが途中で終了しています');
+  });
+
+  test('DictionaryDB に全件を取り込み、進捗を通知すべき', async () => {
+    jest.spyOn(DictionaryDB.prototype, 'initialize').mockResolvedValue();
+    const db = new DictionaryDB(null);
+
+    const result = await db.loadJMdict(xmlPath, { progressInterval: 2 });
+
+    expect(result).toMatchObject({ success: true, entriesProcessed: 3, skipped: 0, completed: true });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('📈 JMdict取り込み: 2エントリ'));
+
+    const happy = db.getEntry('嬉しい');
+    expect(happy.toJSON()).toMatchObject({
+      reading: 'うれしい',
+      definitions: ['happy', 'glad', 'pleasant & welcome'],
+      synonyms: ['喜ばしい'],
+      antonyms: ['悲しい'],
+      pos: ['形容詞'],
+      frequency: 96,
+      level: 'basic',
+      priorities: ['news1', 'nf05', 'ichi1'],
+      misc: ['uk'],
+      source: 'JMdict'
+    });
+    expect(db.getAntonyms('悲しい')).toEqual(['嬉しい']);
+    expect(db.getEntry('ダウンロード')).toMatchObject({ reading: 'ダウンロード', fields: ['comp'], frequency: 20, level: 'advanced' });
+    expect(db.getEntry('走る')).toMatchObject({ pos: ['五段動詞'], frequency: 35, level: 'common' });
+
+    const limited = await new JMdictStreamImporter({ maxEntries: 1 }).importFile(xmlPath);
+    expect(limited).toMatchObject({ entries: 1, completed: false });
+  });
+});
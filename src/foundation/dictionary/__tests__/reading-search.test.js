@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+import { normalizeReading, romajiToHiragana, toHiragana, toKatakana } from '../kana-normalizer.js';
+import { BKTree, levenshteinDistance } from '../reading-index.js';
+import { DictionaryDB } from '../dictionary-db.js';
+
+describe('読みによる辞書検索', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ひらがな・カタカナ・ローマ字を読みに正規化できるべき', () => {
+    expect(toHiragana('コーヒー')).toBe('こーひー');
+    expect(toKatakana('すし')).toBe('スシ');
+    expect(romajiToHiragana('konnichiha')).toBe('こんにちは');
+    expect(romajiToHiragana('gakkou')).toBe('がっこう');
+    expect(romajiToHiragana("kan'i")).toBe('かんい');
+    expect(romajiToHiragana('xyz')).toBeNull();
+    expect(normalizeReading('ｺｰﾋｰ')).toEqual({ reading: 'こーひー', inputType: 'kana' });
+    expect(normalizeReading('Ko-hi-')).toEqual({ reading: 'こーひー', inputType: 'romaji' });
+
+    const tree = new BKTree();
+    ['こんにちは', 'こんばんは', 'こんにゃく', 'さようなら'].forEach(term => tree.add(term));
+    expect(levenshteinDistance('こんにちわ', 'こんにちは')).toBe(1);
+    expect(tree.search('こんにちわ', 2).map(({ term }) => term)).toEqual(['こんにちは', 'こんにゃく']);
+  });
+
+  test('読み・前方一致・編集距離で検索し、一致種別とスコアを返すべき', async () => {
+    // ストップワード・キャッシュマネージャーの初期化は不要
+    jest.spyOn(DictionaryDB.prototype, 'initialize').mockResolvedValue();
+    const db = new DictionaryDB(null);
+    db.addEntry('珈琲', 'コーヒー', ['coffee'], [], [], ['名詞']);
+    db.addEntry('学校', 'がっこう', ['school'], [], [], ['名詞']);
+    db.addEntry('学校医', 'がっこうい', ['school doctor'], [], [], ['名詞']);
+    db.addEntry('今日は', 'こんにちは', ['hello'], [], [], ['感動詞']);
+
+    const results = db.search('gakkou');
+    expect(results.map(({ word, matchType }) => [word, matchType])).toEqual([['学校', 'reading'], ['学校医', 'prefix']]);
+    expect(results[0]).toMatchObject({ reading: 'がっこう', score: 0.9, inputType: 'romaji' });
+    expect(results[1].score).toBeLessThan(results[0].score);
+
+    expect(db.search('こーひー', { prefix: false })[0]).toMatchObject({ word: '珈琲', matchType: 'reading' });
+    expect(db.search('こんにちわ')[0]).toMatchObject({ word: '今日は', matchType: 'fuzzy', distance: 1 });
+    expect(db.search('こんにちわ', { fuzzy: false })).toEqual([]);
+
+    // lookup は既定で表記・読みの一致のみ、前方一致・編集距離は指定時
+    expect(await db.lookup('学校')).toMatchObject({ word: '学校', matchType: 'exact', score: 1 });
+    expect(await db.lookup('ガッコウ')).toMatchObject({ word: '学校', source: 'reading_index', matchType: 'reading' });
+    expect(await db.lookup('こんにちわ')).toBeNull();
+    expect(await db.lookup('こんにちわ', { fuzzy: true })).toMatchObject({ word: '今日は', matchType: 'fuzzy' });
+
+    // 構築済みのインデックスはエントリ追加・JMdictの同表記統合に合わせて更新する
+    const index = db.getReadingIndex();
+    db.addEntry('寿司', 'すし', ['sushi'], [], [], ['名詞']);
+    db.addJMdictEntry({ word: '今日は', reading: 'きょうは', definitions: ['today'], synonyms: [], antonyms: [], pos: [], priorities: [], misc: [], fields: [], frequency: 20 });
+    expect(db.getReadingIndex()).toBe(index);
+    expect(db.search('sushi')[0]).toMatchObject({ word: '寿司', matchType: 'reading' });
+    expect(db.search('kyouha')[0]).toMatchObject({ word: '今日は', matchType: 'reading' });
+
+    // インデックスは読みマップから構築し、エントリ本体を走査しない
+    db.readingIndex = null;
+    const entryIteration = jest.spyOn(db.entries, Symbol.iterator);
+    expect(db.getReadingIndex().findExact('がっこう')).toEqual(['学校']);
+    expect(entryIteration).not.toHaveBeenCalled();
+  });
+});
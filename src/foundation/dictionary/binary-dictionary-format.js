@@ -0,0 +1,512 @@
+#!/usr/bin/env node
+/**
+ * BinaryDictionaryFormat - 配布用辞書DBのバイナリ形式（dictionary.bin）
+ *
+ * ⚡ JSONチャンク（parsed-dictionary-chunk-*.json）の解析を省き、起動を高速化
+ * 🗂️ 文字列テーブル（重複排除）+ 見出し語順のオフセット索引 + エントリ本体
+ * 💤 エントリは参照時に復元（LazyEntryMap）。同義語・反義語・読み・品詞マップは読み込み時に復元
+ *
+ * レイアウト（固定長の数値はリトルエンディアン）:
+ *   ヘッダー  : マジック "JDIC" / バージョン uint32 / セクション数 uint32 / { 位置 uint32, 長さ uint32 } × セクション数
+ *   STRINGS  : 文字列数 uint32 / 開始位置 uint32 × (文字列数 + 1) / UTF-8 本体
+ *   INDEX    : エントリ数 uint32 / { 見出し語ID uint32, 本体の位置 uint32 } × エントリ数（見出し語の UTF-8 バイト順）
+ *   ENTRIES  : エントリ本体（可変長整数）
+ *   SYNONYMS / ANTONYMS / READINGS / POS : 件数 / { キーID, 語数, 語ID × 語数 }（可変長整数）
+ *   METADATA : 統計情報（JSON）
+ */
+
+import { promises as fs } from 'fs';
+import { DictionaryEntry } from './dictionary-entry.js';
+
+export const BINARY_DICTIONARY_FILE = 'dictionary.bin';
+
+const MAGIC = 'JDIC';
+const FORMAT_VERSION = 3;
+const SECTIONS = ['strings', 'index', 'entries', 'synonyms', 'antonyms', 'readings', 'pos', 'metadata'];
+const HEADER_SIZE = 12 + SECTIONS.length * 8;
+
+// 数値フィールドの種別（frequency / quality）
+const NUMBER_NONE = 0;
+const NUMBER_UINT = 1;
+const NUMBER_FLOAT = 2;
+
+/**
+ * 伸長可能な書き込みバッファ
+ */
+class ByteWriter {
+    constructor(initialSize = 64 * 1024) {
+        this.buffer = Buffer.alloc(initialSize);
+        this.length = 0;
+    }
+
+    ensure(size) {
+        if (this.length + size <= this.buffer.length) return;
+        let capacity = this.buffer.length * 2;
+        while (capacity < this.length + size) capacity *= 2;
+        const next = Buffer.alloc(capacity);
+        this.buffer.copy(next, 0, 0, this.length);
+        this.buffer = next;
+    }
+
+    writeUInt32(value) {
+        this.ensure(4);
+        this.buffer.writeUInt32LE(value, this.length);
+        this.length += 4;
+    }
+
+    writeVarUInt(value) {
+        this.ensure(5);
+        let remaining = value >>> 0;
+        while (remaining >= 0x80) {
+            this.buffer[this.length++] = (remaining & 0x7f) | 0x80;
+            remaining >>>= 7;
+        }
+        this.buffer[this.length++] = remaining;
+    }
+
+    writeNumber(value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            this.ensure(1);
+            this.buffer[this.length++] = NUMBER_NONE;
+        } else if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) {
+            this.ensure(1);
+            this.buffer[this.length++] = NUMBER_UINT;
+            this.writeVarUInt(value);
+        } else {
+            this.ensure(9);
+            this.buffer[this.length++] = NUMBER_FLOAT;
+            this.buffer.writeDoubleLE(value, this.length);
+            this.length += 8;
+        }
+    }
+
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        bytes.copy(this.buffer, this.length);
+        this.length += bytes.length;
+    }
+
+    toBuffer() {
+        return this.buffer.subarray(0, this.length);
+    }
+}
+
+/**
+ * 可変長整数の読み込み位置
+ */
+class ByteReader {
+    constructor(buffer, offset) {
+        this.buffer = buffer;
+        this.offset = offset;
+    }
+
+    readVarUInt() {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            byte = this.buffer[this.offset++];
+            value += (byte & 0x7f) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    readNumber(fallback) {
+        const kind = this.buffer[this.offset++];
+        if (kind === NUMBER_UINT) return this.readVarUInt();
+        if (kind === NUMBER_FLOAT) {
+            const value = this.buffer.readDoubleLE(this.offset);
+            this.offset += 8;
+            return value;
+        }
+        return fallback;
+    }
+}
+
+/**
+ * 辞書データをバイナリ形式へ変換
+ * @param {Object} dictionaryDB - { entries, synonymMap, readingMap, posMap, stats }（DictionaryDB / DictionaryDBCore 互換）
+ * @returns {Buffer}
+ */
+export function encodeBinaryDictionary(dictionaryDB) {
+    const stringIds = new Map();
+    const strings = [];
+    const intern = (value) => {
+        if (!stringIds.has(value)) {
+            stringIds.set(value, strings.length);
+            strings.push(value);
+        }
+        return stringIds.get(value);
+    };
+    // null を 0 として 1 始まりで保存するフィールド
+    const optionalId = (value) => (typeof value === 'string' ? intern(value) + 1 : 0);
+    const stringList = (values) => (Array.isArray(values) ? values.filter(value => typeof value === 'string') : []);
+
+    // 見出し語の UTF-8 バイト順に並べる（読み込み時は二分探索で引く）
+    const words = Array.from(dictionaryDB.entries.keys())
+        .filter(word => typeof word === 'string')
+        .map(word => ({ word, bytes: Buffer.from(word, 'utf8') }))
+        .sort((a, b) => Buffer.compare(a.bytes, b.bytes));
+
+    const entryWriter = new ByteWriter();
+    const index = [];
+    // 反義語グラフはエントリを復元せずに構築できるよう別セクションにも保存する
+    const antonymMap = new Map();
+    for (const { word } of words) {
+        const entry = dictionaryDB.entries.get(word);
+        index.push({ wordId: intern(word), offset: entryWriter.length });
+
+        entryWriter.writeVarUInt(optionalId(entry.reading));
+        for (const field of ['definitions', 'synonyms', 'antonyms', 'pos']) {
+            const values = stringList(entry[field]);
+            entryWriter.writeVarUInt(values.length);
+            for (const value of values) entryWriter.writeVarUInt(intern(value));
+        }
+        if (stringList(entry.antonyms).length > 0) {
+            antonymMap.set(word, entry.antonyms);
+        }
+        entryWriter.writeNumber(entry.frequency);
+        entryWriter.writeVarUInt(optionalId(entry.level));
+        entryWriter.writeVarUInt(optionalId(entry.source));
+        entryWriter.writeVarUInt(optionalId(entry.lang));
+        entryWriter.writeNumber(entry.quality);
+        for (const field of ['priorities', 'misc', 'fields']) {
+            const values = stringList(entry[field]);
+            entryWriter.writeVarUInt(values.length);
+            for (const value of values) entryWriter.writeVarUInt(intern(value));
+        }
+    }
+
+    const encodeWordSets = (map) => {
+        const writer = new ByteWriter();
+        const keys = Array.from(map.keys()).filter(key => typeof key === 'string');
+        writer.writeVarUInt(keys.length);
+        for (const key of keys) {
+            const values = stringList(Array.from(map.get(key) || []));
+            writer.writeVarUInt(intern(key));
+            writer.writeVarUInt(values.length);
+            for (const value of values) writer.writeVarUInt(intern(value));
+        }
+        return writer.toBuffer();
+    };
+    const synonymSection = encodeWordSets(dictionaryDB.synonymMap || new Map());
+    const antonymSection = encodeWordSets(antonymMap);
+    const readingSection = encodeWordSets(dictionaryDB.readingMap || new Map());
+    const posSection = encodeWordSets(dictionaryDB.posMap || new Map());
+
+    const indexWriter = new ByteWriter(4 + index.length * 8);
+    indexWriter.writeUInt32(index.length);
+    for (const { wordId, offset } of index) {
+        indexWriter.writeUInt32(wordId);
+        indexWriter.writeUInt32(offset);
+    }
+
+    // 文字列テーブルは全セクションの intern 後に確定する
+    const encodedStrings = strings.map(value => Buffer.from(value, 'utf8'));
+    const stringWriter = new ByteWriter(4 + (strings.length + 1) * 4);
+    stringWriter.writeUInt32(strings.length);
+    let position = 0;
+    for (const bytes of encodedStrings) {
+        stringWriter.writeUInt32(position);
+        position += bytes.length;
+    }
+    stringWriter.writeUInt32(position);
+    const stringSection = Buffer.concat([stringWriter.toBuffer(), ...encodedStrings]);
+
+    const metadataSection = Buffer.from(JSON.stringify({
+        version: FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        stats: { ...(dictionaryDB.stats || {}), totalEntries: index.length }
+    }), 'utf8');
+
+    const sections = [stringSection, indexWriter.toBuffer(), entryWriter.toBuffer(), synonymSection, antonymSection, readingSection, posSection, metadataSection];
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.write(MAGIC, 0, 'ascii');
+    header.writeUInt32LE(FORMAT_VERSION, 4);
+    header.writeUInt32LE(sections.length, 8);
+    let offset = HEADER_SIZE;
+    sections.forEach((section, i) => {
+        header.writeUInt32LE(offset, 12 + i * 8);
+        header.writeUInt32LE(section.length, 16 + i * 8);
+        offset += section.length;
+    });
+
+    return Buffer.concat([header, ...sections]);
+}
+
+/**
+ * 辞書データをバイナリ形式で保存
+ * @returns {Promise<number>} ファイルサイズ（バイト）
+ */
+export async function writeBinaryDictionary(filePath, dictionaryDB) {
+    const buffer = encodeBinaryDictionary(dictionaryDB);
+    const tempPath = `${filePath}.tmp-${process.pid}`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+    return buffer.length;
+}
+
+/**
+ * バイナリ形式の辞書（読み込み専用）
+ */
+export class BinaryDictionary {
+    constructor(buffer) {
+        if (buffer.length < HEADER_SIZE || buffer.toString('ascii', 0, 4) !== MAGIC) {
+            throw new Error('辞書バイナリの形式が不正です');
+        }
+        const version = buffer.readUInt32LE(4);
+        if (version !== FORMAT_VERSION) {
+            throw new Error(`未対応の辞書バイナリバージョンです: ${version}`);
+        }
+
+        this.buffer = buffer;
+        this.sections = {};
+        SECTIONS.forEach((name, i) => {
+            const offset = buffer.readUInt32LE(12 + i * 8);
+            const length = buffer.readUInt32LE(16 + i * 8);
+            if (offset + length > buffer.length) {
+                throw new Error(`辞書バイナリが破損しています（${name}）`);
+            }
+            this.sections[name] = { offset, length };
+        });
+
+        const strings = this.sections.strings.offset;
+        this.stringCount = buffer.readUInt32LE(strings);
+        this.stringOffsets = strings + 4;
+        this.stringData = this.stringOffsets + (this.stringCount + 1) * 4;
+        // 復元済み文字列（ID → 文字列）
+        this.stringCache = new Array(this.stringCount);
+
+        this.entryCount = buffer.readUInt32LE(this.sections.index.offset);
+        this.indexOffset = this.sections.index.offset + 4;
+
+        const metadata = this.sections.metadata;
+        this.metadata = JSON.parse(buffer.toString('utf8', metadata.offset, metadata.offset + metadata.length));
+    }
+
+    /**
+     * ファイルから読み込み
+     */
+    static async fromFile(filePath) {
+        return new BinaryDictionary(await fs.readFile(filePath));
+    }
+
+    getStringRange(id) {
+        const start = this.stringData + this.buffer.readUInt32LE(this.stringOffsets + id * 4);
+        const end = this.stringData + this.buffer.readUInt32LE(this.stringOffsets + (id + 1) * 4);
+        return [start, end];
+    }
+
+    getString(id) {
+        let value = this.stringCache[id];
+        if (value === undefined) {
+            const [start, end] = this.getStringRange(id);
+            value = this.buffer.toString('utf8', start, end);
+            this.stringCache[id] = value;
+        }
+        return value;
+    }
+
+    getOptionalString(id) {
+        return id === 0 ? null : this.getString(id - 1);
+    }
+
+    getWordId(index) {
+        return this.buffer.readUInt32LE(this.indexOffset + index * 8);
+    }
+
+    getWordAt(index) {
+        return this.getString(this.getWordId(index));
+    }
+
+    /**
+     * 見出し語の索引位置（二分探索、未登録は -1）
+     */
+    findEntryIndex(word) {
+        const key = Buffer.from(word, 'utf8');
+        let low = 0;
+        let high = this.entryCount - 1;
+        while (low <= high) {
+            const middle = (low + high) >>> 1;
+            const [start, end] = this.getStringRange(this.getWordId(middle));
+            const order = this.buffer.compare(key, 0, key.length, start, end);
+            if (order === 0) return middle;
+            if (order < 0) {
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * エントリ復元
+     * @param {number} index - 索引位置
+     * @returns {DictionaryEntry}
+     */
+    decodeEntry(index) {
+        const offset = this.buffer.readUInt32LE(this.indexOffset + index * 8 + 4);
+        const reader = new ByteReader(this.buffer, this.sections.entries.offset + offset);
+        const readList = () => {
+            const values = new Array(reader.readVarUInt());
+            for (let i = 0; i < values.length; i++) values[i] = this.getString(reader.readVarUInt());
+            return values;
+        };
+
+        const reading = this.getOptionalString(reader.readVarUInt());
+        const definitions = readList();
+        const synonyms = readList();
+        const antonyms = readList();
+        const pos = readList();
+        const frequency = reader.readNumber(0);
+        const level = this.getOptionalString(reader.readVarUInt());
+        const source = this.getOptionalString(reader.readVarUInt());
+        const lang = this.getOptionalString(reader.readVarUInt());
+        const quality = reader.readNumber(undefined);
+        const priorities = readList();
+        const misc = readList();
+        const fields = readList();
+
+        const entry = new DictionaryEntry(this.getWordAt(index), reading, definitions, synonyms, antonyms, pos, quality || 0, []);
+        entry.frequency = frequency;
+        entry.level = level || 'common';
+        entry.source = source;
+        entry.lang = lang;
+        entry.quality = quality;
+        entry.priorities = priorities;
+        entry.misc = misc;
+        entry.fields = fields;
+        return entry;
+    }
+
+    /**
+     * 語集合マップ復元（synonyms / antonyms / readings / pos）
+     * @returns {Map<string, Set<string>>}
+     */
+    readWordSets(sectionName) {
+        const reader = new ByteReader(this.buffer, this.sections[sectionName].offset);
+        const map = new Map();
+        const count = reader.readVarUInt();
+        for (let i = 0; i < count; i++) {
+            const key = this.getString(reader.readVarUInt());
+            const words = new Set();
+            const wordCount = reader.readVarUInt();
+            for (let j = 0; j < wordCount; j++) words.add(this.getString(reader.readVarUInt()));
+            map.set(key, words);
+        }
+        return map;
+    }
+
+    createEntryMap() {
+        return new LazyEntryMap(this);
+    }
+}
+
+/**
+ * 参照時にエントリを復元する Map 互換コンテナ
+ * 復元・追加したエントリは保持するため、取得したエントリへの変更は維持される
+ */
+export class LazyEntryMap {
+    constructor(dictionary) {
+        this.dictionary = dictionary;
+        this.materialized = new Map();   // word -> DictionaryEntry（復元済み・追加分）
+        this.added = new Set();          // バイナリにない追加語
+        this.deleted = new Set();        // 削除したバイナリ収録語
+    }
+
+    get size() {
+        return this.dictionary.entryCount - this.deleted.size + this.added.size;
+    }
+
+    /**
+     * 復元済みエントリ数（統計用）
+     */
+    get materializedCount() {
+        return this.materialized.size;
+    }
+
+    materialize(index, word) {
+        let entry = this.materialized.get(word);
+        if (!entry) {
+            entry = this.dictionary.decodeEntry(index);
+            this.materialized.set(word, entry);
+        }
+        return entry;
+    }
+
+    get(word) {
+        if (typeof word !== 'string' || this.deleted.has(word)) return undefined;
+        if (this.materialized.has(word)) return this.materialized.get(word);
+        const index = this.dictionary.findEntryIndex(word);
+        return index >= 0 ? this.materialize(index, word) : undefined;
+    }
+
+    has(word) {
+        if (typeof word !== 'string' || this.deleted.has(word)) return false;
+        return this.materialized.has(word) || this.dictionary.findEntryIndex(word) >= 0;
+    }
+
+    set(word, entry) {
+        this.deleted.delete(word);
+        if (!this.materialized.has(word) && this.dictionary.findEntryIndex(word) < 0) {
+            this.added.add(word);
+        }
+        this.materialized.set(word, entry);
+        return this;
+    }
+
+    delete(word) {
+        if (!this.has(word)) return false;
+        this.materialized.delete(word);
+        if (this.added.has(word)) {
+            this.added.delete(word);
+        } else {
+            this.deleted.add(word);
+        }
+        return true;
+    }
+
+    clear() {
+        for (let i = 0; i < this.dictionary.entryCount; i++) {
+            this.deleted.add(this.dictionary.getWordAt(i));
+        }
+        this.materialized.clear();
+        this.added.clear();
+    }
+
+    *entries() {
+        for (let i = 0; i < this.dictionary.entryCount; i++) {
+            const word = this.dictionary.getWordAt(i);
+            if (!this.deleted.has(word)) {
+                yield [word, this.materialize(i, word)];
+            }
+        }
+        for (const word of this.added) {
+            yield [word, this.materialized.get(word)];
+        }
+    }
+
+    *keys() {
+        for (let i = 0; i < this.dictionary.entryCount; i++) {
+            const word = this.dictionary.getWordAt(i);
+            if (!this.deleted.has(word)) yield word;
+        }
+        yield* this.added;
+    }
+
+    *values() {
+        for (const [, entry] of this.entries()) yield entry;
+    }
+
+    forEach(callback, thisArg) {
+        for (const [word, entry] of this.entries()) callback.call(thisArg, entry, word, this);
+    }
+
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+}
+
+export default BinaryDictionary;
@@ -7,7 +7,29 @@
  * ⚡ 即座利用可能・ゼロセットアップ
  */
 
+import path from 'path';
+import { promises as fs } from 'fs';
 import { DictionaryEntry } from './dictionary-entry.js';
+import { BinaryDictionary, BINARY_DICTIONARY_FILE } from './binary-dictionary-format.js';
+import { normalizeReading } from './kana-normalizer.js';
+import { ReadingIndex } from './reading-index.js';
+
+// 検索結果の一致種別ごとのスコア（前方一致・編集距離は読みの長さの差で減点）
+export const SEARCH_SCORES = {
+    exact: 1.0,
+    reading: 0.9,
+    prefix: 0.7,
+    fuzzy: 0.6
+};
+
+// 辞書（JMdict の <ant> 等）に記載された反義語エッジの重み
+const DICTIONARY_ANTONYM_WEIGHT = 100;
+
+// 編集距離検索の既定の許容距離（2文字以下の読みは候補が多すぎるため行わない）
+function defaultMaxDistance(reading) {
+    if (reading.length < 3) return 0;
+    return reading.length < 7 ? 1 : 2;
+}
 
 /**
  * 軽量辞書データベース（コア版）
@@ -24,6 +46,9 @@ export class DictionaryDBBase {
         this.synonymMap = new Map();     // word -> Set(synonyms)
         this.readingMap = new Map();     // reading -> Set(words)
         this.posMap = new Map();         // pos -> Set(words)
+        this.readingIndex = null;        // 読み検索インデックス（search() の初回に構築）
+        this.semanticGraph = new Map();  // word -> Map(relatedWord -> weight)（同義語エッジ）
+        this.antonymGraph = new Map();   // word -> Map(antonym -> weight)（反義語エッジ）
         
         // 共通統計・メタデータ
         this.stats = {
@@ -59,6 +84,80 @@ export class DictionaryDBBase {
         return synonyms[Math.floor(Math.random() * synonyms.length)];
     }
 
+    /**
+     * 単語の反義語取得（重みの降順）
+     */
+    getAntonyms(word, maxResults = 5) {
+        const edges = this.antonymGraph.get(word);
+        if (!edges || edges.size === 0) {
+            return [];
+        }
+        
+        return Array.from(edges.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, maxResults)
+            .map(([antonym]) => antonym);
+    }
+
+    /**
+     * 2語が反義語の関係にあるか
+     */
+    isAntonymPair(word1, word2) {
+        const edges = this.antonymGraph.get(word1);
+        return edges ? edges.has(word2) : false;
+    }
+
+    /**
+     * 意味グラフにエッジを追加
+     * @param {string} word1 - 単語1
+     * @param {string} word2 - 単語2
+     * @param {number} weight - 関係性の重み (品質スコア)
+     * @param {string} type - エッジ種別（'synonym': 同義語, 'antonym': 反義語）
+     */
+    addSemanticEdge(word1, word2, weight, type = 'synonym') {
+        let graph;
+        switch (type) {
+            case 'synonym':
+                graph = this.semanticGraph;
+                break;
+            case 'antonym':
+                graph = this.antonymGraph;
+                break;
+            default:
+                throw new Error(`未対応の意味エッジ種別: ${type}`);
+        }
+        if (!graph.has(word1)) {
+            graph.set(word1, new Map());
+        }
+        graph.get(word1).set(word2, weight);
+    }
+
+    /**
+     * 反義語ペア追加（双方向のエッジ）
+     */
+    addAntonymPair(word1, word2, weight = DICTIONARY_ANTONYM_WEIGHT) {
+        if (!word1 || !word2 || word1 === word2) return;
+        this.addSemanticEdge(word1, word2, weight, 'antonym');
+        this.addSemanticEdge(word2, word1, weight, 'antonym');
+    }
+
+    /**
+     * 反義語グラフ構築
+     * @param {Map<string, Set<string>>|null} antonymMap - 見出し語 -> 反義語（省略時は全エントリの antonyms から構築）
+     */
+    buildAntonymGraph(antonymMap = null) {
+        this.antonymGraph = new Map();
+        if (antonymMap) {
+            for (const [word, antonyms] of antonymMap) {
+                for (const antonym of antonyms) this.addAntonymPair(word, antonym);
+            }
+            return;
+        }
+        for (const [word, entry] of this.entries) {
+            for (const antonym of entry.antonyms || []) this.addAntonymPair(word, antonym);
+        }
+    }
+
     /**
      * エントリ取得
      */
@@ -66,6 +165,83 @@ export class DictionaryDBBase {
         return this.entries.get(word);
     }
 
+    /**
+     * 読みインデックス取得（初回に読みマップから構築し、以降は addReading() で更新）
+     */
+    getReadingIndex() {
+        if (!this.readingIndex) {
+            this.readingIndex = ReadingIndex.fromReadingMap(this.readingMap);
+        }
+        return this.readingIndex;
+    }
+
+    /**
+     * 読みマップへ登録（構築済みの読みインデックスにも反映）
+     */
+    addReading(reading, word) {
+        if (!this.readingMap.has(reading)) {
+            this.readingMap.set(reading, new Set());
+        }
+        this.readingMap.get(reading).add(word);
+        if (this.readingIndex) {
+            this.readingIndex.add(word, reading);
+        }
+    }
+
+    /**
+     * 表記・読み（ひらがな・カタカナ・ローマ字）・前方一致・編集距離による検索
+     * @param {string} query - 検索語
+     * @param {Object} options - { limit, prefix: 前方一致を含める, fuzzy: 編集距離検索を含める, maxDistance: 許容する編集距離 }
+     * @returns {Array<Object>} { word, reading, matchType: 'exact'|'reading'|'prefix'|'fuzzy', score, inputType, distance, entry }（スコアの降順）
+     */
+    search(query, { limit = 10, prefix = true, fuzzy = true, maxDistance = null } = {}) {
+        if (!query || typeof query !== 'string') return [];
+
+        const results = new Map();
+        const addResult = (word, matchType, score, details = {}) => {
+            const existing = results.get(word);
+            if (existing && existing.score >= score) return;
+            const entry = this.entries.get(word);
+            if (!entry) return;
+            results.set(word, { word, reading: entry.reading || null, matchType, score, ...details, entry });
+        };
+
+        if (this.entries.has(query)) {
+            addResult(query, 'exact', SEARCH_SCORES.exact);
+        }
+
+        const { reading, inputType } = normalizeReading(query);
+        if (reading) {
+            const index = this.getReadingIndex();
+            for (const word of index.findExact(reading)) {
+                addResult(word, 'reading', SEARCH_SCORES.reading, { inputType });
+            }
+            if (prefix) {
+                for (const match of index.findPrefix(reading, limit)) {
+                    if (match.reading === reading) continue;
+                    const score = SEARCH_SCORES.prefix * reading.length / match.reading.length;
+                    for (const word of match.words) {
+                        addResult(word, 'prefix', score, { inputType });
+                    }
+                }
+            }
+            const distanceLimit = maxDistance === null ? defaultMaxDistance(reading) : maxDistance;
+            if (fuzzy && distanceLimit > 0) {
+                for (const match of index.findFuzzy(reading, distanceLimit)) {
+                    if (match.distance === 0) continue;
+                    const score = SEARCH_SCORES.fuzzy * (1 - match.distance / Math.max(reading.length, match.reading.length));
+                    for (const word of match.words) {
+                        addResult(word, 'fuzzy', score, { inputType, distance: match.distance });
+                    }
+                }
+            }
+        }
+
+        return Array.from(results.values())
+            .sort((a, b) => b.score - a.score || (b.entry.frequency || 0) - (a.entry.frequency || 0))
+            .slice(0, limit);
+    }
+
     /**
      * データベースサイズ取得
      */
@@ -110,9 +286,6 @@ export class DictionaryDBCore extends DictionaryDBBase {
     constructor() {
         super(); // 基底クラスの初期化
         
-        // コア版専用データ構造
-        this.semanticGraph = new Map();  // word -> Map(relatedWord -> weight)
-        
         console.log('📚 DictionaryDB Core初期化完了（軽量版）');
     }
 
@@ -124,18 +297,24 @@ export class DictionaryDBCore extends DictionaryDBBase {
         const startTime = Date.now();
         
         try {
-            // キャッシュ形式データ読み込み
-            const cacheData = await this.loadCacheFormat(dbPath);
+            // バイナリ形式（dictionary.bin）優先、なければJSONキャッシュ形式
+            let format = 'binary';
+            let cacheData = await this.loadBinaryFormat(dbPath);
+            if (!cacheData) {
+                format = 'json';
+                cacheData = await this.loadCacheFormat(dbPath);
+            }
             if (cacheData) {
                 await this.loadFromCacheData(cacheData);
                 
                 const loadTime = Date.now() - startTime;
-                console.log(`✅ 配布済みDB読み込み完了: ${loadTime}ms`);
+                console.log(`✅ 配布済みDB読み込み完了: ${loadTime}ms（${format}）`);
                 console.log(`📊 辞書統計: ${this.getSize()}エントリ, ${this.synonymMap.size}同義語`);
                 
                 return {
                     success: true,
                     method: 'distribution',
+                    format,
                     loadTime,
                     totalEntries: this.getSize()
                 };
@@ -168,18 +347,52 @@ export class DictionaryDBCore extends DictionaryDBBase {
         }
     }
 
+    /**
+     * バイナリ形式データ読み込み（エントリは参照時に復元）
+     */
+    async loadBinaryFormat(dbPath) {
+        const filePath = path.join(dbPath, BINARY_DICTIONARY_FILE);
+        try {
+            await fs.access(filePath);
+        } catch {
+            return null;
+        }
+
+        try {
+            const dictionary = await BinaryDictionary.fromFile(filePath);
+            if (dictionary.entryCount < 100) {
+                console.log('⚠️ 辞書バイナリ無効（エントリ数不足）');
+                return null;
+            }
+
+            const cacheData = {
+                entries: dictionary.createEntryMap(),
+                synonymMap: dictionary.readWordSets('synonyms'),
+                antonymMap: dictionary.readWordSets('antonyms'),
+                readingMap: dictionary.readWordSets('readings'),
+                posMap: dictionary.readWordSets('pos'),
+                stats: dictionary.metadata.stats
+            };
+            console.log(`📦 辞書バイナリ読み込み成功: ${cacheData.entries.size}エントリ`);
+            return cacheData;
+        } catch (error) {
+            console.log(`⚠️ 辞書バイナリ読み込み失敗: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * キャッシュ形式データ読み込み
      */
     async loadCacheFormat(dbPath) {
         try {
-            const { promises: fs } = await import('fs');
-            const path = await import('path');
+            // 読み込みはキャッシュマネージャー経由（gzip / brotli 圧縮されたファイルも展開する）
+            const { DictionaryCacheManager } = await import('../../builders/dictionary-cache-manager.js');
+            const cacheManager = new DictionaryCacheManager();
+            cacheManager.cacheDir = dbPath;
             
             // メタデータ確認
-            const metadataPath = path.default.join(dbPath, 'cache-metadata.json');
-            const metadataContent = await fs.readFile(metadataPath, 'utf8');
-            const metadata = JSON.parse(metadataContent);
+            const metadata = await cacheManager.readCacheFile('cache-metadata.json');
             
             if (!metadata || metadata.stats.totalEntries < 100) {
                 console.log('⚠️ 配布DB無効（エントリ数不足）');
@@ -187,8 +400,7 @@ export class DictionaryDBCore extends DictionaryDBBase {
             }
             
             // チャンクファイル読み込み
-            const files = await fs.readdir(dbPath);
-            const chunkFiles = files.filter(file => file.startsWith('parsed-dictionary-chunk-'));
+            const chunkFiles = await cacheManager.listChunkFiles();
             
             if (chunkFiles.length === 0) {
                 console.log('⚠️ 辞書チャンクファイル未検出');
@@ -204,11 +416,8 @@ export class DictionaryDBCore extends DictionaryDBBase {
             };
             
             // チャンクデータ統合
-            chunkFiles.sort();
             for (const chunkFile of chunkFiles) {
-                const chunkPath = path.default.join(dbPath, chunkFile);
-                const chunkContent = await fs.readFile(chunkPath, 'utf8');
-                const chunkData = JSON.parse(chunkContent);
+                const chunkData = await cacheManager.readCacheFile(chunkFile);
                 
                 for (const entryData of chunkData.entries) {
                     const entry = new DictionaryEntry(
@@ -226,15 +435,16 @@ export class DictionaryDBCore extends DictionaryDBBase {
                     entry.source = entryData.source;
                     entry.lang = entryData.lang;
                     entry.quality = entryData.quality;
+                    entry.priorities = entryData.priorities || [];
+                    entry.misc = entryData.misc || [];
+                    entry.fields = entryData.fields || [];
                     
                     cacheData.entries.set(entryData.word, entry);
                 }
             }
             
             // 同義語マップ読み込み
-            const synonymMapPath = path.default.join(dbPath, 'synonym-map.json');
-            const synonymMapContent = await fs.readFile(synonymMapPath, 'utf8');
-            const synonymMapData = JSON.parse(synonymMapContent);
+            const synonymMapData = await cacheManager.readCacheFile('synonym-map.json');
             
             const entries = Array.isArray(synonymMapData) ? synonymMapData : synonymMapData.entries;
             if (entries) {
@@ -246,9 +456,7 @@ export class DictionaryDBCore extends DictionaryDBBase {
             }
             
             // インデックス読み込み
-            const indicesPath = path.default.join(dbPath, 'dictionary-indices.json');
-            const indicesContent = await fs.readFile(indicesPath, 'utf8');
-            const indicesData = JSON.parse(indicesContent);
+            const indicesData = await cacheManager.readCacheFile('dictionary-indices.json');
             
             for (const { reading, words } of indicesData.readingMap) {
                 cacheData.readingMap.set(reading, new Set(words));
@@ -278,7 +486,10 @@ export class DictionaryDBCore extends DictionaryDBBase {
             console.log(Array.from(this.synonymMap.keys()).slice(0, 5));
         }
         this.readingMap = cacheData.readingMap;
+        this.readingIndex = null;
         this.posMap = cacheData.posMap;
+        // バイナリ形式は反義語マップを持つ（エントリを復元せずに構築する）
+        this.buildAntonymGraph(cacheData.antonymMap || null);
         this.stats = {
             ...cacheData.stats,
             loadedAt: Date.now()
@@ -467,19 +678,6 @@ export class DictionaryDBCore extends DictionaryDBBase {
         }
     }
 
-    /**
-     * 意味グラフにエッジを追加
-     * @param {string} word1 - 単語1
-     * @param {string} word2 - 単語2
-     * @param {number} weight - 関係性の重み (品質スコア)
-     */
-    addSemanticEdge(word1, word2, weight) {
-        if (!this.semanticGraph.has(word1)) {
-            this.semanticGraph.set(word1, new Map());
-        }
-        this.semanticGraph.get(word1).set(word2, weight);
-    }
-
     /**
      * 意味グラフから関連語彙を探索
      * @param {string} startWord - 探索開始単語
@@ -11,7 +11,8 @@ import { promises as fs } from 'fs';
 import path from 'path';
 
 import { DictionaryEntry } from './dictionary-entry.js';
-import { DictionaryDBBase } from './dictionary-db-core.js';
+import { DictionaryDBBase, SEARCH_SCORES } from './dictionary-db-core.js';
+import { JMdictStreamImporter, calculatePriorityFrequency } from './jmdict-stream-importer.js';
 
 /**
  * 軽量辞書データベース
@@ -138,8 +139,10 @@ export class DictionaryDB extends DictionaryDBBase {
         this.entries = cacheData.entries;
         this.synonymMap = cacheData.synonymMap;
         this.readingMap = cacheData.readingMap;
+        this.readingIndex = null;
         this.posMap = cacheData.posMap;
         this.stats = cacheData.stats;
+        this.buildAntonymGraph();
         
         const loadTime = Date.now() - startTime;
         console.log(`✅ キャッシュ読み込み完了: ${loadTime}ms`);
@@ -230,10 +233,12 @@ export class DictionaryDB extends DictionaryDBBase {
 
     /**
      * 語彙ルックアップ
+     * 表記・読みの完全一致がなければ、カタカナ・ローマ字を正規化した読みで検索する
      * @param {string} word - 検索する語彙
-     * @returns {Object|null} 辞書エントリまたはnull
+     * @param {Object} options - search() のオプション（既定では前方一致・編集距離検索は行わない）
+     * @returns {Object|null} 辞書エントリ（matchType・score 付き）またはnull
      */
-    async lookup(word) {
+    async lookup(word, options = {}) {
         if (!word || typeof word !== 'string') return null;
         
         try {
@@ -245,7 +250,9 @@ export class DictionaryDB extends DictionaryDBBase {
                     readings: entry.readings,
                     meanings: entry.meanings,
                     pos: entry.pos,
-                    source: 'dictionary'
+                    source: 'dictionary',
+                    matchType: 'exact',
+                    score: SEARCH_SCORES.exact
                 };
             }
             
@@ -260,11 +267,27 @@ export class DictionaryDB extends DictionaryDBBase {
                         readings: entry.readings,
                         meanings: entry.meanings,
                         pos: entry.pos,
-                        source: 'reading_lookup'
+                        source: 'reading_lookup',
+                        matchType: 'reading',
+                        score: SEARCH_SCORES.reading
                     };
                 }
             }
             
+            // 読みインデックスから検索（かな正規化・ローマ字変換、options 指定で前方一致・編集距離）
+            const [best] = this.search(word, { prefix: false, fuzzy: false, ...options, limit: 1 });
+            if (best) {
+                return {
+                    word: best.word,
+                    readings: best.entry.readings,
+                    meanings: best.entry.meanings,
+                    pos: best.entry.pos,
+                    source: 'reading_index',
+                    matchType: best.matchType,
+                    score: best.score
+                };
+            }
+            
             return null;
         } catch (error) {
             console.warn('⚠️ 辞書ルックアップエラー:', error.message);
@@ -282,12 +305,7 @@ export class DictionaryDB extends DictionaryDBBase {
         
         // 読みマップ更新
         if (entry.readings && Array.isArray(entry.readings)) {
-            entry.readings.forEach(reading => {
-                if (!this.readingMap.has(reading)) {
-                    this.readingMap.set(reading, new Set());
-                }
-                this.readingMap.get(reading).add(entry.word);
-            });
+            entry.readings.forEach(reading => this.addReading(reading, entry.word));
         }
         
         // 品詞マップ更新
@@ -317,10 +335,7 @@ export class DictionaryDB extends DictionaryDBBase {
         
         // 読みマップ更新
         if (entry.reading) {
-            if (!this.readingMap.has(entry.reading)) {
-                this.readingMap.set(entry.reading, new Set());
-            }
-            this.readingMap.get(entry.reading).add(entry.word);
+            this.addReading(entry.reading, entry.word);
         }
         
         // 品詞マップ更新
@@ -347,12 +362,14 @@ export class DictionaryDB extends DictionaryDBBase {
         const synonymSet = new Set(synonyms);
         this.synonymMap.set(word, synonymSet);
         
+        // 反義語グラフ更新（双方向）
+        for (const antonym of antonyms) {
+            this.addAntonymPair(word, antonym);
+        }
+        
         // 読みマップ更新
         if (reading) {
-            if (!this.readingMap.has(reading)) {
-                this.readingMap.set(reading, new Set());
-            }
-            this.readingMap.get(reading).add(word);
+            this.addReading(reading, word);
         }
         
         // 品詞マップ更新
@@ -459,71 +476,54 @@ export class DictionaryDB extends DictionaryDBBase {
     }
     
     /**
-     * JMdict/EDICT統合実装（最適化版）
+     * JMdict XML（JMdict_e.xml）のストリーミング取り込み
+     * 全エントリ・全語義を JMdictStreamImporter で逐次解析し、エントリごとに追加する
+     * @param {string} jmdictPath - JMdict XML のパス
+     * @param {Object} options - { maxEntries: 取り込み上限（省略時は config.maxEntries、未設定なら全件）, progressInterval }
      */
-    async loadJMdict(jmdictPath) {
-        console.log('📥 JMdict読み込み開始（最適化版）');
+    async loadJMdict(jmdictPath, { maxEntries = this.config.maxEntries || null, progressInterval = 10000 } = {}) {
+        console.log('📥 JMdict読み込み開始（ストリーミング）');
         console.log(`📂 ファイルパス: ${jmdictPath}`);
         
         try {
-            // ファイル存在確認
-            const stats = await fs.stat(jmdictPath);
-            console.log(`📊 ファイルサイズ: ${(stats.size / 1024 / 1024).toFixed(1)}MB`);
-            
-            // メモリ効率最適化設定
-            const memoryLimit = Math.min(this.config.maxMemoryMB, 50); // 50MB制限
-            const maxEntries = this.config.maxEntries || 200000; // 最大20万エントリ
-            
-            console.log(`⚡ 最適化設定: メモリ制限${memoryLimit}MB, 最大${maxEntries}エントリ`);
-            
-            // ストリーミング読み込み（メモリ効率化）
-            console.log('📖 ストリーミング読み込み開始...');
-            const entries = await this.parseJMdictXMLOptimized(jmdictPath, maxEntries);
-            console.log(`🔍 最適化抽出エントリ数: ${entries.length}`);
-            
-            // バッチ処理（メモリ効率化）
-            let processed = 0;
-            const batchSize = 500; // バッチサイズ縮小
-            
-            for (let i = 0; i < entries.length; i += batchSize) {
-                const batch = entries.slice(i, i + batchSize);
-                
-                for (const entry of batch) {
-                    await this.addEntry(entry);
-                    processed++;
-                }
-                
-                // 頻繁なメモリチェック
-                const memUsage = this.estimateMemoryUsage();
-                if (memUsage > memoryLimit) {
-                    console.log(`⛔ メモリ制限到達: ${memUsage}MB > ${memoryLimit}MB`);
-                    console.log(`📊 処理完了: ${processed}/${entries.length}エントリ`);
-                    break;
-                }
-                
-                // 進捗表示
-                if (processed % 2000 === 0) {
-                    console.log(`📈 処理進捗: ${processed}/${entries.length} (${(processed/entries.length*100).toFixed(1)}%) | メモリ: ${memUsage.toFixed(1)}MB`);
+            let added = 0;
+            let skipped = 0;
+            const importer = new JMdictStreamImporter({
+                maxEntries,
+                progressInterval,
+                onEntry: (record) => {
+                    const entry = this.createEntryFromJMdict(record);
+                    if (!entry) {
+                        skipped++;
+                        return;
+                    }
+                    this.addJMdictEntry(entry);
+                    added++;
+                },
+                onProgress: ({ entries, bytesRead, totalBytes, percent }) => {
+                    const heapMB = process.memoryUsage().heapUsed / 1024 / 1024;
+                    console.log(`📈 JMdict取り込み: ${entries}エントリ (${percent.toFixed(1)}%, ${(bytesRead / 1024 / 1024).toFixed(1)}/${(totalBytes / 1024 / 1024).toFixed(1)}MB) | ヒープ: ${heapMB.toFixed(1)}MB`);
                 }
-            }
+            });
+            const result = await importer.importFile(jmdictPath);
             
-            this.stats.loadedSources.push('JMdict_optimized');
+            this.stats.loadedSources.push('JMdict');
             this.stats.lastUpdated = Date.now();
             
-            console.log(`✅ JMdict最適化統合完了: ${processed}エントリ追加`);
+            console.log(`✅ JMdict取り込み完了: ${added}エントリ追加, ${skipped}エントリ除外 (${(result.elapsedMs / 1000).toFixed(1)}秒)${result.completed ? '' : ' ※上限到達'}`);
             console.log(`📊 総エントリ数: ${this.stats.totalEntries}`);
-            console.log(`💾 最終メモリ使用量: ${this.estimateMemoryUsage().toFixed(2)}MB`);
             
             return {
                 success: true,
-                entriesProcessed: processed,
+                entriesProcessed: added,
+                skipped,
+                completed: result.completed,
                 totalEntries: this.stats.totalEntries,
-                memoryUsage: this.estimateMemoryUsage(),
-                optimization: 'enabled'
+                memoryUsage: this.estimateMemoryUsage()
             };
             
         } catch (error) {
-            console.error('❌ JMdict最適化読み込みエラー:', error.message);
+            console.error('❌ JMdict読み込みエラー:', error.message);
             return {
                 success: false,
                 error: error.message,
@@ -533,267 +533,99 @@ export class DictionaryDB extends DictionaryDBBase {
     }
     
     /**
-     * JMdict XML パーサー（最適化版・ストリーミング）
-     */
-    async parseJMdictXMLOptimized(jmdictPath, maxEntries = 10000) {
-        console.log('🔧 JMdict XML最適化パース開始');
-        
-        const entries = [];
-        const fs = await import('fs');
-        
-        try {
-            // ストリーミング読み込み
-            const fileStream = fs.createReadStream(jmdictPath, { encoding: 'utf8', highWaterMark: 64 * 1024 }); // 64KB chunk
-            
-            let buffer = '';
-            let processedCount = 0;
-            
-            return new Promise((resolve, reject) => {
-                fileStream.on('data', (chunk) => {
-                    buffer += chunk;
-                    
-                    // エントリ境界で分割
-                    const entryPattern = /<entry>(.*?)<\/entry>/gs;
-                    let match;
-                    
-                    while ((match = entryPattern.exec(buffer)) !== null && entries.length < maxEntries) {
-                        try {
-                            const entry = this.parseJMdictEntryOptimized(match[1]);
-                            if (entry) {
-                                entries.push(entry);
-                                processedCount++;
-                            }
-                            
-                            // 進捗表示
-                            if (processedCount % 1000 === 0) {
-                                console.log(`🔄 ストリーミング進捗: ${processedCount}エントリ処理済み`);
-                            }
-                            
-                        } catch (error) {
-                            // 個別エントリエラーは無視
-                            continue;
-                        }
-                    }
-                    
-                    // 処理済み部分をバッファから削除
-                    const lastEntryEnd = buffer.lastIndexOf('</entry>');
-                    if (lastEntryEnd !== -1) {
-                        buffer = buffer.substring(lastEntryEnd + 8);
-                    }
-                    
-                    // 制限到達時は早期終了
-                    if (entries.length >= maxEntries) {
-                        fileStream.destroy();
-                        console.log(`⚡ 制限到達により早期終了: ${entries.length}エントリ`);
-                        resolve(entries);
-                    }
-                });
-                
-                fileStream.on('end', () => {
-                    console.log(`✅ ストリーミングパース完了: ${entries.length}エントリ抽出`);
-                    resolve(entries);
-                });
-                
-                fileStream.on('error', (error) => {
-                    console.error('❌ ストリーミング読み込みエラー:', error.message);
-                    reject(error);
-                });
-            });
-            
-        } catch (error) {
-            console.error('❌ 最適化パースエラー:', error.message);
-            return [];
-        }
-    }
-    
-    /**
-     * 最適化版エントリパース
+     * JMdict レコードから辞書エントリを作成
+     * 見出し語は最初の漢字表記（なければ読み）、読みは見出し語に適用できる最初の読み。
+     * 全語義の英語の語義・品詞・misc/field タグ、相互参照（同義語）・反義語、優先度タグによる頻度を設定する
+     * @returns {DictionaryEntry|null} 日本語の見出し語・語義がない場合は null
      */
-    parseJMdictEntryOptimized(entryXml) {
-        // 高速パターンマッチング
-        const kanjiMatch = entryXml.match(/<keb>(.*?)<\/keb>/);
-        const readingMatch = entryXml.match(/<reb>(.*?)<\/reb>/);
-        const glossMatches = entryXml.match(/<gloss(?:[^>]*)>(.*?)<\/gloss>/g);
-        const posMatches = entryXml.match(/<pos>&([^;]+);<\/pos>/g);
-        const xrefMatches = entryXml.match(/<xref>(.*?)<\/xref>/g); // Add this line for xref
-        
-        // 必須要素チェック
-        const primaryWord = kanjiMatch ? kanjiMatch[1].trim() : (readingMatch ? readingMatch[1].trim() : null);
-        if (!primaryWord || !this.isValidJapaneseWord(primaryWord)) return null;
-        
-        // 定義抽出（最初の2つまで）
-        const definitions = [];
-        if (glossMatches) {
-            for (let i = 0; i < Math.min(glossMatches.length, 2); i++) {
-                const glossMatch = glossMatches[i].match(/<gloss(?:[^>]*)>(.*?)<\/gloss>/);
-                if (glossMatch && glossMatch[1] && glossMatch[1].length > 2) {
-                    definitions.push(glossMatch[1].trim());
-                }
-            }
-        }
+    createEntryFromJMdict(record) {
+        const primaryKanji = record.kanji[0] || null;
+        const word = primaryKanji ? primaryKanji.text : (record.readings[0] && record.readings[0].text);
+        if (!word || !this.isValidJapaneseWord(word)) return null;
         
+        const definitions = [...new Set(record.senses.flatMap(sense => sense.glosses))];
         if (definitions.length === 0) return null;
         
-        // 品詞抽出（最初の3つまで）
-        const posList = [];
-        if (posMatches) {
-            for (let i = 0; i < Math.min(posMatches.length, 3); i++) {
-                const posMatch = posMatches[i].match(/<pos>&([^;]+);<\/pos>/);
-                if (posMatch) {
-                    posList.push(this.normalizePOS(posMatch[1]));
-                }
-            }
-        }
+        const readingElement = record.readings.find(reading => !reading.noKanji &&
+            (reading.restrictions.length === 0 || !primaryKanji || reading.restrictions.includes(primaryKanji.text)))
+            || record.readings[0];
+        const unique = (values) => [...new Set(values)];
+        const references = (key) => unique(record.senses.flatMap(sense => sense[key].map(reference => reference.word)))
+            .filter(reference => reference !== word);
         
-        // 同義語抽出
-        const extractedSynonyms = [];
-        if (xrefMatches) {
-            for (const xrefMatch of xrefMatches) {
-                const xrefWordMatch = xrefMatch.match(/<xref>(.*?)<\/xref>/);
-                if (xrefWordMatch && xrefWordMatch[1]) {
-                    const xrefWord = xrefWordMatch[1].trim();
-                    // JMdictのxrefは通常、別のエントリへの参照なので、そのまま同義語として追加
-                    extractedSynonyms.push(xrefWord);
-                }
-            }
-        }
-
-        // エントリ作成
         const entry = new DictionaryEntry(
-            primaryWord,
-            readingMatch ? readingMatch[1].trim() : null,
+            word,
+            readingElement ? readingElement.text : null,
             definitions,
-            extractedSynonyms, // Pass extracted synonyms here
-            [], // 反義語は後で処理
-            posList
+            references('crossReferences'),
+            references('antonyms'),
+            unique(record.senses.flatMap(sense => sense.pos.map(pos => this.normalizePOS(pos))))
         );
         
-        // 簡易頻度・レベル推定
-        entry.frequency = this.estimateFrequencyFast(primaryWord);
-        entry.level = primaryWord.length <= 3 ? 'basic' : 'common';
+        // 優先度タグ（見出し語の漢字表記・読み）による頻度・レベル
+        const priorities = unique([
+            ...(primaryKanji ? primaryKanji.priorities : []),
+            ...(readingElement ? readingElement.priorities : [])
+        ]);
+        entry.priorities = priorities;
+        entry.frequency = calculatePriorityFrequency(priorities);
+        entry.level = priorities.some(priority => /^(news1|ichi1|spec1|gai1|nf\d{2})$/.test(priority))
+            ? 'basic'
+            : (priorities.length > 0 ? 'common' : 'advanced');
+        entry.misc = unique(record.senses.flatMap(sense => sense.misc));
+        entry.fields = unique(record.senses.flatMap(sense => sense.field));
+        entry.source = 'JMdict';
         
         return entry;
     }
     
     /**
-     * 高速頻度推定
+     * JMdict エントリの追加（同じ見出し語の既存エントリがある場合は統合）
      */
-    estimateFrequencyFast(word) {
-        let frequency = 30; // ベース頻度
-        
-        // if (word.length <= 2) frequency += 20;
-        // if (/^[あ-ん]+$/.test(word)) frequency += 15;
-        // if (/^[ア-ン]+$/.test(word)) frequency += 10;
+    addJMdictEntry(entry) {
+        const existing = this.entries.get(entry.word);
+        if (!existing) {
+            this.addEntry(entry.word, entry.reading, entry.definitions, entry.synonyms, entry.antonyms, entry.pos);
+            const added = this.entries.get(entry.word);
+            Object.assign(added, {
+                frequency: entry.frequency,
+                level: entry.level,
+                priorities: entry.priorities,
+                misc: entry.misc,
+                fields: entry.fields,
+                source: entry.source
+            });
+            return;
+        }
         
-        return Math.min(frequency, 100);
-    }
-    
-    /**
-     * JMdict XML パーサー
-     */
-    parseJMdictXML(xmlContent) {
-        console.log('🔧 JMdict XMLパース開始');
-        
-        const entries = [];
-        
-        // エントリの正規表現パターン（修正版）
-        const entryPattern = /<entry>(.*?)<\/entry>/gs;
-        const entSeqPattern = /<ent_seq>(\d+)<\/ent_seq>/;
-        const kanjiPattern = /<keb>(.*?)<\/keb>/g;
-        const readingPattern = /<reb>(.*?)<\/reb>/g;
-        const sensePattern = /<sense>(.*?)<\/sense>/gs;
-        const glossPattern = /<gloss(?:[^>]*)>(.*?)<\/gloss>/g;
-        const posPattern = /<pos>&([^;]+);<\/pos>/g;
-        
-        let entryMatch;
-        let processedCount = 0;
-        
-        // エントリを一つずつ処理
-        while ((entryMatch = entryPattern.exec(xmlContent)) !== null) {
-            const entryXml = entryMatch[1];
-            
-            try {
-                // エントリ番号抽出
-                const entSeqMatch = entryXml.match(entSeqPattern);
-                if (!entSeqMatch) continue;
-                
-                // 漢字表記抽出（修正版）
-                const kanjiMatches = Array.from(entryXml.matchAll(kanjiPattern));
-                const kanjiWords = kanjiMatches.map(match => match[1]?.trim()).filter(word => word);
-                
-                // 読み抽出（修正版）
-                const readingMatches = Array.from(entryXml.matchAll(readingPattern));
-                const readings = readingMatches.map(match => match[1]?.trim()).filter(reading => reading);
-                
-                // センス（意味・定義）抽出
-                const senseMatches = Array.from(entryXml.matchAll(sensePattern));
-                const definitions = [];
-                const posList = new Set();
-                
-                for (const senseMatch of senseMatches) {
-                    const senseXml = senseMatch[1];
-                    
-                    // 品詞抽出
-                    const posMatches = Array.from(senseXml.matchAll(posPattern));
-                    posMatches.forEach(match => posList.add(this.normalizePOS(match[1])));
-                    
-                    // 語義抽出（修正版：英語のみ）
-                    const glossMatches = Array.from(senseXml.matchAll(glossPattern));
-                    glossMatches.forEach(match => {
-                        const gloss = match[1]?.trim();
-                        // 英語の定義のみ採用（xml:langがない、またはenのもの）
-                        const fullMatch = match[0];
-                        const isEnglish = !fullMatch.includes('xml:lang') || fullMatch.includes('xml:lang="en"');
-                        
-                        if (gloss && !gloss.includes('&') && isEnglish && gloss.length > 2) {
-                            definitions.push(gloss);
-                        }
-                    });
-                }
-                
-                // エントリ作成（漢字がある場合は漢字、ない場合は読み）
-                const primaryWord = kanjiWords.length > 0 ? kanjiWords[0] : readings[0];
-                const primaryReading = readings.length > 0 ? readings[0] : null;
-                
-                // 有効なエントリのみ作成（日本語単語 + 英語定義）
-                if (primaryWord && definitions.length > 0 && this.isValidJapaneseWord(primaryWord)) {
-                    const entry = new DictionaryEntry(
-                        primaryWord,
-                        primaryReading,
-                        definitions.slice(0, 3), // 定義は上位3つまで
-                        [], // 同義語は後で処理
-                        [], // 反義語は後で処理
-                        Array.from(posList)
-                    );
-                    
-                    // 頻度推定（簡易）
-                    entry.frequency = this.estimateFrequency(primaryWord, definitions);
-                    entry.level = this.estimateLevel(primaryWord, definitions);
-                    
-                    entries.push(entry);
-                }
-                
-                processedCount++;
-                
-                // 軽量化：進捗表示とメモリチェック
-                if (processedCount % 10000 === 0) {
-                    console.log(`🔄 XMLパース進捗: ${processedCount}エントリ`);
-                    
-                    // メモリ効率化：大量処理時は一部エントリのみ
-                    if (processedCount > 50000 && entries.length > 30000) {
-                        console.log('📊 メモリ効率化のため処理制限');
-                        break;
-                    }
-                }
-                
-            } catch (error) {
-                // 個別エントリエラーは無視して継続
-                continue;
+        const merge = (current, values) => [...new Set([...(current || []), ...values])];
+        existing.definitions = merge(existing.definitions, entry.definitions);
+        existing.synonyms = merge(existing.synonyms, entry.synonyms);
+        existing.antonyms = merge(existing.antonyms, entry.antonyms);
+        existing.pos = merge(existing.pos, entry.pos);
+        existing.priorities = merge(existing.priorities, entry.priorities);
+        existing.misc = merge(existing.misc, entry.misc);
+        existing.fields = merge(existing.fields, entry.fields);
+        existing.frequency = Math.max(existing.frequency || 0, entry.frequency);
+        if (!this.synonymMap.has(entry.word)) {
+            this.synonymMap.set(entry.word, new Set());
+        }
+        for (const synonym of entry.synonyms) {
+            this.synonymMap.get(entry.word).add(synonym);
+        }
+        for (const antonym of entry.antonyms) {
+            this.addAntonymPair(entry.word, antonym);
+        }
+        // 同表記の別語（読みが異なる）も読みから引けるようにする
+        if (entry.reading) {
+            this.addReading(entry.reading, entry.word);
+        }
+        for (const pos of entry.pos) {
+            if (!this.posMap.has(pos)) {
+                this.posMap.set(pos, new Set());
             }
+            this.posMap.get(pos).add(entry.word);
         }
-        
-        console.log(`✅ JMdict XMLパース完了: ${entries.length}エントリ抽出`);
-        return entries;
     }
     
     /**
@@ -840,44 +672,11 @@ export class DictionaryDB extends DictionaryDBBase {
             'oth': 'その他' // その他の品詞
         };
         
-        return posMap[pos] || 'その他'; // マッピングがない場合は「その他」を返す
-    }
-    
-    /**
-     * 頻度推定（簡易）
-     */
-    estimateFrequency(word, definitions) {
-        let frequency = 0;
-        
-        // 文字数による推定
-        if (word.length <= 2) frequency += 20;
-        else if (word.length <= 4) frequency += 10;
-        
-        // ひらがな・カタカナによる推定
-        if (/^[あ-ん]+$/.test(word)) frequency += 15;
-        if (/^[ア-ン]+$/.test(word)) frequency += 10;
-        
-        // 定義数による推定
-        frequency += Math.min(definitions.length * 5, 20);
-        
-        return Math.min(frequency, 100);
-    }
-    
-    /**
-     * レベル推定（簡易）
-     */
-    estimateLevel(word, definitions) {
-        // 基本的な単語判定
-        // if (word.length <= 3 && /^[あ-ん]+$/.test(word)) {
-        //     return 'basic';
-        // }
-        
-        // 複雑な単語判定
-        // if (word.length > 6 || definitions.some(def => def.length > 50)) {
-        //     return 'advanced';
-        // }
-        
-        return 'common';
+        // 活用の種類付きの品詞（v5r, adj-ix 等）は末尾を除いて照合
+        for (let key = pos; key.length > 0; key = key.slice(0, -1)) {
+            if (posMap[key]) return posMap[key];
+        }
+        return 'その他'; // マッピングがない場合は「その他」を返す
     }
     
     /**
@@ -27,6 +27,9 @@ export class DictionaryEntry {
         this.source = null;        // データソース
         this.lang = null;          // 言語情報
         this.synonymQuality = 0;   // 同義語全体品質スコア
+        this.priorities = [];      // JMdict 優先度タグ（news1, ichi1, nf01 等）
+        this.misc = [];            // JMdict misc タグ（uk, col 等）
+        this.fields = [];          // JMdict 分野タグ（comp, med 等）
     }
 
     /**
@@ -61,7 +64,10 @@ export class DictionaryEntry {
             synonymQualities: this.synonymQualities,
             source: this.source,
             lang: this.lang,
-            synonymQuality: this.synonymQuality
+            synonymQuality: this.synonymQuality,
+            priorities: this.priorities,
+            misc: this.misc,
+            fields: this.fields
         };
     }
 
@@ -85,6 +91,9 @@ export class DictionaryEntry {
         entry.source = json.source || null;
         entry.lang = json.lang || null;
         entry.synonymQuality = json.synonymQuality || 0;
+        entry.priorities = json.priorities || [];
+        entry.misc = json.misc || [];
+        entry.fields = json.fields || [];
         
         return entry;
     }
@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * JMdictStreamImporter - JMdict XML（JMdict_e.xml）のストリーミング取り込み
+ *
+ * 📖 XmlStreamParser で逐次解析し、<entry> ごとに構造化したレコードを通知する
+ *    （保持するのは解析中のエントリと読み込み中の断片のみ。ファイル全体は読み込まない）
+ * 📚 全ての語義（sense）・品詞・misc/field/dial タグ・相互参照（xref）・反義語（ant）を保持
+ * 📈 優先度タグ（news1, ichi1, spec1, gai1, nfXX）から実頻度に基づく頻度スコアを算出
+ *
+ * 品詞・misc・field は DTD の実体名（n, v5r, uk, comp 等）のまま保持する。
+ */
+
+import { promises as fs, createReadStream } from 'fs';
+import { XmlStreamParser } from '../../utils/xml-stream-parser.js';
+
+// 優先度タグの頻度スコア（1 は上位約1万語、2 はそれ以外の収録語）
+const PRIORITY_SCORES = {
+    news1: 60, ichi1: 60, spec1: 55, gai1: 50,
+    news2: 40, ichi2: 40, spec2: 35, gai2: 30
+};
+// 優先度タグのない語の頻度スコア
+const UNRANKED_FREQUENCY = 20;
+// 実体名で値を持つ要素（<pos>&n;</pos> 等）
+const ENTITY_ELEMENTS = new Set(['pos', 'misc', 'field', 'dial', 'ke_inf', 're_inf']);
+const SENSE_LIST_ELEMENTS = { pos: 'pos', misc: 'misc', field: 'field', dial: 'dialects', s_inf: 'info', stagk: 'kanjiRestrictions', stagr: 'readingRestrictions' };
+
+/**
+ * 優先度タグから頻度スコア（0〜100）を算出
+ * nfXX は毎日新聞の出現頻度順位（500語単位、nf01 が最上位）
+ */
+export function calculatePriorityFrequency(priorities) {
+    let frequency = priorities.length > 0 ? 0 : UNRANKED_FREQUENCY;
+    for (const priority of priorities) {
+        const rank = /^nf(\d{2})$/.exec(priority);
+        const score = rank ? 100 - (parseInt(rank[1], 10) - 1) : (PRIORITY_SCORES[priority] || 0);
+        frequency = Math.max(frequency, score);
+    }
+    return frequency;
+}
+
+/**
+ * 相互参照の解析（「漢字・読み・語義番号」のうち存在する部分）
+ * @returns {Object} { word, reading, sense }
+ */
+export function parseCrossReference(text) {
+    const [word, ...rest] = text.split('・');
+    const reference = { word, reading: null, sense: null };
+    for (const part of rest) {
+        if (/^\d+$/.test(part)) {
+            reference.sense = parseInt(part, 10);
+        } else {
+            reference.reading = part;
+        }
+    }
+    return reference;
+}
+
+export class JMdictStreamImporter {
+    /**
+     * @param {Object} options - { onEntry: エントリごとの処理（async可）, onProgress: 進捗通知, progressInterval: 通知間隔（エントリ数）, maxEntries: 取り込み上限（null で全件） }
+     */
+    constructor({ onEntry = null, onProgress = null, progressInterval = 10000, maxEntries = null } = {}) {
+        this.onEntry = onEntry;
+        this.onProgress = onProgress;
+        this.progressInterval = progressInterval;
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * ファイルを取り込み
+     * @returns {Promise<Object>} { entries, bytesRead, totalBytes, elapsedMs, completed: 最後まで読み込んだか }
+     */
+    async importFile(filePath) {
+        const startTime = Date.now();
+        const { size: totalBytes } = await fs.stat(filePath);
+        const stream = createReadStream(filePath, { encoding: 'utf8', highWaterMark: 64 * 1024 });
+
+        const pending = [];
+        const parser = this.createParser(record => pending.push(record));
+        let entries = 0;
+        let completed = true;
+        const report = () => {
+            if (this.onProgress) {
+                this.onProgress({ entries, bytesRead: stream.bytesRead, totalBytes, percent: totalBytes > 0 ? stream.bytesRead / totalBytes * 100 : 100 });
+            }
+        };
+
+        // 解析済みエントリを処理して手放す（上限到達時は false）
+        const processPending = async () => {
+            for (const record of pending.splice(0)) {
+                if (this.maxEntries !== null && entries >= this.maxEntries) {
+                    return false;
+                }
+                if (this.onEntry) await this.onEntry(record);
+                entries++;
+                if (entries % this.progressInterval === 0) report();
+            }
+            return true;
+        };
+
+        try {
+            // 断片ごとに処理する（for await により、処理が終わるまで次の断片は読み込まない）
+            for await (const chunk of stream) {
+                parser.write(chunk);
+                if (!(await processPending())) {
+                    completed = false;
+                    break;
+                }
+            }
+            if (completed) {
+                parser.end();
+                completed = await processPending();
+            }
+        } finally {
+            stream.destroy();
+        }
+
+        report();
+        return { entries, bytesRead: stream.bytesRead, totalBytes, elapsedMs: Date.now() - startTime, completed };
+    }
+
+    /**
+     * JMdict の要素構造からエントリレコードを組み立てるパーサー
+     * @param {Function} emit - 完成したレコードを受け取る関数
+     */
+    createParser(emit) {
+        let entry = null;
+        let kanji = null;
+        let reading = null;
+        let sense = null;
+        let glossLanguage = null;
+        let text = '';
+        let raw = '';
+
+        const parser = new XmlStreamParser({
+            onOpenTag: (name, attributes) => {
+                text = '';
+                raw = '';
+                switch (name) {
+                    case 'entry':
+                        entry = { sequence: null, kanji: [], readings: [], senses: [] };
+                        break;
+                    case 'k_ele':
+                        kanji = { text: '', info: [], priorities: [] };
+                        break;
+                    case 'r_ele':
+                        reading = { text: '', noKanji: false, restrictions: [], info: [], priorities: [] };
+                        break;
+                    case 'sense':
+                        sense = {
+                            pos: [], misc: [], field: [], dialects: [], info: [],
+                            kanjiRestrictions: [], readingRestrictions: [],
+                            glosses: [], crossReferences: [], antonyms: []
+                        };
+                        break;
+                    case 're_nokanji':
+                        if (reading) reading.noKanji = true;
+                        break;
+                    case 'gloss':
+                        glossLanguage = attributes['xml:lang'] || 'eng';
+                        break;
+                }
+            },
+            onText: (decoded, rawText) => {
+                text += decoded;
+                raw += rawText;
+            },
+            onCloseTag: (name) => {
+                if (!entry) return;
+                // <pos>&n;</pos> は実体名（n）を値とする
+                const entityName = /^&([^;]+);$/.exec(raw.trim());
+                const value = ENTITY_ELEMENTS.has(name) && entityName ? entityName[1] : text.trim();
+
+                switch (name) {
+                    case 'ent_seq':
+                        entry.sequence = parseInt(value, 10);
+                        break;
+                    case 'keb':
+                        kanji.text = value;
+                        break;
+                    case 'ke_inf':
+                        kanji.info.push(value);
+                        break;
+                    case 'ke_pri':
+                        kanji.priorities.push(value);
+                        break;
+                    case 'k_ele':
+                        entry.kanji.push(kanji);
+                        kanji = null;
+                        break;
+                    case 'reb':
+                        reading.text = value;
+                        break;
+                    case 're_restr':
+                        reading.restrictions.push(value);
+                        break;
+                    case 're_inf':
+                        reading.info.push(value);
+                        break;
+                    case 're_pri':
+                        reading.priorities.push(value);
+                        break;
+                    case 'r_ele':
+                        entry.readings.push(reading);
+                        reading = null;
+                        break;
+                    case 'xref':
+                        sense.crossReferences.push(parseCrossReference(value));
+                        break;
+                    case 'ant':
+                        sense.antonyms.push(parseCrossReference(value));
+                        break;
+                    case 'gloss':
+                        if (glossLanguage === 'eng' && value) sense.glosses.push(value);
+                        break;
+                    case 'sense': {
+                        // 品詞は次に品詞が指定されるまで後続の語義にも適用される
+                        const previous = entry.senses[entry.senses.length - 1];
+                        if (sense.pos.length === 0 && previous) {
+                            sense.pos = [...previous.pos];
+                        }
+                        entry.senses.push(sense);
+                        sense = null;
+                        break;
+                    }
+                    case 'entry':
+                        emit(entry);
+                        entry = null;
+                        break;
+                    default:
+                        if (sense && SENSE_LIST_ELEMENTS[name]) {
+                            sense[SENSE_LIST_ELEMENTS[name]].push(value);
+                        }
+                }
+                text = '';
+                raw = '';
+            }
+        });
+        return parser;
+    }
+}
+
+export default JMdictStreamImporter;
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * KanaNormalizer - 読み検索用のかな正規化
+ *
+ * 🔤 ひらがな・カタカナ・ローマ字入力を、ひらがなの読みに統一
+ * 📏 全角英数・半角カナは NFKC で正規化してから変換
+ */
+
+const KATAKANA_START = 0x30a1; // ァ
+const KATAKANA_END = 0x30f6;   // ヶ
+const HIRAGANA_START = 0x3041; // ぁ
+const HIRAGANA_END = 0x3096;   // ゖ
+const KANA_OFFSET = KATAKANA_START - HIRAGANA_START;
+
+// ローマ字 → ひらがな（ヘボン式・訓令式・小書き文字）
+const ROMAJI_TABLE = {
+    a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+    ka: 'か', ki: 'き', ku: 'く', ke: 'け', ko: 'こ',
+    ga: 'が', gi: 'ぎ', gu: 'ぐ', ge: 'げ', go: 'ご',
+    sa: 'さ', si: 'し', shi: 'し', su: 'す', se: 'せ', so: 'そ',
+    za: 'ざ', zi: 'じ', ji: 'じ', zu: 'ず', ze: 'ぜ', zo: 'ぞ',
+    ta: 'た', ti: 'ち', chi: 'ち', tu: 'つ', tsu: 'つ', te: 'て', to: 'と',
+    da: 'だ', di: 'ぢ', du: 'づ', de: 'で', do: 'ど',
+    na: 'な', ni: 'に', nu: 'ぬ', ne: 'ね', no: 'の',
+    ha: 'は', hi: 'ひ', hu: 'ふ', fu: 'ふ', he: 'へ', ho: 'ほ',
+    ba: 'ば', bi: 'び', bu: 'ぶ', be: 'べ', bo: 'ぼ',
+    pa: 'ぱ', pi: 'ぴ', pu: 'ぷ', pe: 'ぺ', po: 'ぽ',
+    ma: 'ま', mi: 'み', mu: 'む', me: 'め', mo: 'も',
+    ya: 'や', yu: 'ゆ', yo: 'よ',
+    ra: 'ら', ri: 'り', ru: 'る', re: 'れ', ro: 'ろ',
+    wa: 'わ', wi: 'ゐ', we: 'ゑ', wo: 'を', "n'": 'ん',
+    kya: 'きゃ', kyu: 'きゅ', kyo: 'きょ', gya: 'ぎゃ', gyu: 'ぎゅ', gyo: 'ぎょ',
+    sha: 'しゃ', shu: 'しゅ', she: 'しぇ', sho: 'しょ', sya: 'しゃ', syu: 'しゅ', syo: 'しょ',
+    ja: 'じゃ', ju: 'じゅ', je: 'じぇ', jo: 'じょ', jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ', zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ',
+    cha: 'ちゃ', chu: 'ちゅ', che: 'ちぇ', cho: 'ちょ', tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+    nya: 'にゃ', nyu: 'にゅ', nyo: 'にょ', hya: 'ひゃ', hyu: 'ひゅ', hyo: 'ひょ',
+    bya: 'びゃ', byu: 'びゅ', byo: 'びょ', pya: 'ぴゃ', pyu: 'ぴゅ', pyo: 'ぴょ',
+    mya: 'みゃ', myu: 'みゅ', myo: 'みょ', rya: 'りゃ', ryu: 'りゅ', ryo: 'りょ',
+    fa: 'ふぁ', fi: 'ふぃ', fe: 'ふぇ', fo: 'ふぉ', thi: 'てぃ', dhi: 'でぃ', tsa: 'つぁ', va: 'ゔぁ', vi: 'ゔぃ', vu: 'ゔ', ve: 'ゔぇ', vo: 'ゔぉ',
+    xa: 'ぁ', xi: 'ぃ', xu: 'ぅ', xe: 'ぇ', xo: 'ぉ', la: 'ぁ', li: 'ぃ', lu: 'ぅ', le: 'ぇ', lo: 'ぉ',
+    xya: 'ゃ', xyu: 'ゅ', xyo: 'ょ', lya: 'ゃ', lyu: 'ゅ', lyo: 'ょ', xtu: 'っ', xtsu: 'っ', ltu: 'っ', ltsu: 'っ', xwa: 'ゎ', lwa: 'ゎ',
+    '-': 'ー'
+};
+const MAX_ROMAJI_LENGTH = 4;
+const ROMAJI_PATTERN = /^[a-z'-]+$/;
+const VOWELS = new Set(['a', 'i', 'u', 'e', 'o']);
+
+/**
+ * カタカナ → ひらがな（長音符・その他の文字はそのまま）
+ */
+export function toHiragana(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        result += code >= KATAKANA_START && code <= KATAKANA_END ? String.fromCodePoint(code - KANA_OFFSET) : char;
+    }
+    return result;
+}
+
+/**
+ * ひらがな → カタカナ
+ */
+export function toKatakana(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        result += code >= HIRAGANA_START && code <= HIRAGANA_END ? String.fromCodePoint(code + KANA_OFFSET) : char;
+    }
+    return result;
+}
+
+/**
+ * ローマ字入力かどうか（英字・長音「-」・撥音区切り「'」のみ）
+ */
+export function isRomaji(text) {
+    return ROMAJI_PATTERN.test(text.normalize('NFKC').toLowerCase());
+}
+
+/**
+ * ローマ字 → ひらがな
+ * @returns {string|null} 変換できない綴りを含む場合は null
+ */
+export function romajiToHiragana(text) {
+    const input = text.normalize('NFKC').toLowerCase();
+    let result = '';
+    let i = 0;
+    while (i < input.length) {
+        const char = input[i];
+        const next = input[i + 1];
+
+        // 促音: 子音の重複（kk → っk）
+        if (next === char && !VOWELS.has(char) && char !== 'n' && /[a-z]/.test(char)) {
+            result += 'っ';
+            i++;
+            continue;
+        }
+        // 撥音: nn（続く n が次の音節の子音なら1文字だけ消費: konnichiha → こんにちは）、母音・y が続かない n
+        if (char === 'n' && next === 'n') {
+            const following = input[i + 2];
+            result += 'ん';
+            i += following !== undefined && (VOWELS.has(following) || following === 'y') ? 1 : 2;
+            continue;
+        }
+        if (char === 'n' && next !== "'" && !VOWELS.has(next) && next !== 'y') {
+            result += 'ん';
+            i++;
+            continue;
+        }
+
+        let matched = false;
+        for (let length = Math.min(MAX_ROMAJI_LENGTH, input.length - i); length > 0; length--) {
+            const kana = ROMAJI_TABLE[input.slice(i, i + length)];
+            if (kana) {
+                result += kana;
+                i += length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            return null;
+        }
+    }
+    return result;
+}
+
+/**
+ * 検索語を読み（ひらがな）に正規化
+ * @returns {Object} { reading, inputType: 'romaji' | 'kana' }
+ */
+export function normalizeReading(text) {
+    const normalized = String(text).normalize('NFKC').trim().toLowerCase();
+    if (isRomaji(normalized)) {
+        const reading = romajiToHiragana(normalized);
+        if (reading) {
+            return { reading, inputType: 'romaji' };
+        }
+    }
+    return { reading: toHiragana(normalized), inputType: 'kana' };
+}
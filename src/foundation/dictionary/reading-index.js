@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * ReadingIndex - 読みによる辞書検索インデックス
+ *
+ * 🔍 辞書の読みマップ（reading -> Set(words)、ひらがなに正規化）から完全一致・前方一致・編集距離検索を行う
+ * 📚 前方一致: 読みのソート済み配列の二分探索
+ * 🌳 編集距離: BK-tree（レーベンシュタイン距離の三角不等式で探索範囲を絞る）
+ * 💤 ソート済み配列・BK-tree は各検索の初回に作成（新しい読みの追加時に作り直す）
+ */
+
+import { toHiragana } from './kana-normalizer.js';
+
+/**
+ * レーベンシュタイン距離（UTF-16 コード単位。読みは基本多言語面のかなのため）
+ */
+export function levenshteinDistance(a, b) {
+    if (a === b) return 0;
+    let previous = new Array(b.length + 1);
+    let current = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) previous[j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        current[0] = i;
+        const code = a.charCodeAt(i - 1);
+        for (let j = 1; j <= b.length; j++) {
+            const cost = code === b.charCodeAt(j - 1) ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        [previous, current] = [current, previous];
+    }
+    return previous[b.length];
+}
+
+/**
+ * BK-tree（編集距離による近傍検索）
+ */
+export class BKTree {
+    constructor(distance = levenshteinDistance) {
+        this.distance = distance;
+        this.root = null;
+        this.size = 0;
+    }
+
+    add(term) {
+        if (!this.root) {
+            this.root = { term, children: new Map() };
+            this.size++;
+            return;
+        }
+        let node = this.root;
+        while (true) {
+            const distance = this.distance(term, node.term);
+            if (distance === 0) return;
+            const child = node.children.get(distance);
+            if (!child) {
+                node.children.set(distance, { term, children: new Map() });
+                this.size++;
+                return;
+            }
+            node = child;
+        }
+    }
+
+    /**
+     * 距離 maxDistance 以内の語
+     * @returns {Array<Object>} { term, distance }（距離の昇順）
+     */
+    search(term, maxDistance) {
+        const results = [];
+        const stack = this.root ? [this.root] : [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const distance = this.distance(term, node.term);
+            if (distance <= maxDistance) {
+                results.push({ term: node.term, distance });
+            }
+            for (const [childDistance, child] of node.children) {
+                if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+                    stack.push(child);
+                }
+            }
+        }
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+}
+
+export class ReadingIndex {
+    constructor() {
+        this.wordsByReading = new Map(); // 正規化した読み -> Set(words)
+        // 前方一致・編集距離検索の初回に作成
+        this.sortedReadings = null;
+        this.bkTree = null;
+    }
+
+    /**
+     * 読みマップから構築（エントリ本体は参照しないため、遅延読み込みの辞書でも全件を復元しない）
+     * @param {Map} readingMap - reading -> Set(words)
+     */
+    static fromReadingMap(readingMap) {
+        const index = new ReadingIndex();
+        for (const [reading, words] of readingMap) {
+            if (typeof reading !== 'string' || reading.length === 0) continue;
+            for (const word of words) {
+                index.add(word, reading);
+            }
+        }
+        return index;
+    }
+
+    add(word, reading) {
+        const key = toHiragana(reading);
+        if (!this.wordsByReading.has(key)) {
+            this.wordsByReading.set(key, new Set());
+            this.sortedReadings = null;
+            this.bkTree = null;
+        }
+        this.wordsByReading.get(key).add(word);
+    }
+
+    getSortedReadings() {
+        if (!this.sortedReadings) {
+            this.sortedReadings = Array.from(this.wordsByReading.keys()).sort();
+        }
+        return this.sortedReadings;
+    }
+
+    getBKTree() {
+        if (!this.bkTree) {
+            this.bkTree = new BKTree();
+            for (const reading of this.wordsByReading.keys()) {
+                this.bkTree.add(reading);
+            }
+        }
+        return this.bkTree;
+    }
+
+    getWords(reading) {
+        return Array.from(this.wordsByReading.get(reading) || []);
+    }
+
+    /**
+     * 読みの完全一致
+     */
+    findExact(reading) {
+        return this.getWords(reading);
+    }
+
+    /**
+     * 読みの前方一致（読みの短い順）
+     * @returns {Array<Object>} { reading, words }
+     */
+    findPrefix(prefix, limit = 50) {
+        if (!prefix) return [];
+        const readings = this.getSortedReadings();
+        let low = 0;
+        let high = readings.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (readings[middle] < prefix) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        const matches = [];
+        for (let i = low; i < readings.length && readings[i].startsWith(prefix); i++) {
+            matches.push(readings[i]);
+        }
+        return matches
+            .sort((a, b) => a.length - b.length)
+            .slice(0, limit)
+            .map(reading => ({ reading, words: this.getWords(reading) }));
+    }
+
+    /**
+     * 読みの編集距離検索
+     * @returns {Array<Object>} { reading, distance, words }（距離の昇順）
+     */
+    findFuzzy(reading, maxDistance = 1) {
+        return this.getBKTree().search(reading, maxDistance)
+            .map(({ term, distance }) => ({ reading: term, distance, words: this.getWords(term) }));
+    }
+}
+
+export default ReadingIndex;
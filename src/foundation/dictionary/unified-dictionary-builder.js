@@ -7,9 +7,10 @@
  * 🚀 最高品質・50万語規模対応
  */
 
-import { DictionaryDB } from '../engines/language/dictionary-db.js';
-import { DictionaryCacheManager } from './dictionary-cache-manager.js';
-import { WiktionaryIntegrator } from './wiktionary-integrator.js';
+import { DictionaryDB } from './dictionary-db.js';
+import { DictionaryCacheManager } from '../../builders/dictionary-cache-manager.js';
+import { WiktionaryIntegrator } from '../../builders/wiktionary-integrator.js';
+import { writeBinaryDictionary, BINARY_DICTIONARY_FILE } from './binary-dictionary-format.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 
@@ -27,7 +28,8 @@ export class UnifiedDictionaryBuilder {
             enableOptimization: true,   // 最適化有効
             maxEntries: 500000,         // 最大50万語
             qualityThreshold: 0.05,     // 品質閾値（緩和）
-            compressionLevel: 'max'     // 最大圧縮
+            compressionLevel: 'max',    // 最大圧縮
+            binaryFormat: true          // バイナリ形式（dictionary.bin）も出力（DictionaryDBCoreの高速起動用）
         };
         
         this.buildStats = {
@@ -323,6 +325,12 @@ export class UnifiedDictionaryBuilder {
             const success = await cacheManager.saveDictionaryCache(dictionaryDB);
             
             if (success) {
+                // バイナリ形式出力（JSONチャンクは DictionaryDB のキャッシュ読み込み用に残す）
+                if (this.config.binaryFormat) {
+                    const binarySize = await writeBinaryDictionary(path.join(this.outputDir, BINARY_DICTIONARY_FILE), dictionaryDB);
+                    console.log(`🗂️ 辞書バイナリ出力完了: ${(binarySize / 1024 / 1024).toFixed(1)}MB`);
+                }
+                
                 // ファイルサイズ計算
                 const files = await fs.readdir(this.outputDir);
                 let totalSize = 0;
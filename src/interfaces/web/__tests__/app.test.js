@@ -0,0 +1,441 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { createApp } from '../app.js';
+import { LazyInitializationManager } from '../../../utils/lazy-initialization-manager.js';
+import { ChatSessionManager } from '../../../data/chat-session-manager.js';
+import { ApiKeyManager } from '../api-key-manager.js';
+
+describe('createApp', () => {
+  let container;
+  let server;
+  let baseUrl;
+  let mockGenerator;
+  let uploadDir;
+
+  const startServer = async (options = {}) => {
+    server = http.createServer(createApp(container, { uploadDir, ...options }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const postJSON = (path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  // Server-Sent Events の本文を { event, data } の配列へ分解
+  const parseEvents = (text) => text.split('\n\n').filter(Boolean).map(block => ({
+    event: /^event: (.+)$/m.exec(block)[1],
+    data: JSON.parse(/^data: (.+)$/m.exec(block)[1]),
+  }));
+
+  // キャンセルされるまで待つ応答生成（signal の中断で cancelled を返す）
+  const waitForAbort = (onAborted = () => {}) => async (message, userId, { signal, onProgress }) => {
+    onProgress({ stage: 'morphology', tokenCount: 2 });
+    await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+    onAborted();
+    return { success: false, cancelled: true, processingTime: 1 };
+  };
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'app-uploads-'));
+    const stored = new Map();
+    const mockPersistentLearningDB = {
+      loadChatSessions: jest.fn(async userId => stored.get(userId) || null),
+      saveChatSessions: jest.fn(async (userId, data) => { stored.set(userId, data); }),
+    };
+    mockGenerator = {
+      generateResponse: jest.fn().mockResolvedValue({
+        success: true,
+        response: 'こんにちは、良い天気ですね。',
+        strategy: 'ngram_continuation',
+        qualityScore: 0.7,
+        grade: 'good',
+        confidence: 0.6,
+        processingTime: 5,
+        keywords: ['天気'],
+      }),
+      getSystemStatus: jest.fn().mockReturnValue({ initialized: true }),
+    };
+
+    container = new LazyInitializationManager();
+    container.register('chatSessionManager', async () => new ChatSessionManager(mockPersistentLearningDB));
+    container.register('statisticalGenerator', async () => mockGenerator);
+    await startServer();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('対話APIがセッション履歴を文脈として渡し、履歴APIで取得できるべき', async () => {
+    const first = await (await postJSON('/api/chat', { message: '今日は晴れ', userId: 'u1' })).json();
+    expect(first.success).toBe(true);
+    expect(first.sessionId).toBe('default');
+
+    await postJSON('/api/chat', { message: '散歩しよう', userId: 'u1', sessionId: first.sessionId });
+    const [, , options] = mockGenerator.generateResponse.mock.calls[1];
+    expect(options.history.map(turn => turn.userInput)).toEqual(['今日は晴れ']);
+
+    const history = await (await fetch(`${baseUrl}/api/chat/history/u1?limit=1`)).json();
+    expect(history.total).toBe(2);
+    expect(history.history[0].userInput).toBe('散歩しよう');
+    expect(history.hasMore).toBe(true);
+
+    // Object.prototype のプロパティ名等、形式外のセッションIDは受け付けない
+    const patched = await fetch(`${baseUrl}/api/chat/sessions/u1/__proto__`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ title: '汚染' }),
+    });
+    expect(patched.status).toBe(400);
+    expect(({}).title).toBeUndefined();
+    expect((await postJSON('/api/chat', { message: 'やあ', userId: 'u1', sessionId: 'constructor' })).status).toBe(400);
+  });
+
+  test('OpenAI互換APIがchoices/usage形式で応答すべき', async () => {
+    const response = await postJSON('/v1/chat/completions', {
+      messages: [{ role: 'user', content: '天気は？' }],
+      user: 'u2',
+    });
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.object).toBe('chat.completion');
+    expect(body.choices[0].message).toEqual({ role: 'assistant', content: 'こんにちは、良い天気ですね。' });
+    expect(body.usage.total_tokens).toBe(body.usage.prompt_tokens + body.usage.completion_tokens);
+  });
+
+  test('OpenAI互換APIが複数ターンのmessagesを履歴ターンへ変換し、stream指定時はチャンクで応答すべき', async () => {
+    await postJSON('/v1/chat/completions', {
+      messages: [
+        { role: 'system', content: '丁寧に答えてください' },
+        { role: 'user', content: '天気は？' },
+        { role: 'assistant', content: '晴れです' },
+        { role: 'user', content: [{ type: 'text', text: '散歩しよう' }] },
+      ],
+      user: 'u2',
+    });
+    const [userInput, , options] = mockGenerator.generateResponse.mock.calls[0];
+    expect(userInput).toBe('散歩しよう');
+    expect(options.history).toEqual([{ userInput: '天気は？', aiResponse: '晴れです' }]);
+
+    const response = await postJSON('/v1/chat/completions', {
+      messages: [{ role: 'user', content: '天気は？' }],
+      user: 'u2',
+      stream: true,
+      stream_options: { include_usage: true },
+    });
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+    const events = (await response.text()).split('\n\n').filter(Boolean).map(event => event.replace(/^data: /, ''));
+    expect(events[events.length - 1]).toBe('[DONE]');
+    const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+    expect(chunks.every(chunk => chunk.object === 'chat.completion.chunk')).toBe(true);
+    expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant', content: '' });
+    const content = chunks.flatMap(chunk => chunk.choices.map(choice => choice.delta.content || '')).join('');
+    expect(content).toBe('こんにちは、良い天気ですね。');
+    expect(chunks[chunks.length - 2].choices[0].finish_reason).toBe('stop');
+    expect(chunks[chunks.length - 1].usage.completion_tokens).toBeGreaterThan(0);
+  });
+
+  test('ストリーミング対話APIが段階イベントを送り、切断・タイムアウトで生成をキャンセルすべき', async () => {
+    mockGenerator.generateResponse.mockImplementationOnce(async (message, userId, { onProgress }) => {
+      onProgress({ stage: 'morphology', tokenCount: 2 });
+      onProgress({ stage: 'strategy', strategy: 'ngram_continuation' });
+      return { success: true, response: '晴れですね。', strategy: 'ngram_continuation', qualityScore: 0.7, grade: 'good', keywords: [] };
+    });
+    const response = await postJSON('/api/chat/stream', { message: '天気は？', userId: 'u8' });
+    expect(response.headers.get('content-type')).toContain('text/event-stream');
+    const events = parseEvents(await response.text());
+    expect(events.map(({ event, data }) => data.stage || event)).toEqual(['morphology', 'strategy', 'done']);
+    expect(events[2].data).toMatchObject({ success: true, response: '晴れですね。' });
+
+    // クライアント切断
+    let notifyAborted;
+    const aborted = new Promise(resolve => { notifyAborted = resolve; });
+    mockGenerator.generateResponse.mockImplementationOnce(waitForAbort(notifyAborted));
+    const client = new AbortController();
+    const streaming = await fetch(`${baseUrl}/api/chat/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: '散歩しよう', userId: 'u8' }),
+      signal: client.signal,
+    });
+    await streaming.body.getReader().read();
+    client.abort();
+    await aborted;
+    const history = await (await fetch(`${baseUrl}/api/chat/history/u8`)).json();
+    expect(history.history.map(turn => turn.userInput)).toEqual(['天気は？']);
+
+    // 指定タイムアウトはサーバー設定値を上限とする
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await startServer({ streamTimeoutMs: 50 });
+    mockGenerator.generateResponse.mockImplementationOnce(waitForAbort());
+    const timedOut = parseEvents(await (await postJSON('/api/chat/stream', { message: '天気は？', userId: 'u8', timeoutMs: 3600000 })).text());
+    expect(timedOut.map(({ event }) => event)).toEqual(['stage', 'cancelled']);
+    expect(timedOut[1].data).toMatchObject({ success: false, reason: 'timeout' });
+  });
+
+  test('説明APIがトレースを返し、対話履歴には記録しないべき', async () => {
+    mockGenerator.generateResponse.mockImplementation(async (message, userId, options) => ({
+      success: true,
+      response: '説明付き応答',
+      strategy: 'quality_focused',
+      qualityScore: 0.8,
+      grade: 'good',
+      trace: options.explain ? { traceVersion: 1, strategy: { selected: 'quality_focused' } } : undefined,
+    }));
+
+    const body = await (await postJSON('/api/chat/explain', { message: 'なぜ？', userId: 'u4' })).json();
+    expect(mockGenerator.generateResponse.mock.calls[0][2].explain).toBe(true);
+    expect(body.trace.strategy.selected).toBe('quality_focused');
+
+    // /api/chat の explain: true も同じく履歴・応答品質メトリクスを更新しない
+    const viaChat = await (await postJSON('/api/chat', { message: 'なぜ？', userId: 'u4', explain: true })).json();
+    expect(viaChat.trace.strategy.selected).toBe('quality_focused');
+
+    const history = await (await fetch(`${baseUrl}/api/chat/history/u4`)).json();
+    expect(history.total).toBe(0);
+    expect(await (await fetch(`${baseUrl}/metrics`)).text()).not.toContain('jp_ai_response_grade_total{');
+  });
+
+  const createApiKeyManager = (systemData = new Map()) => {
+    return new ApiKeyManager({
+      loadSystemData: jest.fn(async key => systemData.get(key) || null),
+      saveSystemData: jest.fn(async (key, data) => { systemData.set(key, data); }),
+    });
+  };
+
+  test('ユーザーデータのエクスポートと削除APIが動作すべき', async () => {
+    const userPrivacyManager = {
+      exportUser: jest.fn(async userId => (userId === 'u5' ? { format: 'archive', userId, data: {} } : null)),
+      deleteUser: jest.fn(async userId => ({ userId, stores: [{ store: 'chatSessions', status: 'deleted' }] })),
+    };
+    container.register('userPrivacyManager', async () => userPrivacyManager);
+    const apiKeyManager = createApiKeyManager();
+    container.register('apiKeyManager', async () => apiKeyManager);
+
+    // キー未登録（認証無効）でもユーザーデータ操作には管理者キーが必要
+    expect((await fetch(`${baseUrl}/api/users/u5/export`)).status).toBe(401);
+    expect((await fetch(`${baseUrl}/api/users/u5`, { method: 'DELETE' })).status).toBe(401);
+
+    const { apiKey } = await apiKeyManager.createKey({ name: 'admin', userIds: ['*'], scopes: ['admin'] });
+    const headers = { 'X-API-Key': apiKey };
+    const exported = await fetch(`${baseUrl}/api/users/u5/export`, { headers });
+    expect(exported.headers.get('content-disposition')).toContain('user-u5-export.json');
+    expect((await exported.json()).userId).toBe('u5');
+    expect((await fetch(`${baseUrl}/api/users/nobody/export`, { headers })).status).toBe(404);
+
+    const traversal = await fetch(`${baseUrl}/api/users/..%2Fbandit-data`, { method: 'DELETE', headers });
+    expect(traversal.status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/users/%5C..%5Cx/export`, { headers })).status).toBe(400);
+    const chatTraversal = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'やあ', userId: '../../x' }),
+    });
+    expect(chatTraversal.status).toBe(400);
+
+    const deleted = await (await fetch(`${baseUrl}/api/users/u5`, { method: 'DELETE', headers })).json();
+    expect(deleted.report.stores[0].status).toBe('deleted');
+    expect(userPrivacyManager.deleteUser).toHaveBeenCalledTimes(1);
+    expect(userPrivacyManager.deleteUser).toHaveBeenCalledWith('u5');
+  });
+
+  test('ログ学習ジョブAPIがアップロードを受け付け、状況取得とキャンセルができるべき', async () => {
+    const learningJobManager = {
+      createJob: jest.fn(files => ({ jobId: 'job1', status: 'queued', files })),
+      getJob: jest.fn(jobId => (jobId === 'job1' ? { jobId, status: 'running' } : null)),
+      cancelJob: jest.fn(async jobId => ({ jobId, status: 'cancelled' })),
+    };
+    container.register('learningJobManager', async () => learningJobManager);
+    const apiKeyManager = createApiKeyManager();
+    container.register('apiKeyManager', async () => apiKeyManager);
+
+    // 管理者ルートはキー未登録（認証無効）でもキーが必要
+    expect((await fetch(`${baseUrl}/api/learning/jobs/job1`)).status).toBe(401);
+    const { apiKey } = await apiKeyManager.createKey({ name: 'admin', userIds: ['*'], scopes: ['admin'] });
+    const headers = { 'X-API-Key': apiKey };
+
+    const form = new FormData();
+    form.append('files', new Blob(['ユーザー: こんにちは\nAI: こんにちは']), '対話ログ.txt');
+    const created = await fetch(`${baseUrl}/api/learning/jobs`, { method: 'POST', body: form, headers });
+    expect(created.status).toBe(202);
+    const [uploaded] = learningJobManager.createJob.mock.calls[0][0];
+    expect(uploaded.originalName).toBe('対話ログ.txt');
+    expect(fs.existsSync(uploaded.path)).toBe(true);
+
+    const rejectedForm = new FormData();
+    rejectedForm.append('files', new Blob(['binary']), 'image.png');
+    expect((await fetch(`${baseUrl}/api/learning/jobs`, { method: 'POST', body: rejectedForm, headers })).status).toBe(400);
+
+    expect((await (await fetch(`${baseUrl}/api/learning/jobs/job1`, { headers })).json()).job.status).toBe('running');
+    expect((await fetch(`${baseUrl}/api/learning/jobs/missing`, { headers })).status).toBe(404);
+    const cancelled = await fetch(`${baseUrl}/api/learning/jobs/job1/cancel`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      body: '{}',
+    });
+    expect((await cancelled.json()).job.status).toBe('cancelled');
+  });
+
+  test('管理スクリプトでの失効・発行が稼働中のサーバーに再起動なしで反映されるべき', async () => {
+    const systemData = new Map();
+    const serverKeys = createApiKeyManager(systemData);
+    container.register('apiKeyManager', async () => serverKeys);
+    const { apiKey, key } = await serverKeys.createKey({ name: 'chat', userIds: ['u7'], scopes: ['chat'] });
+    serverKeys.startAutoReload({ intervalMs: 10 });
+    const chatWith = (headerKey) => fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'X-API-Key': headerKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'こんにちは', userId: 'u7' }),
+    });
+    const waitForReload = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    try {
+      expect((await chatWith(apiKey)).status).toBe(200);
+
+      // 別プロセス（manage-api-keys.js）相当のインスタンスで失効・発行
+      const scriptKeys = await createApiKeyManager(systemData).initialize();
+      expect(await scriptKeys.revokeKey(key.keyId)).toBe(true);
+      const { apiKey: issuedKey } = await scriptKeys.createKey({ name: 'chat2', userIds: ['u7'], scopes: ['chat'] });
+      await waitForReload();
+      expect((await chatWith(apiKey)).status).toBe(401);
+      expect((await chatWith(issuedKey)).status).toBe(200);
+
+      // サーバー側での発行は最新の保存内容に追加し、失効を巻き戻さない
+      await serverKeys.createKey({ name: 'chat3', userIds: ['u7'], scopes: ['chat'] });
+      const reloaded = await createApiKeyManager(systemData).initialize();
+      expect(reloaded.listKeys().find(entry => entry.keyId === key.keyId).revokedAt).not.toBeNull();
+      expect(reloaded.listKeys()).toHaveLength(3);
+    } finally {
+      await serverKeys.cleanup();
+    }
+    expect(serverKeys.reloadTimer).toBeNull();
+  });
+
+  test('/metricsがルート別遅延・品質分布・コンポーネント統計をPrometheus形式で返すべき', async () => {
+    await postJSON('/api/chat', { message: '今日は晴れ', userId: 'u6' });
+    await fetch(`${baseUrl}/api/chat/history/u6`);
+
+    const response = await fetch(`${baseUrl}/metrics`);
+    const text = await response.text();
+
+    expect(response.headers.get('content-type')).toContain('text/plain; version=0.0.4');
+    expect(text).toContain('# TYPE jp_ai_http_request_duration_seconds histogram');
+    expect(text).toContain('jp_ai_http_requests_total{route="/api/chat/history/:userId",method="GET",status="200"} 1');
+    expect(text).toContain('jp_ai_http_request_duration_seconds_count{route="/api/chat",method="POST"} 1');
+    expect(text).toContain('jp_ai_response_quality_score_bucket{strategy="ngram_continuation",le="0.7"} 1');
+    expect(text).toContain('jp_ai_response_grade_total{grade="good"} 1');
+    expect(text).toContain('jp_ai_components_total 2');
+    expect(text).not.toContain('jp_ai_worker_pool_size');
+  });
+
+  test('/metricsがプロセス内で使用中のJSONファイル管理・ワーカープール・オーケストレーターの統計を返すべき', async () => {
+    container.register('jsonFileManager', async () => ({
+      getStatistics: () => ({
+        operations: { reads: 3, writes: 2, creates: 1, errors: 0, totalTime: 1500 },
+        cache: { hits: 4, misses: 1, size: 2 },
+      }),
+    }));
+    container.register('learningWorkerPool', async () => ({
+      getPoolStats: () => ({
+        poolSize: 2, busyWorkers: 1, queueLength: 0, runningTasks: 1,
+        workers: [{ id: 0, tasksCompleted: 5, errorCount: 0, averageTaskTime: 200 }],
+      }),
+    }));
+    container.register('adaptiveLearningOrchestrator', async () => ({
+      getPerformanceReport: () => ({
+        totalRequests: 7,
+        runningABTests: 0,
+        strategiesPerformance: [{ strategy: 'ucb', usage: 7, avgQuality: 0.6, avgProcessingTime: 20 }],
+      }),
+    }));
+    // 未初期化のコンポーネントはスクレイプで初期化しない
+    expect(await (await fetch(`${baseUrl}/metrics`)).text()).not.toContain('jp_ai_json_file_operations_total');
+
+    await Promise.all(['jsonFileManager', 'learningWorkerPool', 'adaptiveLearningOrchestrator'].map(name => container.get(name)));
+    const text = await (await fetch(`${baseUrl}/metrics`)).text();
+
+    expect(text).toContain('jp_ai_json_file_operations_total{operation="read"} 3');
+    expect(text).toContain('jp_ai_json_file_cache_requests_total{result="hit"} 4');
+    expect(text).toContain('jp_ai_worker_pool_busy_workers 1');
+    expect(text).toContain('jp_ai_worker_tasks_completed_total{worker="0"} 5');
+    expect(text).toContain('jp_ai_orchestrator_requests_total 7');
+    expect(text).toContain('jp_ai_orchestrator_strategy_avg_quality{strategy="ucb"} 0.6');
+  });
+
+  test('APIキー登録後は認証・スコープ・許可ユーザー・レート制限を適用すべき', async () => {
+    const apiKeyManager = createApiKeyManager();
+    const { apiKey } = await apiKeyManager.createKey({
+      name: 'client', userIds: ['u6'], scopes: ['chat'], rateLimit: { capacity: 2, refillPerSecond: 0.001 },
+    });
+    expect(JSON.stringify(await apiKeyManager.persistentLearningDB.loadSystemData('api-keys'))).not.toContain(apiKey);
+    container.register('apiKeyManager', async () => apiKeyManager);
+
+    const withKey = (path, body) => fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+      body: JSON.stringify(body),
+    });
+
+    expect((await postJSON('/api/chat', { message: 'やあ', userId: 'u6' })).status).toBe(401);
+    expect((await fetch(`${baseUrl}/health`)).status).toBe(200);
+
+    const allowed = await withKey('/api/chat', { message: 'やあ' });
+    expect(allowed.status).toBe(200);
+    expect(allowed.headers.get('x-ratelimit-remaining')).toBe('1');
+    expect(mockGenerator.generateResponse.mock.calls[0][1]).toBe('u6');
+
+    const otherUser = await withKey('/v1/chat/completions', { messages: [{ role: 'user', content: 'やあ' }], user: 'u7' });
+    expect(otherUser.status).toBe(403);
+    expect((await otherUser.json()).error.type).toBe('permission_error');
+
+    const limited = await withKey('/api/chat', { message: 'やあ' });
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+
+    const adminRoute = await fetch(`${baseUrl}/api/users/u6/export`, { headers: { 'X-API-Key': apiKey } });
+    expect(adminRoute.status).toBe(403);
+
+    // 管理者キーでも許可されたユーザー以外のデータは操作できない
+    container.register('userPrivacyManager', async () => ({ exportUser: jest.fn(async userId => ({ userId })) }));
+    const { apiKey: adminKey } = await apiKeyManager.createKey({ name: 'admin', userIds: ['u6'], scopes: ['admin'] });
+    expect((await fetch(`${baseUrl}/api/users/u6/export`, { headers: { 'X-API-Key': adminKey } })).status).toBe(200);
+    expect((await fetch(`${baseUrl}/api/users/u7/export`, { headers: { 'X-API-Key': adminKey } })).status).toBe(403);
+  });
+
+  test('CORSは許可リストのオリジンにのみAccess-Control-Allow-Originを返すべき', async () => {
+    await new Promise(resolve => server.close(resolve));
+    server = http.createServer(createApp(container, { uploadDir, corsOrigins: ['https://app.example'] }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const allowed = await fetch(`${baseUrl}/health`, { headers: { Origin: 'https://app.example' } });
+    expect(allowed.headers.get('access-control-allow-origin')).toBe('https://app.example');
+    const denied = await fetch(`${baseUrl}/health`, { headers: { Origin: 'https://evil.example' } });
+    expect(denied.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  test('未登録コンポーネントは未初期化エラーとして扱い、初期化状況を返すべき', async () => {
+    const processResponse = await postJSON('/api/process', { text: 'テスト', userId: 'u3' });
+    expect(processResponse.status).toBe(500);
+    expect((await processResponse.json()).error).toBe('AI Processor not initialized');
+
+    expect((await (await fetch(`${baseUrl}/health`)).json()).ai).toBe('not_ready');
+    await container.get('statisticalGenerator');
+    expect((await (await fetch(`${baseUrl}/health`)).json()).ai).toBe('ready');
+
+    const status = await (await fetch(`${baseUrl}/status`)).json();
+    expect(status.initialization.totalComponents).toBe(2);
+    expect((await fetch(`${baseUrl}/unknown`)).status).toBe(404);
+  });
+});
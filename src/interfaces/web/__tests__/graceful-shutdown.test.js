@@ -0,0 +1,77 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { createApp } from '../app.js';
+import { createGracefulShutdown } from '../graceful-shutdown.js';
+import { LazyInitializationManager } from '../../../utils/lazy-initialization-manager.js';
+import { ShutdownStateTracker } from '../../../data/shutdown-state.js';
+import { ChatSessionManager } from '../../../data/chat-session-manager.js';
+
+describe('createGracefulShutdown', () => {
+  let basePath;
+  let shutdownState;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'graceful-shutdown-'));
+    shutdownState = new ShutdownStateTracker(basePath);
+    shutdownState.markRunning();
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('処理中の対話完了後に依存の逆順で保存し、ワーカープール停止後に正常終了マーカーを書くべき', async () => {
+    const events = [];
+    let finishChat;
+    const container = new LazyInitializationManager();
+    container.register('persistentLearningDB', async () => ({
+      loadChatSessions: async () => null,
+      saveChatSessions: async () => {},
+      cleanup: async () => { events.push('db'); },
+    }));
+    container.register('chatSessionManager', async () => new ChatSessionManager(await container.get('persistentLearningDB')), ['persistentLearningDB']);
+    container.register('learningWorkerPool', async () => ({ shutdown: async () => { events.push('workerPool'); } }));
+    container.register('statisticalGenerator', async () => ({
+      generateResponse: () => new Promise(resolve => { finishChat = resolve; }),
+      cleanup: async () => { events.push('generator'); },
+    }), ['persistentLearningDB']);
+    await container.get('statisticalGenerator');
+    await container.get('chatSessionManager');
+    await container.get('learningWorkerPool');
+
+    const app = createApp(container);
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const chat = fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: '終了前の対話' }),
+    });
+    for (let i = 0; i < 200 && !finishChat; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    expect(finishChat).toBeDefined();
+
+    const exit = jest.fn();
+    const shutdown = createGracefulShutdown({ server, app, container, shutdownState, drainTimeoutMs: 2000, exit });
+    const stopping = shutdown('SIGTERM');
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(events).toEqual([]);
+    finishChat({ success: true, response: '完了しました' });
+
+    expect((await (await chat).json()).response).toBe('完了しました');
+    expect(await stopping).toBe(true);
+    expect(events).toEqual(['generator', 'db', 'workerPool']);
+    expect(shutdownState.readMarker()).toMatchObject({ cleanShutdown: true, signal: 'SIGTERM' });
+    expect(exit).toHaveBeenCalledWith(0);
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * ApiKeyManager - APIキー認証管理
+ *
+ * 🔑 APIキーはSHA-256ハッシュのみをsystem_data（api-keys）に保存し、平文は発行時に一度だけ返す
+ * 👤 キーごとに操作可能なユーザーID（'*' は全ユーザー）とスコープ（chat / feedback / admin）を保持
+ * ⏱️ キーごとのトークンバケット設定（未指定時はサーバー既定値）
+ * 🔄 保存のたびに revision を進め、稼働中のサーバーは定期的に再読み込みして他プロセスの発行・失効を反映
+ */
+
+import crypto from 'crypto';
+
+export const API_KEYS_SYSTEM_DATA_KEY = 'api-keys';
+export const API_KEY_PREFIX = 'sdt_';
+export const API_KEY_SCOPES = ['chat', 'feedback', 'admin'];
+export const ALL_USERS = '*';
+export const DEFAULT_API_KEY_RELOAD_INTERVAL_MS = 5000;
+
+/**
+ * APIキーのハッシュ化（十分なエントロピーを持つランダムキーのためソルト不要）
+ */
+export function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+/**
+ * スコープ判定（adminは全スコープを含む）
+ */
+export function hasScope(record, scope) {
+    return record.scopes.includes('admin') || record.scopes.includes(scope);
+}
+
+/**
+ * ユーザーID操作権限判定（adminスコープでも発行時に指定したユーザーのみ、全ユーザーは "*"）
+ */
+export function isUserAllowed(record, userId) {
+    return record.userIds.includes(ALL_USERS) || record.userIds.includes(userId);
+}
+
+/**
+ * 既定の操作対象ユーザー（リクエストでユーザーID省略時）
+ */
+export function defaultUserIdFor(record) {
+    return record.userIds.find(userId => userId !== ALL_USERS) || 'default';
+}
+
+export class ApiKeyManager {
+    constructor(persistentDB) {
+        this.persistentLearningDB = persistentDB;
+        // Map<hash, keyRecord>
+        this.keysByHash = new Map();
+        // 読み込み済みの保存リビジョン（保存のたびに増加）
+        this.revision = null;
+        this.reloadTimer = null;
+    }
+
+    /**
+     * 保存済みキー読み込み
+     */
+    async initialize() {
+        await this.reload();
+        return this;
+    }
+
+    /**
+     * 保存済みキー再読み込み（リビジョンが変わっていなければ何もしない）
+     * @returns {Promise<boolean>} キー一覧を読み込み直したか
+     */
+    async reload() {
+        const data = await this.persistentLearningDB.loadSystemData(API_KEYS_SYSTEM_DATA_KEY);
+        const revision = data && Number.isInteger(data.revision) ? data.revision : 0;
+        if (revision === this.revision) return false;
+
+        const keysByHash = new Map();
+        for (const record of (data && Array.isArray(data.keys)) ? data.keys : []) {
+            keysByHash.set(record.hash, record);
+        }
+        this.keysByHash = keysByHash;
+        this.revision = revision;
+        return true;
+    }
+
+    /**
+     * 定期再読み込み開始（管理スクリプトでの発行・失効を再起動なしで反映）
+     * @param {Object} options - { intervalMs: 間隔 }
+     */
+    startAutoReload({ intervalMs = DEFAULT_API_KEY_RELOAD_INTERVAL_MS } = {}) {
+        this.stopAutoReload();
+        this.reloadTimer = setInterval(async () => {
+            try {
+                await this.reload();
+            } catch (error) {
+                console.error('❌ APIキー再読み込みエラー:', error.message);
+            }
+        }, intervalMs);
+        this.reloadTimer.unref();
+    }
+
+    /**
+     * 定期再読み込み停止
+     */
+    stopAutoReload() {
+        if (this.reloadTimer) {
+            clearInterval(this.reloadTimer);
+            this.reloadTimer = null;
+        }
+    }
+
+    async cleanup() {
+        this.stopAutoReload();
+    }
+
+    async save() {
+        const revision = (this.revision || 0) + 1;
+        await this.persistentLearningDB.saveSystemData(API_KEYS_SYSTEM_DATA_KEY, {
+            version: 1,
+            revision,
+            keys: Array.from(this.keysByHash.values())
+        });
+        this.revision = revision;
+    }
+
+    /**
+     * APIキー発行
+     * @param {Object} options - { name, userIds, scopes, rateLimit: { capacity, refillPerSecond } }
+     * @returns {Promise<Object>} { apiKey: 平文キー（再表示不可）, key: 公開用キー情報 }
+     */
+    async createKey({ name = null, userIds = [], scopes = ['chat'], rateLimit = null } = {}) {
+        const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+        if (invalidScopes.length > 0) {
+            throw new Error(`不明なスコープ: ${invalidScopes.join(', ')} (${API_KEY_SCOPES.join(', ')})`);
+        }
+        if (userIds.length === 0) {
+            throw new Error('許可するユーザーIDが必要です（全ユーザーは "*"）');
+        }
+
+        // 他プロセスでの発行・失効を上書きしないよう、保存済みの最新状態に追加する
+        await this.reload();
+        const keyId = crypto.randomBytes(6).toString('hex');
+        const apiKey = `${API_KEY_PREFIX}${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            keyId,
+            name: name || keyId,
+            hash: hashApiKey(apiKey),
+            userIds,
+            scopes,
+            rateLimit,
+            createdAt: new Date().toISOString(),
+            revokedAt: null
+        };
+
+        this.keysByHash.set(record.hash, record);
+        await this.save();
+        return { apiKey, key: this.describeKey(record) };
+    }
+
+    /**
+     * APIキー失効
+     * @returns {Promise<boolean>} 失効できたか
+     */
+    async revokeKey(keyId) {
+        await this.reload();
+        const record = Array.from(this.keysByHash.values()).find(entry => entry.keyId === keyId);
+        if (!record || record.revokedAt) return false;
+
+        record.revokedAt = new Date().toISOString();
+        await this.save();
+        return true;
+    }
+
+    /**
+     * キー一覧（ハッシュを除く）
+     */
+    listKeys() {
+        return Array.from(this.keysByHash.values()).map(record => this.describeKey(record));
+    }
+
+    /**
+     * 有効なキーが1件以上登録されているか
+     */
+    hasActiveKeys() {
+        return Array.from(this.keysByHash.values()).some(record => !record.revokedAt);
+    }
+
+    /**
+     * APIキー認証
+     * @returns {Object|null} 有効なキー情報（不一致・失効時はnull）
+     */
+    authenticate(apiKey) {
+        if (!apiKey || typeof apiKey !== 'string') return null;
+
+        // 平文キーではなくハッシュで照合するため、比較時間から平文は推測できない
+        const record = this.keysByHash.get(hashApiKey(apiKey));
+        if (!record || record.revokedAt) return null;
+        return record;
+    }
+
+    describeKey(record) {
+        const { hash, ...publicFields } = record;
+        return publicFields;
+    }
+}
+
+export default ApiKeyManager;
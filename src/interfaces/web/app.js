@@ -0,0 +1,1026 @@
+/**
+ * Webアプリケーションファクトリ - 全ルート共通のリクエストハンドラ
+ * コンポーネントコンテナ（LazyInitializationManager）から依存関係を解決するため、
+ * 即時起動・遅延起動のどちらのサーバーからも、テストからも同じハンドラを利用できる。
+ */
+
+import path from 'path';
+import multer from 'multer';
+import { getWebUIContent } from './web-ui.js';
+import { MetricsRegistry } from '../../utils/metrics-registry.js';
+import { resolveRouteLabel, createAppMetrics, registerComponentCollectors } from './metrics.js';
+import { hasScope, isUserAllowed, defaultUserIdFor } from './api-key-manager.js';
+import { TokenBucketRateLimiter } from '../../utils/token-bucket-rate-limiter.js';
+import { isValidSessionId } from '../../data/chat-session-manager.js';
+import {
+    OPENAI_MODEL_ID,
+    mapMessagesToChatInput,
+    buildUsage,
+    createCompletionId,
+    buildChatCompletion,
+    buildChatCompletionChunk,
+    splitIntoDeltas,
+    buildOpenAIError
+} from './openai-compat.js';
+
+export const STREAM_TIMEOUT_MS = 30000; // ストリーミング対話のデフォルトタイムアウト
+export const LEARNING_UPLOAD_DIR = 'data/logs/uploads'; // 学習ジョブ用アップロード一時ディレクトリ
+export const LEARNING_UPLOAD_LIMITS = { fileSize: 20 * 1024 * 1024, files: 20 };
+const LEARNING_LOG_EXTENSIONS = ['.txt', '.log', '.md'];
+
+// Access-Control-Allow-Origin は許可リストに基づきリクエストごとに付与する
+const CORS_HEADERS = {
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key'
+};
+
+// 認証不要ルート（ユーザーデータを含まない参照系）
+const PUBLIC_ROUTES = new Set(['/', '/health', '/status', '/metrics', '/api/chat/status']);
+
+// ユーザーIDに使用できない文字列（パス区切り・親ディレクトリ参照・制御文字）
+const INVALID_USER_ID_PATTERN = /[/\\\u0000-\u001f\u007f]|\.\./;
+
+/**
+ * CORS許可オリジン設定の解析
+ * @param {string|undefined} value - カンマ区切りのオリジン（'*' で全許可）
+ * @returns {string[]} 許可オリジン一覧（空の場合はクロスオリジン不許可）
+ */
+export function parseCorsOrigins(value) {
+    if (!value) return [];
+    return value.split(',').map(origin => origin.trim()).filter(origin => origin.length > 0);
+}
+
+/**
+ * ユーザーIDの形式確認（保存先のファイル名・キーに使われるため）
+ */
+export function isValidUserId(userId) {
+    return typeof userId === 'string' && userId.length > 0 && !INVALID_USER_ID_PATTERN.test(userId);
+}
+
+/**
+ * ルートに必要なAPIキースコープ解決
+ * @returns {string|null} 必要スコープ（認証不要ルートはnull）
+ */
+export function resolveRequiredScope(pathname) {
+    if (PUBLIC_ROUTES.has(pathname)) return null;
+    if (pathname === '/api/feedback') return 'feedback';
+    if (pathname.startsWith('/api/users/') || pathname === '/api/learning/jobs' || pathname.startsWith('/api/learning/jobs/')) {
+        return 'admin';
+    }
+    return 'chat';
+}
+
+// リクエストヘッダーからAPIキー取得（Authorization: Bearer または X-API-Key）
+function extractApiKey(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers['x-api-key'] || null;
+}
+
+// シンプルなJSONレスポンス
+function sendJSON(res, data, status = 200) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        ...CORS_HEADERS
+    });
+    res.end(JSON.stringify(data));
+}
+
+// Prometheusテキスト形式レスポンス
+function sendMetrics(res, content) {
+    res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'
+    });
+    res.end(content);
+}
+
+// シンプルなHTMLレスポンス
+function sendHTML(res, content) {
+    res.writeHead(200, {
+        'Content-Type': 'text/html; charset=utf-8'
+    });
+    res.end(content);
+}
+
+// Server-Sent Eventsストリーム開始
+function startEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+}
+
+// Server-Sent Eventsイベント送信
+function sendEvent(res, event, data) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// OpenAI互換ストリーミングチャンク送信（名前なしSSEイベント）
+function sendStreamData(res, data) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+// 対話APIレスポンス整形
+function formatChatResult(result, sessionId) {
+    return {
+        success: true,
+        sessionId,
+        response: result.response,
+        confidence: result.confidence,
+        strategy: result.strategy,
+        qualityMetrics: {
+            score: result.qualityScore,
+            grade: result.grade,
+            improvements: result.improvements
+        },
+        processingTime: result.processingTime,
+        timestamp: result.timestamp,
+        ...(result.trace ? { trace: result.trace } : {})
+    };
+}
+
+// リクエストボディ(JSON)取得
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// multipartアップロード解析（multerミドルウェアをPromise化）
+function parseUpload(upload, req, res) {
+    return new Promise((resolve, reject) => {
+        upload(req, res, (error) => error ? reject(error) : resolve(req.files || []));
+    });
+}
+
+// アップロードファイル名復元（busboyはlatin1として解釈するためUTF-8に戻す）
+function decodeUploadFileName(originalName) {
+    return Buffer.from(originalName, 'latin1').toString('utf8');
+}
+
+// 対話セッション解決（sessionId省略時は既定セッション）
+async function resolveChatSession(chatSessionManager, userId, sessionId) {
+    if (!sessionId) {
+        return await chatSessionManager.getOrCreateDefaultSession(userId);
+    }
+    return await chatSessionManager.getSession(userId, sessionId);
+}
+
+// 対話ターンをセッションに保存
+async function recordChatTurn(chatSessionManager, userId, sessionId, userInput, result) {
+    await chatSessionManager.appendTurn(userId, sessionId, {
+        userInput,
+        aiResponse: result.response,
+        keywords: result.keywords || [],
+        strategy: result.strategy,
+        qualityScore: result.qualityScore,
+        grade: result.grade,
+        confidence: result.confidence,
+        processingTime: result.processingTime
+    });
+}
+
+/**
+ * リクエストハンドラ生成
+ * @param {LazyInitializationManager} container - コンポーネントコンテナ
+ * @param {Object} options - { streamTimeoutMs, uploadDir, serverInfo, metrics, requireApiKey, corsOrigins, rateLimit }
+ * @returns {Function} http.createServer に渡せる (req, res) ハンドラ（停止処理用の drain() を持つ）
+ */
+export function createApp(container, options = {}) {
+    const config = {
+        streamTimeoutMs: STREAM_TIMEOUT_MS,
+        uploadDir: LEARNING_UPLOAD_DIR,
+        serverInfo: {},
+        metrics: null,
+        requireApiKey: process.env.API_KEY_REQUIRED === 'true', // falseでもキー登録後は認証必須
+        corsOrigins: parseCorsOrigins(process.env.CORS_ALLOWED_ORIGINS),
+        rateLimit: { capacity: 60, refillPerSecond: 1 },         // キー個別設定が無い場合の既定値
+        ...options
+    };
+
+    const rateLimiter = new TokenBucketRateLimiter(config.rateLimit);
+
+    // 運用メトリクス（/metrics）
+    const metricsRegistry = config.metrics || new MetricsRegistry();
+    const appMetrics = createAppMetrics(metricsRegistry);
+    registerComponentCollectors(metricsRegistry, container);
+
+    // 学習ログアップロード（対話ログ形式のテキストのみ受け付ける）
+    // multerは生成時に保存先ディレクトリを作成するため、初回アップロード時に生成する
+    let learningUpload = null;
+    const createLearningUpload = () => multer({
+        dest: config.uploadDir,
+        limits: LEARNING_UPLOAD_LIMITS,
+        fileFilter: (req, file, callback) => {
+            const extension = path.extname(decodeUploadFileName(file.originalname)).toLowerCase();
+            if (LEARNING_LOG_EXTENSIONS.includes(extension)) {
+                callback(null, true);
+            } else {
+                callback(new Error(`未対応のファイル形式です: ${extension || '(拡張子なし)'} (${LEARNING_LOG_EXTENSIONS.join(', ')})`));
+            }
+        }
+    }).array('files', LEARNING_UPLOAD_LIMITS.files);
+
+    // コンポーネント解決（未登録・初期化失敗時はnull）
+    async function getComponent(name) {
+        if (!container.has(name)) return null;
+        try {
+            return await container.get(name);
+        } catch (error) {
+            console.warn(`⚠️ ${name} 取得失敗:`, error.message);
+            return null;
+        }
+    }
+
+    // 対話系ルート共通の依存関係解決
+    async function getChatComponents(res, openAIFormat = false) {
+        const statisticalGenerator = await getComponent('statisticalGenerator');
+        const chatSessionManager = await getComponent('chatSessionManager');
+        const missing = !statisticalGenerator ? 'Statistical Generator' : !chatSessionManager ? 'Chat Session Manager' : null;
+        if (missing) {
+            const message = `${missing} not initialized`;
+            sendJSON(res, openAIFormat ? buildOpenAIError(message, 'server_error') : { success: false, error: message }, 500);
+            return null;
+        }
+        return { statisticalGenerator, chatSessionManager };
+    }
+
+    // 操作対象ユーザー解決（認証済みリクエストはキーに許可されたユーザーのみ）
+    // 権限が無い場合は403を返してnullを返す
+    function authorizeUser(req, res, requestedUserId, openAIFormat = false) {
+        if (requestedUserId && !isValidUserId(requestedUserId)) {
+            const message = 'ユーザーIDに使用できない文字が含まれています';
+            sendJSON(res, openAIFormat ? buildOpenAIError(message, 'invalid_request_error', 'user') : { success: false, error: message }, 400);
+            return null;
+        }
+        if (!req.apiKey) {
+            return requestedUserId || 'default';
+        }
+
+        const userId = requestedUserId || defaultUserIdFor(req.apiKey);
+        if (!isUserAllowed(req.apiKey, userId)) {
+            const message = `このAPIキーではユーザー ${userId} を操作できません`;
+            sendJSON(res, openAIFormat ? buildOpenAIError(message, 'permission_error', 'user') : { success: false, error: message }, 403);
+            return null;
+        }
+        return userId;
+    }
+
+    // クライアント指定のセッションID形式確認（不正な場合は400を返してfalse）
+    function checkSessionId(res, sessionId, openAIFormat = false) {
+        if (!sessionId || isValidSessionId(sessionId)) return true;
+        const message = 'セッションIDの形式が正しくありません';
+        sendJSON(res, openAIFormat ? buildOpenAIError(message, 'invalid_request_error', 'session_id') : { success: false, error: message, sessionId }, 400);
+        return false;
+    }
+
+    // APIキー認証・スコープ確認・レート制限
+    // 認証不要・未設定時はtrue、拒否時はレスポンス送信済みでfalseを返す
+    async function authenticateRequest(req, res, url) {
+        const requiredScope = resolveRequiredScope(url.pathname);
+        if (!requiredScope) return true;
+
+        const apiKeyManager = await getComponent('apiKeyManager');
+        // 管理者ルート（ユーザーデータのエクスポート・削除、学習ジョブ）はキー未登録（認証無効）でも必須
+        const authRequired = config.requireApiKey || requiredScope === 'admin' ||
+            (apiKeyManager && apiKeyManager.hasActiveKeys());
+        if (!authRequired) return true;
+
+        const openAIFormat = url.pathname.startsWith('/v1/');
+        const reject = (status, message, type, code) => {
+            sendJSON(res, openAIFormat ? buildOpenAIError(message, type, null, code) : { success: false, error: message }, status);
+            return false;
+        };
+
+        if (!apiKeyManager) {
+            return reject(503, 'API Key Manager not initialized', 'server_error', null);
+        }
+
+        const apiKey = apiKeyManager.authenticate(extractApiKey(req));
+        if (!apiKey) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return reject(401, '有効なAPIキーが必要です', 'invalid_request_error', 'invalid_api_key');
+        }
+        if (!hasScope(apiKey, requiredScope)) {
+            return reject(403, `このAPIキーには ${requiredScope} スコープがありません`, 'permission_error', 'insufficient_scope');
+        }
+
+        const limit = rateLimiter.consume(apiKey.keyId, apiKey.rateLimit);
+        res.setHeader('X-RateLimit-Limit', limit.limit);
+        res.setHeader('X-RateLimit-Remaining', limit.remaining);
+        if (!limit.allowed) {
+            res.setHeader('Retry-After', limit.retryAfterSeconds);
+            return reject(429, 'レート制限を超過しました', 'rate_limit_error', 'rate_limit_exceeded');
+        }
+
+        req.apiKey = apiKey;
+        return true;
+    }
+
+    // CORS許可オリジン判定・ヘッダー付与
+    function applyCorsHeaders(req, res) {
+        const origin = req.headers.origin;
+        if (!origin) return;
+        if (config.corsOrigins.includes('*')) {
+            res.setHeader('Access-Control-Allow-Origin', '*');
+        } else if (config.corsOrigins.includes(origin)) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+        }
+    }
+
+    async function handleProcess(req, res) {
+        const { text, userId: requestedUserId } = await readJSONBody(req);
+        const userId = authorizeUser(req, res, requestedUserId);
+        if (!userId) return;
+        const aiVocabularyProcessor = await getComponent('aiVocabularyProcessor');
+        if (!aiVocabularyProcessor) {
+            sendJSON(res, { success: false, error: 'AI Processor not initialized' }, 500);
+            return;
+        }
+
+        const result = await aiVocabularyProcessor.processText(text, userId);
+        sendJSON(res, { success: true, result });
+    }
+
+    async function handleFeedback(req, res) {
+        const { userId: requestedUserId, originalText, processedText, selectedVocabulary, feedbackType } = await readJSONBody(req);
+        const userId = authorizeUser(req, res, requestedUserId);
+        if (!userId) return;
+        const aiVocabularyProcessor = await getComponent('aiVocabularyProcessor');
+        if (!aiVocabularyProcessor) {
+            sendJSON(res, { success: false, error: 'AI Processor not initialized' }, 500);
+            return;
+        }
+
+        await aiVocabularyProcessor.recordFeedback(userId, originalText, processedText, selectedVocabulary, feedbackType);
+        sendJSON(res, { success: true, message: 'Feedback recorded successfully' });
+    }
+
+    // Phase 4: 統計的応答生成API
+    // explainMode: 説明専用呼び出し（判断経路トレースを返し、セッション履歴には記録しない）
+    async function handleChat(req, res, explainMode = false) {
+        let payload;
+        try {
+            payload = await readJSONBody(req);
+        } catch (error) {
+            sendJSON(res, { success: false, error: 'JSON解析エラー', details: error.message }, 400);
+            return;
+        }
+
+        const { message, userId: requestedUserId, sessionId, explain = false } = payload;
+        if (!message || typeof message !== 'string') {
+            sendJSON(res, { success: false, error: 'メッセージが必要です' }, 400);
+            return;
+        }
+        const userId = authorizeUser(req, res, requestedUserId);
+        if (!userId || !checkSessionId(res, sessionId)) return;
+        // /api/chat/explain と explain: true 指定は同じ扱い（履歴・メトリクス・学習を更新しない）
+        const explainRequested = explainMode || explain === true;
+
+        const components = await getChatComponents(res);
+        if (!components) return;
+        const { statisticalGenerator, chatSessionManager } = components;
+
+        try {
+            const session = await resolveChatSession(chatSessionManager, userId, sessionId);
+            if (!session) {
+                sendJSON(res, { success: false, error: 'セッションが見つかりません', sessionId }, 404);
+                return;
+            }
+
+            console.log(`🗣️ 対話リクエスト: "${message}" (ユーザー: ${userId}, セッション: ${session.sessionId}${explainRequested ? ', 説明モード' : ''})`);
+
+            // 統計的応答生成（セッションの直近ターンを文脈として渡す）
+            const history = await chatSessionManager.getContextTurns(userId, session.sessionId);
+            const result = await statisticalGenerator.generateResponse(message, userId, {
+                history,
+                explain: explainRequested
+            });
+
+            if (result.success) {
+                // 説明リクエストは応答品質メトリクス・対話履歴に含めない
+                if (!explainRequested) {
+                    appMetrics.observeResponseQuality(result);
+                    await recordChatTurn(chatSessionManager, userId, session.sessionId, message, result);
+                }
+
+                // 成功レスポンス
+                sendJSON(res, formatChatResult(result, session.sessionId));
+            } else {
+                // エラーレスポンス
+                sendJSON(res, result, 500);
+            }
+        } catch (error) {
+            console.error('❌ 対話API エラー:', error);
+            sendJSON(res, {
+                success: false,
+                error: '内部サーバーエラー',
+                details: error.message
+            }, 500);
+        }
+    }
+
+    // 段階進捗付き対話API (Server-Sent Events)
+    async function handleChatStream(req, res) {
+        let payload;
+        try {
+            payload = await readJSONBody(req);
+        } catch (error) {
+            sendJSON(res, { success: false, error: 'JSON解析エラー', details: error.message }, 400);
+            return;
+        }
+
+        const { message, userId: requestedUserId, sessionId } = payload;
+        // クライアント指定のタイムアウトはサーバー設定値を上限とする
+        const requestedTimeoutMs = Number(payload.timeoutMs);
+        const timeoutMs = Number.isFinite(requestedTimeoutMs) && requestedTimeoutMs > 0
+            ? Math.min(requestedTimeoutMs, config.streamTimeoutMs)
+            : config.streamTimeoutMs;
+        if (!message || typeof message !== 'string') {
+            sendJSON(res, { success: false, error: 'メッセージが必要です' }, 400);
+            return;
+        }
+        const userId = authorizeUser(req, res, requestedUserId);
+        if (!userId || !checkSessionId(res, sessionId)) return;
+
+        const components = await getChatComponents(res);
+        if (!components) return;
+        const { statisticalGenerator, chatSessionManager } = components;
+
+        let session;
+        let history;
+        try {
+            session = await resolveChatSession(chatSessionManager, userId, sessionId);
+            history = session ? await chatSessionManager.getContextTurns(userId, session.sessionId) : [];
+        } catch (error) {
+            sendJSON(res, { success: false, error: 'セッション読み込みエラー', details: error.message }, 500);
+            return;
+        }
+        if (!session) {
+            sendJSON(res, { success: false, error: 'セッションが見つかりません', sessionId }, 404);
+            return;
+        }
+
+        console.log(`🗣️ ストリーミング対話リクエスト: "${message}" (ユーザー: ${userId}, セッション: ${session.sessionId})`);
+
+        // クライアント切断・タイムアウトで生成をキャンセル
+        const controller = new AbortController();
+        let finished = false;
+        let timedOut = false;
+        res.on('close', () => {
+            if (!finished) controller.abort();
+        });
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        startEventStream(res);
+        try {
+            const result = await statisticalGenerator.generateResponse(message, userId, {
+                history,
+                signal: controller.signal,
+                onProgress: (progress) => sendEvent(res, 'stage', progress)
+            });
+
+            if (result.cancelled) {
+                sendEvent(res, 'cancelled', {
+                    success: false,
+                    reason: timedOut ? 'timeout' : 'client_cancelled',
+                    processingTime: result.processingTime
+                });
+            } else if (result.success) {
+                appMetrics.observeResponseQuality(result);
+                await recordChatTurn(chatSessionManager, userId, session.sessionId, message, result);
+                sendEvent(res, 'done', formatChatResult(result, session.sessionId));
+            } else {
+                sendEvent(res, 'error', result);
+            }
+        } catch (error) {
+            console.error('❌ ストリーミング対話API エラー:', error);
+            sendEvent(res, 'error', {
+                success: false,
+                error: '内部サーバーエラー',
+                details: error.message
+            });
+        } finally {
+            finished = true;
+            clearTimeout(timer);
+            res.end();
+        }
+    }
+
+    // OpenAI互換 Chat Completions API
+    async function handleChatCompletions(req, res) {
+        let payload;
+        try {
+            payload = await readJSONBody(req);
+        } catch (error) {
+            sendJSON(res, buildOpenAIError(`JSON解析エラー: ${error.message}`), 400);
+            return;
+        }
+
+        const {
+            messages,
+            model = OPENAI_MODEL_ID,
+            stream = false,
+            stream_options: streamOptions = {},
+            user: requestedUserId,
+            session_id: sessionId
+        } = payload;
+        if (!Array.isArray(messages) || messages.length === 0) {
+            sendJSON(res, buildOpenAIError('messages は空でない配列である必要があります', 'invalid_request_error', 'messages'), 400);
+            return;
+        }
+        const { userInput, history: messageHistory } = mapMessagesToChatInput(messages);
+        if (!userInput) {
+            sendJSON(res, buildOpenAIError('messages に user メッセージが必要です', 'invalid_request_error', 'messages'), 400);
+            return;
+        }
+        const userId = authorizeUser(req, res, requestedUserId, true);
+        if (!userId || !checkSessionId(res, sessionId, true)) return;
+
+        const components = await getChatComponents(res, true);
+        if (!components) return;
+        const { statisticalGenerator, chatSessionManager } = components;
+
+        // messagesに過去ターンが無い場合はセッション履歴を文脈として使用
+        let session;
+        let history;
+        try {
+            session = await resolveChatSession(chatSessionManager, userId, sessionId);
+            history = messageHistory.length > 0 || !session
+                ? messageHistory
+                : await chatSessionManager.getContextTurns(userId, session.sessionId);
+        } catch (error) {
+            sendJSON(res, buildOpenAIError(`セッション読み込みエラー: ${error.message}`, 'server_error'), 500);
+            return;
+        }
+        if (!session) {
+            sendJSON(res, buildOpenAIError(`セッションが見つかりません: ${sessionId}`, 'invalid_request_error', 'session_id', 'session_not_found'), 404);
+            return;
+        }
+
+        console.log(`🔌 OpenAI互換リクエスト: "${userInput}" (ユーザー: ${userId}, セッション: ${session.sessionId}, stream: ${!!stream})`);
+
+        const id = createCompletionId();
+        const created = Math.floor(Date.now() / 1000);
+
+        // クライアント切断（ストリーミング時はタイムアウトも）で生成をキャンセル
+        const controller = new AbortController();
+        let finished = false;
+        let timedOut = false;
+        res.on('close', () => {
+            if (!finished) controller.abort();
+        });
+        const timer = stream ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, config.streamTimeoutMs) : null;
+
+        if (stream) {
+            startEventStream(res);
+            sendStreamData(res, buildChatCompletionChunk({ id, created, model, delta: { role: 'assistant', content: '' } }));
+        }
+
+        try {
+            const result = await statisticalGenerator.generateResponse(userInput, userId, {
+                history,
+                signal: controller.signal
+            });
+
+            if (result.cancelled) {
+                if (stream && timedOut) {
+                    sendStreamData(res, buildOpenAIError('応答生成がタイムアウトしました', 'timeout'));
+                }
+            } else if (!result.success) {
+                const error = buildOpenAIError(result.error || '応答生成に失敗しました', 'server_error');
+                if (stream) {
+                    sendStreamData(res, error);
+                } else {
+                    sendJSON(res, error, 500);
+                }
+            } else {
+                appMetrics.observeResponseQuality(result);
+                await recordChatTurn(chatSessionManager, userId, session.sessionId, userInput, result);
+                if (stream) {
+                    for (const content of splitIntoDeltas(result.response)) {
+                        sendStreamData(res, buildChatCompletionChunk({ id, created, model, delta: { content } }));
+                    }
+                    sendStreamData(res, buildChatCompletionChunk({ id, created, model, delta: {}, finishReason: 'stop' }));
+                    if (streamOptions && streamOptions.include_usage) {
+                        sendStreamData(res, {
+                            ...buildChatCompletionChunk({ id, created, model, delta: {} }),
+                            choices: [],
+                            usage: buildUsage(messages, result.response)
+                        });
+                    }
+                } else {
+                    sendJSON(res, buildChatCompletion({
+                        id,
+                        created,
+                        model,
+                        content: result.response,
+                        usage: buildUsage(messages, result.response)
+                    }));
+                }
+            }
+        } catch (error) {
+            console.error('❌ OpenAI互換API エラー:', error);
+            const apiError = buildOpenAIError(`内部サーバーエラー: ${error.message}`, 'server_error');
+            if (stream) {
+                sendStreamData(res, apiError);
+            } else if (!res.headersSent) {
+                sendJSON(res, apiError, 500);
+            }
+        } finally {
+            finished = true;
+            clearTimeout(timer);
+            if (stream) {
+                sendStreamData(res, '[DONE]');
+                res.end();
+            } else if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    }
+
+    // 対話履歴取得API（セッション指定・ページング対応）
+    async function handleChatHistory(req, res, url) {
+        const pathParts = url.pathname.split('/');
+        const requestedUserId = decodeURIComponent(pathParts[4] || '');
+        const sessionId = url.searchParams.get('sessionId');
+        const limit = parseInt(url.searchParams.get('limit')) || 50;
+        const offset = Math.max(0, parseInt(url.searchParams.get('offset')) || 0);
+
+        if (!requestedUserId) {
+            sendJSON(res, { success: false, error: 'ユーザーIDが必要です' }, 400);
+            return;
+        }
+        const userId = authorizeUser(req, res, requestedUserId);
+        if (!userId || !checkSessionId(res, sessionId)) return;
+
+        const chatSessionManager = await getComponent('chatSessionManager');
+        if (!chatSessionManager) {
+            sendJSON(res, { success: false, error: 'Chat Session Manager not initialized' }, 500);
+            return;
+        }
+
+        try {
+            const page = await chatSessionManager.getHistory(userId, { sessionId, limit, offset });
+            if (!page) {
+                sendJSON(res, { success: false, error: 'セッションが見つかりません', sessionId }, 404);
+                return;
+            }
+            sendJSON(res, {
+                success: true,
+                sessionId,
+                history: page.history,
+                count: page.history.length,
+                total: page.total,
+                limit: page.limit,
+                offset: page.offset,
+                hasMore: page.hasMore,
+                nextOffset: page.hasMore ? page.offset + page.history.length : null
+            });
+        } catch (error) {
+            console.error('❌ 履歴API エラー:', error);
+            sendJSON(res, {
+                success: false,
+                error: '履歴取得エラー',
+                details: error.message
+            }, 500);
+        }
+    }
+
+    // 対話セッション作成・一覧・名前変更・削除API
+    async function handleChatSessions(req, res, url) {
+        const chatSessionManager = await getComponent('chatSessionManager');
+        if (!chatSessionManager) {
+            sendJSON(res, { success: false, error: 'Chat Session Manager not initialized' }, 500);
+            return;
+        }
+
+        if (url.pathname === '/api/chat/sessions') {
+            if (req.method !== 'POST') {
+                sendJSON(res, { error: 'Not Found' }, 404);
+                return;
+            }
+            try {
+                const { userId: requestedUserId, title } = await readJSONBody(req);
+                const userId = authorizeUser(req, res, requestedUserId);
+                if (!userId) return;
+                const session = await chatSessionManager.createSession(userId, title);
+                sendJSON(res, { success: true, session }, 201);
+            } catch (error) {
+                console.error('❌ セッション作成API エラー:', error);
+                sendJSON(res, { success: false, error: 'セッション作成エラー', details: error.message }, 500);
+            }
+            return;
+        }
+
+        const pathParts = url.pathname.split('/');
+        const requestedUserId = decodeURIComponent(pathParts[4] || '');
+        const sessionId = pathParts[5] ? decodeURIComponent(pathParts[5]) : null;
+
+        if (!requestedUserId) {
+            sendJSON(res, { success: false, error: 'ユーザーIDが必要です' }, 400);
+            return;
+        }
+        const userId = authorizeUser(req, res, requestedUserId);
+        if (!userId || !checkSessionId(res, sessionId)) return;
+
+        try {
+            if (!sessionId && req.method === 'GET') {
+                const sessions = await chatSessionManager.listSessions(userId);
+                sendJSON(res, { success: true, sessions, count: sessions.length });
+            } else if (sessionId && req.method === 'PATCH') {
+                const { title } = await readJSONBody(req);
+                if (!title || typeof title !== 'string') {
+                    sendJSON(res, { success: false, error: 'セッション名が必要です' }, 400);
+                    return;
+                }
+                const session = await chatSessionManager.renameSession(userId, sessionId, title);
+                if (!session) {
+                    sendJSON(res, { success: false, error: 'セッションが見つかりません', sessionId }, 404);
+                    return;
+                }
+                sendJSON(res, { success: true, session });
+            } else if (sessionId && req.method === 'DELETE') {
+                const deleted = await chatSessionManager.deleteSession(userId, sessionId);
+                if (!deleted) {
+                    sendJSON(res, { success: false, error: 'セッションが見つかりません', sessionId }, 404);
+                    return;
+                }
+                sendJSON(res, { success: true, deleted: sessionId });
+            } else {
+                sendJSON(res, { error: 'Not Found' }, 404);
+            }
+        } catch (error) {
+            console.error('❌ セッションAPI エラー:', error);
+            sendJSON(res, { success: false, error: 'セッション操作エラー', details: error.message }, 500);
+        }
+    }
+
+    // ユーザーデータエクスポート・削除API
+    async function handleUserData(req, res, url) {
+        const pathParts = url.pathname.split('/');
+        const requestedUserId = decodeURIComponent(pathParts[3] || '');
+        const action = pathParts[4] || null;
+
+        if (!requestedUserId) {
+            sendJSON(res, { success: false, error: 'ユーザーIDが必要です' }, 400);
+            return;
+        }
+        // 形式確認・キーに許可されたユーザーかの確認
+        const userId = authorizeUser(req, res, requestedUserId);
+        if (!userId) return;
+
+        const userPrivacyManager = await getComponent('userPrivacyManager');
+        if (!userPrivacyManager) {
+            sendJSON(res, { success: false, error: 'User Privacy Manager not initialized' }, 500);
+            return;
+        }
+
+        try {
+            if (action === 'export' && req.method === 'GET') {
+                const archive = await userPrivacyManager.exportUser(userId);
+                if (!archive) {
+                    sendJSON(res, { success: false, error: 'ユーザーデータが見つかりません', userId }, 404);
+                    return;
+                }
+                res.writeHead(200, {
+                    'Content-Type': 'application/json',
+                    'Content-Disposition': `attachment; filename="user-${encodeURIComponent(userId)}-export.json"`,
+                    ...CORS_HEADERS
+                });
+                res.end(JSON.stringify(archive, null, 2));
+            } else if (!action && req.method === 'DELETE') {
+                console.log(`🗑️ ユーザーデータ削除リクエスト: ${userId}`);
+                const report = await userPrivacyManager.deleteUser(userId);
+                sendJSON(res, { success: true, report });
+            } else {
+                sendJSON(res, { error: 'Not Found' }, 404);
+            }
+        } catch (error) {
+            console.error('❌ ユーザーデータAPI エラー:', error);
+            sendJSON(res, { success: false, error: 'ユーザーデータ操作エラー', details: error.message }, 500);
+        }
+    }
+
+    // ログ学習ジョブ作成・一覧・状況取得・キャンセルAPI
+    async function handleLearningJobs(req, res, url) {
+        const learningJobManager = await getComponent('learningJobManager');
+        if (!learningJobManager) {
+            sendJSON(res, { success: false, error: 'Learning Job Manager not initialized' }, 500);
+            return;
+        }
+
+        const pathParts = url.pathname.split('/');
+        const jobId = pathParts[4] ? decodeURIComponent(pathParts[4]) : null;
+        const action = pathParts[5] || null;
+
+        if (!jobId && req.method === 'POST') {
+            let files;
+            try {
+                learningUpload = learningUpload || createLearningUpload();
+                files = await parseUpload(learningUpload, req, res);
+            } catch (error) {
+                sendJSON(res, { success: false, error: 'アップロードエラー', details: error.message }, 400);
+                return;
+            }
+            if (files.length === 0) {
+                sendJSON(res, { success: false, error: 'ログファイルが必要です (フィールド名: files)' }, 400);
+                return;
+            }
+
+            const job = learningJobManager.createJob(files.map(file => ({
+                path: file.path,
+                originalName: decodeUploadFileName(file.originalname),
+                size: file.size
+            })));
+            sendJSON(res, { success: true, job }, 202);
+        } else if (!jobId && req.method === 'GET') {
+            const jobs = learningJobManager.listJobs();
+            sendJSON(res, { success: true, jobs, count: jobs.length });
+        } else if (jobId && !action && req.method === 'GET') {
+            const job = learningJobManager.getJob(jobId);
+            if (!job) {
+                sendJSON(res, { success: false, error: 'ジョブが見つかりません', jobId }, 404);
+                return;
+            }
+            sendJSON(res, { success: true, job });
+        } else if (jobId && action === 'cancel' && req.method === 'POST') {
+            const job = await learningJobManager.cancelJob(jobId);
+            if (!job) {
+                sendJSON(res, { success: false, error: 'ジョブが見つかりません', jobId }, 404);
+                return;
+            }
+            sendJSON(res, { success: true, job });
+        } else {
+            sendJSON(res, { error: 'Not Found' }, 404);
+        }
+    }
+
+    // システム状態API（初期化済みコンポーネントのみ参照し、初期化は発生させない）
+    function handleChatStatus(req, res) {
+        const statisticalGenerator = container.getSync('statisticalGenerator');
+        const systemStatus = statisticalGenerator ? statisticalGenerator.getSystemStatus() : { initialized: false };
+
+        sendJSON(res, {
+            success: true,
+            status: systemStatus,
+            serverInfo: {
+                uptime: process.uptime(),
+                memoryUsage: process.memoryUsage(),
+                nodeVersion: process.version
+            }
+        });
+    }
+
+    // サーバー・コンポーネント初期化状況API
+    function handleServerStatus(req, res) {
+        sendJSON(res, {
+            success: true,
+            serverStatus: 'running',
+            ...config.serverInfo,
+            initialization: container.getStats()
+        });
+    }
+
+    function handleHealth(req, res) {
+        sendJSON(res, {
+            status: 'healthy',
+            ai: container.getSync('statisticalGenerator') ? 'ready' : 'not_ready',
+            timestamp: new Date().toISOString(),
+            version: 'phase4-v1'
+        });
+    }
+
+    // ルーティング
+    // 停止処理用: 処理中リクエストの追跡
+    const inFlightRequests = new Set();
+    const drainWaiters = [];
+    let draining = false;
+
+    function trackRequest(res) {
+        inFlightRequests.add(res);
+        res.on('close', () => {
+            inFlightRequests.delete(res);
+            if (draining && inFlightRequests.size === 0) {
+                drainWaiters.splice(0).forEach(resolve => resolve());
+            }
+        });
+    }
+
+    async function handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        // 停止処理中はkeep-alive接続経由の新規リクエストも受け付けない
+        if (draining) {
+            res.setHeader('Connection', 'close');
+            sendJSON(res, { success: false, error: 'サーバー停止処理中です' }, 503);
+            return;
+        }
+        trackRequest(res);
+
+        // ルート別リクエスト遅延計測（ストリーミングは接続終了まで）
+        const startTime = process.hrtime.bigint();
+        res.on('close', () => {
+            const durationSeconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+            appMetrics.observeRequest(resolveRouteLabel(url.pathname), req.method, res.statusCode, durationSeconds);
+        });
+
+        // CORS
+        applyCorsHeaders(req, res);
+        if (req.method === 'OPTIONS') {
+            res.writeHead(200, CORS_HEADERS);
+            res.end();
+            return;
+        }
+
+        try {
+            if (!await authenticateRequest(req, res, url)) return;
+
+            if (url.pathname === '/' && req.method === 'GET') {
+                sendHTML(res, getWebUIContent());
+            } else if (url.pathname === '/api/process' && req.method === 'POST') {
+                await handleProcess(req, res);
+            } else if (url.pathname === '/api/feedback' && req.method === 'POST') {
+                await handleFeedback(req, res);
+            } else if (url.pathname === '/api/chat' && req.method === 'POST') {
+                await handleChat(req, res);
+            } else if (url.pathname === '/api/chat/explain' && req.method === 'POST') {
+                await handleChat(req, res, true);
+            } else if (url.pathname === '/api/chat/stream' && req.method === 'POST') {
+                await handleChatStream(req, res);
+            } else if (url.pathname === '/v1/chat/completions' && req.method === 'POST') {
+                await handleChatCompletions(req, res);
+            } else if (url.pathname.startsWith('/api/chat/history/') && req.method === 'GET') {
+                await handleChatHistory(req, res, url);
+            } else if (url.pathname === '/api/chat/sessions' || url.pathname.startsWith('/api/chat/sessions/')) {
+                await handleChatSessions(req, res, url);
+            } else if (url.pathname === '/api/learning/jobs' || url.pathname.startsWith('/api/learning/jobs/')) {
+                await handleLearningJobs(req, res, url);
+            } else if (url.pathname.startsWith('/api/users/')) {
+                await handleUserData(req, res, url);
+            } else if (url.pathname === '/api/chat/status' && req.method === 'GET') {
+                handleChatStatus(req, res);
+            } else if (url.pathname === '/status' && req.method === 'GET') {
+                handleServerStatus(req, res);
+            } else if (url.pathname === '/health' && req.method === 'GET') {
+                handleHealth(req, res);
+            } else if (url.pathname === '/metrics' && req.method === 'GET') {
+                sendMetrics(res, metricsRegistry.render());
+            } else {
+                sendJSON(res, { error: 'Not Found' }, 404);
+            }
+        } catch (error) {
+            console.error('❌ リクエスト処理エラー:', error);
+            if (!res.headersSent) {
+                sendJSON(res, { success: false, error: error.message }, 500);
+            } else if (!res.writableEnded) {
+                res.end();
+            }
+        }
+    }
+
+    /**
+     * 新規リクエストの受付を停止し、処理中リクエスト（ストリーミング対話を含む）の完了を待つ
+     * @param {number} timeoutMs - 最大待機時間
+     * @returns {Promise<number>} タイムアウト時点で未完了のリクエスト数（0なら全完了）
+     */
+    handleRequest.drain = async (timeoutMs) => {
+        draining = true;
+        if (inFlightRequests.size > 0) {
+            let timer;
+            await Promise.race([
+                new Promise(resolve => drainWaiters.push(resolve)),
+                new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+            ]);
+            clearTimeout(timer);
+        }
+        return inFlightRequests.size;
+    };
+
+    handleRequest.getInFlightCount = () => inFlightRequests.size;
+
+    return handleRequest;
+}
+
+export default createApp;
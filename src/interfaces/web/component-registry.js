@@ -0,0 +1,249 @@
+/**
+ * コンポーネント登録 - Webサーバー共通の依存関係定義
+ * LazyInitializationManagerへ各コンポーネントの初期化関数と依存関係を登録する。
+ * 即時起動（server.js）と遅延起動（optimized-server.js）の両方から利用される。
+ */
+
+/**
+ * 全コンポーネントをコンテナへ登録
+ * @param {LazyInitializationManager} container - コンポーネントコンテナ
+ */
+export function registerComponents(container) {
+    console.log('📋 コンポーネント登録開始...');
+
+    // Level 0: データベース
+    container.register('persistentLearningDB', async () => {
+        const { persistentLearningDB } = await import('../../data/persistent-learning-db.js');
+        // 定期スナップショット（LEARNING_BACKUP_INTERVAL_MINUTES 未指定時は無効）
+        const backupIntervalMinutes = Number(process.env.LEARNING_BACKUP_INTERVAL_MINUTES || 0);
+        if (backupIntervalMinutes > 0) {
+            persistentLearningDB.startScheduledBackups({
+                intervalMs: backupIntervalMinutes * 60 * 1000,
+                retention: Number(process.env.LEARNING_BACKUP_RETENTION) || undefined
+            });
+        }
+        // 保持ポリシーの定期適用（LEARNING_RETENTION_INTERVAL_HOURS 未指定時は無効、ポリシーは LEARNING_RETENTION_POLICY）
+        const retentionIntervalHours = Number(process.env.LEARNING_RETENTION_INTERVAL_HOURS || 0);
+        if (retentionIntervalHours > 0) {
+            persistentLearningDB.startScheduledRetention({
+                intervalMs: retentionIntervalHours * 60 * 60 * 1000,
+                onApplied: (report) => {
+                    // 削除したデータをメモリ上のキャッシュから保存し直さないよう破棄する
+                    const chatSessionManager = container.getSync('chatSessionManager');
+                    if (chatSessionManager && report.chatHistory) {
+                        report.chatHistory.users.forEach(userId => chatSessionManager.evictUser(userId));
+                    }
+                    const bayesianAI = container.getSync('bayesianAI');
+                    if (bayesianAI && report.inactiveUserProfiles) {
+                        report.inactiveUserProfiles.removed.forEach(profileKey => bayesianAI.userProfiles.delete(profileKey));
+                    }
+                }
+            });
+        }
+        return persistentLearningDB;
+    }, [], 1);
+
+    container.register('chatSessionManager', async () => {
+        const { ChatSessionManager } = await import('../../data/chat-session-manager.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        return new ChatSessionManager(persistentLearningDB);
+    }, ['persistentLearningDB'], 1);
+
+    container.register('dictionaryDB', async () => {
+        const { DictionaryDB } = await import('../../foundation/dictionary/dictionary-db.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        // initialize() はコンストラクタ内で呼ばれるので不要
+        return new DictionaryDB(persistentLearningDB);
+    }, ['persistentLearningDB'], 1);
+
+    // ユーザーデータのエクスポート・削除（削除のために学習器の初期化は発生させない）
+    container.register('userPrivacyManager', async () => {
+        const { UserPrivacyManager } = await import('../../data/user-privacy-manager.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const chatSessionManager = await container.get('chatSessionManager');
+        const userPrivacyManager = new UserPrivacyManager(persistentLearningDB, chatSessionManager);
+        userPrivacyManager.registerMemoryStore('bayesianAI', (userId) => {
+            const bayesianAI = container.getSync('bayesianAI');
+            return bayesianAI ? bayesianAI.userProfiles.delete(userId) : false;
+        });
+        userPrivacyManager.registerMemoryStore('dynamicLearner', (userId) => {
+            const dynamicLearnerFactory = container.getSync('dynamicLearner');
+            return dynamicLearnerFactory ? dynamicLearnerFactory.release(userId) : false;
+        });
+        return userPrivacyManager;
+    }, ['persistentLearningDB', 'chatSessionManager'], 1);
+
+    container.register('apiKeyManager', async () => {
+        const { ApiKeyManager } = await import('./api-key-manager.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const apiKeyManager = new ApiKeyManager(persistentLearningDB);
+        await apiKeyManager.initialize();
+        // 管理スクリプトでの発行・失効の反映間隔（API_KEY_RELOAD_INTERVAL_SECONDS=0 で無効）
+        const reloadIntervalSeconds = Number(process.env.API_KEY_RELOAD_INTERVAL_SECONDS || 5);
+        if (reloadIntervalSeconds > 0) {
+            apiKeyManager.startAutoReload({ intervalMs: reloadIntervalSeconds * 1000 });
+        }
+        return apiKeyManager;
+    }, ['persistentLearningDB'], 1);
+
+    // Level 1: 基本プロセッサ
+    container.register('hybridProcessor', async () => {
+        const { EnhancedHybridLanguageProcessor } = await import('../../foundation/morphology/hybrid-processor.js');
+        const processor = new EnhancedHybridLanguageProcessor();
+        await processor.initialize();
+        return processor;
+    }, [], 2);
+
+    // Level 2: コア学習モジュール
+    container.register('ngramAI', async () => {
+        const { NgramContextPatternAI } = await import('../../learning/ngram/ngram-context-pattern.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const { getWriteBehindOptionsFromEnv } = await import('../../data/write-behind-buffer.js');
+        const ngramAI = new NgramContextPatternAI(3, 0.75, persistentLearningDB, { writeBehind: getWriteBehindOptionsFromEnv() });
+        await ngramAI.initialize();
+        if (ngramAI.ngramFrequencies.size > 0) { // N-gramデータがある場合のみ分布意味論を初期化
+            await ngramAI.initializeDistributionalSemantics();
+        }
+        return ngramAI;
+    }, ['persistentLearningDB'], 2);
+
+    // DynamicLearnerはユーザーIDごとのシングルトンを返すファクトリとして登録
+    container.register('dynamicLearner', async () => {
+        const { DynamicRelationshipLearner } = await import('../../learning/cooccurrence/dynamic-relationship-learner.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const hybridProcessor = await container.get('hybridProcessor');
+        const ngramAI = await container.get('ngramAI');
+        const { getWriteBehindOptionsFromEnv } = await import('../../data/write-behind-buffer.js');
+        const learnerInstances = new Map();
+
+        const dynamicLearnerFactory = async (userId) => {
+            if (!learnerInstances.has(userId)) {
+                // 会話・フィードバックのたびに発生する保存を集約（未保存分は終了時の cleanup で保存）
+                const learner = new DynamicRelationshipLearner(persistentLearningDB, hybridProcessor, ngramAI, userId, { writeBehind: getWriteBehindOptionsFromEnv() });
+                await learner.initializeLearner();
+                learnerInstances.set(userId, learner);
+            }
+            return learnerInstances.get(userId);
+        };
+        // ユーザーデータ削除時にインスタンスを破棄（次回要求時は空の状態から再構築）
+        dynamicLearnerFactory.release = (userId) => {
+            const learner = learnerInstances.get(userId);
+            if (!learner) return false;
+            // 削除したデータを未保存分の書き込みや定期保存で書き戻さない
+            learner.persistenceBuffer.discard();
+            clearInterval(learner.autoSaveInterval);
+            return learnerInstances.delete(userId);
+        };
+        // 終了時は全ユーザーの学習器を保存してタイマーを停止
+        dynamicLearnerFactory.cleanup = async () => {
+            for (const learner of learnerInstances.values()) {
+                await learner.cleanup();
+            }
+        };
+        return dynamicLearnerFactory;
+    }, ['persistentLearningDB', 'hybridProcessor', 'ngramAI'], 3);
+
+    container.register('banditAI', async () => {
+        const { MultiArmedBanditVocabularyAI } = await import('../../learning/bandit/multi-armed-bandit-vocabulary.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const { getWriteBehindOptionsFromEnv } = await import('../../data/write-behind-buffer.js');
+        // 応答のたびに発生する保存を集約（未保存分は終了時の cleanup で保存）
+        const banditAI = new MultiArmedBanditVocabularyAI(persistentLearningDB, { writeBehind: getWriteBehindOptionsFromEnv() });
+        await banditAI.initialize();
+        return banditAI;
+    }, ['persistentLearningDB'], 2);
+
+    container.register('bayesianAI', async () => {
+        const { BayesianPersonalizationAI } = await import('../../learning/bayesian/bayesian-personalization.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const { getWriteBehindOptionsFromEnv } = await import('../../data/write-behind-buffer.js');
+        const bayesianAI = new BayesianPersonalizationAI(persistentLearningDB, { writeBehind: getWriteBehindOptionsFromEnv() });
+        await bayesianAI.initialize();
+        return bayesianAI;
+    }, ['persistentLearningDB'], 2);
+
+    container.register('qualityPredictor', async () => {
+        const { QualityPredictionModel } = await import('../../learning/quality/quality-prediction-model.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const ngramAI = await container.get('ngramAI');
+        const dynamicLearnerFactory = await container.get('dynamicLearner');
+        const cooccurrenceLearner = await dynamicLearnerFactory('quality_predictor_user');
+
+        const qualityPredictor = new QualityPredictionModel(persistentLearningDB, ngramAI, cooccurrenceLearner);
+        await qualityPredictor.initializeAIModules();
+        return qualityPredictor;
+    }, ['persistentLearningDB', 'ngramAI', 'dynamicLearner'], 2);
+
+    // Level 3: 統合プロセッサ
+    container.register('aiVocabularyProcessor', async () => {
+        const { AIVocabularyProcessor } = await import('../../processing/vocabulary/ai-vocabulary-processor.js');
+        const banditAI = await container.get('banditAI');
+        const ngramAI = await container.get('ngramAI');
+        const bayesianAI = await container.get('bayesianAI');
+        const dynamicLearnerFactory = await container.get('dynamicLearner');
+        const qualityPredictor = await container.get('qualityPredictor');
+        const hybridProcessor = await container.get('hybridProcessor');
+        const dictionary = await container.get('dictionaryDB');
+        const cooccurrenceLearner = await dynamicLearnerFactory('ai_processor_user');
+
+        const processor = new AIVocabularyProcessor(banditAI, ngramAI, bayesianAI, cooccurrenceLearner, qualityPredictor, hybridProcessor, dictionary);
+        await processor.initialize();
+        return processor;
+    }, ['banditAI', 'ngramAI', 'bayesianAI', 'dynamicLearner', 'qualityPredictor', 'hybridProcessor', 'dictionaryDB'], 2);
+
+    // 感情分析（形態素単位で語を切り、辞書DBの反義語から感情語彙にない語の極性を判定）
+    container.register('sentimentAnalyzer', async () => {
+        const { SentimentAnalyzer } = await import('../../learning/sentiment/sentiment-analyzer.js');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const hybridProcessor = await container.get('hybridProcessor');
+        const dictionaryDB = await container.get('dictionaryDB');
+        const sentimentAnalyzer = new SentimentAnalyzer({ persistentLearningDB, hybridProcessor, dictionaryDB });
+        // コンストラクタの非同期読み込み完了を待ってから利用させる
+        await sentimentAnalyzer.loadSentimentWeights();
+        await sentimentAnalyzer.loadIntensifiers();
+        return sentimentAnalyzer;
+    }, ['persistentLearningDB', 'hybridProcessor', 'dictionaryDB'], 2);
+
+    // アップロードログの非同期学習（稼働中のN-gram・共起・バンディットモデルを直接更新）
+    container.register('learningJobManager', async () => {
+        const { DialogueLogProcessor } = await import('../../learning/dialogue/dialogue-log-processor.js');
+        const { LearningJobManager } = await import('../../learning/dialogue/learning-job-manager.js');
+        const hybridProcessor = await container.get('hybridProcessor');
+        const ngramAI = await container.get('ngramAI');
+        const banditAI = await container.get('banditAI');
+        const dynamicLearnerFactory = await container.get('dynamicLearner');
+        const relationshipLearner = await dynamicLearnerFactory('ai_processor_user');
+        const sentimentAnalyzer = await container.get('sentimentAnalyzer');
+
+        const logProcessor = new DialogueLogProcessor({
+            morphProcessor: hybridProcessor,
+            ngramLearner: ngramAI,
+            relationshipLearner,
+            banditLearner: banditAI,
+            sentimentAnalyzer
+        });
+        await logProcessor.initialize();
+
+        return new LearningJobManager(logProcessor, {
+            // 学習後に分布意味論を再計算し、応答生成へ即時反映
+            onJobFinished: async () => {
+                if (ngramAI.ngramFrequencies.size > 0) {
+                    await ngramAI.initializeDistributionalSemantics();
+                }
+            }
+        });
+    }, ['hybridProcessor', 'ngramAI', 'banditAI', 'dynamicLearner', 'sentimentAnalyzer'], 3);
+
+    // Level 4: 応答生成（構文生成器はStatisticalResponseGenerator内部で構築される）
+    container.register('statisticalGenerator', async () => {
+        const { StatisticalResponseGenerator } = await import('../../engines/response/statistical-response-generator.js');
+        const aiVocabularyProcessor = await container.get('aiVocabularyProcessor');
+        const persistentLearningDB = await container.get('persistentLearningDB');
+        const learningConfig = await persistentLearningDB.loadSystemData('learning-config');
+        return new StatisticalResponseGenerator(aiVocabularyProcessor, persistentLearningDB, learningConfig, null);
+    }, ['aiVocabularyProcessor', 'persistentLearningDB'], 2);
+
+    console.log('✅ コンポーネント登録完了');
+}
+
+export default registerComponents;
@@ -0,0 +1,91 @@
+/**
+ * 協調停止処理 - SIGINT/SIGTERM時に学習データを失わずにサーバーを停止する
+ *
+ * 1. 新規接続・新規リクエストの受付停止
+ * 2. 処理中の対話リクエスト完了待ち（タイムアウト付き）
+ * 3. LazyInitializationManager.cleanup による各コンポーネントの保存・クリーンアップ
+ * 4. LearningWorkerPool のシャットダウン（コンテナ登録分、またはプロセス共有のワーカープールが作成済みの場合）
+ * 5. 正常終了マーカー書き込み（未完了リクエストや保存失敗がある場合は書き込まない）
+ */
+
+import { getActiveLearningWorkerPool } from '../../workers/learning-worker-pool.js';
+
+export const DEFAULT_DRAIN_TIMEOUT_MS = 10000;
+export const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/**
+ * 停止処理関数作成
+ * @param {Object} options - { server, app: createApp の戻り値, container, shutdownState, drainTimeoutMs, exit }
+ * @returns {Function} (signal) => Promise<boolean> 正常終了できたか
+ */
+export function createGracefulShutdown({ server, app, container, shutdownState = null, drainTimeoutMs = DEFAULT_DRAIN_TIMEOUT_MS, exit = (code) => process.exit(code) }) {
+    let shuttingDown = false;
+
+    return async function shutdown(signal) {
+        if (shuttingDown) {
+            console.warn(`⚠️ 停止処理中に ${signal} を受信したため強制終了します`);
+            exit(1);
+            return false;
+        }
+        shuttingDown = true;
+        console.log(`\n🔄 ${signal} 受信: サーバー停止処理開始...`);
+
+        // 1. 受付停止（待機中のkeep-alive接続は即座に閉じる）
+        const serverClosed = new Promise(resolve => server.close(resolve));
+        server.closeIdleConnections();
+
+        // 2. 処理中リクエストの完了待ち
+        const remaining = await app.drain(drainTimeoutMs);
+        if (remaining > 0) {
+            console.warn(`⚠️ ${drainTimeoutMs}ms 以内に完了しなかったリクエスト: ${remaining}件`);
+            server.closeAllConnections();
+        } else {
+            console.log('✅ 処理中リクエスト完了');
+            server.closeIdleConnections();
+        }
+        await serverClosed;
+
+        // 3. コンポーネント保存（cleanup後はコンテナから参照できないためワーカープールを先に取得）
+        const learningWorkerPool = container.getSync('learningWorkerPool') || getActiveLearningWorkerPool();
+        const failed = await container.cleanup();
+
+        // 4. ワーカープール停止
+        if (learningWorkerPool) {
+            try {
+                await learningWorkerPool.shutdown();
+            } catch (error) {
+                console.warn('⚠️ ワーカープール停止エラー:', error.message);
+                failed.push('learningWorkerPool');
+            }
+        }
+
+        // 5. 正常終了マーカー
+        const clean = remaining === 0 && failed.length === 0;
+        if (!clean) {
+            console.warn(`⚠️ 正常終了できませんでした（未完了リクエスト: ${remaining}件, 保存失敗: ${failed.join(', ') || 'なし'}）`);
+        } else if (shutdownState) {
+            shutdownState.markCleanShutdown({ signal });
+        }
+
+        console.log('✅ サーバー終了完了');
+        exit(clean ? 0 : 1);
+        return clean;
+    };
+}
+
+/**
+ * 停止シグナルへの登録
+ * @param {Function} shutdown - createGracefulShutdown の戻り値
+ */
+export function installShutdownHandlers(shutdown) {
+    for (const signal of SHUTDOWN_SIGNALS) {
+        process.on(signal, () => {
+            shutdown(signal).catch(error => {
+                console.error('❌ 停止処理エラー:', error);
+                process.exit(1);
+            });
+        });
+    }
+}
+
+export default createGracefulShutdown;
@@ -0,0 +1,176 @@
+/**
+ * Webサーバー運用メトリクス定義
+ * リクエスト遅延・応答品質の記録と、コンテナ内コンポーネントの既存統計
+ * （getStats / getDatabaseStats / getStatistics / getPoolStats / getPerformanceReport）を
+ * Prometheus形式のメトリクスへ変換するコレクターを提供する
+ */
+
+import { getActiveLearningWorkerPool } from '../../workers/learning-worker-pool.js';
+
+export const METRICS_PREFIX = 'jp_ai';
+export const QUALITY_SCORE_BUCKETS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+
+// パスパラメータを含むルートはテンプレート名で集計（ラベルの種類数を抑える）
+const ROUTE_TEMPLATES = [
+    [/^\/api\/chat\/history\/[^/]+$/, '/api/chat/history/:userId'],
+    [/^\/api\/chat\/sessions\/[^/]+$/, '/api/chat/sessions/:userId'],
+    [/^\/api\/chat\/sessions\/[^/]+\/[^/]+$/, '/api/chat/sessions/:userId/:sessionId'],
+    [/^\/api\/users\/[^/]+$/, '/api/users/:id'],
+    [/^\/api\/users\/[^/]+\/export$/, '/api/users/:id/export'],
+    [/^\/api\/learning\/jobs\/[^/]+$/, '/api/learning/jobs/:id'],
+    [/^\/api\/learning\/jobs\/[^/]+\/cancel$/, '/api/learning/jobs/:id/cancel']
+];
+
+const STATIC_ROUTES = new Set([
+    '/',
+    '/api/process',
+    '/api/feedback',
+    '/api/chat',
+    '/api/chat/explain',
+    '/api/chat/stream',
+    '/api/chat/sessions',
+    '/api/chat/status',
+    '/api/learning/jobs',
+    '/v1/chat/completions',
+    '/status',
+    '/health',
+    '/metrics'
+]);
+
+/**
+ * リクエストパスからルートラベルを解決
+ * @returns {string} ルートテンプレート（未知のパスは 'unmatched'）
+ */
+export function resolveRouteLabel(pathname) {
+    if (STATIC_ROUTES.has(pathname)) return pathname;
+    for (const [pattern, template] of ROUTE_TEMPLATES) {
+        if (pattern.test(pathname)) return template;
+    }
+    return 'unmatched';
+}
+
+/**
+ * アプリケーションメトリクス作成
+ * @param {MetricsRegistry} registry - メトリクスレジストリ
+ * @returns {Object} { observeRequest, observeResponseQuality }
+ */
+export function createAppMetrics(registry) {
+    const requestsTotal = registry.counter(`${METRICS_PREFIX}_http_requests_total`, 'HTTPリクエスト数');
+    const requestDuration = registry.histogram(`${METRICS_PREFIX}_http_request_duration_seconds`, 'ルート別HTTPリクエスト処理時間');
+    const qualityScore = registry.histogram(`${METRICS_PREFIX}_response_quality_score`, '生成応答の品質スコア分布', QUALITY_SCORE_BUCKETS);
+    const gradesTotal = registry.counter(`${METRICS_PREFIX}_response_grade_total`, '生成応答の品質グレード別件数');
+
+    return {
+        observeRequest(route, method, status, durationSeconds) {
+            requestsTotal.inc({ route, method, status });
+            requestDuration.observe({ route, method }, durationSeconds);
+        },
+
+        observeResponseQuality(result) {
+            if (typeof result.qualityScore === 'number') {
+                qualityScore.observe({ strategy: result.strategy || 'unknown' }, result.qualityScore);
+            }
+            if (result.grade) {
+                gradesTotal.inc({ grade: result.grade });
+            }
+        }
+    };
+}
+
+// 統計値をゲージ/カウンターのメトリクスファミリーへ変換
+function family(name, help, type, samples) {
+    return { name: `${METRICS_PREFIX}_${name}`, help, type, samples };
+}
+
+/**
+ * コンポーネント統計コレクター登録
+ * 初期化済みのコンポーネントのみ参照し、スクレイプによる初期化は発生させない
+ * @param {MetricsRegistry} registry - メトリクスレジストリ
+ * @param {LazyInitializationManager} container - コンポーネントコンテナ
+ */
+export function registerComponentCollectors(registry, container) {
+    // LazyInitializationManager.getStats
+    registry.registerCollector(() => {
+        const stats = container.getStats();
+        return [
+            family('components_total', '登録コンポーネント数', 'gauge', [{ value: stats.totalComponents }]),
+            family('components_initialized', '初期化済みコンポーネント数', 'gauge', [{ value: stats.initializedComponents }]),
+            family('components_pending', '初期化中コンポーネント数', 'gauge', [{ value: stats.pendingComponents }]),
+            family('component_load_time_seconds', 'コンポーネント初期化時間', 'gauge',
+                stats.componentDetails
+                    .filter(detail => detail.loadTime !== null)
+                    .map(detail => ({ labels: { component: detail.name }, value: detail.loadTime / 1000 })))
+        ];
+    });
+
+    // PersistentLearningDB.getDatabaseStats
+    registry.registerCollector(() => {
+        const persistentLearningDB = container.getSync('persistentLearningDB');
+        if (!persistentLearningDB) return [];
+        const { summary } = persistentLearningDB.getDatabaseStats();
+        return [
+            family('db_users', '関係性データを持つユーザー数', 'gauge', [{ value: summary.totalUsers }]),
+            family('db_user_relations', 'ユーザー関係性レコード数', 'gauge', [{ value: summary.totalRelations }]),
+            family('db_concepts', '概念学習レコード数', 'gauge', [{ value: summary.totalConcepts }]),
+            family('db_conversations', '会話履歴レコード数', 'gauge', [{ value: summary.totalConversations }]),
+            family('db_quality_score', '学習品質スコア', 'gauge', [{ value: summary.qualityScore }])
+        ];
+    });
+
+    // JSONFileManager.getStatistics（コンテナに jsonFileManager を登録したプロセスのみ。Webサーバーの学習データはストレージアダプター経由で読み書きする）
+    registry.registerCollector(() => {
+        const jsonFileManager = container.getSync('jsonFileManager');
+        if (!jsonFileManager) return [];
+        const stats = jsonFileManager.getStatistics();
+        return [
+            family('json_file_operations_total', 'JSONファイル操作数', 'counter', [
+                { labels: { operation: 'read' }, value: stats.operations.reads },
+                { labels: { operation: 'write' }, value: stats.operations.writes },
+                { labels: { operation: 'create' }, value: stats.operations.creates }
+            ]),
+            family('json_file_errors_total', 'JSONファイル操作エラー数', 'counter', [{ value: stats.operations.errors }]),
+            family('json_file_operation_seconds_total', 'JSONファイル操作の累積時間', 'counter', [{ value: stats.operations.totalTime / 1000 }]),
+            family('json_file_cache_requests_total', 'JSONファイルキャッシュ参照数', 'counter', [
+                { labels: { result: 'hit' }, value: stats.cache.hits },
+                { labels: { result: 'miss' }, value: stats.cache.misses }
+            ]),
+            family('json_file_cache_entries', 'JSONファイルキャッシュ件数', 'gauge', [{ value: stats.cache.size }])
+        ];
+    });
+
+    // LearningWorkerPool.getPoolStats（プロセス共有のワーカープールが作成済みの場合のみ。スクレイプでワーカーを起動しない）
+    registry.registerCollector(() => {
+        const learningWorkerPool = container.getSync('learningWorkerPool') || getActiveLearningWorkerPool();
+        if (!learningWorkerPool) return [];
+        const stats = learningWorkerPool.getPoolStats();
+        return [
+            family('worker_pool_size', 'ワーカープールサイズ', 'gauge', [{ value: stats.poolSize }]),
+            family('worker_pool_busy_workers', '処理中ワーカー数', 'gauge', [{ value: stats.busyWorkers }]),
+            family('worker_pool_queue_length', '待機タスク数', 'gauge', [{ value: stats.queueLength }]),
+            family('worker_pool_running_tasks', '実行中タスク数', 'gauge', [{ value: stats.runningTasks }]),
+            family('worker_tasks_completed_total', 'ワーカー別完了タスク数', 'counter',
+                stats.workers.map(worker => ({ labels: { worker: worker.id }, value: worker.tasksCompleted }))),
+            family('worker_task_errors_total', 'ワーカー別タスクエラー数', 'counter',
+                stats.workers.map(worker => ({ labels: { worker: worker.id }, value: worker.errorCount }))),
+            family('worker_average_task_seconds', 'ワーカー別平均タスク処理時間', 'gauge',
+                stats.workers.map(worker => ({ labels: { worker: worker.id }, value: worker.averageTaskTime / 1000 })))
+        ];
+    });
+
+    // AdaptiveLearningOrchestrator.getPerformanceReport（コンテナに adaptiveLearningOrchestrator を登録したプロセスのみ）
+    registry.registerCollector(() => {
+        const orchestrator = container.getSync('adaptiveLearningOrchestrator');
+        if (!orchestrator) return [];
+        const report = orchestrator.getPerformanceReport();
+        return [
+            family('orchestrator_requests_total', '語彙選択リクエスト数', 'counter', [{ value: report.totalRequests }]),
+            family('orchestrator_running_ab_tests', '実行中A/Bテスト数', 'gauge', [{ value: report.runningABTests }]),
+            family('orchestrator_strategy_usage_total', '戦略別使用回数', 'counter',
+                report.strategiesPerformance.map(entry => ({ labels: { strategy: entry.strategy }, value: entry.usage }))),
+            family('orchestrator_strategy_avg_quality', '戦略別平均品質', 'gauge',
+                report.strategiesPerformance.map(entry => ({ labels: { strategy: entry.strategy }, value: entry.avgQuality }))),
+            family('orchestrator_strategy_avg_processing_seconds', '戦略別平均処理時間', 'gauge',
+                report.strategiesPerformance.map(entry => ({ labels: { strategy: entry.strategy }, value: entry.avgProcessingTime / 1000 })))
+        ];
+    });
+}
@@ -0,0 +1,143 @@
+/**
+ * OpenAI互換 Chat Completions ワイヤーフォーマット変換
+ *
+ * 🔌 /v1/chat/completions の messages 配列を StatisticalResponseGenerator の入力へ変換
+ * 📦 生成結果を choices / usage 形式のレスポンス・ストリーミングチャンクへ整形
+ */
+
+import crypto from 'crypto';
+
+export const OPENAI_MODEL_ID = 'statistical-response-generator';
+export const STREAM_CHUNK_SIZE = 8; // ストリーミング時の1チャンクあたり文字数
+
+/**
+ * メッセージ本文のテキスト化（文字列・content parts配列の両対応）
+ */
+export function extractMessageText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+            .map(part => part.text)
+            .join('');
+    }
+    return '';
+}
+
+/**
+ * messages配列を「最新ユーザー入力」と「過去の対話ターン」へ分解
+ * systemメッセージは統計的生成エンジンでは扱わないため除外する
+ * @param {Array} messages - OpenAI形式のメッセージ配列
+ * @returns {Object} { userInput, history } 最新のuserメッセージが無い場合 userInput は null
+ */
+export function mapMessagesToChatInput(messages) {
+    const dialogue = messages
+        .filter(message => message && (message.role === 'user' || message.role === 'assistant'))
+        .map(message => ({ role: message.role, text: extractMessageText(message.content) }));
+
+    const lastUserIndex = dialogue.map(message => message.role).lastIndexOf('user');
+    if (lastUserIndex === -1 || !dialogue[lastUserIndex].text.trim()) {
+        return { userInput: null, history: [] };
+    }
+
+    // user → assistant の組をセッション履歴と同じターン形式へ変換
+    const history = [];
+    let pending = null;
+    for (const message of dialogue.slice(0, lastUserIndex)) {
+        if (message.role === 'user') {
+            if (pending) history.push(pending);
+            pending = { userInput: message.text, aiResponse: '' };
+        } else if (pending) {
+            pending.aiResponse = pending.aiResponse ? `${pending.aiResponse}\n${message.text}` : message.text;
+        } else {
+            history.push({ userInput: '', aiResponse: message.text });
+        }
+    }
+    if (pending) history.push(pending);
+
+    return { userInput: dialogue[lastUserIndex].text, history };
+}
+
+/**
+ * 概算トークン数（漢字・かな・カナは1文字、英数字は1語を1トークンとして計数）
+ */
+export function estimateTokenCount(text) {
+    if (!text) return 0;
+    const matches = text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[A-Za-z0-9]+|[^\s]/gu);
+    return matches ? matches.length : 0;
+}
+
+/**
+ * usageフィールド生成
+ */
+export function buildUsage(messages, completionText) {
+    const promptTokens = messages.reduce(
+        (sum, message) => sum + estimateTokenCount(extractMessageText(message && message.content)), 0);
+    const completionTokens = estimateTokenCount(completionText);
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
+
+/**
+ * Completion ID生成
+ */
+export function createCompletionId() {
+    return `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+/**
+ * 非ストリーミング応答（chat.completion）生成
+ */
+export function buildChatCompletion({ id, created, model, content, usage, finishReason = 'stop' }) {
+    return {
+        id,
+        object: 'chat.completion',
+        created,
+        model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content },
+            finish_reason: finishReason
+        }],
+        usage
+    };
+}
+
+/**
+ * ストリーミングチャンク（chat.completion.chunk）生成
+ */
+export function buildChatCompletionChunk({ id, created, model, delta, finishReason = null }) {
+    return {
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model,
+        choices: [{
+            index: 0,
+            delta,
+            finish_reason: finishReason
+        }]
+    };
+}
+
+/**
+ * 応答テキストをストリーミング用に分割
+ */
+export function splitIntoDeltas(text, size = STREAM_CHUNK_SIZE) {
+    const chars = Array.from(text || '');
+    const deltas = [];
+    for (let i = 0; i < chars.length; i += size) {
+        deltas.push(chars.slice(i, i + size).join(''));
+    }
+    return deltas;
+}
+
+/**
+ * OpenAI形式のエラーオブジェクト生成
+ */
+export function buildOpenAIError(message, type = 'invalid_request_error', param = null, code = null) {
+    return { error: { message, type, param, code } };
+}
@@ -0,0 +1,261 @@
+/**
+ * WebUI - ブラウザ向け操作画面
+ * テキスト処理・フィードバック・段階進捗付き対話（セッション継続）を提供
+ */
+
+/**
+ * WebUI HTML取得
+ * @returns {string} HTML文書
+ */
+export function getWebUIContent() {
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>軽量統計学習型日本語処理AI</title>
+    <style>
+        body { font-family: system-ui, sans-serif; max-width: 800px; margin: 40px auto; padding: 20px; }
+        .header { text-align: center; margin-bottom: 40px; color: #333; }
+        .input-group { margin-bottom: 20px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        textarea, input { width: 100%; padding: 10px; border: 1px solid #ccc; border-radius: 4px; }
+        textarea { height: 100px; }
+        button { background: #007bff; color: white; padding: 10px 20px; border: none; border-radius: 4px; cursor: pointer; }
+        button:hover { background: #0056b3; }
+        .result { margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 4px; }
+        .status { padding: 10px; margin: 10px 0; border-radius: 4px; }
+        .status.success { background: #d4edda; color: #155724; }
+        .status.error { background: #f8d7da; color: #721c24; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>🧬 軽量統計学習型日本語処理AI - Phase 4</h1>
+        <p>統計的応答生成AI対話システム</p>
+    </div>
+    
+    <div class="input-group">
+        <label for="text">テキスト:</label>
+        <textarea id="text" placeholder="プログラミングの効率を向上させる方法について"></textarea>
+    </div>
+    
+    <div class="input-group">
+        <label for="userId">ユーザーID:</label>
+        <input type="text" id="userId" value="demo-user">
+    </div>
+    
+    <button onclick="processText()">処理実行</button>
+    
+    <div id="result" class="result" style="display:none;"></div>
+    
+    <!-- Phase 4: 対話システム -->
+    <hr style="margin: 40px 0;">
+    <h2>🗣️ AI対話システム</h2>
+    
+    <div class="input-group">
+        <label for="chatMessage">メッセージ:</label>
+        <input type="text" id="chatMessage" placeholder="こんにちは！何について話しましょうか？">
+    </div>
+    
+    <button onclick="sendChatMessage()">送信</button>
+    <button id="cancelChat" onclick="cancelChatMessage()" style="display:none; background:#6c757d;">キャンセル</button>
+    
+    <div id="chatHistory" class="result" style="display:block; max-height: 400px; overflow-y: auto;"></div>
+    
+    <script>
+        async function processText() {
+            const text = document.getElementById('text').value;
+            const userId = document.getElementById('userId').value;
+            
+            if (!text.trim()) {
+                showResult('テキストを入力してください', 'error');
+                return;
+            }
+            
+            try {
+                showResult('処理中...', 'info');
+                
+                const response = await fetch('/api/process', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ text, userId })
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    showResult(JSON.stringify(data, null, 2), 'success');
+                } else {
+                    showResult('エラー: ' + data.error, 'error');
+                }
+            } catch (error) {
+                showResult('通信エラー: ' + error.message, 'error');
+            }
+        }
+        
+        function showResult(message, type) {
+            const result = document.getElementById('result');
+            result.innerHTML = '<pre>' + message + '</pre>';
+            result.className = 'result status ' + type;
+            result.style.display = 'block';
+        }
+        
+        // Phase 4: 対話機能 (段階進捗ストリーミング)
+        const STAGE_LABELS = {
+            morphology: '形態素解析完了',
+            strategy: '応答戦略選択',
+            structure: 'PCFG文構造生成',
+            candidates: '候補評価完了',
+            response: '応答確定'
+        };
+        let chatController = null;
+        let currentSessionId = null; // 対話セッション（ユーザー変更時はリセット）
+        let currentSessionUserId = null;
+
+        async function sendChatMessage() {
+            const message = document.getElementById('chatMessage').value;
+            const userId = document.getElementById('userId').value;
+            
+            if (!message.trim()) {
+                alert('メッセージを入力してください');
+                return;
+            }
+            if (chatController) {
+                return; // 生成中は多重送信しない
+            }
+            if (currentSessionUserId !== userId) {
+                currentSessionId = null;
+                currentSessionUserId = userId;
+            }
+            
+            // ユーザーメッセージを履歴に追加
+            addMessageToHistory('user', message);
+            document.getElementById('chatMessage').value = '';
+            const progressDiv = addMessageToHistory('progress', '応答生成中...');
+            chatController = new AbortController();
+            document.getElementById('cancelChat').style.display = 'inline-block';
+            
+            try {
+                // AI応答をストリーミング取得
+                const response = await fetch('/api/chat/stream', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ message, userId, sessionId: currentSessionId }),
+                    signal: chatController.signal
+                });
+                
+                if (!response.ok) {
+                    const data = await response.json();
+                    addMessageToHistory('error', 'エラー: ' + data.error);
+                    return;
+                }
+                
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    buffer += decoder.decode(value, { stream: true });
+                    let boundary;
+                    while ((boundary = buffer.indexOf('\\n\\n')) >= 0) {
+                        handleStreamEvent(buffer.slice(0, boundary), progressDiv);
+                        buffer = buffer.slice(boundary + 2);
+                    }
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    addMessageToHistory('error', '応答生成をキャンセルしました');
+                } else {
+                    addMessageToHistory('error', '通信エラー: ' + error.message);
+                }
+            } finally {
+                chatController = null;
+                progressDiv.remove();
+                document.getElementById('cancelChat').style.display = 'none';
+            }
+        }
+        
+        function cancelChatMessage() {
+            if (chatController) {
+                chatController.abort();
+            }
+        }
+        
+        function handleStreamEvent(rawEvent, progressDiv) {
+            let event = 'message';
+            let data = '';
+            rawEvent.split('\\n').forEach(function(line) {
+                if (line.startsWith('event: ')) event = line.slice(7);
+                if (line.startsWith('data: ')) data += line.slice(6);
+            });
+            const payload = data ? JSON.parse(data) : {};
+            
+            if (event === 'stage') {
+                progressDiv.innerHTML = '<strong>処理中:</strong> ' + (STAGE_LABELS[payload.stage] || payload.stage) +
+                    ' <small>(' + payload.elapsed + 'ms)</small>';
+            } else if (event === 'done') {
+                currentSessionId = payload.sessionId;
+                // AI応答を履歴に追加
+                addMessageToHistory('ai', payload.response, {
+                    strategy: payload.strategy,
+                    confidence: payload.confidence,
+                    qualityScore: payload.qualityMetrics.score,
+                    grade: payload.qualityMetrics.grade,
+                    processingTime: payload.processingTime
+                });
+            } else if (event === 'cancelled') {
+                addMessageToHistory('error', payload.reason === 'timeout' ? '応答生成がタイムアウトしました' : '応答生成をキャンセルしました');
+            } else if (event === 'error') {
+                addMessageToHistory('error', 'エラー: ' + payload.error);
+            }
+        }
+        
+        function addMessageToHistory(type, message, metadata = {}) {
+            const chatHistory = document.getElementById('chatHistory');
+            const messageDiv = document.createElement('div');
+            messageDiv.style.marginBottom = '15px';
+            messageDiv.style.padding = '10px';
+            messageDiv.style.borderRadius = '8px';
+            
+            if (type === 'user') {
+                messageDiv.style.background = '#e3f2fd';
+                messageDiv.style.textAlign = 'right';
+                messageDiv.innerHTML = '<strong>あなた:</strong> ' + message;
+            } else if (type === 'progress') {
+                messageDiv.style.background = '#fff8e1';
+                messageDiv.innerHTML = '<strong>処理中:</strong> ' + message;
+            } else if (type === 'ai') {
+                messageDiv.style.background = '#f1f8e9';
+                let metaInfo = '';
+                if (metadata.strategy) {
+                    metaInfo = '<br><small>戦略: ' + metadata.strategy + 
+                              ' | 信頼度: ' + (metadata.confidence || 0).toFixed(2) +
+                              ' | 品質: ' + metadata.grade + 
+                              ' (' + (metadata.qualityScore || 0).toFixed(2) + ')' +
+                              ' | 処理時間: ' + (metadata.processingTime || 0) + 'ms</small>';
+                }
+                messageDiv.innerHTML = '<strong>AI:</strong> ' + message + metaInfo;
+            } else {
+                messageDiv.style.background = '#ffebee';
+                messageDiv.innerHTML = '<strong>エラー:</strong> ' + message;
+            }
+            
+            chatHistory.appendChild(messageDiv);
+            chatHistory.scrollTop = chatHistory.scrollHeight;
+            return messageDiv;
+        }
+        
+        // Enterキーで送信
+        document.addEventListener('DOMContentLoaded', function() {
+            document.getElementById('chatMessage').addEventListener('keypress', function(e) {
+                if (e.key === 'Enter') {
+                    sendChatMessage();
+                }
+            });
+        });
+    </script>
+</body>
+</html>`;
+}
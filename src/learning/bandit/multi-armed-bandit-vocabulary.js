@@ -5,6 +5,8 @@
  * ユーザーのフィードバックに基づいて最適な語彙を選択・学習します。
  */
 import { persistentLearningDB } from '../../data/persistent-learning-db.js';
+import { WriteBehindBuffer } from '../../data/write-behind-buffer.js';
+import { LEARNING_EVENT_TYPES, recordLearningInput } from '../../data/learning-event-log.js';
 
 /**
  * MultiArmedBanditVocabularyAI - 多腕バンディットアルゴリズムによる語彙選択最適化AI
@@ -19,6 +21,8 @@ export class MultiArmedBanditVocabularyAI {
     this.totalSelections = 0;
     this.explorationConstant = Math.sqrt(2); // UCBアルゴリズムの探索定数
     this.isInitialized = false;
+    // 保存の遅延・集約（learningConfig.writeBehind 未指定時は更新のたびに保存）
+    this.persistenceBuffer = new WriteBehindBuffer('bandit', () => this._saveData(), learningConfig.writeBehind);
     this.learningConfig = { // 動的設定
       initialExplorationBonus: 5, // 冷開始時の初期探索ボーナス
       explorationDecayRate: 0.99, // 探索定数の減衰率
@@ -79,9 +83,10 @@ export class MultiArmedBanditVocabularyAI {
   /**
    * 候補の中から最適な語彙を選択します。
    * @param {Array<string>} candidates - 選択肢となる語彙の配列
+   * @param {Object} [options] - { recordSelection: 選択を統計・学習イベントに記録する（説明リクエストでは false） }
    * @returns {string} 選択された最適な語彙
    */
-  async selectVocabulary(candidates) {
+  async selectVocabulary(candidates, { recordSelection = true } = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
@@ -102,7 +107,9 @@ export class MultiArmedBanditVocabularyAI {
     }
 
     // 選択された語彙の統計を更新
-    await this.recordSelection(bestVocabulary);
+    if (recordSelection) {
+      await this.recordSelection(bestVocabulary);
+    }
     return bestVocabulary;
   }
 
@@ -114,6 +121,7 @@ export class MultiArmedBanditVocabularyAI {
     if (!this.isInitialized) {
       await this.initialize();
     }
+    recordLearningInput(this.persistentLearningDB, LEARNING_EVENT_TYPES.BANDIT_SELECTION, { vocabulary });
 
     if (!this.vocabularyStats.has(vocabulary)) {
       this.vocabularyStats.set(vocabulary, { rewards: 0, selections: 0 });
@@ -121,7 +129,7 @@ export class MultiArmedBanditVocabularyAI {
     const stats = this.vocabularyStats.get(vocabulary);
     stats.selections++;
     this.totalSelections++;
-    await this._saveData();
+    await this.persistenceBuffer.markDirty();
   }
 
   /**
@@ -133,13 +141,14 @@ export class MultiArmedBanditVocabularyAI {
     if (!this.isInitialized) {
       await this.initialize();
     }
+    recordLearningInput(this.persistentLearningDB, LEARNING_EVENT_TYPES.BANDIT_REWARD, { vocabulary, rating: userRating });
 
     if (this.vocabularyStats.has(vocabulary)) {
       const stats = this.vocabularyStats.get(vocabulary);
       // 報酬を0-1の範囲に正規化することを保証
       const normalizedRating = Math.max(0, Math.min(1, userRating));
       stats.rewards += Math.round(normalizedRating * 10000) / 10000;
-      await this._saveData();
+      await this.persistenceBuffer.markDirty();
     }
   }
 
@@ -151,6 +160,13 @@ export class MultiArmedBanditVocabularyAI {
     return this.vocabularyStats;
   }
 
+  /**
+   * 終了時クリーンアップ（未保存のバンディットデータを永続化）
+   */
+  async cleanup() {
+    await this.persistenceBuffer.flush();
+  }
+
   /**
    * バンディットデータを永続化します。
    */
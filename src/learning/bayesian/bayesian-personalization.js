@@ -5,6 +5,8 @@
  * ナイーブベイズ分類器を用いてコンテンツを個人に最適化します。
  */
 import { persistentLearningDB } from '../../data/persistent-learning-db.js';
+import { WriteBehindBuffer } from '../../data/write-behind-buffer.js';
+import { LEARNING_EVENT_TYPES, recordLearningInput } from '../../data/learning-event-log.js';
 
 /**
  * BayesianPersonalizationAI - ナイーブベイズ増分学習による個人適応AI
@@ -13,10 +15,12 @@ import { persistentLearningDB } from '../../data/persistent-learning-db.js';
  * ナイーブベイズ分類器を用いてコンテンツを個人に最適化します。
  */
 export class BayesianPersonalizationAI {
-  constructor(persistentDB) {
+  constructor(persistentDB, learningConfig = {}) {
     this.persistentLearningDB = persistentDB;
     this.userProfiles = new Map(); // Map<userId: string, UserProfile>
     this.isInitialized = false;
+    // ユーザー単位で保存を遅延・集約（learningConfig.writeBehind 未指定時は学習のたびに保存）
+    this.persistenceBuffer = new WriteBehindBuffer('bayesian', userId => this._saveUserProfile(userId), learningConfig.writeBehind);
   }
 
   async initialize() {
@@ -68,6 +72,7 @@ export class BayesianPersonalizationAI {
     if (!this.isInitialized) {
       await this.initialize();
     }
+    recordLearningInput(this.persistentLearningDB, LEARNING_EVENT_TYPES.BAYESIAN_INTERACTION, { userId, interaction });
 
     if (!this.userProfiles.has(userId)) {
       this.userProfiles.set(userId, this._initializeUserProfile(userId));
@@ -92,7 +97,7 @@ export class BayesianPersonalizationAI {
       }
     }
     // 学習後にプロファイルを保存
-    await this._saveUserProfile(userId);
+    await this.persistenceBuffer.markDirty(userId);
   }
 
   /**
@@ -207,12 +212,20 @@ export class BayesianPersonalizationAI {
     }
   }
 
+  /**
+   * 終了時クリーンアップ（未保存のユーザープロファイルを永続化）
+   */
+  async cleanup() {
+    await this.persistenceBuffer.flush();
+  }
+
   /**
    * ユーザープロファイルを削除します。
    * @param {string} userId - ユーザーID
    */
   async deleteUserProfile(userId) {
     this.userProfiles.delete(userId);
+    this.persistenceBuffer.discard(userId);
     await this.persistentLearningDB.deleteUserProfile(userId);
     console.log(`🗑️ ユーザープロファイル削除完了: ${userId}`);
   }
@@ -221,6 +234,9 @@ export class BayesianPersonalizationAI {
    * 全てのユーザープロファイルをクリアします。
    */
   async clearAllUserProfiles() {
+    for (const userId of this.userProfiles.keys()) {
+      this.persistenceBuffer.discard(userId);
+    }
     this.userProfiles.clear();
     await this.persistentLearningDB.clearAllUserProfiles();
     console.log('🗑️ 全てのユーザープロファイルをクリアしました。');
@@ -131,6 +131,26 @@ describe('DynamicRelationshipLearner', () => {
     expect(mockPersistentLearningDB.saveUserSpecificRelations).toHaveBeenCalledTimes(1); // learnFromFeedback内で保存される
   });
 
+  test('write-behind設定時は会話・フィードバックごとに保存せず、cleanupでまとめて保存すべき', async () => {
+    newLearner = new DynamicRelationshipLearner(
+      mockPersistentLearningDB,
+      mockHybridProcessor,
+      mockNgramAI,
+      'testUser',
+      { writeBehind: { flushIntervalMs: 60000, maxStalenessMs: 60000 } }
+    );
+    await newLearner.initializeLearner();
+
+    await newLearner.learnFromConversation('これはテストの文章です', [], 'テストの応答です');
+    await newLearner.learnFromFeedback('テスト', 0.9, 'これはテストの単語です');
+    expect(mockPersistentLearningDB.saveUserSpecificRelations).not.toHaveBeenCalled();
+    expect(newLearner.persistenceBuffer.hasPendingChanges()).toBe(true);
+
+    await newLearner.cleanup();
+    expect(mockPersistentLearningDB.saveUserSpecificRelations).toHaveBeenCalledTimes(1);
+    expect(newLearner.persistenceBuffer.hasPendingChanges()).toBe(false);
+  });
+
   test('関係性強度取得が正しく動作すべき', async () => {
     await learner.initializeLearner(); // initializeLearnerを明示的に呼び出す
     
@@ -3,9 +3,11 @@ import fs from 'fs';
 import path from 'path';
 import { persistentLearningDB as defaultPersistentLearningDB, PersistentLearningDB } from '../../data/persistent-learning-db.js';
 import { NgramContextPatternAI as defaultNgramContextPatternAI } from '../ngram/ngram-context-pattern.js';
+import { LEARNING_EVENT_TYPES, recordLearningInput } from '../../data/learning-event-log.js';
+import { WriteBehindBuffer } from '../../data/write-behind-buffer.js';
 
 export class DynamicRelationshipLearner {
-    constructor(persistentLearningDB, hybridProcessor, ngramAI, userId) {
+    constructor(persistentLearningDB, hybridProcessor, ngramAI, userId, options = {}) {
         this.userId = userId; // userIdをインスタンスプロパティとして保存
         this.userRelations = {};
         this.coOccurrenceData = {};
@@ -18,6 +20,9 @@ export class DynamicRelationshipLearner {
 
         this.semanticCache = new Map(); // 意味類似度キャッシュ
         this.tfIdfCache = new Map(); // TF-IDFキャッシュ
+
+        // 保存の遅延・集約（options.writeBehind 未指定時は更新のたびに保存）
+        this.persistenceBuffer = new WriteBehindBuffer('cooccurrence', () => this.saveUserData(), options.writeBehind);
         
         // Phase 0: 統計的学習パラメータ (ハードコード除去)
         this.learningConfig = {
@@ -87,6 +92,7 @@ export class DynamicRelationshipLearner {
      * 会話から概念関係を学習
      */
     async learnFromConversation(input, history, response) {
+        recordLearningInput(this.persistentLearningDB, LEARNING_EVENT_TYPES.RELATIONSHIP_CONVERSATION, { userId: this.userId, input, history, response });
         try {
             // hybridProcessorからキーワードを抽出
             const inputProcessed = await this.hybridProcessor.processText(input);
@@ -116,8 +122,8 @@ export class DynamicRelationshipLearner {
             // 学習データ更新
             await this.updateRelationships();
             
-            // 自動保存 - 学習後は必ず保存
-            await this.saveUserData();
+            // 学習後の保存（write-behind時はまとめて保存）
+            await this.persistenceBuffer.markDirty();
             
             console.log(`📚 学習完了: ${inputKeywords.length}+${responseKeywords.length}キーワード分析`);
             
@@ -135,7 +141,7 @@ export class DynamicRelationshipLearner {
         try {
             // learnFromConversation を利用して共起分析を行う
             // input: text, history: [], response: optimizedVocabulary
-            // learnFromConversation は内部で analyzeCoOccurrence, analyzeContextualRelationships, updateRelationships, saveUserData を呼び出す
+            // learnFromConversation は内部で analyzeCoOccurrence, analyzeContextualRelationships, updateRelationships を呼び出し、保存を予約する
             await this.learnFromConversation(text, [], optimizedVocabulary);
             console.log(`📚 CoOccurrenceAnalyzer: テキストと最適化語彙の共起分析完了`);
         } catch (error) {
@@ -150,6 +156,7 @@ export class DynamicRelationshipLearner {
      * @param {string} contextText - 評価時の文脈テキスト
      */
     async learnFromFeedback(vocabulary, rating, contextText) {
+        recordLearningInput(this.persistentLearningDB, LEARNING_EVENT_TYPES.RELATIONSHIP_FEEDBACK, { userId: this.userId, vocabulary, rating, contextText });
         try {
             // 評価された語彙と文脈テキスト内のキーワードとの関係性を強化/弱化
             const contextProcessed = await this.hybridProcessor.processText(contextText);
@@ -166,7 +173,7 @@ export class DynamicRelationshipLearner {
                     this.addUserRelation(vocabulary, kw, Math.max(0, Math.min(1, newStrength))); // 0-1にクランプ
                 }
             }
-            await this.saveUserData();
+            await this.persistenceBuffer.markDirty();
             console.log(`📚 CoOccurrenceAnalyzer: フィードバック学習完了 for ${vocabulary} (Rating: ${rating})`);
         } catch (error) {
             console.error('❌ CoOccurrenceAnalyzer learnFromFeedbackエラー:', error.message);
@@ -507,13 +514,17 @@ export class DynamicRelationshipLearner {
     }
 
     /**
-     * クリーンアップ（定期保存タイマー停止）
+     * クリーンアップ（定期保存タイマー停止・未保存データの永続化）
      */
-    cleanup() {
+    async cleanup() {
         if (this.autoSaveInterval) {
             clearInterval(this.autoSaveInterval);
+            this.autoSaveInterval = null;
             console.log('🔄 定期保存タイマー停止');
         }
+        if (this.isInitialized) {
+            await this.persistenceBuffer.flush();
+        }
     }
 
     /**
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { LearningJobManager, JOB_STATUS } from '../learning-job-manager.js';
+
+describe('LearningJobManager', () => {
+  let uploadDir;
+  let mockLogProcessor;
+  let onJobFinished;
+  let manager;
+
+  const writeUpload = (name, content) => {
+    const filePath = path.join(uploadDir, name);
+    fs.writeFileSync(filePath, content);
+    return { path: filePath, originalName: name, size: content.length };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'learning-jobs-'));
+    mockLogProcessor = {
+      processLogFile: jest.fn(async (filePath, { fileName, onProgress }) => {
+        onProgress({ sentencesScanned: 1, totalSentences: 1, processedSentences: 1 });
+        if (fileName === 'broken.txt') {
+          return { success: false, fileName, error: 'ファイルが空です' };
+        }
+        return { success: true, fileName, sourceName: 'Unknown', totalSentences: 1, processedSentences: 1, processingTime: 1 };
+      }),
+    };
+    onJobFinished = jest.fn();
+    manager = new LearningJobManager(mockLogProcessor, { onJobFinished });
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('アップロードファイルを順に学習し、ファイル別結果とエラーを報告すべき', async () => {
+    const files = [writeUpload('claude-log.txt', '対話ログ'), writeUpload('broken.txt', '')];
+    const created = manager.createJob(files);
+    expect(created.status).toBe(JOB_STATUS.QUEUED);
+
+    await manager.waitForIdle();
+    const job = manager.getJob(created.jobId);
+
+    expect(job.status).toBe(JOB_STATUS.COMPLETED);
+    expect(job.progress.filesCompleted).toBe(2);
+    expect(job.files[0].result.processedSentences).toBe(1);
+    expect(job.errors).toEqual([{ fileName: 'broken.txt', error: 'ファイルが空です' }]);
+    expect(onJobFinished).toHaveBeenCalledTimes(1);
+    expect(files.every(file => !fs.existsSync(file.path))).toBe(true);
+  });
+
+  test('実行中ジョブをキャンセルすると残りのファイルを処理しないべき', async () => {
+    let release;
+    mockLogProcessor.processLogFile.mockImplementationOnce((filePath, { signal }) => new Promise((resolve, reject) => {
+      release = () => reject(signal.reason);
+      signal.addEventListener('abort', () => release());
+    }));
+    const files = [writeUpload('a.txt', 'ログA'), writeUpload('b.txt', 'ログB')];
+    const { jobId } = manager.createJob(files);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(manager.getJob(jobId).progress.currentFile).toBe('a.txt');
+
+    await manager.cancelJob(jobId);
+    await manager.waitForIdle();
+    const job = manager.getJob(jobId);
+
+    expect(job.status).toBe(JOB_STATUS.CANCELLED);
+    expect(job.files.map(file => file.status)).toEqual([JOB_STATUS.CANCELLED, JOB_STATUS.CANCELLED]);
+    expect(mockLogProcessor.processLogFile).toHaveBeenCalledTimes(1);
+    expect(onJobFinished).not.toHaveBeenCalled();
+    expect(await manager.cancelJob('missing')).toBeNull();
+  });
+});
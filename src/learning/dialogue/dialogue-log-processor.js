@@ -8,7 +8,11 @@ import fs from 'fs/promises';
 import path from 'path';
 
 export class DialogueLogProcessor {
-    constructor() {
+    /**
+     * @param {Object} dependencies - StatisticalDialogueLearnerへ注入する学習コンポーネント
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = dependencies;
         this.learner = null;
         this.isInitialized = false;
         this.processedLogs = new Set();
@@ -18,7 +22,7 @@ export class DialogueLogProcessor {
     async initialize() {
         console.log('📚 対話ログ処理システム初期化...');
         
-        this.learner = new StatisticalDialogueLearner();
+        this.learner = new StatisticalDialogueLearner(this.dependencies);
         await this.learner.initialize();
         
         this.isInitialized = true;
@@ -99,7 +103,7 @@ export class DialogueLogProcessor {
                 const fullPath = path.join(logsDir, entry.name);
                 if (entry.isDirectory()) {
                     // サブディレクトリ内のログファイルも再帰的に検索
-                    if (entry.name !== 'processed') { // processedディレクトリは除外
+                    if (entry.name !== 'processed' && entry.name !== 'uploads') { // processed・アップロード一時ディレクトリは除外
                         const subFiles = await this.getLogFiles(fullPath);
                         logFiles.push(...subFiles);
                     }
@@ -116,10 +120,12 @@ export class DialogueLogProcessor {
 
     /**
      * 個別ログファイル処理
+     * @param {string} filePath - ログファイルパス
+     * @param {Object} options - { fileName: 表示・ソース判定用ファイル名, signal, onProgress }
      */
-    async processLogFile(filePath) {
+    async processLogFile(filePath, options = {}) {
+        const { fileName = path.basename(filePath), signal = null, onProgress = null } = options;
         try {
-            const fileName = path.basename(filePath);
             const sourceName = this.extractSourceName(fileName);
             
             console.log(`  📄 読み込み: ${fileName} (ソース: ${sourceName})`);
@@ -136,7 +142,7 @@ export class DialogueLogProcessor {
             }
             
             // 統計的対話学習実行
-            const learningResult = await this.learner.processDialogueLog(content, sourceName);
+            const learningResult = await this.learner.processDialogueLog(content, sourceName, { signal, onProgress });
             
             console.log(`  ✅ 完了: ${fileName} - ${learningResult.processedPairs || 0}ペア処理`);
             
@@ -150,10 +156,11 @@ export class DialogueLogProcessor {
             };
             
         } catch (error) {
+            if (signal?.aborted) throw error;
             console.error(`❌ ログファイル処理エラー (${filePath}):`, error);
             return {
                 success: false,
-                fileName: path.basename(filePath),
+                fileName,
                 filePath,
                 error: error.message
             };
@@ -245,13 +252,14 @@ export class DialogueLogProcessor {
 
     /**
      * 特定ユーザーの応答を学習済みデータで改善
+     * @param {Object} [options] - { readOnly: 学習状態を更新しない（説明リクエスト用） }
      */
-    async improveResponseWithLearnings(originalResponse, userInput, userId = 'default') {
+    async improveResponseWithLearnings(originalResponse, userInput, userId = 'default', { readOnly = false } = {}) {
         if (!this.isInitialized) {
             return { response: originalResponse, improved: false };
         }
 
-        return await this.learner.improveResponse(originalResponse, userInput, userId);
+        return await this.learner.improveResponse(originalResponse, userInput, userId, { readOnly });
     }
 
     /**
@@ -0,0 +1,242 @@
+/**
+ * 非同期ログ学習ジョブ管理
+ * アップロードされた対話ログをバックグラウンドでDialogueLogProcessorに流し、
+ * 稼働中サーバーの学習モデルを再起動なしで更新する
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+export class LearningJobManager {
+    /**
+     * @param {DialogueLogProcessor} logProcessor - 初期化済みの対話ログ処理システム
+     * @param {Object} config - { maxRetainedJobs, onJobFinished }
+     */
+    constructor(logProcessor, config = {}) {
+        this.logProcessor = logProcessor;
+        this.config = {
+            maxRetainedJobs: 50,  // 保持する終了済みジョブ数
+            onJobFinished: null,  // ジョブ終了時フック（モデル再計算など）
+            ...config
+        };
+
+        this.jobs = new Map();
+        // CPU負荷を抑えるためジョブは1件ずつ直列実行
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * 学習ジョブ作成・キュー投入
+     * @param {Array} files - [{ path: 一時ファイルパス, originalName, size }]
+     * @returns {Object} ジョブ状況
+     */
+    createJob(files) {
+        const job = {
+            jobId: crypto.randomUUID(),
+            status: JOB_STATUS.QUEUED,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            controller: new AbortController(),
+            files: files.map(file => ({
+                fileName: file.originalName,
+                size: file.size,
+                path: file.path,
+                status: JOB_STATUS.QUEUED,
+                progress: null,
+                result: null,
+                error: null
+            }))
+        };
+        this.jobs.set(job.jobId, job);
+        this.pruneFinishedJobs();
+
+        this.queue = this.queue.then(() => this.runJob(job)).catch(error => {
+            console.error(`❌ 学習ジョブエラー (${job.jobId}):`, error);
+            job.status = JOB_STATUS.FAILED;
+            job.finishedAt = new Date().toISOString();
+        });
+        console.log(`📥 学習ジョブ登録: ${job.jobId} (${files.length}ファイル)`);
+        return this.getJob(job.jobId);
+    }
+
+    /**
+     * ジョブ実行
+     */
+    async runJob(job) {
+        const { signal } = job.controller;
+        if (signal.aborted) {
+            await this.discardPendingFiles(job);
+            return;
+        }
+
+        job.status = JOB_STATUS.RUNNING;
+        job.startedAt = new Date().toISOString();
+        console.log(`🔄 学習ジョブ開始: ${job.jobId}`);
+
+        for (const file of job.files) {
+            if (signal.aborted) {
+                file.status = JOB_STATUS.CANCELLED;
+                await this.removeUpload(file);
+                continue;
+            }
+
+            file.status = JOB_STATUS.RUNNING;
+            try {
+                const result = await this.logProcessor.processLogFile(file.path, {
+                    fileName: file.fileName,
+                    signal,
+                    onProgress: (progress) => { file.progress = progress; }
+                });
+                file.status = result.success ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED;
+                file.error = result.error || null;
+                file.result = result.success ? {
+                    sourceName: result.sourceName,
+                    totalSentences: result.totalSentences,
+                    processedSentences: result.processedSentences,
+                    processingTime: result.processingTime
+                } : null;
+            } catch (error) {
+                file.status = signal.aborted ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
+                file.error = signal.aborted ? null : error.message;
+            } finally {
+                await this.removeUpload(file);
+            }
+        }
+
+        if (signal.aborted) {
+            job.status = JOB_STATUS.CANCELLED;
+        } else if (job.files.every(file => file.status === JOB_STATUS.FAILED)) {
+            job.status = JOB_STATUS.FAILED;
+        } else {
+            job.status = JOB_STATUS.COMPLETED;
+        }
+        job.finishedAt = new Date().toISOString();
+        console.log(`✅ 学習ジョブ終了: ${job.jobId} (${job.status})`);
+
+        if (this.config.onJobFinished && job.files.some(file => file.status === JOB_STATUS.COMPLETED)) {
+            try {
+                await this.config.onJobFinished(this.getJob(job.jobId));
+            } catch (error) {
+                console.warn('⚠️ 学習ジョブ終了処理エラー:', error.message);
+            }
+        }
+    }
+
+    /**
+     * ジョブ状況取得
+     * @returns {Object|null} ジョブ状況（一時ファイルパス・内部状態を除く）
+     */
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+
+        const filesCompleted = job.files.filter(file => file.status !== JOB_STATUS.QUEUED && file.status !== JOB_STATUS.RUNNING).length;
+        const currentFile = job.files.find(file => file.status === JOB_STATUS.RUNNING);
+
+        return {
+            jobId: job.jobId,
+            status: job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            progress: {
+                filesTotal: job.files.length,
+                filesCompleted,
+                currentFile: currentFile ? currentFile.fileName : null,
+                currentFileProgress: currentFile ? currentFile.progress : null
+            },
+            files: job.files.map(({ fileName, size, status, result, error }) => ({ fileName, size, status, result, error })),
+            errors: job.files.filter(file => file.error).map(file => ({ fileName: file.fileName, error: file.error }))
+        };
+    }
+
+    /**
+     * ジョブ一覧取得（新しい順）
+     */
+    listJobs() {
+        return Array.from(this.jobs.keys()).reverse().map(jobId => this.getJob(jobId));
+    }
+
+    /**
+     * ジョブキャンセル
+     * @returns {Object|null} キャンセル後のジョブ状況（存在しない場合はnull）
+     */
+    async cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+        if (job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.RUNNING) {
+            return this.getJob(jobId);
+        }
+
+        job.controller.abort();
+        if (job.status === JOB_STATUS.QUEUED) {
+            await this.discardPendingFiles(job);
+        }
+        console.log(`⏹️ 学習ジョブキャンセル: ${jobId}`);
+        return this.getJob(jobId);
+    }
+
+    /**
+     * 未実行ジョブのファイルを破棄してキャンセル済みにする
+     */
+    async discardPendingFiles(job) {
+        for (const file of job.files) {
+            file.status = JOB_STATUS.CANCELLED;
+            await this.removeUpload(file);
+        }
+        job.status = JOB_STATUS.CANCELLED;
+        job.finishedAt = job.finishedAt || new Date().toISOString();
+    }
+
+    /**
+     * アップロード一時ファイル削除
+     */
+    async removeUpload(file) {
+        if (!file.path) return;
+        try {
+            await fs.rm(file.path, { force: true });
+        } catch (error) {
+            console.warn(`⚠️ 一時ファイル削除失敗: ${file.path}`, error.message);
+        }
+        file.path = null;
+    }
+
+    /**
+     * 古い終了済みジョブの破棄
+     */
+    pruneFinishedJobs() {
+        const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+        const excess = finished.length - this.config.maxRetainedJobs;
+        for (let i = 0; i < excess; i++) {
+            this.jobs.delete(finished[i].jobId);
+        }
+    }
+
+    /**
+     * 終了時クリーンアップ（未完了ジョブをキャンセルし、実行中ジョブの中断・統計保存を待つ）
+     */
+    async cleanup() {
+        for (const job of this.jobs.values()) {
+            await this.cancelJob(job.jobId);
+        }
+        await this.waitForIdle();
+    }
+
+    /**
+     * 全ジョブの完了待ち
+     */
+    async waitForIdle() {
+        await this.queue;
+    }
+}
+
+export default LearningJobManager;
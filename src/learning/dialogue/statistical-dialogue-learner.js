@@ -14,10 +14,18 @@ import path from 'path';
 import crypto from 'crypto';
 
 export class StatisticalDialogueLearner {
-    constructor() {
+    /**
+     * @param {Object} dependencies - 稼働中サーバーのモデルを学習対象にする場合に注入
+     *   { morphProcessor, ngramLearner, relationshipLearner, banditLearner, qualityPredictor, bayesianPersonalizer, sentimentAnalyzer }
+     */
+    constructor(dependencies = {}) {
+        this.dependencies = dependencies;
         this.morphProcessor = null;
         this.ngramModel = null;
+        this.ngramLearner = dependencies.ngramLearner || null;
         this.relationshipLearner = null;
+        this.banditLearner = dependencies.banditLearner || null;
+        this.sentimentAnalyzer = dependencies.sentimentAnalyzer || null;
         this.qualityPredictor = null;
         this.bayesianPersonalizer = null;
         
@@ -38,21 +46,27 @@ export class StatisticalDialogueLearner {
         console.log('🧬 統計的対話学習システム初期化開始...');
         
         try {
-            // 形態素解析器初期化
-            this.morphProcessor = new EnhancedHybridLanguageProcessor();
-            await this.morphProcessor.initialize();
+            const { morphProcessor, relationshipLearner, qualityPredictor, bayesianPersonalizer } = this.dependencies;
+
+            // 形態素解析器初期化（注入された場合は初期化済みとして扱う）
+            if (morphProcessor) {
+                this.morphProcessor = morphProcessor;
+            } else {
+                this.morphProcessor = new EnhancedHybridLanguageProcessor();
+                await this.morphProcessor.initialize();
+            }
             
             // N-gram言語モデル初期化
-            this.ngramModel = new NgramContextPatternAI();
+            this.ngramModel = this.ngramLearner || new NgramContextPatternAI();
             
             // 動的関係学習器初期化
-            this.relationshipLearner = new DynamicRelationshipLearner();
+            this.relationshipLearner = relationshipLearner || new DynamicRelationshipLearner();
             
             // 品質予測モデル初期化
-            this.qualityPredictor = new QualityPredictionModel();
+            this.qualityPredictor = qualityPredictor || new QualityPredictionModel();
             
             // ベイジアン個人化モデル初期化
-            this.bayesianPersonalizer = new BayesianPersonalizationAI();
+            this.bayesianPersonalizer = bayesianPersonalizer || new BayesianPersonalizationAI();
             
             // 既存の対話統計データ読み込み
             await this.loadDialogueStatistics();
@@ -70,9 +84,11 @@ export class StatisticalDialogueLearner {
      * 外部対話ログを統計学習で処理
      * @param {string} logContent - 対話ログの内容
      * @param {string} sourceName - ログのソース名（Claude、Gemini等）
+     * @param {Object} options - { signal: キャンセル用AbortSignal, onProgress: 文章単位の進捗コールバック }
      * @returns {Promise<Object>} 学習結果
      */
-    async processDialogueLog(logContent, sourceName = 'unknown') {
+    async processDialogueLog(logContent, sourceName = 'unknown', options = {}) {
+        const { signal = null, onProgress = null } = options;
         if (!this.isInitialized) {
             throw new Error('統計的対話学習システムが初期化されていません');
         }
@@ -92,7 +108,9 @@ export class StatisticalDialogueLearner {
             const learningResults = [];
             let processedSentences = 0;
             
-            for (const sentence of sentences) {
+            for (let i = 0; i < sentences.length; i++) {
+                const sentence = sentences[i];
+                signal?.throwIfAborted();
                 if (sentence.trim().length < 10) continue; // 短すぎる文をスキップ
                 
                 const result = await this.learnFromSentence(sentence, sourceName);
@@ -101,6 +119,10 @@ export class StatisticalDialogueLearner {
                     processedSentences++;
                 }
                 
+                if (onProgress) {
+                    onProgress({ sentencesScanned: i + 1, totalSentences: sentences.length, processedSentences });
+                }
+                
                 if (processedSentences % 10 === 0) {
                     console.log(`🔄 処理中: ${processedSentences}/${sentences.length} 文章`);
                 }
@@ -126,6 +148,11 @@ export class StatisticalDialogueLearner {
             };
             
         } catch (error) {
+            if (signal?.aborted) {
+                // 中断までに学習した分は保存してからキャンセルを伝播
+                await this.saveDialogueStatistics();
+                throw error;
+            }
             console.error('❌ 対話ログ統計学習エラー:', error);
             return {
                 success: false,
@@ -532,8 +559,10 @@ export class StatisticalDialogueLearner {
 
     /**
      * 学習済み統計を使用した応答生成改善
+     * 学習済み統計を参照するのみで学習状態は更新しないため、readOnly 指定時も同じ経路を通る
+     * @param {Object} [options] - { readOnly: 説明リクエストからの呼び出し }
      */
-    async improveResponse(originalResponse, userInput, userId = 'default') {
+    async improveResponse(originalResponse, userInput, userId = 'default', options = {}) {
         if (!this.isInitialized) {
             return { response: originalResponse, improved: false };
         }
@@ -736,7 +765,7 @@ export class StatisticalDialogueLearner {
             // N-gram学習
             if (this.ngramLearner && morphemes.length > 0) {
                 const terms = morphemes.map(m => m.surface || m.word).filter(t => t);
-                await this.ngramLearner.learn(terms);
+                await this.ngramLearner.learnPattern(terms.join(' '), { source: sourceName });
             }
             
             // 共起関係学習
@@ -763,12 +792,20 @@ export class StatisticalDialogueLearner {
                     await this.banditLearner.recordSelection(word, 0.5); // 中性的評価
                 }
             }
+
+            // 感情分析（ログ学習では個人の感情パターンは保存されない）
+            let sentiment = null;
+            if (this.sentimentAnalyzer) {
+                const analysis = await this.sentimentAnalyzer.analyze(sentence, 'log_learning');
+                sentiment = analysis.sentiment.label;
+            }
             
             return {
                 success: true,
                 sentence: sentence.substring(0, 50) + '...',
                 features,
-                morphemeCount: morphemes.length
+                morphemeCount: morphemes.length,
+                sentiment
             };
             
         } catch (error) {
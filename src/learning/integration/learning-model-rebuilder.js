@@ -0,0 +1,119 @@
+/**
+ * 学習モデル再構築 - 学習入力ログの再生
+ *
+ * 🔁 LearningEventLog に記録した学習入力を、空の学習コンポーネントへ記録順に再生して
+ *    N-gram・バンディット・ベイジアン個人化・共起関係のモデルを作り直す（until 指定でその時点まで）
+ * 🧪 再生はメモリ上の PersistentLearningDB で行い、稼働中のデータには触れない。
+ *    置き換えは PersistentLearningDB.replaceLearningModels() で行う（npm run rebuild）
+ *
+ * 学習アルゴリズムを変更した後、元の入力から新しいアルゴリズムでモデルを導出し直すために使う。
+ */
+
+import { PersistentLearningDB } from '../../data/persistent-learning-db.js';
+import { InMemoryStorageAdapter } from '../../data/storage/in-memory-storage-adapter.js';
+import { LEARNING_EVENT_TYPES } from '../../data/learning-event-log.js';
+import { NgramContextPatternAI } from '../ngram/ngram-context-pattern.js';
+import { MultiArmedBanditVocabularyAI } from '../bandit/multi-armed-bandit-vocabulary.js';
+import { BayesianPersonalizationAI } from '../bayesian/bayesian-personalization.js';
+import { DynamicRelationshipLearner } from '../cooccurrence/dynamic-relationship-learner.js';
+
+// 再生中は保存を行わず、終了時の cleanup() でまとめて保存する
+const REPLAY_WRITE_BEHIND = { flushIntervalMs: 60 * 60 * 1000, maxStalenessMs: 60 * 60 * 1000 };
+// 進捗表示の間隔（イベント数）
+const PROGRESS_INTERVAL = 1000;
+
+// イベント種別ごとの再生処理（記録時と同じ学習コンポーネントのメソッドを呼び出す）
+const REPLAY_HANDLERS = {
+    [LEARNING_EVENT_TYPES.NGRAM_PATTERN]: (models, { userId = null, text, contextInfo }) => models.ngram.learnPattern(text, contextInfo, userId),
+    [LEARNING_EVENT_TYPES.BANDIT_SELECTION]: (models, { vocabulary }) => models.bandit.recordSelection(vocabulary),
+    [LEARNING_EVENT_TYPES.BANDIT_REWARD]: (models, { vocabulary, rating }) => models.bandit.updateRewards(vocabulary, rating),
+    [LEARNING_EVENT_TYPES.BAYESIAN_INTERACTION]: (models, { userId, interaction }) => models.bayesian.learnUserBehavior(userId, interaction),
+    [LEARNING_EVENT_TYPES.RELATIONSHIP_CONVERSATION]: async (models, { userId, input, history, response }) => {
+        const learner = await models.getRelationshipLearner(userId);
+        await learner.learnFromConversation(input, history, response);
+    },
+    [LEARNING_EVENT_TYPES.RELATIONSHIP_FEEDBACK]: async (models, { userId, vocabulary, rating, contextText }) => {
+        const learner = await models.getRelationshipLearner(userId);
+        await learner.learnFromFeedback(vocabulary, rating, contextText);
+    }
+};
+
+export class LearningModelRebuilder {
+    /**
+     * @param {LearningEventLog} eventLog - 再生する学習入力ログ
+     * @param {Object} options - { hybridProcessor: 共起関係の学習に使う形態素解析器（関係性イベントの再生に必要） }
+     */
+    constructor(eventLog, { hybridProcessor = null } = {}) {
+        if (!eventLog) {
+            throw new Error('学習入力ログが無効です（LEARNING_EVENT_LOG=false）');
+        }
+        this.eventLog = eventLog;
+        this.hybridProcessor = hybridProcessor;
+    }
+
+    /**
+     * 空のモデルへ学習入力を再生
+     * @param {Object} options - { until: この日時までのイベントを再生（ms / ISO文字列、省略時は全件） }
+     * @returns {Promise<Object>} { db: 再構築したモデルを保存した PersistentLearningDB（メモリ上）, storage, replayed: { [type]: 件数 }, skipped, lastTimestamp }
+     */
+    async rebuild({ until = null } = {}) {
+        // 再生中の学習入力は記録しない（eventLog: null）
+        const db = new PersistentLearningDB('./data/learning', new InMemoryStorageAdapter(), { cipher: null, eventLog: null });
+        await db.waitForInitialization();
+
+        const models = {
+            ngram: new NgramContextPatternAI(3, 0.75, db, { writeBehind: REPLAY_WRITE_BEHIND }),
+            bandit: new MultiArmedBanditVocabularyAI(db, { writeBehind: REPLAY_WRITE_BEHIND }),
+            bayesian: new BayesianPersonalizationAI(db, { writeBehind: REPLAY_WRITE_BEHIND }),
+            relationshipLearners: new Map(),
+            getRelationshipLearner: async (userId) => {
+                if (!models.relationshipLearners.has(userId)) {
+                    if (!this.hybridProcessor) {
+                        throw new Error('共起関係の再生には形態素解析器（hybridProcessor）が必要です');
+                    }
+                    const learner = new DynamicRelationshipLearner(db, this.hybridProcessor, models.ngram, userId);
+                    await learner.initializeLearner();
+                    models.relationshipLearners.set(userId, learner);
+                }
+                return models.relationshipLearners.get(userId);
+            }
+        };
+        await models.ngram.initialize();
+        await models.bandit.initialize();
+        await models.bayesian.initialize();
+
+        // 書き込み待ちのイベントも再生対象にする
+        await this.eventLog.flush();
+
+        const result = { db, storage: db.rawStorage, replayed: {}, skipped: 0, lastTimestamp: null };
+        let count = 0;
+        try {
+            for (const event of this.eventLog.read({ until })) {
+                const handler = REPLAY_HANDLERS[event.type];
+                if (!handler) {
+                    result.skipped++;
+                    continue;
+                }
+                await handler(models, event.data);
+                result.replayed[event.type] = (result.replayed[event.type] || 0) + 1;
+                result.lastTimestamp = event.timestamp;
+                if (++count % PROGRESS_INTERVAL === 0) {
+                    console.log(`🔁 学習イベント再生中: ${count}件`);
+                }
+            }
+        } finally {
+            // 未保存のモデルを保存し、共起関係の定期保存タイマーを停止
+            await models.ngram.cleanup();
+            await models.bandit.cleanup();
+            await models.bayesian.cleanup();
+            for (const learner of models.relationshipLearners.values()) {
+                await learner.cleanup();
+            }
+        }
+
+        console.log(`✅ 学習イベント再生完了: ${count}件${result.skipped > 0 ? `（未対応の種別 ${result.skipped}件を除外）` : ''}`);
+        return result;
+    }
+}
+
+export default LearningModelRebuilder;
@@ -5,6 +5,8 @@
  * テキストの文脈パターンを学習し、予測します。
  */
 import { persistentLearningDB } from '../../data/persistent-learning-db.js';
+import { WriteBehindBuffer } from '../../data/write-behind-buffer.js';
+import { LEARNING_EVENT_TYPES, recordLearningInput } from '../../data/learning-event-log.js';
 import { SparseCooccurrenceMatrix } from '../../foundation/dictionary/sparse-matrix.js';
 import * as numeric from 'numeric';
 import minhash from 'minhash';
@@ -64,6 +66,8 @@ export class NgramContextPatternAI {
     Object.assign(this.learningConfig, learningConfig); // 外部設定で上書き可能
     
     this.isInitialized = false;
+    // 保存の遅延・集約（learningConfig.writeBehind 未指定時は学習のたびに保存）
+    this.persistenceBuffer = new WriteBehindBuffer('ngram', () => this._saveData(), learningConfig.writeBehind);
   }
 
   async initialize() {
@@ -114,11 +118,13 @@ export class NgramContextPatternAI {
    * テキストからN-gramパターンを学習します。
    * @param {string} text - 学習対象のテキスト
    * @param {object} contextInfo - テキストの文脈情報 (例: { category: 'technical' })
+   * @param {string|null} userId - テキストを入力したユーザー（学習入力ログのユーザーデータ削除用。ログ取り込み等では null）
    */
-  async learnPattern(text, contextInfo) {
+  async learnPattern(text, contextInfo, userId = null) {
     if (!this.isInitialized) {
       await this.initialize();
     }
+    recordLearningInput(this.persistentLearningDB, LEARNING_EVENT_TYPES.NGRAM_PATTERN, { userId, text, contextInfo });
 
     // テキストをトークン化（ここでは簡易的にスペースで分割）
     const tokens = text.split(/\s+/).filter(token => token.length > 0);
@@ -151,7 +157,7 @@ export class NgramContextPatternAI {
     if (discoveredContext) {
       this.updateContextFrequency(discoveredContext);
     }
-    await this._saveData();
+    await this.persistenceBuffer.markDirty();
   }
 
   /**
@@ -299,6 +305,29 @@ export class NgramContextPatternAI {
     return { predictedCategory: bestContext, confidence };
   }
 
+  /**
+   * 文脈予測で使用されるN-gramごとのKneser-Ney確率を取得します（説明用）。
+   * predictContext と同じ分割・次数でN-gramを列挙する。
+   * @param {string} text - 対象テキスト
+   * @returns {Array<object>} { ngram, order, probability, tfidf } の配列
+   */
+  explainKneserNey(text) {
+    const tokens = text.split(/\s+/).filter(token => token.length > 0);
+    const ngrams = [];
+    for (let n = 1; n <= this.maxNgramOrder; n++) {
+      for (let i = 0; i <= tokens.length - n; i++) {
+        const ngram = tokens.slice(i, i + n).join(' ');
+        ngrams.push({
+          ngram,
+          order: n,
+          probability: this.calculateKneserNeyProbability(ngram, n),
+          tfidf: this.calculateTFIDF(ngram, tokens)
+        });
+      }
+    }
+    return ngrams;
+  }
+
   /**
    * Kneser-Neyスムージングを用いたN-gramの確率を計算します。
    * @param {string} ngram - 計算対象のN-gram
@@ -483,6 +512,13 @@ export class NgramContextPatternAI {
     console.log('💾 N-gramデータ保存完了');
   }
 
+  /**
+   * 終了時クリーンアップ（未保存のN-gramデータを永続化）
+   */
+  async cleanup() {
+    await this.persistenceBuffer.flush();
+  }
+
   // ===== Phase 3: 分布意味論メソッド =====
 
   /**
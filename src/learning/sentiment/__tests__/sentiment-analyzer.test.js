@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import { SentimentAnalyzer } from '../sentiment-analyzer.js';
+import { DictionaryDBCore } from '../../../foundation/dictionary/dictionary-db-core.js';
+
+describe('SentimentAnalyzer', () => {
+  let mockPersistentLearningDB;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockPersistentLearningDB = {
+      loadSystemData: jest.fn().mockResolvedValue(null),
+      saveSystemData: jest.fn().mockResolvedValue(undefined)
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('感情語彙にない語は辞書の反義語から極性を判定すべき', async () => {
+    const dictionaryDB = new DictionaryDBCore();
+    dictionaryDB.addAntonymPair('悪い', '良い');
+    dictionaryDB.addAntonymPair('元気', '疲れ');
+    expect(() => dictionaryDB.addSemanticEdge('悪い', '良い', 100, 'related')).toThrow('未対応の意味エッジ種別');
+
+    const analyzer = new SentimentAnalyzer({ persistentLearningDB: mockPersistentLearningDB, dictionaryDB });
+    await analyzer.loadSentimentWeights();
+
+    expect(analyzer.getAntonymEmotion('悪い')).toEqual({ emotion: 'negative', antonym: '良い' });
+    expect(analyzer.calculateBaseSentiment('悪い').label).toBe('negative');
+    expect(analyzer.calculateBaseSentiment('元気').label).toBe('positive');
+    expect(analyzer.extractEmotionWords('悪い')).toEqual([
+      { word: '悪い', emotion: 'negative', pattern: '良い', position: 0, source: 'antonym' }
+    ]);
+
+    // 辞書がなければ従来どおり感情語彙のみで判定する
+    const withoutDictionary = new SentimentAnalyzer({ persistentLearningDB: mockPersistentLearningDB });
+    await withoutDictionary.loadSentimentWeights();
+    expect(withoutDictionary.calculateBaseSentiment('悪い').label).toBe('neutral');
+  });
+
+  test('区切りのない文でも形態素単位で反義語を引いて極性を判定すべき', async () => {
+    const dictionaryDB = new DictionaryDBCore();
+    dictionaryDB.addAntonymPair('悪い', '良い');
+    const terms = ['今日', 'は', '天気', 'が', '悪い'];
+    const hybridProcessor = {
+      processText: jest.fn().mockResolvedValue({
+        enhancedTerms: terms.map((term, position) => ({ term, pos: position === 4 ? '形容詞' : '名詞', position }))
+      })
+    };
+
+    const analyzer = new SentimentAnalyzer({ persistentLearningDB: mockPersistentLearningDB, hybridProcessor, dictionaryDB });
+    await analyzer.loadSentimentWeights();
+    await analyzer.loadIntensifiers();
+
+    const analysis = await analyzer.analyze('今日は天気が悪い', 'log_learning');
+    expect(analysis.sentiment.label).toBe('negative');
+    expect(analysis.emotionWords).toEqual([
+      { word: '悪い', emotion: 'negative', pattern: '良い', position: 6, source: 'antonym' }
+    ]);
+
+    // 空白・句読点区切りでは文全体が1語になり、反義語を引けない
+    expect(analyzer.calculateBaseSentiment('今日は天気が悪い').label).toBe('neutral');
+  });
+});
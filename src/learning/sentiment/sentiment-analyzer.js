@@ -7,6 +7,8 @@ export class SentimentAnalyzer {
     constructor(dependencies = {}) {
         this.persistentLearningDB = dependencies.persistentLearningDB;
         this.hybridProcessor = dependencies.hybridProcessor;
+        // 反義語による感情語の推定（任意、DictionaryDB / DictionaryDBCore）
+        this.dictionaryDB = dependencies.dictionaryDB || null;
         
         // 感情パターン辞書
         this.emotionPatterns = {
@@ -122,13 +124,14 @@ export class SentimentAnalyzer {
      */
     async analyze(text, userId = 'default') {
         try {
+            const words = await this.tokenize(text);
             const analysis = {
                 text,
-                sentiment: this.calculateBaseSentiment(text),
+                sentiment: this.calculateBaseSentiment(text, words),
                 emotionStrength: this.calculateEmotionStrength(text),
-                emotionWords: this.extractEmotionWords(text),
+                emotionWords: this.extractEmotionWords(text, words),
                 contextualEmotion: await this.analyzeContextualEmotion(text),
-                personalizedScore: await this.getPersonalizedScore(text, userId),
+                personalizedScore: await this.getPersonalizedScore(text, userId, words),
                 timestamp: Date.now()
             };
 
@@ -143,24 +146,63 @@ export class SentimentAnalyzer {
         }
     }
 
+    /**
+     * 語分割（形態素解析器があれば形態素単位、なければ空白・句読点区切り）
+     * 「今日は天気が悪い」のように区切りのない文でも「悪い」を1語として辞書を引けるようにする
+     * @param {string} text - 分析対象テキスト
+     * @returns {Promise<string[]>} 語の配列
+     */
+    async tokenize(text) {
+        if (this.hybridProcessor) {
+            try {
+                const processed = await this.hybridProcessor.processText(text);
+                const terms = (processed.enhancedTerms || []).map(term => term.term).filter(Boolean);
+                if (terms.length > 0) {
+                    return terms;
+                }
+            } catch (error) {
+                console.warn('⚠️ 感情分析の形態素解析エラー:', error.message);
+            }
+        }
+        return this.splitWords(text);
+    }
+
+    /**
+     * 空白・句読点による語分割（形態素解析器がない場合のフォールバック）
+     */
+    splitWords(text) {
+        return text.split(/[\s\u3000\u3001\u3002]+/).filter(Boolean);
+    }
+
     /**
      * 基本感情スコア計算
+     * @param {string} text - 分析対象テキスト
+     * @param {string[]} words - tokenize() による語の配列（省略時は空白・句読点区切り）
      */
-    calculateBaseSentiment(text) {
+    calculateBaseSentiment(text, words = this.splitWords(text)) {
         let positiveScore = 0;
         let negativeScore = 0;
         let neutralScore = 0;
 
-        const words = text.split(/[\s\u3000\u3001\u3002]+/);
-        
         for (const word of words) {
             // 感情語彙マッチング
-            if (this.emotionPatterns.positive.some(pattern => word.includes(pattern))) {
+            const isPositive = this.emotionPatterns.positive.some(pattern => word.includes(pattern));
+            const isNegative = this.emotionPatterns.negative.some(pattern => word.includes(pattern));
+            if (isPositive) {
                 positiveScore += 1;
             }
-            if (this.emotionPatterns.negative.some(pattern => word.includes(pattern))) {
+            if (isNegative) {
                 negativeScore += 1;
             }
+            // 感情語彙にない語は辞書の反義語から極性を判定
+            if (!isPositive && !isNegative) {
+                const antonymEmotion = this.getAntonymEmotion(word);
+                if (antonymEmotion && antonymEmotion.emotion === 'positive') {
+                    positiveScore += 1;
+                } else if (antonymEmotion && antonymEmotion.emotion === 'negative') {
+                    negativeScore += 1;
+                }
+            }
             if (this.emotionPatterns.neutral.some(pattern => word.includes(pattern))) {
                 neutralScore += this.sentimentWeights.neutralScore || 0.5;
             }
@@ -237,12 +279,14 @@ export class SentimentAnalyzer {
 
     /**
      * 感情語抽出
+     * @param {string} text - 分析対象テキスト
+     * @param {string[]} words - tokenize() による語の配列（省略時は空白・句読点区切り）
      */
-    extractEmotionWords(text) {
+    extractEmotionWords(text, words = this.splitWords(text)) {
         const emotionWords = [];
-        const words = text.split(/[\s\u3000\u3001\u3002]+/);
         
         for (const word of words) {
+            const found = emotionWords.length;
             for (const [emotion, patterns] of Object.entries(this.emotionPatterns)) {
                 for (const pattern of patterns) {
                     if (word.includes(pattern)) {
@@ -255,6 +299,17 @@ export class SentimentAnalyzer {
                     }
                 }
             }
+            
+            const antonymEmotion = emotionWords.length === found ? this.getAntonymEmotion(word) : null;
+            if (antonymEmotion) {
+                emotionWords.push({
+                    word: word,
+                    emotion: antonymEmotion.emotion,
+                    pattern: antonymEmotion.antonym,
+                    position: text.indexOf(word),
+                    source: 'antonym'
+                });
+            }
         }
         
         return emotionWords;
@@ -309,14 +364,13 @@ export class SentimentAnalyzer {
     /**
      * 個人化感情スコア取得
      */
-    async getPersonalizedScore(text, userId) {
+    async getPersonalizedScore(text, userId, words = this.splitWords(text)) {
         const userPattern = this.learnedPatterns.get(userId);
         if (!userPattern) {
             return { score: 0.5, confidence: 0.1, method: 'default' };
         }
 
-        // ユーザーの過去の感情パターンから予測
-        const words = text.split(/[\s\u3000]+/);
+        // ユーザーの過去の感情パターンから予測（学習時と同じ語分割で照合）
         let personalScore = 0;
         let matchCount = 0;
         
@@ -501,6 +555,25 @@ export class SentimentAnalyzer {
         return stats;
     }
 
+    /**
+     * 反義語による感情極性（辞書の反義語が感情語彙にあれば逆の極性）
+     * 例: 「悪い」は反義語「良い」が positive のため negative
+     * @returns {Object|null} { emotion: 'positive'|'negative', antonym }
+     */
+    getAntonymEmotion(word) {
+        if (!this.dictionaryDB || !word) return null;
+        
+        for (const antonym of this.dictionaryDB.getAntonyms(word, 10)) {
+            if (this.emotionPatterns.positive.includes(antonym)) {
+                return { emotion: 'negative', antonym };
+            }
+            if (this.emotionPatterns.negative.includes(antonym)) {
+                return { emotion: 'positive', antonym };
+            }
+        }
+        return null;
+    }
+
     /**
      * 感情語判定
      */
@@ -510,7 +583,7 @@ export class SentimentAnalyzer {
                 return true;
             }
         }
-        return false;
+        return this.getAntonymEmotion(word) !== null;
     }
 
     /**
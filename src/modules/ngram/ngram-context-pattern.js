@@ -4,7 +4,7 @@
  * Variable-order N-gramとKneser-Neyスムージングを用いて、
  * テキストの文脈パターンを学習し、予測します。
  */
-import { persistentLearningDB } from '../../services/persistence/persistent-learning-db.js';
+import { persistentLearningDB } from '../../data/persistent-learning-db.js';
 import { SparseCooccurrenceMatrix } from '../../core/data-structures/sparse-matrix.js';
 import { JMDictStatisticalEnhancer } from '../../services/dictionary/jmdict-statistical-enhancer.js';
 import * as numeric from 'numeric';
@@ -53,9 +53,10 @@ export class AIVocabularyProcessor {
    * ユーザー入力テキストを処理し、5つのAIモジュールを統合して分析結果を生成します。
    * @param {string} text - ユーザー入力テキスト
    * @param {string} userId - ユーザーID (個人適応用)
+   * @param {Object} [options] - { readOnly: 語彙選択の記録・共起学習・TF-IDF文書の追加を行わない（説明リクエスト用） }
    * @returns {Promise<Object>} 統合分析結果
    */
-  async processText(text, userId = 'default') {
+  async processText(text, userId = 'default', { readOnly = false } = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
@@ -100,7 +101,7 @@ export class AIVocabularyProcessor {
         
         // 2. 多腕バンディットによる語彙最適化
         const candidateVocabularies = tokens.filter(t => !['助詞', '助動詞', '記号'].includes(t.pos)).map(t => t.surface || t.term);
-        result.optimizedVocabulary = await this.banditAI.selectVocabulary(candidateVocabularies);
+        result.optimizedVocabulary = await this.banditAI.selectVocabulary(candidateVocabularies, { recordSelection: !readOnly });
         
         // 3. N-gramによる文脈予測
         result.predictedContext = await this.ngramAI.predictContext(text);
@@ -111,7 +112,9 @@ export class AIVocabularyProcessor {
         
         // 5. 共起関係学習
         // DynamicRelationshipLearnerのanalyzeメソッドを呼び出す
-        await this.cooccurrenceLearner.analyze(text, result.optimizedVocabulary);
+        if (!readOnly) {
+          await this.cooccurrenceLearner.analyze(text, result.optimizedVocabulary);
+        }
         result.cooccurrenceAnalysis = {
           learningStats: this.cooccurrenceLearner.getLearningStats(),
           relatedTerms: this.cooccurrenceLearner.getUserRelationsData()
@@ -127,7 +130,7 @@ export class AIVocabularyProcessor {
         });
 
         // 7. TF-IDFスコア計算
-        result.tfidfScores = await this.calculateTfIdf(text, tokens);
+        result.tfidfScores = await this.calculateTfIdf(text, tokens, { addDocument: !readOnly });
         
         result.success = true;
       } else {
@@ -178,15 +181,25 @@ export class AIVocabularyProcessor {
    * TF-IDFスコアを計算し、結果に含めます。
    * @param {string} text - 処理するテキスト
    * @param {Array} tokens - 形態素解析されたトークン
+   * @param {Object} [options] - { addDocument: テキストを文書集合に追加してIDFを更新する（false の場合は既存のIDFで計算） }
    * @returns {Object} TF-IDFスコアを含むオブジェクト
    */
-  async calculateTfIdf(text, tokens) {
-    const documentId = this.documentCount++;
+  async calculateTfIdf(text, tokens, { addDocument = true } = {}) {
     const termFrequencies = new Map();
-
     for (const token of tokens) {
       const term = token.surface || token.term;
       termFrequencies.set(term, (termFrequencies.get(term) || 0) + 1);
+    }
+    if (!addDocument) {
+      const scores = {};
+      for (const [term, tf] of termFrequencies.entries()) {
+        scores[term] = tf * (this.inverseDocumentFrequencies.get(term) || 0);
+      }
+      return scores;
+    }
+
+    const documentId = this.documentCount++;
+    for (const term of termFrequencies.keys()) {
       this.vocabulary.add(term);
     }
     this.documentTermFrequencies.set(documentId, termFrequencies);
@@ -231,7 +244,7 @@ export class AIVocabularyProcessor {
       
       // N-gram AIに学習させる
       const predictedContext = await this.ngramAI.predictContext(contextText); // ここで予測し直すのは、最新の学習状態を反映するため
-      await this.ngramAI.learnPattern(contextText, { category: predictedContext.predictedCategory });
+      await this.ngramAI.learnPattern(contextText, { category: predictedContext.predictedCategory }, userId);
 
       // ベイジアンAIに学習させる
       const features = new Map();
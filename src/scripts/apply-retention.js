@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * データ保持ポリシー適用スクリプト
+ *
+ * 使用方法:
+ *   npm run retention -- [--dry-run] [--json]
+ *
+ * ポリシーは LEARNING_RETENTION_POLICY（JSON文字列またはJSONファイルのパス）で指定する（未指定のルールは既定値）。
+ *   例: LEARNING_RETENTION_POLICY='{"chatHistory":"30d","inactiveUserProfiles":"1y","backups":{"daily":7,"weekly":4}}'
+ * --dry-run は削除対象を表示するのみでデータを変更しない。
+ * ※ dry-run 以外はサーバー停止中に実行すること（稼働中のサーバーはメモリ上のチャット履歴を保存し直すため）
+ */
+
+import { persistentLearningDB } from '../data/persistent-learning-db.js';
+import { loadRetentionPolicy } from '../data/retention-policy.js';
+
+function printReport(report) {
+    const label = report.dryRun ? '削除予定' : '削除';
+    const { chatHistory, conversationHistory, learningEvents, learningInputLog, inactiveUserProfiles, backups } = report;
+
+    console.log(`🗓️ 保持ポリシー${report.dryRun ? '（dry-run）' : ''}: ${report.appliedAt}`);
+    if (chatHistory) {
+        console.log(`💬 チャット履歴: ${label} ${chatHistory.removedSessions}セッション（${chatHistory.users.length}ユーザー、うち全セッション ${chatHistory.deletedUsers.length}ユーザー）`);
+    }
+    if (conversationHistory) {
+        console.log(`🗨️ 会話履歴: ${label} ${conversationHistory.removed}件`);
+    }
+    if (learningEvents) {
+        console.log(`📈 学習イベント: ${label} ${learningEvents.removed}件`);
+    }
+    if (learningInputLog) {
+        console.log(`📝 学習入力ログ: ${label} ${learningInputLog.removed}件（${learningInputLog.segments.length}日分）`);
+    }
+    if (inactiveUserProfiles) {
+        console.log(`👤 非アクティブなユーザープロファイル: ${label} ${inactiveUserProfiles.removed.length}件`);
+        inactiveUserProfiles.removed.forEach(profileKey => console.log(`  ${profileKey}`));
+        if (inactiveUserProfiles.untracked.length > 0) {
+            console.log(`  ℹ️ 最終利用日時の記録なし ${inactiveUserProfiles.untracked.length}件（${report.dryRun ? '適用時に' : ''}現在時刻を記録）`);
+        }
+    }
+    if (backups) {
+        console.log(`💾 バックアップ: ${label} ${backups.removed.length}件, 保持 ${backups.kept}件`);
+        backups.removed.forEach(backupId => console.log(`  ${backupId}`));
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const policy = loadRetentionPolicy();
+
+    await persistentLearningDB.waitForInitialization();
+    const report = await persistentLearningDB.applyRetentionPolicy(policy, { dryRun: args.includes('--dry-run') });
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ 保持ポリシー適用エラー:', error.message);
+    process.exit(1);
+});
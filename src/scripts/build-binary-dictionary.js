@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * 配布用辞書DBバイナリ変換スクリプト
+ *
+ * 使用方法: npm run build-binary-dictionary -- [ディレクトリ]
+ *
+ * 配布用辞書DB（既定: data/dictionary-db）のJSONチャンク・同義語マップ・インデックスから dictionary.bin を生成する。
+ * UnifiedDictionaryBuilder で再構築せずに、既存の配布DBを DictionaryDBCore の高速起動に対応させるために使う。
+ * 同義語マップ（synonym-map.json）がない場合は各エントリの同義語から作成する。
+ */
+
+import path from 'path';
+import { DictionaryCacheManager } from '../builders/dictionary-cache-manager.js';
+import { writeBinaryDictionary, BINARY_DICTIONARY_FILE } from '../foundation/dictionary/binary-dictionary-format.js';
+
+function formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
+// 旧ビルドのチャンクは word フィールドにエントリ本体が入っている
+function normalizeEntryData(entryData) {
+    return entryData.word && typeof entryData.word === 'object' ? entryData.word : entryData;
+}
+
+async function readOptionalCacheFile(cacheManager, fileName) {
+    try {
+        return await cacheManager.readCacheFile(fileName);
+    } catch (error) {
+        return null;
+    }
+}
+
+async function main() {
+    const dbPath = process.argv[2] || './data/dictionary-db/';
+    const cacheManager = new DictionaryCacheManager();
+    cacheManager.cacheDir = dbPath;
+
+    const metadata = await cacheManager.readCacheFile(cacheManager.cacheFiles.metadata);
+    const dictionary = {
+        entries: new Map(),
+        synonymMap: new Map(),
+        readingMap: new Map(),
+        posMap: new Map(),
+        stats: metadata.stats
+    };
+
+    const chunkFiles = await cacheManager.listChunkFiles();
+    for (const chunkFile of chunkFiles) {
+        const chunkData = await cacheManager.readCacheFile(chunkFile);
+        for (const entryData of chunkData.entries.map(normalizeEntryData)) {
+            if (typeof entryData.word === 'string') {
+                dictionary.entries.set(entryData.word, entryData);
+            }
+        }
+    }
+    console.log(`📦 ${chunkFiles.length}チャンク読み込み: ${dictionary.entries.size}エントリ`);
+
+    const synonymMapData = await readOptionalCacheFile(cacheManager, cacheManager.cacheFiles.synonymMap);
+    if (synonymMapData) {
+        for (const { word, synonyms } of synonymMapData.entries) {
+            dictionary.synonymMap.set(word, new Set(synonyms));
+        }
+    } else {
+        for (const [word, entry] of dictionary.entries) {
+            if (Array.isArray(entry.synonyms) && entry.synonyms.length > 0) {
+                dictionary.synonymMap.set(word, new Set(entry.synonyms));
+            }
+        }
+        console.log('🔗 同義語マップ未検出、エントリの同義語から作成');
+    }
+
+    const indicesData = await readOptionalCacheFile(cacheManager, cacheManager.cacheFiles.indices);
+    if (indicesData) {
+        for (const { reading, words } of indicesData.readingMap) {
+            dictionary.readingMap.set(reading, new Set(words));
+        }
+        for (const { pos, words } of indicesData.posMap) {
+            dictionary.posMap.set(pos, new Set(words));
+        }
+    }
+
+    const outputPath = path.join(dbPath, BINARY_DICTIONARY_FILE);
+    const size = await writeBinaryDictionary(outputPath, dictionary);
+    console.log(`✅ 辞書バイナリ生成完了: ${outputPath} (${formatSize(size)})`);
+}
+
+main().catch(error => {
+    console.error('❌ 辞書バイナリ生成エラー:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * データディレクトリ圧縮変換スクリプト
+ *
+ * 使用方法: npm run compress-data -- [--format gzip|brotli|none] [--dry-run] [ディレクトリ...]
+ *
+ * 学習データ・辞書キャッシュ・配布用辞書DBのJSONファイルを指定形式へ一括変換する（既定: gzip、none は展開）。
+ * ディレクトリ省略時は data/learning・data/dictionary-cache・data/dictionary-db が対象。
+ * 変換後も同じ形式で保存を続けるには環境変数 DATA_COMPRESSION に同じ形式を指定する
+ * （未指定のまま起動しても読み込みは可能だが、以降の保存は非圧縮に戻る）。
+ * ※ サーバー停止中に実行すること
+ */
+
+import { convertDirectorySync, validateCompression } from '../utils/compression.js';
+
+const DEFAULT_DIRECTORIES = ['./data/learning', './data/dictionary-cache', './data/dictionary-db'];
+
+function formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const formatIndex = args.indexOf('--format');
+    const format = validateCompression(formatIndex >= 0 ? args[formatIndex + 1] : 'gzip');
+    const dryRun = args.includes('--dry-run');
+    const directories = args.filter((arg, i) => !arg.startsWith('--') && !(formatIndex >= 0 && i === formatIndex + 1));
+    const targets = directories.length > 0 ? directories : DEFAULT_DIRECTORIES;
+
+    let totalBefore = 0;
+    let totalAfter = 0;
+    let errorCount = 0;
+    for (const directory of targets) {
+        console.log(`🗜️ 圧縮変換${dryRun ? '（dry-run）' : ''}: ${directory} → ${format}`);
+        const result = convertDirectorySync(directory, format, { dryRun });
+        for (const { path: filePath, from, before, after } of result.converted) {
+            console.log(`  ${dryRun ? '📝 変換予定' : '✅ 変換'} ${filePath} (${from} → ${format}): ${formatSize(before)} → ${formatSize(after)}`);
+            totalBefore += before;
+            totalAfter += after;
+        }
+        for (const { path: filePath, error } of result.errors) {
+            console.warn(`  ⚠️ 変換失敗 ${filePath}: ${error}`);
+        }
+        console.log(`📊 ${dryRun ? '変換予定' : '変換'}: ${result.converted.length}件, 変換済み: ${result.unchanged}件, 失敗: ${result.errors.length}件`);
+        errorCount += result.errors.length;
+    }
+
+    console.log(`💾 合計: ${formatSize(totalBefore)} → ${formatSize(totalAfter)}`);
+    process.exitCode = errorCount > 0 ? 1 : 0;
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ 圧縮変換エラー:', error.message);
+    process.exit(1);
+}
@@ -15,6 +15,7 @@ import { TopicClassifier } from '../learning/topic/topic-classifier.js';
 import { DialoguePatternExtractor } from '../learning/pattern/dialogue-pattern-extractor.js';
 import { PersistentLearningDB } from '../data/persistent-learning-db.js';
 import { EnhancedHybridLanguageProcessor } from '../foundation/morphology/hybrid-processor.js';
+import { DictionaryDBCore } from '../foundation/dictionary/dictionary-db-core.js';
 
 console.log('🚀 拡張対話ログ学習システム開始...');
 console.log('=' * 60);
@@ -37,7 +38,11 @@ async function main() {
             process.exit(1);
         }
 
-        const dependencies = { persistentLearningDB, hybridProcessor, learningConfig };
+        // 感情分析で反義語を参照する配布辞書DB
+        const dictionaryDB = new DictionaryDBCore();
+        await dictionaryDB.loadFromDistribution();
+
+        const dependencies = { persistentLearningDB, hybridProcessor, learningConfig, dictionaryDB };
         
         // 拡張学習コンポーネント初期化
         console.log('🧠 拡張学習コンポーネント初期化中...');
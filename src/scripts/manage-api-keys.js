@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * APIキー管理スクリプト
+ *
+ * 使用方法:
+ *   npm run api-keys -- create --name <名前> --users <id1,id2|*> [--scopes chat,feedback,admin] [--capacity 60] [--refill 1]
+ *   npm run api-keys -- list
+ *   npm run api-keys -- revoke <keyId>
+ *
+ * ※ 稼働中のサーバーは API_KEY_RELOAD_INTERVAL_SECONDS（既定5秒）ごとに再読み込みし、再起動なしで反映する
+ */
+
+import { persistentLearningDB } from '../data/persistent-learning-db.js';
+import { ApiKeyManager } from '../interfaces/web/api-key-manager.js';
+
+// --name value 形式の引数解析
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+function splitList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(item => item.length > 0) : [];
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const apiKeyManager = await new ApiKeyManager(persistentLearningDB).initialize();
+
+    if (command === 'create') {
+        const options = parseOptions(args);
+        const rateLimit = options.capacity || options.refill
+            ? {
+                ...(options.capacity ? { capacity: Number(options.capacity) } : {}),
+                ...(options.refill ? { refillPerSecond: Number(options.refill) } : {})
+            }
+            : null;
+        const { apiKey, key } = await apiKeyManager.createKey({
+            name: options.name,
+            userIds: splitList(options.users),
+            scopes: options.scopes ? splitList(options.scopes) : undefined,
+            rateLimit
+        });
+        console.log('✅ APIキーを発行しました（この表示以降は確認できません）');
+        console.log(`🔑 ${apiKey}`);
+        console.log(JSON.stringify(key, null, 2));
+    } else if (command === 'list') {
+        const keys = apiKeyManager.listKeys();
+        if (keys.length === 0) {
+            console.log('📭 登録済みのAPIキーはありません');
+            return;
+        }
+        for (const key of keys) {
+            const status = key.revokedAt ? `失効 (${key.revokedAt})` : '有効';
+            console.log(`🔑 ${key.keyId} ${key.name} [${key.scopes.join(',')}] users=${key.userIds.join(',')} ${status}`);
+        }
+    } else if (command === 'revoke') {
+        const [keyId] = args;
+        if (!keyId) {
+            throw new Error('失効するキーIDが必要です');
+        }
+        if (!await apiKeyManager.revokeKey(keyId)) {
+            throw new Error(`有効なキーが見つかりません: ${keyId}`);
+        }
+        console.log(`🗑️ APIキーを失効しました: ${keyId}`);
+    } else {
+        console.log('使用方法: manage-api-keys.js <create|list|revoke> [options]');
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ APIキー管理エラー:', error.message);
+    process.exit(1);
+});
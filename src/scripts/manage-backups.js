@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * 学習データバックアップ管理スクリプト
+ *
+ * 使用方法:
+ *   npm run backup -- list
+ *   npm run backup -- create
+ *   npm run backup -- restore <id>
+ *   npm run backup -- diff <id|current> <id|current> [--json]
+ *   npm run backup -- prune --keep <件数> [--reason scheduled]
+ *
+ * ※ restore はサーバー停止中に実行すること（稼働中の学習コンポーネントが終了時に復元前の状態を保存し直すため）
+ */
+
+import { persistentLearningDB } from '../data/persistent-learning-db.js';
+
+function formatDelta({ before, after, delta }) {
+    return `${before} → ${after} (${delta >= 0 ? '+' : ''}${delta})`;
+}
+
+function printDiff(diff) {
+    console.log(`📊 ${diff.from} → ${diff.to}`);
+
+    const { bandit, relations, ngram, userProfiles } = diff;
+    console.log('🎰 バンディット');
+    console.log(`  総選択数: ${formatDelta(bandit.totalSelections)}`);
+    console.log(`  語彙数: ${formatDelta(bandit.vocabularySize)}（追加${bandit.addedWords} / 削除${bandit.removedWords} / 変化${bandit.changedWords}）`);
+    for (const { word, selectionsDelta, rewardsDelta, status } of bandit.topChanges) {
+        console.log(`    ${word} [${status}] 選択${selectionsDelta >= 0 ? '+' : ''}${selectionsDelta} 報酬${rewardsDelta >= 0 ? '+' : ''}${rewardsDelta}`);
+    }
+
+    console.log('🔗 関係性');
+    console.log(`  総関係数: ${formatDelta(relations.totalRelations)}`);
+    for (const user of relations.users) {
+        console.log(`    ${user.userKey}: 関係${formatDelta(user.relations)}, 語${formatDelta(user.terms)}`);
+    }
+
+    console.log('📈 N-gram');
+    console.log(`  総N-gram: ${formatDelta(ngram.totalNgrams)}, 異なりN-gram: ${formatDelta(ngram.uniqueNgrams)}, 文脈: ${formatDelta(ngram.contexts)}, 文書: ${formatDelta(ngram.totalDocuments)}`);
+
+    console.log('👤 ユーザープロファイル');
+    console.log(`  追加: ${userProfiles.added.join(', ') || 'なし'}`);
+    console.log(`  削除: ${userProfiles.removed.join(', ') || 'なし'}`);
+    for (const change of userProfiles.changed) {
+        console.log(`  変更: ${change.key}${change.totalInteractions ? ` 対話数${formatDelta(change.totalInteractions)}` : ''}`);
+    }
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (command === 'list') {
+        const backups = await persistentLearningDB.listBackups();
+        if (backups.length === 0) {
+            console.log('📭 バックアップはありません');
+            return;
+        }
+        for (const backup of backups) {
+            console.log(`💾 ${backup.id} [${backup.reason}] ${backup.createdAt} ${Math.round(backup.size / 1024)}KB 会話${backup.totalConversations}件`);
+        }
+    } else if (command === 'create') {
+        await persistentLearningDB.createBackup();
+    } else if (command === 'restore') {
+        const [backupId] = args;
+        if (!backupId) {
+            throw new Error('復元するバックアップIDが必要です');
+        }
+        const result = await persistentLearningDB.restoreBackup(backupId);
+        console.log(`📦 復元ドキュメント: ${Object.entries(result.documents).map(([collection, count]) => `${collection} ${count}件`).join(', ')}, 削除: ${result.removed}件`);
+        console.log(`↩️ 元に戻す場合: npm run backup -- restore ${result.safetyBackup}`);
+    } else if (command === 'diff') {
+        const [fromId, toId] = args;
+        if (!fromId || !toId) {
+            throw new Error('比較する2つのバックアップIDが必要です（現在のデータは current）');
+        }
+        const diff = await persistentLearningDB.diffBackups(fromId, toId);
+        if (args.includes('--json')) {
+            console.log(JSON.stringify(diff, null, 2));
+        } else {
+            printDiff(diff);
+        }
+    } else if (command === 'prune') {
+        const keepIndex = args.indexOf('--keep');
+        const reasonIndex = args.indexOf('--reason');
+        const maxCount = keepIndex >= 0 ? Number(args[keepIndex + 1]) : NaN;
+        if (!Number.isInteger(maxCount) || maxCount < 0) {
+            throw new Error('--keep に保持件数を指定してください');
+        }
+        const deleted = await persistentLearningDB.pruneBackups({ maxCount, reason: reasonIndex >= 0 ? args[reasonIndex + 1] : null });
+        console.log(`🗑️ 削除: ${deleted.length}件`);
+    } else {
+        console.log('使用方法: manage-backups.js <list|create|restore|diff|prune> [options]');
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ バックアップ管理エラー:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * 個人データ暗号化管理スクリプト
+ *
+ * 使用方法:
+ *   npm run encryption -- generate-key
+ *   npm run encryption -- status [--include-backups] [--base-path data/learning]
+ *   npm run encryption -- reencrypt [--dry-run] [--include-backups] [--base-path data/learning]
+ *   npm run encryption -- decrypt [--dry-run] [--include-backups] [--base-path data/learning]
+ *
+ * 鍵は LEARNING_ENCRYPTION_KEY / LEARNING_ENCRYPTION_KEY_FILE（旧鍵は previous / LEARNING_ENCRYPTION_PREVIOUS_KEYS）で指定する。
+ * 鍵ローテーション: generate-key で作成した鍵を current に、現在の鍵を previous に移して reencrypt を実行し、
+ * 完了後（バックアップも対象にする場合は --include-backups）に旧鍵を外す。
+ * decrypt は暗号化を解除して平文に戻す（暗号化を無効化する前に実行）。
+ * 学習入力ログ（<base-path>/events の各行）も同じ鍵で暗号化し直す。
+ * ※ サーバー停止中に実行すること
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createStorageAdapter } from '../data/storage/storage-adapter.js';
+import { JsonFileStorageAdapter } from '../data/storage/json-file-storage-adapter.js';
+import { createDocumentCipherFromEnv, generateEncryptionKey, getEncryptionStatus, reencryptDocuments } from '../data/document-encryption.js';
+import { LearningEventLog } from '../data/learning-event-log.js';
+
+// 学習入力ログ（ディレクトリがなければ null）
+function openEventLog(directory) {
+    const eventsDir = path.join(directory, 'events');
+    return fs.existsSync(eventsDir) ? new LearningEventLog(eventsDir) : null;
+}
+
+// 対象ストレージ（本体 + バックアップ）と学習入力ログ
+function openTargets(basePath, includeBackups) {
+    const targets = [{ name: basePath, storage: createStorageAdapter(basePath), eventLog: openEventLog(basePath) }];
+    const backupBaseDir = path.join(basePath, 'backups');
+    if (includeBackups && fs.existsSync(backupBaseDir)) {
+        for (const entry of fs.readdirSync(backupBaseDir, { withFileTypes: true })) {
+            if (entry.isDirectory()) {
+                const backupPath = path.join(backupBaseDir, entry.name);
+                targets.push({ name: `backups/${entry.name}`, storage: new JsonFileStorageAdapter(backupPath), eventLog: openEventLog(backupPath) });
+            }
+        }
+    }
+    return targets;
+}
+
+function printStatus(name, status, cipher) {
+    console.log(`🔐 ${name}: 平文 ${status.plaintext}件`);
+    for (const [keyId, count] of Object.entries(status.encrypted)) {
+        const label = !cipher ? '' : keyId === cipher.currentKeyId ? ' (current)' : cipher.keys.has(keyId) ? ' (previous)' : ' (鍵なし)';
+        console.log(`  🔑 ${keyId}${label}: ${count}件`);
+    }
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    const basePathIndex = args.indexOf('--base-path');
+    const basePath = basePathIndex >= 0 ? args[basePathIndex + 1] : './data/learning';
+    const dryRun = args.includes('--dry-run');
+
+    if (command === 'generate-key') {
+        console.log(generateEncryptionKey());
+        return;
+    }
+
+    if (command === 'status') {
+        const cipher = createDocumentCipherFromEnv();
+        for (const { name, storage, eventLog } of openTargets(basePath, args.includes('--include-backups'))) {
+            try {
+                printStatus(name, getEncryptionStatus(storage), cipher);
+                if (eventLog) {
+                    printStatus(`${name} 学習入力ログ`, eventLog.getEncryptionStatus(), cipher);
+                }
+            } finally {
+                storage.close();
+            }
+        }
+        return;
+    }
+
+    if (command === 'reencrypt' || command === 'decrypt') {
+        const cipher = createDocumentCipherFromEnv();
+        if (!cipher) {
+            throw new Error('LEARNING_ENCRYPTION_KEY または LEARNING_ENCRYPTION_KEY_FILE を設定してください');
+        }
+
+        let errorCount = 0;
+        for (const { name, storage, eventLog } of openTargets(basePath, args.includes('--include-backups'))) {
+            try {
+                const result = reencryptDocuments(storage, cipher, { decrypt: command === 'decrypt', dryRun });
+                for (const { collection, key, from, to } of result.updated) {
+                    console.log(`  ${dryRun ? '📝 変更予定' : '✅ 更新'} ${name} ${collection}/${key}: ${from} → ${to}`);
+                }
+                for (const { collection, key, error } of result.errors) {
+                    console.warn(`  ⚠️ 失敗 ${name} ${collection}/${key}: ${error}`);
+                }
+                console.log(`📊 ${name}: 確認 ${result.checked}件, ${dryRun ? '変更予定' : '更新'} ${result.updated.length}件, 失敗 ${result.errors.length}件`);
+                errorCount += result.errors.length;
+
+                if (eventLog) {
+                    const logResult = await eventLog.reencryptSegments(cipher, { decrypt: command === 'decrypt', dryRun });
+                    for (const { segment, lines } of logResult.updated) {
+                        console.log(`  ${dryRun ? '📝 変更予定' : '✅ 更新'} ${name} events/${segment}: ${lines}行`);
+                    }
+                    for (const { segment, error } of logResult.errors) {
+                        console.warn(`  ⚠️ 失敗 ${name} events/${segment}: ${error}`);
+                    }
+                    console.log(`📊 ${name} 学習入力ログ: 確認 ${logResult.checked}行, ${dryRun ? '変更予定' : '更新'} ${logResult.updated.length}セグメント, 失敗 ${logResult.errors.length}セグメント`);
+                    errorCount += logResult.errors.length;
+                }
+            } finally {
+                storage.close();
+            }
+        }
+        process.exitCode = errorCount > 0 ? 1 : 0;
+        return;
+    }
+
+    console.log('使用方法: manage-encryption.js <generate-key|status|reencrypt|decrypt> [options]');
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('❌ 暗号化管理エラー:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * 学習データ スキーママイグレーションスクリプト
+ *
+ * 使用方法: npm run migrate -- [--dry-run] [--base-path data/learning]
+ *
+ * 旧スキーマで保存されたドキュメントを現行スキーマバージョンへ移行する。
+ * --dry-run では書き込みを行わず、変更されるドキュメントと適用されるマイグレーションを表示する。
+ * ストレージ種別は環境変数 LEARNING_STORAGE に従う（サーバー起動時も同じ移行が自動実行される）。
+ * 暗号化鍵（LEARNING_ENCRYPTION_KEY 等）の設定時は PersistentLearningDB と同様に復号して移行し、暗号化して保存し直す。
+ */
+
+import { createStorageAdapter } from '../data/storage/storage-adapter.js';
+import { EncryptedStorageAdapter } from '../data/storage/encrypted-storage-adapter.js';
+import { createDocumentCipherFromEnv } from '../data/document-encryption.js';
+import { migrateAllDocuments, CURRENT_SCHEMA_VERSION } from '../data/schema-migrations.js';
+
+function main() {
+    const args = process.argv.slice(2);
+    const basePathIndex = args.indexOf('--base-path');
+    const basePath = basePathIndex >= 0 ? args[basePathIndex + 1] : './data/learning';
+    const dryRun = args.includes('--dry-run');
+
+    const rawStorage = createStorageAdapter(basePath);
+    const cipher = createDocumentCipherFromEnv();
+    const storage = cipher ? new EncryptedStorageAdapter(rawStorage, cipher) : rawStorage;
+    storage.initialize();
+
+    const { type, location } = storage.describe();
+    console.log(`🏷️ スキーママイグレーション${dryRun ? '（dry-run）' : ''}: ${location} (${type}) → v${CURRENT_SCHEMA_VERSION}`);
+    try {
+        const result = migrateAllDocuments(storage, { dryRun });
+        for (const { collection, key, fromVersion, toVersion, applied } of result.migrated) {
+            console.log(`  ${dryRun ? '📝 変更予定' : '✅ 移行'} ${collection}/${key}: v${fromVersion} → v${toVersion}`);
+            for (const description of applied) {
+                console.log(`      - ${description}`);
+            }
+        }
+        for (const { collection, key, version } of result.newer) {
+            console.warn(`  ⚠️ ${collection}/${key}: 新しいスキーマ (v${version}) のため未変更`);
+        }
+        for (const { collection, key, error } of result.errors) {
+            console.warn(`  ⚠️ 移行失敗 ${collection}/${key}: ${error}`);
+        }
+        console.log(`📊 確認: ${result.checked}件, ${dryRun ? '変更予定' : '移行'}: ${result.migrated.length}件, 最新: ${result.checked - result.migrated.length - result.newer.length - result.errors.length}件`);
+        process.exitCode = result.errors.length > 0 ? 1 : 0;
+    } finally {
+        storage.close();
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ スキーママイグレーションエラー:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * 学習データストレージ移行スクリプト（JSONファイル → SQLite）
+ *
+ * 使用方法: npm run migrate-storage -- [--base-path data/learning] [--overwrite]
+ *
+ * data/learning のJSONレイアウトを読み込み、同ディレクトリの learning.sqlite へ一括移行する。
+ * 移行元のJSONファイルは変更しない。移行後は LEARNING_STORAGE=sqlite でサーバーを起動する。
+ */
+
+import path from 'path';
+import { JsonFileStorageAdapter } from '../data/storage/json-file-storage-adapter.js';
+import { SqliteStorageAdapter } from '../data/storage/sqlite-storage-adapter.js';
+import { migrateStorage, SQLITE_FILE_NAME } from '../data/storage/storage-adapter.js';
+
+function main() {
+    const args = process.argv.slice(2);
+    const basePathIndex = args.indexOf('--base-path');
+    const basePath = basePathIndex >= 0 ? args[basePathIndex + 1] : './data/learning';
+    const overwrite = args.includes('--overwrite');
+
+    const source = new JsonFileStorageAdapter(basePath);
+    const target = new SqliteStorageAdapter(path.join(basePath, SQLITE_FILE_NAME));
+    target.initialize();
+
+    console.log(`🚚 学習データ移行開始: ${basePath} → ${target.describe().location}`);
+    try {
+        const result = migrateStorage(source, target, { overwrite });
+        for (const [collection, count] of Object.entries(result.migrated)) {
+            console.log(`  📦 ${collection}: ${count}件`);
+        }
+        if (result.skipped > 0) {
+            console.log(`  ⏭️ 移行先に既存のため未移行: ${result.skipped}件（上書きする場合は --overwrite）`);
+        }
+        for (const { collection, key, error } of result.errors) {
+            console.warn(`  ⚠️ 移行失敗 ${collection}/${key}: ${error}`);
+        }
+        console.log('✅ 移行完了。LEARNING_STORAGE=sqlite を指定して起動してください');
+        process.exitCode = result.errors.length > 0 ? 1 : 0;
+    } finally {
+        target.close();
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('❌ 学習データ移行エラー:', error.message);
+    process.exit(1);
+}
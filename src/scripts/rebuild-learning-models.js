@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * 学習モデル再構築スクリプト（学習入力ログの再生）
+ *
+ * 使用方法:
+ *   npm run rebuild -- [--until <ISO日時>] [--dry-run]
+ *
+ * data/learning/events の学習入力を空のモデルへ再生し、N-gram・バンディット・ベイジアン個人化・共起関係を作り直す。
+ * --until を指定するとその時点までの入力で再構築する。--dry-run は現在のモデルとの差分を表示するのみ。
+ * 置き換え前の状態は pre-rebuild スナップショットとして保存する（npm run backup -- restore <id> で戻せる）。
+ * ※ 学習入力ログの記録開始前に学習した内容は再構築後のモデルに含まれない
+ * ※ dry-run 以外はサーバー停止中に実行すること
+ */
+
+import { persistentLearningDB } from '../data/persistent-learning-db.js';
+import { LEARNING_EVENT_TYPES } from '../data/learning-event-log.js';
+import { loadSnapshot, diffSnapshots } from '../data/snapshot-diff.js';
+import { LearningModelRebuilder } from '../learning/integration/learning-model-rebuilder.js';
+
+function formatDelta({ before, after, delta }) {
+    return `${before} → ${after} (${delta >= 0 ? '+' : ''}${delta})`;
+}
+
+function printDiff({ bandit, relations, ngram, userProfiles }) {
+    console.log('📊 現在のモデル → 再構築後');
+    console.log(`  🎰 バンディット: 総選択数 ${formatDelta(bandit.totalSelections)}, 語彙数 ${formatDelta(bandit.vocabularySize)}`);
+    console.log(`  🔗 関係性: 総関係数 ${formatDelta(relations.totalRelations)}`);
+    console.log(`  📈 N-gram: 総N-gram ${formatDelta(ngram.totalNgrams)}, 異なりN-gram ${formatDelta(ngram.uniqueNgrams)}, 文書 ${formatDelta(ngram.totalDocuments)}`);
+    console.log(`  👤 ユーザープロファイル: 追加 ${userProfiles.added.length}件, 削除 ${userProfiles.removed.length}件, 変更 ${userProfiles.changed.length}件`);
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const untilIndex = args.indexOf('--until');
+    const until = untilIndex >= 0 ? args[untilIndex + 1] : null;
+    const dryRun = args.includes('--dry-run');
+    if (untilIndex >= 0 && !until) {
+        throw new Error('--until に日時を指定してください（例: 2026-10-01T00:00:00Z）');
+    }
+
+    await persistentLearningDB.waitForInitialization();
+    const { eventLog } = persistentLearningDB;
+    if (!eventLog) {
+        throw new Error('学習入力ログが無効です（LEARNING_EVENT_LOG=false）');
+    }
+
+    const stats = eventLog.getStats({ until });
+    if (stats.total === 0) {
+        console.log('📭 再生する学習イベントはありません');
+        return;
+    }
+    console.log(`📝 学習イベント ${stats.total}件（${new Date(stats.firstTimestamp).toISOString()} 〜 ${new Date(stats.lastTimestamp).toISOString()}）`);
+    for (const [type, count] of Object.entries(stats.types)) {
+        console.log(`  ${type}: ${count}件`);
+    }
+
+    // 共起関係の再生時のみ形態素解析器を読み込む
+    let hybridProcessor = null;
+    if (stats.types[LEARNING_EVENT_TYPES.RELATIONSHIP_CONVERSATION] || stats.types[LEARNING_EVENT_TYPES.RELATIONSHIP_FEEDBACK]) {
+        const { EnhancedHybridLanguageProcessor } = await import('../foundation/morphology/hybrid-processor.js');
+        hybridProcessor = new EnhancedHybridLanguageProcessor();
+        await hybridProcessor.initialize();
+    }
+
+    const result = await new LearningModelRebuilder(eventLog, { hybridProcessor }).rebuild({ until });
+    printDiff(diffSnapshots(loadSnapshot(persistentLearningDB.storage), loadSnapshot(result.storage)));
+
+    if (dryRun) {
+        console.log('📝 dry-run のためモデルは置き換えていません');
+        return;
+    }
+    const replaced = await persistentLearningDB.replaceLearningModels(result.storage);
+    console.log(`✅ 置き換え: learning ${replaced.documents.learning}件, user_profiles ${replaced.documents.user_profiles}件, 削除 ${replaced.removed}件`);
+    console.log(`↩️ 元に戻す場合: npm run backup -- restore ${replaced.safetyBackup}`);
+}
+
+main().catch(error => {
+    console.error('❌ 学習モデル再構築エラー:', error.message);
+    process.exit(1);
+});
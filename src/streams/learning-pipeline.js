@@ -6,7 +6,7 @@
 import { Readable, Transform, Writable, pipeline } from 'stream';
 import { createReadStream } from 'fs';
 import { createInterface } from 'readline';
-import { learningWorkerPool } from '../workers/learning-worker-pool.js';
+import { getLearningWorkerPool } from '../workers/learning-worker-pool.js';
 
 export class LearningPipeline {
     constructor(options = {}) {
@@ -164,7 +164,7 @@ export class LearningPipeline {
         console.log(`📊 バッチ処理開始: ${batches.length}バッチ, 総アイテム${dataItems.length}件`);
         
         try {
-            const batchResults = await learningWorkerPool.executeStreamingBatch(
+            const batchResults = await getLearningWorkerPool().executeStreamingBatch(
                 batches.map(batch => ({
                     type: 'batch_learning',
                     data: {
@@ -210,7 +210,7 @@ export class LearningPipeline {
             });
         }
         
-        const results = await learningWorkerPool.executeBatch(tasks);
+        const results = await getLearningWorkerPool().executeBatch(tasks);
         
         return {
             conversation,
@@ -440,7 +440,7 @@ class LogBatchProcessor {
             }
         }));
         
-        const results = await learningWorkerPool.executeBatch(tasks);
+        const results = await getLearningWorkerPool().executeBatch(tasks);
         
         return {
             extractedConversations: conversations.length,
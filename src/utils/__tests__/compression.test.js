@@ -0,0 +1,86 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { jest } from '@jest/globals';
+import { JSONFileManager } from '../json-file-manager.js';
+import { convertDirectorySync } from '../compression.js';
+import { JsonFileStorageAdapter } from '../../data/storage/json-file-storage-adapter.js';
+
+describe('圧縮保存', () => {
+  let basePath;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'compression-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('JSONFileManager は圧縮形式で保存し、同じパスで読み込めるべき', async () => {
+    const filePath = path.join(basePath, 'ngram-data.json');
+    await new JSONFileManager({ cacheEnabled: false }).writeJSONFile(filePath, { value: 1 });
+
+    const manager = new JSONFileManager({ cacheEnabled: false, compression: 'brotli' });
+    const writeResult = await manager.writeJSONFile(filePath, { value: 2 });
+
+    expect(writeResult.dataPath).toBe(`${filePath}.br`);
+    expect(fs.readdirSync(basePath)).toEqual(['ngram-data.json.br']);
+    expect(JSON.parse(zlib.brotliDecompressSync(fs.readFileSync(`${filePath}.br`)))).toEqual({ value: 2 });
+
+    // 非圧縮設定のインスタンスからも読み込める
+    const readResult = await new JSONFileManager({ cacheEnabled: false }).readJSONFile(filePath);
+    expect(readResult.data).toEqual({ value: 2 });
+  });
+
+  test('拡張子のないgzipファイルはヘッダーで判定して読み込むべき', async () => {
+    const filePath = path.join(basePath, 'legacy.json');
+    fs.writeFileSync(filePath, zlib.gzipSync(JSON.stringify({ legacy: true })));
+
+    const result = await new JSONFileManager({ cacheEnabled: false }).readJSONFile(filePath);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ legacy: true });
+  });
+
+  test('JsonFileStorageAdapter は圧縮・非圧縮のドキュメントを同じキーで扱うべき', () => {
+    const plain = new JsonFileStorageAdapter(basePath, { compression: 'none' });
+    plain.initialize();
+    plain.write('learning', 'bandit-data', { totalSelections: 1 });
+
+    const gzip = new JsonFileStorageAdapter(basePath, { compression: 'gzip' });
+    expect(gzip.read('learning', 'bandit-data')).toEqual({ totalSelections: 1 });
+
+    gzip.write('learning', 'bandit-data', { totalSelections: 2 });
+    expect(fs.existsSync(path.join(basePath, 'bandit-data.json'))).toBe(false);
+    expect(gzip.list('learning')).toEqual(['bandit-data']);
+    expect(plain.read('learning', 'bandit-data')).toEqual({ totalSelections: 2 });
+
+    expect(plain.remove('learning', 'bandit-data')).toBe(true);
+    expect(gzip.has('learning', 'bandit-data')).toBe(false);
+  });
+
+  test('一括変換はサブディレクトリを含めて変換し、dry-runでは変更しないべき', () => {
+    fs.mkdirSync(path.join(basePath, 'user_profiles'));
+    fs.writeFileSync(path.join(basePath, 'ngram-data.json'), JSON.stringify({ totalNgrams: 3 }, null, 2));
+    fs.writeFileSync(path.join(basePath, 'user_profiles', 'user-1.json'), JSON.stringify({ userId: 'user-1' }));
+
+    const preview = convertDirectorySync(basePath, 'gzip', { dryRun: true });
+    expect(preview.converted).toHaveLength(2);
+    expect(fs.existsSync(path.join(basePath, 'ngram-data.json'))).toBe(true);
+
+    const result = convertDirectorySync(basePath, 'gzip');
+    expect(result.converted.map(({ path: filePath }) => path.relative(basePath, filePath)).sort())
+      .toEqual(['ngram-data.json', path.join('user_profiles', 'user-1.json')]);
+    expect(fs.readdirSync(basePath).sort()).toEqual(['ngram-data.json.gz', 'user_profiles']);
+
+    const storage = new JsonFileStorageAdapter(basePath, { compression: 'none' });
+    expect(storage.read('learning', 'ngram-data')).toEqual({ totalNgrams: 3 });
+    expect(storage.read('user_profiles', 'user-1')).toEqual({ userId: 'user-1' });
+
+    expect(convertDirectorySync(basePath, 'gzip').unchanged).toBe(2);
+  });
+});
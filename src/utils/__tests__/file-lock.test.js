@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { jest } from '@jest/globals';
+import { withFileLock, withFileLockSync, LOCK_SUFFIX } from '../file-lock.js';
+
+describe('file-lock', () => {
+  let basePath;
+  let targetPath;
+
+  const writeLock = (holder) => fs.writeFileSync(`${targetPath}${LOCK_SUFFIX}`, JSON.stringify({ hostname: os.hostname(), token: 'other', ...holder }));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'file-lock-'));
+    targetPath = path.join(basePath, 'data.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('実行中はロックファイルを保持し、終了後に解放すべき', async () => {
+    const result = await withFileLock(targetPath, async () => fs.existsSync(`${targetPath}${LOCK_SUFFIX}`));
+
+    expect(result).toBe(true);
+    expect(fs.existsSync(`${targetPath}${LOCK_SUFFIX}`)).toBe(false);
+  });
+
+  test('稼働中のプロセスが保持するロックはタイムアウトまで待つべき', () => {
+    writeLock({ pid: process.pid });
+
+    expect(() => withFileLockSync(targetPath, () => 'acquired', { timeoutMs: 50, retryMs: 10 })).toThrow('ロック取得タイムアウト');
+    expect(JSON.parse(fs.readFileSync(`${targetPath}${LOCK_SUFFIX}`, 'utf8')).token).toBe('other');
+  });
+
+  test('終了済みプロセスのロックや古いロックは回収すべき', () => {
+    const exitedPid = spawnSync(process.execPath, ['-e', '']).pid;
+    writeLock({ pid: exitedPid });
+    expect(withFileLockSync(targetPath, () => 'acquired', { timeoutMs: 50 })).toBe('acquired');
+
+    writeLock({ pid: process.pid });
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(`${targetPath}${LOCK_SUFFIX}`, past, past);
+    expect(withFileLockSync(targetPath, () => 'acquired', { timeoutMs: 50, staleMs: 30000 })).toBe('acquired');
+    expect(fs.existsSync(`${targetPath}${LOCK_SUFFIX}`)).toBe(false);
+  });
+
+  test('回収の判定後に他プロセスが取得したロックは削除せずに残すべき', () => {
+    writeLock({ pid: process.pid });
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(`${targetPath}${LOCK_SUFFIX}`, past, past);
+    // 放棄と判定した直後に、他プロセスが先に回収して新しいロックを取得した状況を再現
+    const renameSync = fs.renameSync;
+    jest.spyOn(fs, 'renameSync').mockImplementationOnce((from, to) => {
+      writeLock({ pid: process.pid, token: 'fresh' });
+      return renameSync(from, to);
+    });
+
+    expect(() => withFileLockSync(targetPath, () => 'acquired', { timeoutMs: 30, retryMs: 10 })).toThrow('ロック取得タイムアウト');
+    expect(JSON.parse(fs.readFileSync(`${targetPath}${LOCK_SUFFIX}`, 'utf8')).token).toBe('fresh');
+    expect(fs.readdirSync(basePath).filter(name => name.includes('.reclaim-'))).toEqual([]);
+  });
+
+  test('非同期版は保持中に更新時刻を更新し、staleMs を超える処理中も回収されないべき', async () => {
+    const lockPath = `${targetPath}${LOCK_SUFFIX}`;
+    let contenderResult = null;
+
+    const result = await withFileLock(targetPath, async () => {
+      const acquiredMtime = fs.statSync(lockPath).mtimeMs;
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect(fs.statSync(lockPath).mtimeMs).toBeGreaterThan(acquiredMtime);
+      contenderResult = await withFileLock(targetPath, async () => 'stolen', { staleMs: 60, timeoutMs: 50, retryMs: 10 })
+        .catch(error => error.code);
+      return 'held';
+    }, { staleMs: 60 });
+
+    expect(result).toBe('held');
+    expect(contenderResult).toBe('ELOCKED');
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+});
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { JSONFileManager } from '../json-file-manager.js';
+
+describe('JSONFileManager 原子的書き込み', () => {
+  let basePath;
+  let manager;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-manager-'));
+    manager = new JSONFileManager({ cacheEnabled: false });
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('書き込み後に一時ファイルを残さないべき', async () => {
+    const filePath = path.join(basePath, 'data.json');
+
+    const result = await manager.writeJSONFile(filePath, { value: 1 });
+
+    expect(result.success).toBe(true);
+    expect(fs.readdirSync(basePath)).toEqual(['data.json']);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ value: 1 });
+  });
+
+  test('書き込み失敗時は既存ファイルを変更しないべき', async () => {
+    const filePath = path.join(basePath, 'data.json');
+    await manager.writeJSONFile(filePath, { value: 1 });
+    const circular = {};
+    circular.self = circular;
+
+    const result = await manager.writeJSONFile(filePath, circular);
+
+    expect(result.success).toBe(false);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ value: 1 });
+    expect(fs.readdirSync(basePath)).toEqual(['data.json']);
+  });
+
+  test('破損時は解析可能な最新の旧世代から読み込むべき', async () => {
+    manager = new JSONFileManager({ cacheEnabled: false, backupOnWrite: true, backupGenerations: 2 });
+    const filePath = path.join(basePath, 'data.json');
+    for (const value of [1, 2, 3]) {
+      await manager.writeJSONFile(filePath, { value });
+    }
+    expect(JSON.parse(fs.readFileSync(`${filePath}.backup`, 'utf8'))).toEqual({ value: 2 });
+    expect(JSON.parse(fs.readFileSync(`${filePath}.backup.2`, 'utf8'))).toEqual({ value: 1 });
+
+    fs.writeFileSync(filePath, '{"value":');
+    fs.writeFileSync(`${filePath}.backup`, '{"val');
+
+    const result = await manager.readJSONFile(filePath);
+
+    expect(result).toMatchObject({ success: true, data: { value: 1 }, recoveredFrom: `${filePath}.backup.2` });
+    expect(manager.operationStats.recoveries).toBe(1);
+  });
+
+  test('既定設定でも旧世代を残し、破損時に読み込めるべき', async () => {
+    const filePath = path.join(basePath, 'data.json');
+    await manager.writeJSONFile(filePath, { value: 1 });
+    await manager.writeJSONFile(filePath, { value: 2 });
+    fs.writeFileSync(filePath, '{"value":');
+
+    const result = await manager.readJSONFile(filePath);
+
+    expect(result).toMatchObject({ success: true, data: { value: 1 }, recoveredFrom: `${filePath}.backup` });
+  });
+
+  test('updateJSONFileは並行した更新をロックで直列化すべき', async () => {
+    const filePath = path.join(basePath, 'counter.json');
+    const increment = () => manager.updateJSONFile(filePath, async (current) => {
+      const count = current ? current.count : 0;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return { count: count + 1 };
+    }, { lockOptions: { retryMs: 1 } });
+
+    const results = await Promise.all([increment(), increment(), increment()]);
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ count: 3 });
+    expect(fs.readdirSync(basePath).sort()).toEqual(['counter.json', 'counter.json.backup', 'counter.json.backup.2']);
+  });
+
+  test('チャンク書き込みは全チャンク完了後にメタデータを切り替え、旧チャンクを削除すべき', async () => {
+    const filePath = path.join(basePath, 'items.json');
+    const first = await manager.writeChunkedJSONFile(filePath, [1, 2, 3, 4, 5], { chunkSize: 2 });
+    expect(first.success).toBe(true);
+
+    const originalWrite = manager.writeJSONFile.bind(manager);
+    let chunkWrites = 0;
+    jest.spyOn(manager, 'writeJSONFile').mockImplementation((targetPath, data, options) => {
+      if (targetPath.includes('-chunk-') && ++chunkWrites === 2) {
+        return Promise.resolve({ success: false, error: 'write_error' });
+      }
+      return originalWrite(targetPath, data, options);
+    });
+
+    const failed = await manager.writeChunkedJSONFile(filePath, [6, 7, 8, 9], { chunkSize: 2 });
+    expect(failed.success).toBe(false);
+    expect((await manager.readChunkedJSONFile(filePath)).data).toEqual([1, 2, 3, 4, 5]);
+
+    manager.writeJSONFile.mockRestore();
+    const second = await manager.writeChunkedJSONFile(filePath, [6, 7, 8, 9], { chunkSize: 2 });
+    expect(second.success).toBe(true);
+    expect((await manager.readChunkedJSONFile(filePath)).data).toEqual([6, 7, 8, 9]);
+    expect(fs.readdirSync(basePath).filter(name => name.includes('-chunk-'))).toHaveLength(2);
+  });
+});
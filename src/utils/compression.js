@@ -0,0 +1,248 @@
+/**
+ * Compression - JSONデータファイルの透過的な圧縮・展開
+ *
+ * 🗜️ gzip（<ファイル>.json.gz）/ brotli（<ファイル>.json.br）で保存し、読み込み時は自動展開
+ * 🔍 形式は拡張子で判定（.backup / .tmp- 付きの旧世代・一時ファイルも含む）。拡張子のないgzipはヘッダーで判定
+ * 📂 <ファイル>.json を指定した読み込みは .json / .json.gz / .json.br のうち存在するものを使う
+ *
+ * 保存形式は環境変数 DATA_COMPRESSION（none | gzip | brotli、既定 none）または各クラスの compression 設定で指定する。
+ * 既存ファイルの一括変換は npm run compress-data。
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { withFileLockSync } from './file-lock.js';
+
+export const COMPRESSION_FORMATS = {
+    none: { extension: '' },
+    gzip: { extension: '.gz' },
+    brotli: { extension: '.br' }
+};
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const DATA_FILE_PATTERN = /\.json(\.gz|\.br)?$/;
+const COMPRESSED_EXTENSION_PATTERN = /\.(gz|br)((\.backup(\.\d+)?)|(\.tmp-[^/\\]*))?$/;
+
+// brotli既定の品質11は数十MBのファイルで数十秒かかるため、起動・保存時間を優先して下げる
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 6 } };
+
+const gzipAsync = promisify(zlib.gzip);
+const gunzipAsync = promisify(zlib.gunzip);
+const brotliCompressAsync = promisify(zlib.brotliCompress);
+const brotliDecompressAsync = promisify(zlib.brotliDecompress);
+
+/**
+ * 圧縮形式名の検証
+ */
+export function validateCompression(format) {
+    if (!Object.hasOwn(COMPRESSION_FORMATS, format)) {
+        throw new Error(`不明な圧縮形式: ${format} (${Object.keys(COMPRESSION_FORMATS).join(' / ')})`);
+    }
+    return format;
+}
+
+/**
+ * 環境変数 DATA_COMPRESSION の圧縮形式
+ */
+export function getCompressionFromEnv(env = process.env) {
+    return validateCompression(env.DATA_COMPRESSION || 'none');
+}
+
+/**
+ * ファイル名から圧縮形式を判定
+ */
+export function getCompressionFromPath(filePath) {
+    const match = String(filePath).match(COMPRESSED_EXTENSION_PATTERN);
+    if (!match) return 'none';
+    return match[1] === 'gz' ? 'gzip' : 'brotli';
+}
+
+/**
+ * ファイル名と内容から圧縮形式を判定
+ */
+export function detectCompression(filePath, buffer) {
+    const byPath = getCompressionFromPath(filePath);
+    if (byPath !== 'none') return byPath;
+    if (buffer && buffer.length >= 2 && buffer[0] === GZIP_MAGIC[0] && buffer[1] === GZIP_MAGIC[1]) {
+        return 'gzip';
+    }
+    return 'none';
+}
+
+/**
+ * データファイル（.json / .json.gz / .json.br）か判定
+ */
+export function isDataFilePath(filePath) {
+    return DATA_FILE_PATTERN.test(filePath);
+}
+
+/**
+ * 圧縮拡張子を除いたパス（<ファイル>.json）
+ */
+export function getLogicalPath(filePath) {
+    return getCompressionFromPath(filePath) === 'none' ? filePath : filePath.replace(/\.(gz|br)$/, '');
+}
+
+/**
+ * 指定形式で保存する場合のパス
+ */
+export function getCompressedPath(filePath, format) {
+    return getLogicalPath(filePath) + COMPRESSION_FORMATS[validateCompression(format)].extension;
+}
+
+/**
+ * 読み込み候補のパス（指定されたパスを優先し、他の圧縮形式を続ける）
+ */
+export function getVariantPaths(filePath) {
+    const logicalPath = getLogicalPath(filePath);
+    const variants = Object.values(COMPRESSION_FORMATS).map(({ extension }) => logicalPath + extension);
+    return [filePath, ...variants.filter(variant => variant !== filePath)];
+}
+
+/**
+ * 存在するパスを検索（同期）
+ * @returns {string|null}
+ */
+export function findExistingVariantSync(filePath) {
+    return getVariantPaths(filePath).find(variant => fs.existsSync(variant)) || null;
+}
+
+/**
+ * 存在するパスを検索
+ * @returns {Promise<string|null>}
+ */
+export async function findExistingVariant(filePath) {
+    for (const variant of getVariantPaths(filePath)) {
+        try {
+            await fs.promises.access(variant);
+            return variant;
+        } catch {
+            // 次の候補へ
+        }
+    }
+    return null;
+}
+
+export function compressSync(content, format) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    if (format === 'gzip') return zlib.gzipSync(buffer);
+    if (format === 'brotli') return zlib.brotliCompressSync(buffer, BROTLI_OPTIONS);
+    return buffer;
+}
+
+export function decompressSync(buffer, format) {
+    if (format === 'gzip') return zlib.gunzipSync(buffer);
+    if (format === 'brotli') return zlib.brotliDecompressSync(buffer);
+    return buffer;
+}
+
+export async function compress(content, format) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    if (format === 'gzip') return gzipAsync(buffer);
+    if (format === 'brotli') return brotliCompressAsync(buffer, BROTLI_OPTIONS);
+    return buffer;
+}
+
+export async function decompress(buffer, format) {
+    if (format === 'gzip') return gunzipAsync(buffer);
+    if (format === 'brotli') return brotliDecompressAsync(buffer);
+    return buffer;
+}
+
+/**
+ * JSON文字列化して指定形式で圧縮（圧縮時はインデントなし）
+ * @returns {Buffer|string}
+ */
+export function encodeJSONSync(data, format, indent = 2) {
+    if (format === 'none') return JSON.stringify(data, null, indent);
+    return compressSync(JSON.stringify(data), format);
+}
+
+export async function encodeJSON(data, format, indent = 2) {
+    if (format === 'none') return JSON.stringify(data, null, indent);
+    return compress(JSON.stringify(data), format);
+}
+
+/**
+ * ファイル内容を展開してJSON解析
+ */
+export function decodeJSONSync(buffer, filePath) {
+    return JSON.parse(decompressSync(buffer, detectCompression(filePath, buffer)).toString('utf8'));
+}
+
+export async function decodeJSON(buffer, filePath) {
+    const content = await decompress(buffer, detectCompression(filePath, buffer));
+    return JSON.parse(content.toString('utf8'));
+}
+
+// 変換対象のJSONデータファイル名の一覧（ロック・一時ファイル・旧世代は除く）
+function listDataFiles(directory) {
+    const files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listDataFiles(entryPath));
+        } else if (entry.isFile() && DATA_FILE_PATTERN.test(entry.name)) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * ディレクトリ内のJSONデータファイルを指定形式へ一括変換（サブディレクトリを含む）
+ * 変換は <ファイル>.json のロックを取得して一時ファイルからのrenameで行い、変換後に旧形式のファイルを削除する
+ * @param {string} directory - 対象ディレクトリ
+ * @param {string} format - 'none'（展開）| 'gzip' | 'brotli'
+ * @param {Object} options - { dryRun }
+ * @returns {Object} { converted: [{ path, from, before, after }], unchanged, errors: [{ path, error }] }
+ */
+export function convertDirectorySync(directory, format, { dryRun = false } = {}) {
+    validateCompression(format);
+    const result = { converted: [], unchanged: 0, errors: [] };
+    if (!fs.existsSync(directory)) return result;
+
+    const logicalPaths = Array.from(new Set(listDataFiles(directory).map(getLogicalPath))).sort();
+    for (const logicalPath of logicalPaths) {
+        const targetPath = getCompressedPath(logicalPath, format);
+        // dry-run はロックファイルも作成しない
+        const run = dryRun ? fn => fn() : fn => withFileLockSync(logicalPath, fn);
+        try {
+            run(() => {
+                // 形式の異なる同名ファイルが残っている場合は最新のものを変換元とする
+                const sources = getVariantPaths(logicalPath)
+                    .filter(variant => fs.existsSync(variant))
+                    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+                if (sources.length === 0) return;
+                if (sources.length === 1 && sources[0] === targetPath) {
+                    result.unchanged++;
+                    return;
+                }
+
+                const sourcePath = sources[0];
+                const buffer = fs.readFileSync(sourcePath);
+                const from = detectCompression(sourcePath, buffer);
+                const content = encodeJSONSync(decodeJSONSync(buffer, sourcePath), format);
+                result.converted.push({ path: sourcePath, from, before: buffer.length, after: Buffer.byteLength(content) });
+                if (dryRun) return;
+
+                const tempPath = `${targetPath}.tmp-${process.pid}`;
+                try {
+                    fs.writeFileSync(tempPath, content);
+                    fs.renameSync(tempPath, targetPath);
+                } catch (error) {
+                    fs.rmSync(tempPath, { force: true });
+                    throw error;
+                }
+                for (const variant of sources) {
+                    if (variant !== targetPath) fs.rmSync(variant, { force: true });
+                }
+            });
+        } catch (error) {
+            result.errors.push({ path: logicalPath, error: error.message });
+        }
+    }
+    return result;
+}
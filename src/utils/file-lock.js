@@ -0,0 +1,233 @@
+/**
+ * File Lock - プロセス間のアドバイザリロック
+ *
+ * 🔒 対象ファイルと同じディレクトリに <ファイル>.lock を排他作成（O_EXCL）してロックとする
+ * 🧹 保持プロセスが終了済み（同一ホスト）または staleMs を超えて更新されないロックは放棄されたものとして回収
+ *    （退避名へのrenameで1プロセスだけが回収し、退避した内容が判定時と同じロックか照合する）
+ * 💓 非同期版は保持中のロックの更新時刻を staleMs の1/3ごとに更新し、長い処理中に回収されないようにする
+ * ⏳ 取得できない場合は retryMs 間隔で timeoutMs まで再試行
+ *    （同期版はスレッドを停止して待機するため、リクエスト処理中は非同期版を使う）
+ *
+ * Webサーバー・learn-logs-enhanced.js・LearningWorkerPool のワーカーが同じ data/learning を
+ * 共有する際の書き込み競合防止用。ロックに従わない書き込みは防げない（アドバイザリ）。
+ */
+
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+
+export const LOCK_SUFFIX = '.lock';
+
+export const DEFAULT_LOCK_OPTIONS = {
+    staleMs: 30000,     // これ以上古いロックは保持者が異常終了したものとみなす
+    timeoutMs: 10000,   // 取得待ちの上限
+    retryMs: 20         // 再試行間隔
+};
+
+// 同期版の待機用（Atomics.wait はメインスレッドでも使用可能）
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+    Atomics.wait(sleepBuffer, 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM は存在するが権限がないプロセス
+        return error.code === 'EPERM';
+    }
+}
+
+function readLockContent(lockPath) {
+    try {
+        return fs.readFileSync(lockPath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 放棄されたロックか判定
+ * @returns {string|null} 放棄されたロックの内容（回収時の照合用）、有効なロックはnull
+ */
+function findStaleLock(lockPath, staleMs) {
+    // 内容を先に読む（判定中に取得し直されたロックは更新時刻が新しく、放棄とみなされない）
+    const content = readLockContent(lockPath);
+    let stats;
+    try {
+        stats = fs.statSync(lockPath);
+    } catch {
+        return null; // 判定中に解放された
+    }
+    if (content === null) return null;
+    if (Date.now() - stats.mtimeMs > staleMs) {
+        return content;
+    }
+
+    try {
+        const holder = JSON.parse(content);
+        return holder.hostname === os.hostname() && !isProcessAlive(holder.pid) ? content : null;
+    } catch {
+        // 書き込み途中のロックファイルは保持者が作成中のため有効とみなす
+        return null;
+    }
+}
+
+/**
+ * 放棄されたロックを回収
+ * 削除してから作成し直すと、判定後に他プロセスが回収・取得した有効なロックまで削除しうるため、
+ * 退避名へrenameし（同じロックを退避できるのは1プロセスのみ）、退避した内容が判定時と一致するか照合する
+ * @returns {boolean} 回収できたか
+ */
+function reclaimStaleLock(lockPath, staleContent) {
+    const reclaimPath = `${lockPath}.reclaim-${crypto.randomUUID()}`;
+    try {
+        fs.renameSync(lockPath, reclaimPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return false; // 他プロセスが回収・解放済み
+        throw error;
+    }
+
+    if (readLockContent(reclaimPath) === staleContent) {
+        fs.rmSync(reclaimPath, { force: true });
+        return true;
+    }
+
+    // 判定後に取得された有効なロックを退避した場合は元に戻す（その間に作成されたロックは上書きしない）
+    try {
+        fs.linkSync(reclaimPath, lockPath);
+    } catch (error) {
+        console.warn(`⚠️ 退避したロックを復元できません: ${lockPath}`, error.message);
+    }
+    fs.rmSync(reclaimPath, { force: true });
+    return false;
+}
+
+function createLock(lockPath, holder) {
+    try {
+        fs.writeFileSync(lockPath, holder, { flag: 'wx' });
+        return true;
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        return false;
+    }
+}
+
+/**
+ * ロック取得を1回試行
+ * @returns {string|null} 取得できた場合は解放用トークン
+ */
+function tryAcquire(lockPath, staleMs) {
+    const token = crypto.randomUUID();
+    const holder = JSON.stringify({ pid: process.pid, hostname: os.hostname(), token, acquiredAt: new Date().toISOString() });
+
+    if (createLock(lockPath, holder)) {
+        return token;
+    }
+
+    const staleContent = findStaleLock(lockPath, staleMs);
+    if (staleContent !== null && reclaimStaleLock(lockPath, staleContent)) {
+        console.warn(`⚠️ 放棄されたロックを回収: ${lockPath}`);
+        if (createLock(lockPath, holder)) {
+            return token;
+        }
+    }
+    return null;
+}
+
+/**
+ * 保持中のロックの更新時刻を定期的に更新（ハートビート）
+ * @returns {Function} 停止関数
+ */
+function startHeartbeat(lockPath, token, staleMs) {
+    const timer = setInterval(() => {
+        try {
+            const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+            if (holder.token === token) {
+                const now = new Date();
+                fs.utimesSync(lockPath, now, now);
+            }
+        } catch {
+            // 回収済み・削除済みのロックは何もしない
+        }
+    }, Math.max(Math.floor(staleMs / 3), 1));
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+function createTimeoutError(lockPath, timeoutMs) {
+    const error = new Error(`ロック取得タイムアウト (${timeoutMs}ms): ${lockPath}`);
+    error.code = 'ELOCKED';
+    return error;
+}
+
+/**
+ * ロック解放（自分が取得したロックのみ削除）
+ */
+function release(lockPath, token) {
+    try {
+        const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        if (holder.token === token) {
+            fs.rmSync(lockPath, { force: true });
+        }
+    } catch {
+        // 回収済み・削除済みのロックは何もしない
+    }
+}
+
+/**
+ * ロックを保持したまま同期関数を実行
+ * 取得待ちの間はスレッドを停止し、保持中のハートビートもないため、スクリプト等の短い処理に限る
+ * （fn の実行時間は staleMs 未満にする。リクエスト処理中は withFileLock を使う）
+ * @param {string} targetPath - ロック対象ファイル
+ * @param {Function} fn - 実行する同期関数
+ * @param {Object} options - DEFAULT_LOCK_OPTIONS の上書き
+ */
+export function withFileLockSync(targetPath, fn, options = {}) {
+    const { staleMs, timeoutMs, retryMs } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+    const lockPath = `${targetPath}${LOCK_SUFFIX}`;
+    const deadline = Date.now() + timeoutMs;
+
+    let token = tryAcquire(lockPath, staleMs);
+    while (!token) {
+        if (Date.now() >= deadline) throw createTimeoutError(lockPath, timeoutMs);
+        sleepSync(retryMs);
+        token = tryAcquire(lockPath, staleMs);
+    }
+
+    try {
+        return fn();
+    } finally {
+        release(lockPath, token);
+    }
+}
+
+/**
+ * ロックを保持したまま非同期関数を実行（取得待ちでイベントループを止めず、保持中はハートビートで更新時刻を保つ）
+ * @param {string} targetPath - ロック対象ファイル
+ * @param {Function} fn - 実行する非同期関数
+ * @param {Object} options - DEFAULT_LOCK_OPTIONS の上書き
+ */
+export async function withFileLock(targetPath, fn, options = {}) {
+    const { staleMs, timeoutMs, retryMs } = { ...DEFAULT_LOCK_OPTIONS, ...options };
+    const lockPath = `${targetPath}${LOCK_SUFFIX}`;
+    const deadline = Date.now() + timeoutMs;
+
+    let token = tryAcquire(lockPath, staleMs);
+    while (!token) {
+        if (Date.now() >= deadline) throw createTimeoutError(lockPath, timeoutMs);
+        await new Promise(resolve => setTimeout(resolve, retryMs));
+        token = tryAcquire(lockPath, staleMs);
+    }
+
+    const stopHeartbeat = startHeartbeat(lockPath, token, staleMs);
+    try {
+        return await fn();
+    } finally {
+        stopHeartbeat();
+        release(lockPath, token);
+    }
+}
@@ -5,10 +5,16 @@
  * 🔗 重複処理の統合・統一化
  * 📁 ファイル操作の共通化・エラーハンドリング統一
  * ⚡ 高性能・メモリ効率最適化
+ * 🛡️ 一時ファイル + fsync + rename による原子的書き込み・破損時の旧世代フォールバック
+ *    （旧世代は既定で3世代保持。backupOnWrite: false で無効化するとフォールバックできない）
+ * 🔒 プロセス間アドバイザリロック（<ファイル>.lock）による書き込みの直列化・updateJSONFile での読み込み→更新→保存
+ * 🗜️ compression 設定による gzip / brotli 保存（読み込みは .json / .json.gz / .json.br を自動判定）
  */
 
 import { promises as fs } from 'fs';
 import path from 'path';
+import { withFileLock } from './file-lock.js';
+import { decodeJSON, encodeJSON, findExistingVariant, getCompressedPath, getCompressionFromEnv, getVariantPaths, validateCompression } from './compression.js';
 
 /**
  * 統合JSONファイルマネージャー
@@ -21,11 +27,16 @@ export class JSONFileManager {
             encoding: 'utf8',
             indent: 2,
             createDirectories: true,
-            backupOnWrite: false,
+            backupOnWrite: true,       // 上書き前の内容を旧世代として残す（破損時の読み込みフォールバックに必要）
+            backupGenerations: 3,      // 保持する旧世代数（.backup, .backup.2, ...）
             cacheEnabled: true,
             maxCacheSize: 100,
+            lock: true,                // 書き込み時にプロセス間ロックを取得
+            lockOptions: {},           // withFileLock のオプション（staleMs, timeoutMs, retryMs）
+            compression: getCompressionFromEnv(), // 書き込み形式: 'none' | 'gzip'（.json.gz）| 'brotli'（.json.br）
             ...config
         };
+        validateCompression(this.config.compression);
         
         // ファイルキャッシュ
         this.fileCache = new Map();
@@ -42,9 +53,13 @@ export class JSONFileManager {
             writes: 0,
             creates: 0,
             errors: 0,
+            recoveries: 0,
             totalTime: 0
         };
         
+        // 一時ファイル名・チャンク世代名の衝突回避（同一プロセス内の並行書き込み）
+        this.tempFileCounter = 0;
+        
         console.log('📁 JSON File Manager初期化完了');
     }
 
@@ -58,13 +73,16 @@ export class JSONFileManager {
         const config = { ...this.config, ...options };
         
         try {
+            // 実ファイル（圧縮形式の異なる同名ファイルを含む）
+            const dataPath = await findExistingVariant(fullPath);
+            
             // キャッシュチェック
-            if (config.cacheEnabled && this.fileCache.has(fullPath)) {
+            if (config.cacheEnabled && dataPath && this.fileCache.has(fullPath)) {
                 const cached = this.fileCache.get(fullPath);
                 
                 // ファイル変更時刻チェック
-                const stats = await fs.stat(fullPath);
-                if (stats.mtime.getTime() === cached.mtime) {
+                const stats = await fs.stat(dataPath);
+                if (stats.mtime.getTime() === cached.mtime && dataPath === cached.dataPath) {
                     this.cacheStats.hits++;
                     return { 
                         success: true, 
@@ -81,8 +99,7 @@ export class JSONFileManager {
             this.cacheStats.misses++;
             
             // ファイル存在チェック
-            const exists = await this.fileExists(fullPath);
-            if (!exists) {
+            if (!dataPath) {
                 if (config.createIfNotExists) {
                     const defaultData = config.defaultData || {};
                     await this.writeJSONFile(fullPath, defaultData);
@@ -103,13 +120,28 @@ export class JSONFileManager {
             }
             
             // ファイル読み込み
-            const content = await fs.readFile(fullPath, config.encoding);
+            const content = await fs.readFile(dataPath);
             
-            // JSON解析
+            // 展開・JSON解析（破損時は旧世代から復旧）
             let data;
             try {
-                data = JSON.parse(content);
+                data = await decodeJSON(content, dataPath);
             } catch (parseError) {
+                const recovered = await this.readLastGoodGeneration(dataPath, config);
+                if (recovered) {
+                    console.warn(`⚠️ JSONファイル破損を検出、旧世代から読み込み: ${dataPath} → ${recovered.path}`);
+                    this.operationStats.reads++;
+                    this.operationStats.recoveries++;
+                    this.operationStats.totalTime += Date.now() - startTime;
+                    return {
+                        success: true,
+                        data: recovered.data,
+                        fromCache: false,
+                        recoveredFrom: recovered.path,
+                        path: fullPath,
+                        readTime: Date.now() - startTime
+                    };
+                }
                 return {
                     success: false,
                     error: 'json_parse_error',
@@ -121,9 +153,10 @@ export class JSONFileManager {
             
             // キャッシュ保存
             if (config.cacheEnabled) {
-                const stats = await fs.stat(fullPath);
+                const stats = await fs.stat(dataPath);
                 this.fileCache.set(fullPath, {
                     data: data,
+                    dataPath,
                     mtime: stats.mtime.getTime(),
                     size: stats.size
                 });
@@ -142,6 +175,7 @@ export class JSONFileManager {
                 data: data,
                 fromCache: false,
                 path: fullPath,
+                dataPath,
                 size: content.length,
                 readTime: Date.now() - startTime
             };
@@ -176,19 +210,11 @@ export class JSONFileManager {
                 await this.ensureDirectory(dirPath);
             }
             
-            // バックアップ作成
-            if (config.backupOnWrite) {
-                const exists = await this.fileExists(fullPath);
-                if (exists) {
-                    const backupPath = `${fullPath}.backup`;
-                    await fs.copyFile(fullPath, backupPath);
-                }
-            }
-            
-            // JSON文字列化
-            let jsonString;
+            // JSON文字列化・圧縮
+            const dataPath = getCompressedPath(fullPath, validateCompression(config.compression));
+            let content;
             try {
-                jsonString = JSON.stringify(data, null, config.indent);
+                content = await encodeJSON(data, config.compression, config.indent);
             } catch (stringifyError) {
                 return {
                     success: false,
@@ -199,14 +225,24 @@ export class JSONFileManager {
                 };
             }
             
-            // ファイル書き込み
-            await fs.writeFile(fullPath, jsonString, config.encoding);
+            // ファイル書き込み（旧世代を退避してから一時ファイルを置き換え、別形式の同名ファイルは削除）
+            // ロックは圧縮形式によらず <ファイル>.json 単位で取得する
+            const write = async () => {
+                await this.writeFileAtomic(dataPath, content, config);
+                await this.removeFiles(getVariantPaths(fullPath).filter(variant => variant !== dataPath));
+            };
+            if (config.lock) {
+                await withFileLock(fullPath, write, config.lockOptions);
+            } else {
+                await write();
+            }
             
             // キャッシュ更新
             if (config.cacheEnabled) {
-                const stats = await fs.stat(fullPath);
+                const stats = await fs.stat(dataPath);
                 this.fileCache.set(fullPath, {
                     data: data,
+                    dataPath,
                     mtime: stats.mtime.getTime(),
                     size: stats.size
                 });
@@ -219,7 +255,9 @@ export class JSONFileManager {
             return {
                 success: true,
                 path: fullPath,
-                size: jsonString.length,
+                dataPath,
+                compression: config.compression,
+                size: content.length,
                 writeTime: Date.now() - startTime
             };
             
@@ -228,7 +266,7 @@ export class JSONFileManager {
             
             return {
                 success: false,
-                error: 'write_error',
+                error: error.code === 'ELOCKED' ? 'lock_timeout' : 'write_error',
                 path: fullPath,
                 message: `ファイル書き込みエラー: ${error.message}`,
                 originalError: error
@@ -236,6 +274,45 @@ export class JSONFileManager {
         }
     }
 
+    /**
+     * ロックを保持したまま読み込み→更新→書き込み
+     * 他プロセスの書き込みと競合させずに既存内容へ変更を反映する（件数の加算等）
+     * @param {string} filePath - ファイルパス
+     * @param {Function} updater - (現在のデータ | null) => 書き込むデータ（async可）
+     */
+    async updateJSONFile(filePath, updater, options = {}) {
+        const fullPath = path.resolve(filePath);
+        const config = { ...this.config, ...options };
+        
+        try {
+            if (config.createDirectories) {
+                await this.ensureDirectory(path.dirname(fullPath));
+            }
+            
+            return await withFileLock(fullPath, async () => {
+                const current = await this.readJSONFile(fullPath, { ...options, cacheEnabled: false });
+                if (!current.success && current.error !== 'file_not_found') {
+                    return current;
+                }
+                
+                const data = await updater(current.success ? current.data : null);
+                const writeResult = await this.writeJSONFile(fullPath, data, { ...options, lock: false });
+                return writeResult.success ? { ...writeResult, data } : writeResult;
+            }, config.lockOptions);
+            
+        } catch (error) {
+            this.operationStats.errors++;
+            
+            return {
+                success: false,
+                error: error.code === 'ELOCKED' ? 'lock_timeout' : 'update_error',
+                path: fullPath,
+                message: `ファイル更新エラー: ${error.message}`,
+                originalError: error
+            };
+        }
+    }
+
     /**
      * 分割JSONファイル書き込み（大容量対応）
      * DictionaryCacheManager の分割保存機能を統合
@@ -258,13 +335,20 @@ export class JSONFileManager {
             // データ分割
             const chunks = this.splitDataIntoChunks(data, config.chunkSize);
             const chunkPaths = [];
+            const metadataPath = path.join(dirPath, `${baseName}-metadata.json`);
+            
+            // 書き込み中に中断されても既存のメタデータが参照するチャンクを壊さないよう、
+            // チャンクは世代ごとに別名で書き込み、全チャンク完了後にメタデータを切り替える
+            const generation = `${Date.now().toString(36)}-${++this.tempFileCounter}`;
+            const previousMetadata = await this.readJSONFile(metadataPath, { cacheEnabled: false });
             
             // チャンク書き込み
             for (let i = 0; i < chunks.length; i++) {
-                const chunkPath = path.join(dirPath, `${baseName}-${config.chunkPrefix}${i}.json`);
-                const writeResult = await this.writeJSONFile(chunkPath, chunks[i]);
+                const chunkPath = path.join(dirPath, `${baseName}-${config.chunkPrefix}${generation}-${i}.json`);
+                const writeResult = await this.writeJSONFile(chunkPath, chunks[i], { ...options, cacheEnabled: false, backupOnWrite: false });
                 
                 if (!writeResult.success) {
+                    await this.removeFiles(chunkPaths);
                     return {
                         success: false,
                         error: 'chunk_write_error',
@@ -275,22 +359,23 @@ export class JSONFileManager {
                     };
                 }
                 
-                chunkPaths.push(chunkPath);
+                chunkPaths.push(writeResult.dataPath);
             }
             
-            // メタデータ書き込み
+            // メタデータ書き込み（全チャンクの書き込み完了後）
             const metadata = {
                 totalChunks: chunks.length,
                 chunkSize: config.chunkSize,
                 totalItems: Array.isArray(data) ? data.length : Object.keys(data).length,
+                generation,
                 chunkPaths: chunkPaths,
                 createdAt: new Date().toISOString()
             };
             
-            const metadataPath = path.join(dirPath, `${baseName}-metadata.json`);
-            const metadataResult = await this.writeJSONFile(metadataPath, metadata);
+            const metadataResult = await this.writeJSONFile(metadataPath, metadata, { ...options, backupOnWrite: false });
             
             if (!metadataResult.success) {
+                await this.removeFiles(chunkPaths);
                 return {
                     success: false,
                     error: 'metadata_write_error',
@@ -299,6 +384,11 @@ export class JSONFileManager {
                 };
             }
             
+            // 切り替え後、旧世代のチャンクを削除
+            if (previousMetadata.success && Array.isArray(previousMetadata.data.chunkPaths)) {
+                await this.removeFiles(previousMetadata.data.chunkPaths.filter(chunkPath => !chunkPaths.includes(chunkPath)));
+            }
+            
             return {
                 success: true,
                 path: fullPath,
@@ -382,6 +472,106 @@ export class JSONFileManager {
         }
     }
 
+    /**
+     * 原子的ファイル書き込み
+     * 一時ファイルへ書き込み・fsync後にrenameで置き換えるため、途中で中断されても
+     * 対象ファイルは旧内容か新内容のいずれかになる
+     */
+    async writeFileAtomic(fullPath, content, config = this.config) {
+        const tempPath = `${fullPath}.tmp-${process.pid}-${++this.tempFileCounter}`;
+        
+        try {
+            const handle = await fs.open(tempPath, 'w');
+            try {
+                await handle.writeFile(content, config.encoding);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            
+            if (config.backupOnWrite && await this.fileExists(fullPath)) {
+                await this.rotateGenerations(fullPath, config.backupGenerations);
+            }
+            
+            await fs.rename(tempPath, fullPath);
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            throw error;
+        }
+        
+        await this.syncDirectory(path.dirname(fullPath));
+    }
+
+    /**
+     * 旧世代ファイルパス（新しい順）
+     */
+    getGenerationPaths(fullPath, generations = this.config.backupGenerations) {
+        const paths = [];
+        for (let i = 1; i <= generations; i++) {
+            paths.push(i === 1 ? `${fullPath}.backup` : `${fullPath}.backup.${i}`);
+        }
+        return paths;
+    }
+
+    /**
+     * 旧世代のローテーション（最古を破棄し、現行ファイルを .backup として保持）
+     */
+    async rotateGenerations(fullPath, generations) {
+        const generationPaths = this.getGenerationPaths(fullPath, generations);
+        for (let i = generationPaths.length - 1; i > 0; i--) {
+            if (await this.fileExists(generationPaths[i - 1])) {
+                await fs.rename(generationPaths[i - 1], generationPaths[i]);
+            }
+        }
+        
+        // ハードリンクで現行内容を残す（コピー不要、未対応のファイルシステムではコピー）
+        try {
+            await fs.link(fullPath, generationPaths[0]);
+        } catch {
+            await fs.copyFile(fullPath, generationPaths[0]);
+        }
+    }
+
+    /**
+     * 解析可能な最新の旧世代を読み込み
+     * @returns {Promise<Object|null>} { path, data }
+     */
+    async readLastGoodGeneration(fullPath, config = this.config) {
+        for (const generationPath of this.getGenerationPaths(fullPath, config.backupGenerations)) {
+            try {
+                const content = await fs.readFile(generationPath);
+                return { path: generationPath, data: await decodeJSON(content, generationPath) };
+            } catch {
+                // 存在しない・破損した世代は読み飛ばす
+            }
+        }
+        return null;
+    }
+
+    /**
+     * rename結果の永続化（ディレクトリエントリのfsync、未対応のプラットフォームでは省略）
+     */
+    async syncDirectory(dirPath) {
+        let handle;
+        try {
+            handle = await fs.open(dirPath, 'r');
+            await handle.sync();
+        } catch {
+            // Windows等ではディレクトリをfsyncできない
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+
+    /**
+     * ファイル一括削除（存在しないファイルは無視）
+     */
+    async removeFiles(filePaths) {
+        for (const filePath of filePaths) {
+            await fs.rm(filePath, { force: true });
+        }
+    }
+
     /**
      * ファイル存在チェック
      */
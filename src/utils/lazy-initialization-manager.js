@@ -89,6 +89,7 @@ export class LazyInitializationManager {
             component.instance = instance;
             component.loadTime = loadTime;
             this.initialized.add(name);
+            this.initOrder.push(name);
             
             console.log(`✅ ${name} 初期化完了 (${loadTime}ms)`);
             return instance;
@@ -106,6 +107,13 @@ export class LazyInitializationManager {
         return await this.initialize(name);
     }
 
+    /**
+     * コンポーネント登録確認
+     */
+    has(name) {
+        return this.components.has(name);
+    }
+
     /**
      * 同期的取得（初期化済みのみ）
      */
@@ -136,6 +144,24 @@ export class LazyInitializationManager {
         console.log('✅ バックグラウンド初期化完了');
     }
 
+    /**
+     * 全コンポーネント即時初期化（即時起動モード用）
+     * 個別の初期化失敗は警告のみとし、失敗したコンポーネント名を返す
+     * @returns {Promise<string[]>} 初期化に失敗したコンポーネント名
+     */
+    async initializeAll() {
+        const failed = [];
+        for (const name of this.components.keys()) {
+            try {
+                await this.initialize(name);
+            } catch (error) {
+                console.warn(`⚠️ 即時初期化失敗 ${name}:`, error.message);
+                failed.push(name);
+            }
+        }
+        return failed;
+    }
+
     /**
      * 初期化統計取得
      */
@@ -180,16 +206,23 @@ export class LazyInitializationManager {
     }
 
     /**
-     * クリーンアップ
+     * クリーンアップ（各コンポーネントの cleanup() で未保存データを永続化）
+     * 初期化中のコンポーネントの完了を待ち、依存される側が最後になるよう初期化の逆順で実行する
+     * @returns {Promise<string[]>} クリーンアップに失敗したコンポーネント名
      */
-    cleanup() {
-        for (const [name, component] of this.components) {
-            if (component.instance && typeof component.instance.cleanup === 'function') {
+    async cleanup() {
+        await Promise.allSettled(Array.from(this.loadingPromises.values()));
+
+        const failed = [];
+        for (const name of [...this.initOrder].reverse()) {
+            const component = this.components.get(name);
+            if (component && component.instance && typeof component.instance.cleanup === 'function') {
                 try {
-                    component.instance.cleanup();
+                    await component.instance.cleanup();
                     console.log(`🧹 ${name} クリーンアップ完了`);
                 } catch (error) {
                     console.warn(`⚠️ ${name} クリーンアップエラー:`, error.message);
+                    failed.push(name);
                 }
             }
         }
@@ -197,6 +230,8 @@ export class LazyInitializationManager {
         this.components.clear();
         this.loadingPromises.clear();
         this.initialized.clear();
+        this.initOrder = [];
+        return failed;
     }
 }
 
@@ -0,0 +1,149 @@
+/**
+ * MetricsRegistry - Prometheusテキスト形式の運用メトリクス管理
+ * カウンター・ヒストグラムの記録と、各コンポーネントの既存統計を
+ * スクレイプ時に読み出すコレクターを統合して /metrics 出力を生成する
+ */
+
+export const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// ラベル値エスケープ（Prometheus text format 0.0.4）
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// ラベル組み合わせの識別キー
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, labels[key]]));
+}
+
+export class MetricsRegistry {
+    constructor() {
+        // Map<name, { name, help, type, buckets?, series: Map<labelKey, { labels, value | counts/sum/count }> }>
+        this.metrics = new Map();
+        // スクレイプ時に呼び出す統計コレクター: () => [{ name, help, type, samples: [{ labels, value }] }]
+        this.collectors = [];
+    }
+
+    /**
+     * カウンター取得（未登録なら作成）
+     */
+    counter(name, help) {
+        const metric = this.getOrCreate(name, help, 'counter');
+        return {
+            inc: (labels = {}, value = 1) => {
+                const series = this.getSeries(metric, labels, () => ({ labels, value: 0 }));
+                series.value += value;
+            }
+        };
+    }
+
+    /**
+     * ヒストグラム取得（未登録なら作成）
+     * @param {number[]} buckets - 累積バケット上限（昇順）
+     */
+    histogram(name, help, buckets = DEFAULT_LATENCY_BUCKETS) {
+        const metric = this.getOrCreate(name, help, 'histogram', { buckets });
+        return {
+            observe: (labels = {}, value) => {
+                const series = this.getSeries(metric, labels, () => ({
+                    labels,
+                    counts: new Array(metric.buckets.length).fill(0),
+                    sum: 0,
+                    count: 0
+                }));
+                metric.buckets.forEach((bound, index) => {
+                    if (value <= bound) series.counts[index]++;
+                });
+                series.sum += value;
+                series.count++;
+            }
+        };
+    }
+
+    /**
+     * 統計コレクター登録
+     * コレクター内の例外はスクレイプ全体を失敗させず、該当コレクターのみ除外する
+     */
+    registerCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    getOrCreate(name, help, type, extra = {}) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, { name, help, type, series: new Map(), ...extra });
+        }
+        const metric = this.metrics.get(name);
+        if (metric.type !== type) {
+            throw new Error(`メトリクス型の不一致: ${name} (${metric.type} / ${type})`);
+        }
+        return metric;
+    }
+
+    getSeries(metric, labels, create) {
+        const key = labelKey(labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, create());
+        }
+        return metric.series.get(key);
+    }
+
+    /**
+     * Prometheusテキスト形式で出力
+     * @returns {string} text/plain; version=0.0.4
+     */
+    render() {
+        const lines = [];
+
+        for (const metric of this.metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const series of metric.series.values()) {
+                if (metric.type === 'histogram') {
+                    metric.buckets.forEach((bound, index) => {
+                        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+                    lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+                } else {
+                    lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                }
+            }
+        }
+
+        for (const collector of this.collectors) {
+            let families;
+            try {
+                families = collector() || [];
+            } catch (error) {
+                console.warn('⚠️ メトリクス収集エラー:', error.message);
+                continue;
+            }
+            for (const family of families) {
+                const samples = family.samples.filter(sample => typeof sample.value === 'number');
+                if (samples.length === 0) continue;
+                lines.push(`# HELP ${family.name} ${family.help}`);
+                lines.push(`# TYPE ${family.name} ${family.type}`);
+                for (const sample of samples) {
+                    lines.push(`${family.name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+                }
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+export default MetricsRegistry;
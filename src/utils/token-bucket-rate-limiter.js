@@ -0,0 +1,60 @@
+/**
+ * TokenBucketRateLimiter - キー単位のトークンバケット方式レート制限
+ * バケットはリクエスト時に経過時間分を補充する（タイマー不要）
+ */
+
+export class TokenBucketRateLimiter {
+    /**
+     * @param {Object} defaults - { capacity: バースト上限, refillPerSecond: 毎秒補充トークン数 }
+     * @param {Function} now - 現在時刻取得（ミリ秒）
+     */
+    constructor(defaults = {}, now = Date.now) {
+        this.defaults = {
+            capacity: 60,
+            refillPerSecond: 1,
+            ...defaults
+        };
+        this.now = now;
+        // Map<key, { tokens, updatedAt }>
+        this.buckets = new Map();
+    }
+
+    /**
+     * トークン消費
+     * @param {string} key - バケット識別子（APIキーID等）
+     * @param {Object|null} limits - キー個別の { capacity, refillPerSecond }（未指定は既定値）
+     * @param {number} cost - 消費トークン数
+     * @returns {Object} { allowed, limit, remaining, retryAfterSeconds }
+     */
+    consume(key, limits = null, cost = 1) {
+        const { capacity, refillPerSecond } = { ...this.defaults, ...(limits || {}) };
+        const currentTime = this.now();
+
+        const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: currentTime };
+        const elapsedSeconds = (currentTime - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond);
+        bucket.updatedAt = currentTime;
+        this.buckets.set(key, bucket);
+
+        if (bucket.tokens >= cost) {
+            bucket.tokens -= cost;
+            return { allowed: true, limit: capacity, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+        }
+
+        return {
+            allowed: false,
+            limit: capacity,
+            remaining: 0,
+            retryAfterSeconds: Math.ceil((cost - bucket.tokens) / refillPerSecond)
+        };
+    }
+
+    /**
+     * バケット破棄（キー失効時など）
+     */
+    reset(key) {
+        this.buckets.delete(key);
+    }
+}
+
+export default TokenBucketRateLimiter;
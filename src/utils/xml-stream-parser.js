@@ -0,0 +1,210 @@
+/**
+ * XmlStreamParser - 逐次読み込み用のSAX形式XMLパーサー
+ *
+ * 📖 write() で渡した断片を解析し、開始タグ・終了タグ・テキストをハンドラーへ通知する
+ * 💾 未完了のトークンのみ保持するため、ファイル全体を読み込まずに解析できる
+ * 🔣 DOCTYPE 内部サブセットの <!ENTITY> 宣言を読み込み、実体参照を展開する（JMdict の品詞等）
+ *
+ * 名前空間・外部DTD・属性値の正規化は扱わない（辞書データの取り込み用）。
+ */
+
+const XML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'"
+};
+
+const ENTITY_REFERENCE_PATTERN = /&(#x[0-9a-fA-F]+|#\d+|[^\s&;]+);/g;
+const ENTITY_DECLARATION_PATTERN = /<!ENTITY\s+([^\s%]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g;
+const ATTRIBUTE_PATTERN = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+export class XmlStreamParser {
+    /**
+     * @param {Object} handlers - { onOpenTag(name, attributes), onCloseTag(name), onText(text, raw) }
+     */
+    constructor(handlers = {}) {
+        this.handlers = handlers;
+        this.entities = { ...XML_ENTITIES };
+        this.buffer = '';
+        this.ended = false;
+    }
+
+    /**
+     * 断片を追加して解析
+     */
+    write(chunk) {
+        if (this.ended) {
+            throw new Error('XMLストリームは終了しています');
+        }
+        this.buffer += chunk;
+        this.parse();
+    }
+
+    /**
+     * 入力終了（未完了のトークンが残っていればエラー）
+     */
+    end() {
+        this.parse();
+        this.ended = true;
+        const rest = this.buffer;
+        this.buffer = '';
+        if (rest.includes('<')) {
+            throw new Error(`XMLが途中で終了しています: ${rest.slice(0, 50)}`);
+        }
+        if (rest.length > 0) {
+            this.emitText(rest);
+        }
+    }
+
+    /**
+     * 実体参照の展開（未宣言の実体はそのまま残す）
+     */
+    decode(raw) {
+        if (!raw.includes('&')) return raw;
+        return raw.replace(ENTITY_REFERENCE_PATTERN, (match, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return Object.prototype.hasOwnProperty.call(this.entities, name) ? this.entities[name] : match;
+        });
+    }
+
+    emitText(raw) {
+        if (this.handlers.onText) {
+            this.handlers.onText(this.decode(raw), raw);
+        }
+    }
+
+    parse() {
+        const buffer = this.buffer;
+        let position = 0;
+
+        while (position < buffer.length) {
+            if (buffer[position] !== '<') {
+                // テキストは次のタグまで（実体参照が断片の境界で切れないよう、タグ開始を待つ）
+                const next = buffer.indexOf('<', position);
+                if (next === -1) break;
+                this.emitText(buffer.slice(position, next));
+                position = next;
+                continue;
+            }
+
+            const end = this.parseMarkup(buffer, position);
+            if (end === -1) break;
+            position = end;
+        }
+
+        this.buffer = buffer.slice(position);
+    }
+
+    /**
+     * position の '<' から始まるマークアップを処理
+     * @returns {number} 次の位置（未完了なら -1）
+     */
+    parseMarkup(buffer, position) {
+        if (buffer.startsWith('<!--', position)) {
+            const end = buffer.indexOf('-->', position + 4);
+            return end === -1 ? -1 : end + 3;
+        }
+        if (buffer.startsWith('<![CDATA[', position)) {
+            const end = buffer.indexOf(']]>', position + 9);
+            if (end === -1) return -1;
+            const text = buffer.slice(position + 9, end);
+            if (this.handlers.onText) this.handlers.onText(text, text);
+            return end + 3;
+        }
+        if (buffer.startsWith('<!DOCTYPE', position)) {
+            const end = this.findDoctypeEnd(buffer, position);
+            if (end === -1) return -1;
+            this.readEntityDeclarations(buffer.slice(position, end));
+            return end;
+        }
+        if (buffer.startsWith('<!', position) && buffer.length - position < 9) {
+            // <!-- / <![CDATA[ / <!DOCTYPE の判定に必要な長さがない
+            return -1;
+        }
+        if (buffer.startsWith('<?', position)) {
+            const end = buffer.indexOf('?>', position + 2);
+            return end === -1 ? -1 : end + 2;
+        }
+
+        const end = this.findTagEnd(buffer, position);
+        if (end === -1) return -1;
+        const tag = buffer.slice(position + 1, end - 1);
+
+        if (tag[0] === '/') {
+            if (this.handlers.onCloseTag) this.handlers.onCloseTag(tag.slice(1).trim());
+            return end;
+        }
+
+        const selfClosing = tag.endsWith('/');
+        const body = selfClosing ? tag.slice(0, -1) : tag;
+        const nameEnd = body.search(/\s|$/);
+        const name = body.slice(0, nameEnd);
+        const attributes = {};
+        for (const [, key, doubleQuoted, singleQuoted] of body.slice(nameEnd).matchAll(ATTRIBUTE_PATTERN)) {
+            attributes[key] = this.decode(doubleQuoted !== undefined ? doubleQuoted : singleQuoted);
+        }
+
+        if (this.handlers.onOpenTag) this.handlers.onOpenTag(name, attributes);
+        if (selfClosing && this.handlers.onCloseTag) this.handlers.onCloseTag(name);
+        return end;
+    }
+
+    /**
+     * タグの終端（属性値内の '>' は除く）
+     */
+    findTagEnd(buffer, position) {
+        let quote = null;
+        for (let i = position + 1; i < buffer.length; i++) {
+            const char = buffer[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '>') {
+                return i + 1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * DOCTYPE の終端（内部サブセット・引用符・コメント内の '>' は除く）
+     */
+    findDoctypeEnd(buffer, position) {
+        let quote = null;
+        let depth = 0;
+        for (let i = position + 2; i < buffer.length; i++) {
+            const char = buffer[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (buffer.startsWith('<!--', i)) {
+                const end = buffer.indexOf('-->', i + 4);
+                if (end === -1) return -1;
+                i = end + 2;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']') {
+                depth--;
+            } else if (char === '>' && depth === 0) {
+                return i + 1;
+            }
+        }
+        return -1;
+    }
+
+    readEntityDeclarations(doctype) {
+        const declarations = doctype.replace(/<!--[\s\S]*?-->/g, '');
+        for (const [, name, doubleQuoted, singleQuoted] of declarations.matchAll(ENTITY_DECLARATION_PATTERN)) {
+            this.entities[name] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+        }
+    }
+}
+
+export default XmlStreamParser;
@@ -18,6 +18,7 @@ export class LearningWorkerPool {
         this.taskQueue = [];
         this.runningTasks = new Map();
         this.workerStats = new Map();
+        this.isShuttingDown = false;
         
         this.createWorkerPool();
         console.log(`🔄 LearningWorkerPool初期化完了 (ワーカー数: ${this.poolSize})`);
@@ -59,7 +60,8 @@ export class LearningWorkerPool {
         });
 
         worker.on('exit', (code) => {
-            if (code !== 0) {
+            // terminate() による終了（コード1）は停止処理中のため再起動しない
+            if (code !== 0 && !this.isShuttingDown) {
                 console.warn(`⚠️ ワーカー${workerId}異常終了: ${code}`);
                 this.restartWorker(workerId);
             }
@@ -395,6 +397,7 @@ export class LearningWorkerPool {
      */
     async shutdown() {
         console.log('🔄 ワーカープールシャットダウン開始...');
+        this.isShuttingDown = true;
         
         // キューをクリア
         for (const task of this.taskQueue) {
@@ -426,5 +429,22 @@ export class LearningWorkerPool {
     }
 }
 
-// デフォルトインスタンス
-export const learningWorkerPool = new LearningWorkerPool();
\ No newline at end of file
+// デフォルトインスタンス（ワーカーを起動するため初回利用時に作成する）
+let sharedLearningWorkerPool = null;
+
+/**
+ * プロセス共有のワーカープール取得（未作成時は作成してワーカーを起動する）
+ */
+export function getLearningWorkerPool() {
+    if (!sharedLearningWorkerPool) {
+        sharedLearningWorkerPool = new LearningWorkerPool();
+    }
+    return sharedLearningWorkerPool;
+}
+
+/**
+ * 作成済みのプロセス共有ワーカープール（未作成時は null。メトリクス収集・終了処理でワーカーを起動しないため）
+ */
+export function getActiveLearningWorkerPool() {
+    return sharedLearningWorkerPool;
+}
\ No newline at end of file